@@ -4,15 +4,18 @@
  */
 class AnimationManager {
     #animations;
+    #clock;
     /**
      * Creates a new AnimationManager instance.
+     * @param {GameClock} [clock=GameClock.default] - The clock whose game time the animations follow, e.g. Camera.clock.
      */
-    constructor() {
+    constructor(clock = GameClock.default) {
         /**
          * A Set of all animations managed by this AnimationManager.
          * @type {Set<Animation>}
          */
         this.#animations = new Set();
+        this.clock = clock;
         this.#update();
     }
 
@@ -24,6 +27,8 @@ class AnimationManager {
         if (!(animation instanceof Animation)) {
             throw new Error('Invalid argument: animation should be an instance of Animation.');
         }
+        // The manager updates the animation with the time of its own clock, so the animation has to follow that clock, too
+        animation.clock = this.#clock;
         this.#animations.add(animation);
     }
 
@@ -43,13 +48,14 @@ class AnimationManager {
      * This method should be called once per frame, and it uses requestAnimationFrame to schedule the next update.
      */
     #update() {
-        const now = performance.now();
+        // Animations follow the game time, so they slow down and pause with the clock
+        const now = this.#clock.time * 1000;
         for (const animation of this.#animations) {
             if (animation.isPlaying) {
                 animation.update(now);
             }
         }
-        requestAnimationFrame(() => this.#update());
+        CameraBackend.default.requestFrame(() => this.#update());
     }
 
     /**
@@ -59,6 +65,28 @@ class AnimationManager {
     get animations() {
         return this.#animations;
     }
+
+    /**
+     * Returns the clock the animations follows.
+     * @returns {GameClock} The clock.
+     */
+    get clock() {
+        return this.#clock;
+    }
+
+    /**
+     * Sets the clock the animations follows. The animations of the manager are moved to the clock.
+     * @param {GameClock} clock - The clock.
+     */
+    set clock(clock) {
+        if (!(clock instanceof GameClock)) {
+            throw new Error('Invalid clock: Expected a GameClock object.');
+        }
+        this.#clock = clock;
+        for (const animation of this.#animations) {
+            animation.clock = clock;
+        }
+    }
 }
 
 /**
@@ -80,7 +108,7 @@ class AnimationFrame {
      * @param {number} height - The height of the source rectangle.
      */
     constructor(image, srcX, srcY, width, height) {
-        if (!(image instanceof Image)) {
+        if (!CameraBackend.isImage(image)) {
             throw new Error('Invalid argument: image should be an instance of Image.');
         }
         if (typeof srcX !== 'number' || typeof srcY !== 'number' || typeof width !== 'number' || typeof height !== 'number') {
@@ -155,6 +183,7 @@ class Animation {
     #isPlaying;
     #lastUpdateTime;
     #once;
+    #clock;
 
     /**
      * Creates a new Animation.
@@ -165,9 +194,12 @@ class Animation {
      * @param {number} frameHeight - The height of each frame in pixels.
      * @param {number} rows - The number of rows in the sprite sheet.
      * @param {number} columns - The number of columns in the sprite sheet.
+     * @param {Vector} [position=new Vector(0, 0)] - The position of the animation.
+     * @param {number} [sizeFactor=1] - The size multiplier of the animation.
+     * @param {GameClock} [clock=GameClock.default] - The clock whose game time the animation follows. An AnimationManager replaces it with its own clock.
      */
-    constructor(image, frameCount, frameDuration, frameWidth, frameHeight, columns = frameCount, rows = 1, position = new Vector(0, 0), sizeFactor = 1) {
-        if (!(image instanceof Image)) {
+    constructor(image, frameCount, frameDuration, frameWidth, frameHeight, columns = frameCount, rows = 1, position = new Vector(0, 0), sizeFactor = 1, clock = GameClock.default) {
+        if (!CameraBackend.isImage(image)) {
             throw new Error('Invalid argument: image should be an instance of Image.');
         }
         if (typeof frameCount !== 'number' || frameCount <= 0) {
@@ -210,6 +242,7 @@ class Animation {
         this.#isPlaying = false;
         this.#lastUpdateTime = 0;
         this.#once = false;
+        this.clock = clock;
     }
 
     /**
@@ -217,7 +250,7 @@ class Animation {
      */
     play() {
         this.#isPlaying = true;
-        this.#lastUpdateTime = performance.now();
+        this.#lastUpdateTime = this.#clock.time * 1000;
         this.#once = false;
     }
 
@@ -226,7 +259,7 @@ class Animation {
      */
     playOnce() {
         this.#isPlaying = true;
-        this.#lastUpdateTime = performance.now();
+        this.#lastUpdateTime = this.#clock.time * 1000;
         this.#once = true;
     }
 
@@ -248,6 +281,7 @@ class Animation {
 
     /**
      * Updates the animation based on the elapsed time.
+     * @param {number} now - The game time of the clock of the animation, in milliseconds.
      */
     update(now) {
         const elapsed = now - this.#lastUpdateTime;
@@ -388,4 +422,27 @@ class Animation {
         }
         this.#sizeFactor = sizeFactor;
     }
+
+    /**
+     * Returns the clock the animation follows.
+     * @returns {GameClock} The clock.
+     */
+    get clock() {
+        return this.#clock;
+    }
+
+    /**
+     * Sets the clock the animation follows. AnimationManager.addAnimation() sets it to the clock of the manager.
+     * @param {GameClock} clock - The clock.
+     */
+    set clock(clock) {
+        if (!(clock instanceof GameClock)) {
+            throw new Error('Invalid clock: Expected a GameClock object.');
+        }
+        // The time already spent on the current frame carries over to the new clock
+        if (this.#clock) {
+            this.#lastUpdateTime += (clock.time - this.#clock.time) * 1000;
+        }
+        this.#clock = clock;
+    }
 }
\ No newline at end of file
@@ -10,7 +10,8 @@ class AssetLoader {
     }
 
     /**
-     * Loads the specified images, textures, and audio files and dispatches a custom event when all assets have been loaded.
+     * Loads the specified images, textures, audio files and tilemaps and dispatches a custom event when all assets have been loaded.
+     * Tilemaps are Tiled (.tmj, .tmx) or LDtk (.ldtk) files, they are loaded with their tilesets and images, see Tilemap.load().
      * @param {string} eventName - The name of the event that is called once the assets are loaded.
      * @param {Array<Object>} assets - An array of objects where each object represents a category of assets.
      */
@@ -34,8 +35,8 @@ class AssetLoader {
                 throw new Error(`Invalid argument: assets[${index}] should be an object.`);
             }
             const { type, paths, name } = asset;
-            if (type !== 'image' && type !== 'audio' && type !== 'texture') {
-                throw new Error(`Invalid argument: assets[${index}].type should be either 'image', 'audio' or 'texture'.`);
+            if (type !== 'image' && type !== 'audio' && type !== 'texture' && type !== 'tilemap') {
+                throw new Error(`Invalid argument: assets[${index}].type should be either 'image', 'audio', 'texture' or 'tilemap'.`);
             }
             if (typeof name !== 'string') {
                 throw new Error(`Invalid argument: assets[${index}].name should be a string.`);
@@ -49,6 +50,8 @@ class AssetLoader {
                 loadPromise = this.#loadAudios(paths);
             } else if (type === 'texture') {
                 loadPromise = this.#loadTextures(paths);
+            } else if (type === 'tilemap') {
+                loadPromise = this.#loadTilemaps(paths);
             } else {
                 loadPromise = this.#loadImages(paths);
             }
@@ -86,6 +89,10 @@ class AssetLoader {
         return Promise.all(paths.map(path => this.#loadAudio(path)));
     }
 
+    #loadTilemaps(paths) {
+        return Promise.all(paths.map(path => Tilemap.load(path)));
+    }
+
     #loadImage(path) {
         return new Promise((resolve, reject) => {
             const img = new Image();
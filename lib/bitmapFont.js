@@ -0,0 +1,369 @@
+/**
+ * A font made of glyphs on one or more sprite sheet images, for crisp pixel-perfect text.
+ * Can be created from a fixed grid of glyphs or from an AngelCode BMFont descriptor (.fnt, text or XML format).
+ * Text drawn with a BitmapFont can contain inline color codes: "{#ff0000}red{/} default".
+ */
+class BitmapFont {
+    #pages;
+    #glyphs;
+    #kernings;
+    #lineHeight;
+    #base;
+    #tintCache = new Map();
+    static #defaultFont = null;
+
+    /**
+     * Creates a new BitmapFont.
+     * @param {Array<Image|HTMLCanvasElement>} pages - The sprite sheet images of the font.
+     * @param {Map<number, {x: number, y: number, width: number, height: number, xOffset: number, yOffset: number, xAdvance: number, page: number}>} glyphs - The glyphs by character code.
+     * @param {number} lineHeight - The distance between two lines, in font pixels.
+     * @param {number} [base=lineHeight] - The distance from the top of a line to the baseline, in font pixels.
+     * @param {Map<string, number>} [kernings=new Map()] - Kerning amounts keyed by "firstCharCode,secondCharCode".
+     */
+    constructor(pages, glyphs, lineHeight, base = lineHeight, kernings = new Map()) {
+        if (!Array.isArray(pages) || pages.length === 0 || !pages.every(page => CameraBackend.isImage(page))) {
+            throw new Error('Invalid pages: Expected a non-empty array of Image or canvas objects.');
+        }
+        if (!(glyphs instanceof Map)) {
+            throw new Error('Invalid glyphs: Expected a Map.');
+        }
+        if (typeof lineHeight !== 'number' || lineHeight <= 0) {
+            throw new Error('Invalid lineHeight: Expected a positive number.');
+        }
+        if (typeof base !== 'number') {
+            throw new Error('Invalid base: Expected a number.');
+        }
+        if (!(kernings instanceof Map)) {
+            throw new Error('Invalid kernings: Expected a Map.');
+        }
+        this.#pages = pages;
+        this.#glyphs = glyphs;
+        this.#lineHeight = lineHeight;
+        this.#base = base;
+        this.#kernings = kernings;
+    }
+
+    /**
+     * Creates a BitmapFont from a sprite sheet where every glyph has the same size.
+     * @param {Image|HTMLCanvasElement} image - The sprite sheet.
+     * @param {number} glyphWidth - The width of a glyph cell, in pixels.
+     * @param {number} glyphHeight - The height of a glyph cell, in pixels.
+     * @param {string} characters - The characters on the sheet, in order from left to right and top to bottom.
+     * @param {number} [letterSpacing=1] - Extra space after every glyph, in pixels.
+     * @param {number} [margin=0] - The space around the glyphs on the sheet, in pixels.
+     * @param {number} [spacing=0] - The space between the glyph cells on the sheet, in pixels.
+     * @returns {BitmapFont} The new font.
+     */
+    static fromGrid(image, glyphWidth, glyphHeight, characters, letterSpacing = 1, margin = 0, spacing = 0) {
+        if (!CameraBackend.isImage(image)) {
+            throw new Error('Invalid image: Expected an Image or canvas object.');
+        }
+        if (typeof glyphWidth !== 'number' || glyphWidth <= 0 || typeof glyphHeight !== 'number' || glyphHeight <= 0) {
+            throw new Error('Invalid glyph size: Expected positive numbers for glyphWidth and glyphHeight.');
+        }
+        if (typeof characters !== 'string' || characters.length === 0) {
+            throw new Error('Invalid characters: Expected a non-empty string.');
+        }
+        if (![letterSpacing, margin, spacing].every(value => typeof value === 'number')) {
+            throw new Error('Invalid arguments: letterSpacing, margin and spacing should be numbers.');
+        }
+
+        const columns = Math.max(1, Math.floor((image.width - margin * 2 + spacing) / (glyphWidth + spacing)));
+        const glyphs = new Map();
+        [...characters].forEach((character, index) => {
+            glyphs.set(character.codePointAt(0), {
+                x: margin + (index % columns) * (glyphWidth + spacing),
+                y: margin + Math.floor(index / columns) * (glyphHeight + spacing),
+                width: glyphWidth,
+                height: glyphHeight,
+                xOffset: 0,
+                yOffset: 0,
+                xAdvance: glyphWidth + letterSpacing,
+                page: 0
+            });
+        });
+        return new BitmapFont([image], glyphs, glyphHeight + 1, glyphHeight);
+    }
+
+    /**
+     * Creates a BitmapFont from an AngelCode BMFont descriptor.
+     * @param {string} descriptor - The contents of the .fnt file, in the text or the XML format.
+     * @param {Array<Image|HTMLCanvasElement>} pages - The page images, in the order of their page ids.
+     * @returns {BitmapFont} The new font.
+     */
+    static fromBMFont(descriptor, pages) {
+        if (typeof descriptor !== 'string' || descriptor.trim() === '') {
+            throw new Error('Invalid descriptor: Expected a non-empty string.');
+        }
+
+        const glyphs = new Map();
+        const kernings = new Map();
+        let lineHeight = 0;
+        let base = 0;
+
+        // Both formats are a list of tags with key=value attributes, the text format has one tag per line
+        for (const line of descriptor.split(/\r?\n|(?=<)/)) {
+            const tag = line.match(/^\s*<?\s*(\w+)/);
+            if (!tag) continue;
+            const attributes = {};
+            for (const match of line.matchAll(/(\w+)=(?:"([^"]*)"|([^\s/>]+))/g)) {
+                attributes[match[1]] = match[2] !== undefined ? match[2] : match[3];
+            }
+            const number = (key) => Number(attributes[key]) || 0;
+
+            if (tag[1] === 'common') {
+                lineHeight = number('lineHeight');
+                base = number('base');
+            } else if (tag[1] === 'char') {
+                glyphs.set(number('id'), {
+                    x: number('x'),
+                    y: number('y'),
+                    width: number('width'),
+                    height: number('height'),
+                    xOffset: number('xoffset'),
+                    yOffset: number('yoffset'),
+                    xAdvance: number('xadvance'),
+                    page: number('page')
+                });
+            } else if (tag[1] === 'kerning') {
+                kernings.set(`${number('first')},${number('second')}`, number('amount'));
+            }
+        }
+
+        if (glyphs.size === 0) {
+            throw new Error('Invalid descriptor: No glyphs were found.');
+        }
+        return new BitmapFont(pages, glyphs, lineHeight || 1, base, kernings);
+    }
+
+    /**
+     * Returns the built-in 3x5 pixel font. It is created on the first call.
+     * Lowercase letters are drawn as uppercase letters.
+     * @returns {BitmapFont} The default font.
+     */
+    static getDefault() {
+        if (BitmapFont.#defaultFont) return BitmapFont.#defaultFont;
+
+        // Every glyph is 5 rows of 3 pixels
+        const rows = {
+            ' ': '000 000 000 000 000', '!': '010 010 010 000 010', '"': '101 101 000 000 000', '#': '101 111 101 111 101',
+            '$': '011 110 010 011 110', '%': '101 001 010 100 101', '&': '010 101 010 101 011', "'": '010 010 000 000 000',
+            '(': '001 010 010 010 001', ')': '100 010 010 010 100', '*': '000 101 010 101 000', '+': '000 010 111 010 000',
+            ',': '000 000 000 010 100', '-': '000 000 111 000 000', '.': '000 000 000 000 010', '/': '001 001 010 100 100',
+            '0': '111 101 101 101 111', '1': '010 110 010 010 111', '2': '111 001 111 100 111', '3': '111 001 011 001 111',
+            '4': '101 101 111 001 001', '5': '111 100 111 001 111', '6': '111 100 111 101 111', '7': '111 001 001 010 010',
+            '8': '111 101 111 101 111', '9': '111 101 111 001 111', ':': '000 010 000 010 000', ';': '000 010 000 010 100',
+            '<': '001 010 100 010 001', '=': '000 111 000 111 000', '>': '100 010 001 010 100', '?': '111 001 011 000 010',
+            '@': '111 101 111 100 111', 'A': '010 101 111 101 101', 'B': '110 101 110 101 110', 'C': '011 100 100 100 011',
+            'D': '110 101 101 101 110', 'E': '111 100 110 100 111', 'F': '111 100 110 100 100', 'G': '011 100 101 101 011',
+            'H': '101 101 111 101 101', 'I': '111 010 010 010 111', 'J': '001 001 001 101 010', 'K': '101 101 110 101 101',
+            'L': '100 100 100 100 111', 'M': '101 111 111 101 101', 'N': '110 101 101 101 101', 'O': '010 101 101 101 010',
+            'P': '110 101 110 100 100', 'Q': '010 101 101 110 011', 'R': '110 101 110 101 101', 'S': '011 100 010 001 110',
+            'T': '111 010 010 010 010', 'U': '101 101 101 101 111', 'V': '101 101 101 101 010', 'W': '101 101 111 111 101',
+            'X': '101 101 010 101 101', 'Y': '101 101 010 010 010', 'Z': '111 001 010 100 111', '[': '011 010 010 010 011',
+            '\\': '100 100 010 001 001', ']': '110 010 010 010 110', '^': '010 101 000 000 000', '_': '000 000 000 000 111',
+            '`': '100 010 000 000 000', '{': '011 010 110 010 011', '|': '010 010 010 010 010', '}': '110 010 011 010 110',
+            '~': '000 011 110 000 000'
+        };
+        const characters = Object.keys(rows);
+
+        const canvas = CameraBackend.default.createCanvas(characters.length * 4, 5);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'white';
+
+        const glyphs = new Map();
+        characters.forEach((character, index) => {
+            rows[character].split(' ').forEach((row, y) => {
+                for (let x = 0; x < 3; x++) {
+                    if (row[x] === '1') ctx.fillRect(index * 4 + x, y, 1, 1);
+                }
+            });
+            const glyph = { x: index * 4, y: 0, width: 3, height: 5, xOffset: 0, yOffset: 0, xAdvance: 4, page: 0 };
+            glyphs.set(character.charCodeAt(0), glyph);
+            if (character >= 'A' && character <= 'Z') {
+                glyphs.set(character.toLowerCase().charCodeAt(0), glyph);
+            }
+        });
+
+        BitmapFont.#defaultFont = new BitmapFont([canvas], glyphs, 6, 5);
+        return BitmapFont.#defaultFont;
+    }
+
+    /**
+     * Returns the glyph of a character.
+     * @param {string} character - The character.
+     * @returns {Object|null} The glyph, or null if the font does not have it.
+     */
+    getGlyph(character) {
+        if (typeof character !== 'string' || character.length === 0) {
+            throw new Error('Invalid character: Expected a non-empty string.');
+        }
+        return this.#glyphs.get(character.codePointAt(0)) || null;
+    }
+
+    /**
+     * Returns the kerning between two characters.
+     * @param {string} first - The first character.
+     * @param {string} second - The character that follows it.
+     * @returns {number} The kerning amount, in font pixels.
+     */
+    getKerning(first, second) {
+        return this.#kernings.get(`${first.codePointAt(0)},${second.codePointAt(0)}`) || 0;
+    }
+
+    /**
+     * Returns a page image tinted with a color. Tinted pages are cached.
+     * The color multiplies the glyph colors, so white glyphs take the color exactly.
+     * @param {number} index - The page index.
+     * @param {Color} color - The tint color. The alpha of the color is ignored.
+     * @returns {Image|HTMLCanvasElement} The tinted page.
+     */
+    getPage(index, color) {
+        const page = this.#pages[index];
+        if (!page) {
+            throw new Error(`Invalid page index: ${index}.`);
+        }
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        if (color.r === 255 && color.g === 255 && color.b === 255) return page;
+
+        const key = `${index},${color.r},${color.g},${color.b}`;
+        if (!this.#tintCache.has(key)) {
+            const canvas = CameraBackend.default.createCanvas(page.width, page.height);
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(page, 0, 0);
+            ctx.globalCompositeOperation = 'multiply';
+            ctx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            // Multiply also fills the transparent pixels, so cut out the glyph shapes again
+            ctx.globalCompositeOperation = 'destination-in';
+            ctx.drawImage(page, 0, 0);
+            this.#tintCache.set(key, canvas);
+        }
+        return this.#tintCache.get(key);
+    }
+
+    /**
+     * Splits a text into lines and positions the glyphs. Color codes are removed from the text.
+     *
+     * @param {string} text - The text. "\n" starts a new line, "{#rrggbb}" or "{#rrggbbaa}" changes the color and "{/}" resets it.
+     * @param {number} [maxWidth=0] - The maximum width of a line in font pixels. Lines are wrapped at spaces. 0 disables wrapping.
+     * @returns {Array<{glyphs: Array<{glyph: Object, x: number, color: Color|null}>, width: number}>} The lines. A null color means the default color.
+     */
+    layout(text, maxWidth = 0) {
+        if (typeof text !== 'string') {
+            throw new Error('Invalid text: Expected a string.');
+        }
+        if (typeof maxWidth !== 'number' || maxWidth < 0) {
+            throw new Error('Invalid maxWidth: Expected a number bigger or equal than 0.');
+        }
+
+        const lines = [];
+        for (const characters of this.#parseColorCodes(text)) {
+            const words = [[]];
+            for (const character of characters) {
+                if (character.char === ' ') {
+                    words.push([]);
+                } else {
+                    words[words.length - 1].push(character);
+                }
+            }
+
+            let line = [];
+            for (const word of words) {
+                const space = { char: ' ', color: word.length > 0 ? word[0].color : null };
+                const candidate = line.length > 0 ? [...line, space, ...word] : [...word];
+                if (maxWidth > 0 && line.length > 0 && this.#measureCharacters(candidate) > maxWidth) {
+                    lines.push(this.#placeCharacters(line));
+                    line = [...word];
+                } else {
+                    line = candidate;
+                }
+            }
+            lines.push(this.#placeCharacters(line));
+        }
+        return lines;
+    }
+
+    /**
+     * Measures a text.
+     * @param {string} text - The text, can contain color codes.
+     * @param {number} [scale=1] - The scale the text is drawn with.
+     * @param {number} [maxWidth=0] - The maximum width of a line in pixels (after scaling). 0 disables wrapping.
+     * @returns {{width: number, height: number}} The size of the text, in pixels.
+     */
+    measureText(text, scale = 1, maxWidth = 0) {
+        if (typeof scale !== 'number' || scale <= 0) {
+            throw new Error('Invalid scale: Expected a positive number.');
+        }
+        const lines = this.layout(text, maxWidth / scale);
+        const width = Math.max(0, ...lines.map(line => line.width));
+        return { width: width * scale, height: lines.length * this.#lineHeight * scale };
+    }
+
+    #parseColorCodes(text) {
+        const lines = [[]];
+        let color = null;
+        // Splitting keeps the color codes at the odd indices. The text is walked by code point, like the glyphs are looked up
+        const parts = text.split(/\{(#[0-9a-fA-F]{6}(?:[0-9a-fA-F]{2})?|\/)\}/);
+        parts.forEach((part, index) => {
+            if (index % 2 === 1) {
+                color = part === '/' ? null : Color.fromHex(part);
+                return;
+            }
+            for (const char of part) {
+                if (char === '\n') {
+                    lines.push([]);
+                } else {
+                    lines[lines.length - 1].push({ char, color });
+                }
+            }
+        });
+        return lines;
+    }
+
+    #measureCharacters(characters) {
+        const line = this.#placeCharacters(characters);
+        return line.width;
+    }
+
+    #placeCharacters(characters) {
+        const glyphs = [];
+        let x = 0;
+        let previous = null;
+        for (const character of characters) {
+            const glyph = this.#glyphs.get(character.char.codePointAt(0));
+            if (!glyph) continue;
+            if (previous) x += this.getKerning(previous, character.char);
+            glyphs.push({ glyph, x, color: character.color });
+            x += glyph.xAdvance;
+            previous = character.char;
+        }
+        return { glyphs, width: x };
+    }
+
+    /**
+     * Returns the distance between two lines.
+     * @returns {number} The line height, in font pixels.
+     */
+    get lineHeight() {
+        return this.#lineHeight;
+    }
+
+    /**
+     * Returns the distance from the top of a line to the baseline.
+     * @returns {number} The base, in font pixels.
+     */
+    get base() {
+        return this.#base;
+    }
+
+    /**
+     * Returns the page images of the font.
+     * @returns {Array<Image|HTMLCanvasElement>} The pages.
+     */
+    get pages() {
+        return this.#pages;
+    }
+}
@@ -3,7 +3,8 @@ class Camera {
     #gameHeight;
     #canvasWidth;
     #canvasHeight;
-    #aspectRatio;
+    #baseGameWidth;
+    #baseGameHeight;
     #boundResizeCanvas;
     #fullscreenHandler;
     #fpsUpdateRate;
@@ -22,6 +23,37 @@ class Camera {
     #frames = 0;
     #lastFPSUpdate = 0;
     #isPostProcessingOverridden = false;
+    #fixedTimeStep = 0;
+    #maxFixedSteps = 5;
+    #accumulator = 0;
+    #interpolationAlpha = 1;
+    static #canvasCameras = new WeakMap();
+    #sceneManager = null;
+    #view;
+    #drawQueue = [];
+    #isFlushingDrawQueue = false;
+    #fpsFont = null;
+    #postProcessPasses = [];
+    #screenEffects = [];
+    #outputScale = 1;
+    #outputCtx;
+    #renderTarget = null;
+    #screenCtx = null;
+    #viewports = [];
+    #activeViewport = null;
+    #screenshotRequests = [];
+    #gifRecording = null;
+    #videoRecording = null;
+    #backend;
+    #pixelMode = false;
+    #pixelBuffer = null;
+    #pixelOverlays = new Map();
+    #scaleMode = ScaleModes.AUTO;
+    #letterboxShown = false;
+    #letterboxColor = new Color(0, 0, 0, 255);
+    #debugOverlay = new DebugOverlay();
+    #drawCalls = 0;
+    #clock = GameClock.default;
 
     /**
      * Creates a new Camera.
@@ -58,58 +90,245 @@ class Camera {
         this.#canvasHeight = canvasHeight;
         this.#canvasName = canvasName;
         this.#smooth = smooth;
-        this.#aspectRatio = gameWidth / gameHeight;
+        this.#baseGameWidth = gameWidth;
+        this.#baseGameHeight = gameHeight;
         this.#fpsUpdateRate = 300;
         this.#boundResizeCanvas = this.#resizeCanvas.bind(this);
         this.#renderer = this.#render.bind(this);
         this.#fullscreenHandler = this.#handleFullscreen.bind(this);
+        this.#view = new View(gameWidth, gameHeight);
+        this.#backend = CameraBackend.default;
     }
     
     #initializeCanvas(canvasName) {
-        this.#canvas = document.getElementById(canvasName);
+        this.#canvas = this.#backend.getCanvas(canvasName);
+        Camera.#canvasCameras.set(this.#canvas, this);
     
-        this.#ctx = this.#canvas.getContext('2d');
-        this.#ctx.canvas.width = this.#gameWidth;
-        this.#ctx.canvas.height = this.#gameHeight;
         if (!this.#smooth) this.#canvas.style.imageRendering = 'pixelated';
-        this.#canvas.style.width = `${this.#canvasWidth}px`;
-        this.#canvas.style.height = `${this.#canvasHeight}px`;
-    
-        // disable smooth upscaling
-        this.#ctx.imageSmoothingEnabled = false;
-        this.#ctx.mozImageSmoothingEnabled = false; // Firefox
-        this.#ctx.webkitImageSmoothingEnabled = false; // Chrome, Safari
-        this.#ctx.msImageSmoothingEnabled = false; // IE
+        this.#configureOutput();
+        this.#resizeCanvas();
+
+        this.#backend.addEventListener("fullscreenchange", this.#fullscreenHandler);
+        this.#backend.addEventListener("resize", this.#boundResizeCanvas);
+    }
 
-        window.addEventListener("fullscreenchange", this.#fullscreenHandler);
+    // With an output scale of 1 the game is drawn directly on the canvas,
+    // otherwise on an offscreen canvas that is upscaled onto the canvas every frame.
+    #configureOutput() {
+        const gameCanvas = this.#outputScale === 1 ? this.#canvas : this.#backend.createCanvas(this.#gameWidth, this.#gameHeight);
+        gameCanvas.width = this.#gameWidth;
+        gameCanvas.height = this.#gameHeight;
+        this.#canvas.width = this.#gameWidth * this.#outputScale;
+        this.#canvas.height = this.#gameHeight * this.#outputScale;
+
+        this.#ctx = gameCanvas.getContext('2d');
+        this.#outputCtx = this.#canvas.getContext('2d');
+
+        // disable smooth upscaling
+        for (const ctx of [this.#ctx, this.#outputCtx]) {
+            ctx.imageSmoothingEnabled = false;
+            ctx.mozImageSmoothingEnabled = false; // Firefox
+            ctx.webkitImageSmoothingEnabled = false; // Chrome, Safari
+            ctx.msImageSmoothingEnabled = false; // IE
+        }
     }
 
     #render() {
-        this.#renderLoop = window.requestAnimationFrame(this.#render.bind(this));
+        this.#renderLoop = this.#backend.requestFrame(this.#renderer);
 
         this.#lastTime = this.#currentTime;
-        this.#currentTime = performance.now();
+        this.#currentTime = this.#backend.now();
         this.#deltaTime = (this.#currentTime - this.#lastTime) / 1000;
+        this.#clock.tick(this.#currentTime);
+
+        // A render target that was not reset last frame must not swallow this frame
+        if (this.#renderTarget) {
+            this.setRenderTarget(null);
+        }
 
+        this.#ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.#ctx.clearRect(0, 0, this.#gameWidth, this.#gameHeight);
+        this.#drawCalls = 0;
+        const updateStart = this.#backend.now();
+
+        if (this.#fixedTimeStep > 0) {
+            this.#runFixedUpdates();
+        }
+
+        // Everything drawn in update() is in world space
+        this.#view.update(this.getDeltaTime());
+        this.#view.apply(this.#ctx);
+
+        this.update(this.#interpolationAlpha);
+        if (this.#sceneManager) {
+            this.#sceneManager.update(this.getDeltaTime(), this.#interpolationAlpha, this.getUnscaledDeltaTime());
+        }
+        const renderStart = this.#backend.now();
+        this.flushDrawQueue();
+        this.#drawDebugWorld();
+        this.#flushPixels();
+
+        for (const viewport of this.#viewports) {
+            this.#renderViewport(viewport);
+        }
 
-        this.update();
+        // Post-processing and ui are in screen space
+        this.#ctx.setTransform(1, 0, 0, 1, 0, 0);
 
         if (this.postProcessing !== Camera.prototype.postProcessing && !this.#isPostProcessingOverridden) {
             this.#isPostProcessingOverridden = true;
             console.log("Post-processing is overridden!");
         }
-        if (this.#isPostProcessingOverridden) {
+        const activePasses = this.#postProcessPasses.filter(pass => pass.enabled);
+        const activeEffects = this.#screenEffects.filter(effect => effect.enabled);
+        // Without upscaling the screen effects share the round trip of the post-processing
+        const effectsInRoundTrip = this.#outputScale === 1 ? activeEffects : [];
+        if (this.#isPostProcessingOverridden || activePasses.length > 0 || effectsInRoundTrip.length > 0) {
             const imageData = this.#ctx.getImageData(0, 0, this.#gameWidth, this.#gameHeight);
+            for (const pass of activePasses) {
+                pass.apply(imageData);
+            }
             this.postProcessing(imageData);
+            for (const effect of effectsInRoundTrip) {
+                effect.apply(imageData, 1);
+            }
             this.#ctx.putImageData(imageData, 0, 0);
-        }   
+        }
+
+        // ui is drawn on the output canvas, so it stays sharp and is not affected by the screen effects
+        const gameCtx = this.#ctx;
+        if (this.#outputScale > 1) {
+            this.#outputCtx.setTransform(1, 0, 0, 1, 0, 0);
+            this.#outputCtx.clearRect(0, 0, this.#canvas.width, this.#canvas.height);
+            this.#outputCtx.drawImage(gameCtx.canvas, 0, 0, this.#canvas.width, this.#canvas.height);
+            if (activeEffects.length > 0) {
+                const imageData = this.#outputCtx.getImageData(0, 0, this.#canvas.width, this.#canvas.height);
+                for (const effect of activeEffects) {
+                    effect.apply(imageData, this.#outputScale);
+                }
+                this.#outputCtx.putImageData(imageData, 0, 0);
+            }
+            this.#ctx = this.#outputCtx;
+            this.#ctx.setTransform(this.#outputScale, 0, 0, this.#outputScale, 0, 0);
+        }
 
-        this.ui();
+        this.#capture(gameCtx, false);
+        try {
+            this.ui();
+            if (this.#sceneManager) {
+                this.#sceneManager.ui();
+            }
+            this.flushDrawQueue();
 
-        if (this.#displayFPS) {
-            this.#calculateFPS();
+            if (this.#displayFPS) {
+                this.#calculateFPS();
+            }
+
+            // The overlay is drawn last and its own draw calls are not counted
+            if (this.#debugOverlay.enabled) {
+                const renderEnd = this.#backend.now();
+                const drawCalls = this.#drawCalls;
+                this.#debugOverlay.recordFrame(this.#deltaTime * 1000, renderStart - updateStart, renderEnd - renderStart, drawCalls);
+                this.#debugOverlay.drawScreen(this);
+                this.#drawCalls = drawCalls;
+            }
+        } finally {
+            this.#flushPixels();
+            this.#ctx = gameCtx;
         }
+        this.#capture(this.#outputCtx, true);
+    }
+
+    // Captures after the ui are taken from the visible canvas, captures before it from the game canvas,
+    // in game pixels and without the screen effects of the upscaled output
+    #capture(sourceCtx, afterUi) {
+        const source = sourceCtx.canvas;
+        if (this.#screenshotRequests.length > 0) {
+            this.#screenshotRequests = this.#screenshotRequests.filter(request => {
+                if (request.includeUi !== afterUi) return true;
+                const canvas = this.#backend.createCanvas(source.width * request.scale, source.height * request.scale);
+                const ctx = canvas.getContext('2d');
+                ctx.imageSmoothingEnabled = false;
+                ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+                if (typeof canvas.toBlob !== 'function') {
+                    request.reject(new Error('Screenshot failed: The canvas of the backend has no toBlob method.'));
+                    return false;
+                }
+                canvas.toBlob(blob => blob ? request.resolve(blob) : request.reject(new Error('Screenshot failed: The canvas could not be encoded.')), 'image/png');
+                return false;
+            });
+        }
+
+        const recording = this.#gifRecording;
+        if (!recording || recording.includeUi !== afterUi || this.#currentTime < recording.nextFrameTime) return;
+
+        if (!recording.encoder) {
+            recording.encoder = new GifEncoder(source.width * recording.scale, source.height * recording.scale);
+            recording.nextFrameTime = this.#currentTime;
+        }
+        const imageData = sourceCtx.getImageData(0, 0, source.width, source.height);
+        recording.encoder.addFrame(imageData, recording.frameInterval, recording.scale);
+        // Slow frames are not caught up, the gif then plays a bit faster than the game
+        recording.nextFrameTime = Math.max(recording.nextFrameTime + recording.frameInterval, this.#currentTime);
+
+        recording.framesLeft--;
+        if (recording.framesLeft === 0) {
+            this.#gifRecording = null;
+            recording.resolve(recording.encoder.toBlob());
+        }
+    }
+
+    #renderViewport(viewport) {
+        viewport.view.update(this.getDeltaTime());
+        this.#ctx.save();
+        this.#ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.#ctx.beginPath();
+        this.#ctx.rect(viewport.x, viewport.y, viewport.width, viewport.height);
+        this.#ctx.clip();
+        viewport.view.apply(this.#ctx, viewport.x, viewport.y);
+
+        this.#activeViewport = viewport;
+        try {
+            this.renderScene(viewport);
+            this.flushDrawQueue();
+            this.#drawDebugWorld();
+        } finally {
+            // The clip of the rasterizer belongs to the viewport
+            this.#flushPixels();
+            this.#activeViewport = null;
+            this.#ctx.restore();
+        }
+    }
+
+    // The overlay draws with the counted draw methods, its own draw calls are taken back out of the count
+    #drawDebugWorld() {
+        if (!this.#debugOverlay.enabled) return;
+        const drawCalls = this.#drawCalls;
+        this.#debugOverlay.drawWorld(this);
+        this.#drawCalls = drawCalls;
+    }
+
+    #runFixedUpdates() {
+        // Counted in whole microseconds: summing float seconds drifts, so a frame of exactly one step would sometimes run none and sometimes two
+        const step = Math.round(this.#fixedTimeStep * 1000000);
+        this.#accumulator += Math.round(this.getDeltaTime() * 1000000);
+
+        let steps = 0;
+        while (this.#accumulator >= step && steps < this.#maxFixedSteps) {
+            this.fixedUpdate(this.#fixedTimeStep);
+            if (this.#sceneManager) {
+                this.#sceneManager.fixedUpdate(this.#fixedTimeStep);
+            }
+            this.#accumulator -= step;
+            steps++;
+        }
+
+        // Drop the time that could not be simulated, otherwise a slow frame makes every following frame slower
+        if (this.#accumulator >= step) {
+            this.#accumulator %= step;
+        }
+
+        this.#interpolationAlpha = this.#accumulator / step;
     }
 
     #calculateFPS() {
@@ -122,10 +341,10 @@ class Camera {
     
         // Calculate font size based on window width
         const fontSize = Math.max(Math.round((this.#gameWidth + this.#gameHeight) / 50), 10); // Minimum size of 10px
-    
-        this.#ctx.font = `${fontSize}px Arial`;
-        this.#ctx.fillStyle = "white";
-        this.#ctx.fillText("FPS: " + Math.round(this.#fps), 10, fontSize + 10); // Adjust y position based on font size
+        const font = this.#fpsFont || BitmapFont.getDefault();
+        const scale = Math.max(1, Math.round(fontSize / font.lineHeight)); // Integer scale keeps the glyphs crisp
+
+        this.drawBitmapText("FPS: " + Math.round(this.#fps), new Vector(10, 10), font, new Color(255, 255, 255, 255), scale);
     }
 
     /**
@@ -156,16 +375,18 @@ class Camera {
         }
 
         const tryInitializeCanvas = () => {
-            if (document.getElementById(this.#canvasName)) {
+            if (this.#backend.getCanvas(this.#canvasName)) {
                 if (this.observer) {
                     this.observer.disconnect();
                     this.observer = null;
                 }
 
                 this.#initializeCanvas(this.#canvasName);
-                this.#startTime = performance.now();
+                this.#startTime = this.#backend.now();
+                this.#currentTime = this.#startTime;
+                this.#clock.start(this.#startTime);
                 this.start();
-                this.#renderLoop = window.requestAnimationFrame(this.#renderer);
+                this.#renderLoop = this.#backend.requestFrame(this.#renderer);
             }
         };
 
@@ -202,6 +423,307 @@ class Camera {
         this.#displayFPS = !this.#displayFPS;
     }
 
+    /**
+     * Toggles the debug overlay, see debugOverlay.
+     */
+    toggleDebugOverlay() {
+        this.#debugOverlay.toggle();
+    }
+
+    /**
+     * Enables the fixed-timestep mode. fixedUpdate() is then called zero or more times per frame
+     * with a constant delta time, and update() receives the interpolation alpha between the last two fixed steps.
+     * @param {number} [updateRate=60] - How many times per second fixedUpdate() is called.
+     * @param {number} [maxStepsPerFrame=5] - The maximum number of fixedUpdate() calls in a single frame.
+     */
+    enableFixedTimeStep(updateRate = 60, maxStepsPerFrame = 5) {
+        if (typeof updateRate !== 'number' || updateRate <= 0) {
+            throw new Error('Invalid updateRate: Expected a positive number.');
+        }
+        if (!Number.isInteger(maxStepsPerFrame) || maxStepsPerFrame < 1) {
+            throw new Error('Invalid maxStepsPerFrame: Expected a positive integer.');
+        }
+        this.#fixedTimeStep = 1 / updateRate;
+        this.#maxFixedSteps = maxStepsPerFrame;
+        this.#accumulator = 0;
+        this.#interpolationAlpha = 0;
+    }
+
+    /**
+     * Disables the fixed-timestep mode. update() is called once per frame with an alpha of 1.
+     */
+    disableFixedTimeStep() {
+        this.#fixedTimeStep = 0;
+        this.#accumulator = 0;
+        this.#interpolationAlpha = 1;
+    }
+
+    /**
+     * Adds a pass to the post-processing chain. The passes are applied in the order they were added,
+     * before the postProcessing() hook is called.
+     * @param {PostProcessPass} pass - The pass to add.
+     */
+    addPostProcess(pass) {
+        if (!(pass instanceof PostProcessPass)) {
+            throw new Error('Invalid pass: Expected a PostProcessPass object.');
+        }
+        this.#postProcessPasses.push(pass);
+    }
+
+    /**
+     * Removes a pass from the post-processing chain.
+     * @param {PostProcessPass} pass - The pass to remove.
+     * @returns {boolean} True if the pass was in the chain.
+     */
+    removePostProcess(pass) {
+        const index = this.#postProcessPasses.indexOf(pass);
+        if (index === -1) return false;
+        this.#postProcessPasses.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Removes all passes from the post-processing chain.
+     */
+    clearPostProcesses() {
+        this.#postProcessPasses = [];
+    }
+
+    /**
+     * Runs frames by hand. Only works with a backend that has a manual loop, like the HeadlessBackend.
+     * The camera has to be initialized with init() first.
+     * Every frame steps the whole backend: other cameras and AnimationManagers on the same backend run their frames, too.
+     * Set a HeadlessBackend of its own (see Camera.backend) to step a camera alone.
+     * @param {number} [frames=1] - The number of frames to run.
+     * @param {number} [deltaTime=1 / 60] - The duration of every frame, in seconds.
+     */
+    step(frames = 1, deltaTime = 1 / 60) {
+        if (!Number.isInteger(frames) || frames < 1) {
+            throw new Error('Invalid frames: Expected a positive integer.');
+        }
+        if (typeof deltaTime !== 'number' || deltaTime < 0) {
+            throw new Error('Invalid deltaTime: Expected a number bigger or equal than 0.');
+        }
+        if (typeof this.#backend.step !== 'function') {
+            throw new Error('step: The backend of the camera has no manual loop.');
+        }
+        if (!this.#canvas) {
+            throw new Error('step: The camera is not initialized.');
+        }
+        for (let i = 0; i < frames; i++) {
+            this.#backend.step(deltaTime * 1000);
+        }
+    }
+
+    /**
+     * Takes a screenshot at the end of the next frame, at the resolution of the canvas or an integer multiple of it.
+     * @param {number} [scale=1] - The integer factor the screenshot is upscaled with, without smoothing.
+     * @param {boolean} [includeUi=true] - If true, the screenshot is taken after ui() was drawn.
+     * Otherwise it is taken before, at the game resolution and without the screen effects of the upscaled output.
+     * @returns {Promise<Blob>} The screenshot as a PNG file.
+     */
+    takeScreenshot(scale = 1, includeUi = true) {
+        if (!Number.isInteger(scale) || scale < 1) {
+            throw new Error('Invalid scale: Expected a positive integer.');
+        }
+        if (typeof includeUi !== 'boolean') {
+            throw new Error('Invalid includeUi value: Expected a boolean.');
+        }
+        return new Promise((resolve, reject) => {
+            this.#screenshotRequests.push({ scale, includeUi, resolve, reject });
+        });
+    }
+
+    /**
+     * Records the next frames into an animated GIF. The palette of every frame is taken from its colors.
+     * @param {number} duration - The length of the recording, in seconds.
+     * @param {number} [scale=1] - The integer factor the frames are upscaled with, without smoothing.
+     * @param {boolean} [includeUi=true] - If true, the frames are captured after ui() was drawn.
+     * Otherwise they are captured before, at the game resolution and without the screen effects of the upscaled output.
+     * @param {number} [frameRate=25] - The frames per second of the GIF. GIF delays are stored in steps of 10ms, so 25 and 50 play back exactly.
+     * @returns {Promise<Blob>} The GIF file, once the recording is finished.
+     */
+    recordGif(duration, scale = 1, includeUi = true, frameRate = 25) {
+        if (typeof duration !== 'number' || duration <= 0) {
+            throw new Error('Invalid duration: Expected a positive number.');
+        }
+        if (!Number.isInteger(scale) || scale < 1) {
+            throw new Error('Invalid scale: Expected a positive integer.');
+        }
+        if (typeof includeUi !== 'boolean') {
+            throw new Error('Invalid includeUi value: Expected a boolean.');
+        }
+        if (typeof frameRate !== 'number' || frameRate <= 0 || frameRate > 100) {
+            throw new Error('Invalid frameRate: Expected a number between 0 and 100.');
+        }
+        if (this.#gifRecording) {
+            throw new Error('recordGif: A GIF is already being recorded.');
+        }
+        return new Promise((resolve) => {
+            this.#gifRecording = {
+                scale,
+                includeUi,
+                frameInterval: 1000 / frameRate,
+                framesLeft: Math.max(1, Math.round(duration * frameRate)),
+                nextFrameTime: 0,
+                encoder: null,
+                resolve
+            };
+        });
+    }
+
+    /**
+     * Starts recording the canvas into a video with the MediaRecorder API. The video always contains the ui.
+     * @param {number} [frameRate=60] - The frames per second of the video.
+     * @param {string} [mimeType='video/webm'] - The video format, it has to be supported by the browser.
+     */
+    startVideoRecording(frameRate = 60, mimeType = 'video/webm') {
+        if (typeof frameRate !== 'number' || frameRate <= 0) {
+            throw new Error('Invalid frameRate: Expected a positive number.');
+        }
+        if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported(mimeType)) {
+            throw new Error(`startVideoRecording: The format "${mimeType}" is not supported by this browser.`);
+        }
+        if (!this.#canvas) {
+            throw new Error('startVideoRecording: The camera is not initialized.');
+        }
+        if (this.#videoRecording) {
+            throw new Error('startVideoRecording: A video is already being recorded.');
+        }
+        const recorder = new MediaRecorder(this.#canvas.captureStream(frameRate), { mimeType });
+        const chunks = [];
+        recorder.addEventListener('dataavailable', event => chunks.push(event.data));
+        recorder.start();
+        this.#videoRecording = { recorder, chunks, mimeType };
+    }
+
+    /**
+     * Stops the video recording.
+     * @returns {Promise<Blob>} The video file.
+     */
+    stopVideoRecording() {
+        const recording = this.#videoRecording;
+        if (!recording) {
+            return Promise.reject(new Error('stopVideoRecording: No video is being recorded.'));
+        }
+        this.#videoRecording = null;
+        return new Promise((resolve) => {
+            recording.recorder.addEventListener('stop', () => resolve(new Blob(recording.chunks, { type: recording.mimeType })));
+            recording.recorder.stop();
+        });
+    }
+
+    /**
+     * Lets the browser download a file, like a screenshot or a recording.
+     * @param {Blob} blob - The file content.
+     * @param {string} fileName - The name of the file.
+     */
+    saveFile(blob, fileName) {
+        if (!(blob instanceof Blob)) {
+            throw new Error('Invalid blob: Expected a Blob object.');
+        }
+        if (typeof fileName !== 'string' || fileName.trim() === '') {
+            throw new Error('Invalid fileName: Expected a non-empty string.');
+        }
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Adds a viewport. Every frame renderScene() is called once per viewport, in the order they were added.
+     * @param {Viewport} viewport - The viewport to add.
+     * @returns {Viewport} The added viewport.
+     */
+    addViewport(viewport) {
+        if (!(viewport instanceof Viewport)) {
+            throw new Error('Invalid viewport: Expected a Viewport object.');
+        }
+        this.#viewports.push(viewport);
+        return viewport;
+    }
+
+    /**
+     * Removes a viewport.
+     * @param {Viewport} viewport - The viewport to remove.
+     * @returns {boolean} True if the viewport was added before.
+     */
+    removeViewport(viewport) {
+        const index = this.#viewports.indexOf(viewport);
+        if (index === -1) return false;
+        this.#viewports.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Removes all viewports.
+     */
+    clearViewports() {
+        this.#viewports = [];
+    }
+
+    /**
+     * Returns the viewport at a screen position.
+     * @param {Vector} screenPos - The position on the screen, in game pixels.
+     * @returns {Viewport|null} The last added viewport that contains the position, or null.
+     */
+    getViewportAt(screenPos) {
+        for (let i = this.#viewports.length - 1; i >= 0; i--) {
+            if (this.#viewports[i].contains(screenPos)) return this.#viewports[i];
+        }
+        return null;
+    }
+
+    /**
+     * Adds an effect to the screen effect chain. The effects are applied in the order they were added,
+     * after the post-processing and before the ui.
+     * @param {ScreenEffect} effect - The effect to add.
+     */
+    addScreenEffect(effect) {
+        if (!(effect instanceof ScreenEffect)) {
+            throw new Error('Invalid effect: Expected a ScreenEffect object.');
+        }
+        this.#screenEffects.push(effect);
+    }
+
+    /**
+     * Removes an effect from the screen effect chain.
+     * @param {ScreenEffect} effect - The effect to remove.
+     * @returns {boolean} True if the effect was in the chain.
+     */
+    removeScreenEffect(effect) {
+        const index = this.#screenEffects.indexOf(effect);
+        if (index === -1) return false;
+        this.#screenEffects.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Removes all effects from the screen effect chain.
+     */
+    clearScreenEffects() {
+        this.#screenEffects = [];
+    }
+
+    /**
+     * Sets the resolution of the output canvas as a multiple of the game resolution.
+     * With a scale bigger than 1 the game is drawn offscreen and upscaled onto the canvas every frame,
+     * so screen effects like scanlines can be finer than one game pixel. The ui is drawn at output resolution.
+     * @param {number} scale - The output scale, a positive integer.
+     */
+    setOutputScale(scale) {
+        if (!Number.isInteger(scale) || scale < 1) {
+            throw new Error('Invalid scale: Expected a positive integer.');
+        }
+        this.#outputScale = scale;
+        if (this.#canvas) {
+            this.#configureOutput();
+        }
+    }
+
     /**
      * Locks the cursor on mouse click, exits with ESC.
      */
@@ -214,10 +736,19 @@ class Camera {
     }
 
     /**
-     * Returns the time elapsed since the last frame, in seconds.
+     * Returns the game time elapsed since the last frame, scaled by the clock of the camera.
+     * It is 0 while the clock is paused, see Camera.clock.
      * @returns {number} The delta time, in seconds.
      */
     getDeltaTime() {
+        return this.#clock.deltaTime;
+    }
+
+    /**
+     * Returns the real time elapsed since the last frame, for things that ignore the time scale and the pause.
+     * @returns {number} The delta time, in seconds.
+     */
+    getUnscaledDeltaTime() {
         return Math.min(this.#deltaTime, 1);
     }
 
@@ -229,6 +760,290 @@ class Camera {
         return (this.#currentTime - this.#startTime) / 1000;
     }
 
+    /**
+     * Converts a world position to a screen position using the camera's view.
+     * @param {Vector} worldPos - The position in the world.
+     * @returns {Vector} The position on the screen, in game pixels.
+     */
+    worldToScreen(worldPos) {
+        return this.#view.worldToScreen(worldPos);
+    }
+
+    /**
+     * Converts a screen position (e.g. the mouse position) to a world position using the camera's view.
+     * @param {Vector} screenPos - The position on the screen, in game pixels.
+     * @returns {Vector} The position in the world.
+     */
+    screenToWorld(screenPos) {
+        return this.#view.screenToWorld(screenPos);
+    }
+
+    /**
+     * Queues a draw command. Queued commands are sorted by layer and then by depth,
+     * and drawn after update() (and again after ui()), so they can be issued in any order.
+     * Commands queued while the queue is being flushed, or without a layer, are drawn immediately.
+     * 
+     * @param {Function} drawCallback - A function that does the drawing, e.g. () => camera.drawImage(...).
+     * @param {number|null} [layer=0] - The layer of the command. Lower layers are drawn first, see DrawLayers.
+     *                                  Null draws it immediately, so methods with an optional layer keep the order of their calls without one.
+     * @param {number} [depth=0] - The depth of the command inside its layer. Lower depths are drawn first (e.g. the y position for y-sorting).
+     */
+    queueDraw(drawCallback, layer = 0, depth = 0) {
+        if (typeof drawCallback !== 'function') {
+            throw new Error('Invalid drawCallback: Expected a function.');
+        }
+        if ((layer !== null && typeof layer !== 'number') || typeof depth !== 'number') {
+            throw new Error('Invalid arguments: layer should be a number or null and depth a number.');
+        }
+        if (layer === null || this.#isFlushingDrawQueue) {
+            drawCallback();
+            return;
+        }
+        this.#drawQueue.push({ drawCallback, layer, depth });
+    }
+
+    /**
+     * Sorts and draws all queued draw commands and empties the queue.
+     * Called automatically after update() and ui().
+     */
+    flushDrawQueue() {
+        if (this.#drawQueue.length === 0) return;
+
+        const queue = this.#drawQueue;
+        this.#drawQueue = [];
+        // Array.prototype.sort is stable, so commands with the same keys keep their order
+        queue.sort((a, b) => a.layer - b.layer || a.depth - b.depth);
+
+        this.#isFlushingDrawQueue = true;
+        try {
+            for (const command of queue) {
+                command.drawCallback();
+            }
+        } finally {
+            this.#isFlushingDrawQueue = false;
+        }
+    }
+
+    /**
+     * Redirects all drawing into a render target. Drawing goes to the screen again after setRenderTarget(null).
+     * The target is reset to the screen at the start of every frame.
+     * @param {RenderTarget|null} target - The target to draw into, or null for the screen.
+     */
+    setRenderTarget(target) {
+        if (target !== null && !(target instanceof RenderTarget)) {
+            throw new Error('Invalid target: Expected a RenderTarget object or null.');
+        }
+        if (target === this.#renderTarget) return;
+
+        if (!this.#renderTarget) {
+            this.#screenCtx = this.#ctx;
+        }
+        this.#ctx = target ? target.ctx : this.#screenCtx;
+        if (!target) {
+            this.#screenCtx = null;
+        }
+        this.#renderTarget = target;
+    }
+
+    /**
+     * Draws into a render target and switches back to the previous target afterwards.
+     * Draws queued inside the callback are flushed into the target before it returns.
+     * @param {RenderTarget} target - The target to draw into.
+     * @param {Function} drawCallback - The function that does the drawing.
+     * @param {boolean} [clear=true] - If true, the target is cleared first.
+     */
+    renderToTarget(target, drawCallback, clear = true) {
+        if (!(target instanceof RenderTarget)) {
+            throw new Error('Invalid target: Expected a RenderTarget object.');
+        }
+        if (typeof drawCallback !== 'function') {
+            throw new Error('Invalid drawCallback: Expected a function.');
+        }
+        if (typeof clear !== 'boolean') {
+            throw new Error('Invalid clear value: Expected a boolean.');
+        }
+
+        const previousTarget = this.#renderTarget;
+        const outerQueue = this.#drawQueue;
+        this.#drawQueue = [];
+        this.setRenderTarget(target);
+        try {
+            this.#flushPixels();
+            if (clear) target.clear();
+            drawCallback();
+            this.flushDrawQueue();
+        } finally {
+            this.setRenderTarget(previousTarget);
+            this.#drawQueue = outerQueue;
+        }
+    }
+
+    /**
+     * Switches the shape methods between canvas mode and pixel-exact mode.
+     * In canvas mode shapes are drawn as Canvas 2D paths, which have anti-aliased, half-transparent edges.
+     * In pixel mode lines, rectangles, triangles, polygons and ellipses are rasterized into the pixels of the canvas
+     * with hard edges. The current transform (view, viewport) still applies, rotated ellipses become polygons.
+     * @param {boolean} enabled - True for pixel mode, false for canvas mode.
+     */
+    setPixelMode(enabled) {
+        if (typeof enabled !== 'boolean') {
+            throw new Error('Invalid enabled value: Expected a boolean.');
+        }
+        if (!enabled) {
+            this.#flushPixels();
+        }
+        this.#pixelMode = enabled;
+    }
+
+    /**
+     * Returns a rasterizer for the pixels of the canvas that is drawn on right now (the screen or the render target),
+     * for setPixel(), getPixel(), floodFill() and the other PixelRasterizer methods.
+     * Its coordinates are canvas pixels, the view is not applied. The pixels are written back before anything
+     * else draws on the canvas, the rasterizer must not be kept longer than that.
+     * @returns {PixelRasterizer} The rasterizer.
+     */
+    getPixelRasterizer() {
+        // Shapes drawn into the overlay are written first, the rasterizer has to read the pixels of the canvas
+        if (this.#pixelBuffer && this.#pixelBuffer.overlay) {
+            this.#flushPixels();
+        }
+        return this.#getRasterizer(false);
+    }
+
+    // Shapes are rasterized into a transparent overlay that is drawn over the canvas before it is used otherwise,
+    // so switching between sprites and shapes does not read the canvas back. Only getPixelRasterizer() reads it.
+    #getRasterizer(overlay = true) {
+        if (this.#pixelBuffer && this.#pixelBuffer.ctx !== this.#ctx) {
+            this.#flushPixels();
+        }
+        if (!this.#pixelBuffer) {
+            const canvas = this.#ctx.canvas;
+            const imageData = overlay ? this.#getPixelOverlay(canvas.width, canvas.height).imageData : this.#ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const rasterizer = new PixelRasterizer(imageData);
+            // putImageData() ignores the clip of the context, so the rasterizer clips to the viewport
+            if (this.#activeViewport && !this.#renderTarget) {
+                const viewport = this.#activeViewport;
+                rasterizer.setClip(viewport.x, viewport.y, viewport.width, viewport.height);
+            }
+            this.#pixelBuffer = { ctx: this.#ctx, rasterizer, overlay };
+        }
+        return this.#pixelBuffer.rasterizer;
+    }
+
+    // One overlay per canvas size, the screen and render targets can alternate every frame
+    #getPixelOverlay(width, height) {
+        const key = `${width}x${height}`;
+        if (!this.#pixelOverlays.has(key)) {
+            const canvas = this.#backend.createCanvas(width, height);
+            this.#pixelOverlays.set(key, { canvas, imageData: canvas.getContext('2d').createImageData(width, height) });
+        }
+        return this.#pixelOverlays.get(key);
+    }
+
+    #flushPixels() {
+        if (!this.#pixelBuffer) return;
+        const { ctx, rasterizer, overlay } = this.#pixelBuffer;
+        this.#pixelBuffer = null;
+        if (!overlay) {
+            ctx.putImageData(rasterizer.imageData, 0, 0);
+            return;
+        }
+        const rect = rasterizer.dirtyRect;
+        if (!rect) return;
+        const { x, y, width, height } = rect;
+        const canvas = this.#getPixelOverlay(rasterizer.width, rasterizer.height).canvas;
+        canvas.getContext('2d').putImageData(rasterizer.imageData, 0, 0, x, y, width, height);
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(canvas, x, y, width, height, x, y, width, height);
+        ctx.restore();
+        // The overlay is reused by the next shapes
+        rasterizer.setClip(x, y, width, height);
+        rasterizer.clear();
+    }
+
+    // Rotates points around a pivot, then maps them with the current transform to canvas pixels
+    #toCanvasPixels(points, pivot = null, angle = 0) {
+        const matrix = this.#ctx.getTransform();
+        const radians = angle * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        return points.map(point => {
+            let x = point.x;
+            let y = point.y;
+            if (pivot && angle !== 0) {
+                const dx = x - pivot.x;
+                const dy = y - pivot.y;
+                x = pivot.x + dx * cos - dy * sin;
+                y = pivot.y + dx * sin + dy * cos;
+            }
+            return new Vector(matrix.a * x + matrix.c * y + matrix.e, matrix.b * x + matrix.d * y + matrix.f);
+        });
+    }
+
+    #scaleLineWidth(lineWidth) {
+        const matrix = this.#ctx.getTransform();
+        return Math.max(1, Math.round(lineWidth * Math.sqrt(Math.abs(matrix.a * matrix.d - matrix.b * matrix.c))));
+    }
+
+    #rasterizePolygon(points, color, outlineColor, lineWidth, pivot, angle) {
+        const rasterizer = this.#getRasterizer();
+        const canvasPoints = this.#toCanvasPixels(points, pivot, angle);
+        rasterizer.fillPolygon(canvasPoints, color);
+        if (outlineColor) {
+            rasterizer.drawPolygon(canvasPoints, outlineColor, this.#scaleLineWidth(lineWidth));
+        }
+    }
+
+    #rasterizeEllipse(center, radiusX, radiusY, color, outlineColor, lineWidth, angle) {
+        const matrix = this.#ctx.getTransform();
+        const thickness = this.#scaleLineWidth(lineWidth);
+        const quarterTurns = angle / 90;
+
+        // Axis-aligned ellipses use the midpoint algorithm, all others are drawn as polygons
+        if (Number.isInteger(quarterTurns) && matrix.b === 0 && matrix.c === 0 && thickness === 1) {
+            const swap = Math.abs(quarterTurns) % 2 === 1;
+            const [canvasCenter] = this.#toCanvasPixels([center]);
+            const rx = Math.abs((swap ? radiusY : radiusX) * matrix.a);
+            const ry = Math.abs((swap ? radiusX : radiusY) * matrix.d);
+            const rasterizer = this.#getRasterizer();
+            rasterizer.fillEllipse(canvasCenter.x, canvasCenter.y, rx, ry, color);
+            if (outlineColor) {
+                rasterizer.drawEllipse(canvasCenter.x, canvasCenter.y, rx, ry, outlineColor);
+            }
+            return;
+        }
+
+        const scale = Math.sqrt(Math.abs(matrix.a * matrix.d - matrix.b * matrix.c));
+        const segments = Math.max(12, Math.ceil(Math.PI * (Math.abs(radiusX) + Math.abs(radiusY)) * scale / 2));
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const t = i * 2 * Math.PI / segments;
+            points.push(new Vector(center.x + radiusX * Math.cos(t), center.y + radiusY * Math.sin(t)));
+        }
+        this.#rasterizePolygon(points, color, outlineColor, lineWidth, center, angle);
+    }
+
+    static #rectCorners(position, width, height) {
+        return [
+            new Vector(position.x - width / 2, position.y - height / 2),
+            new Vector(position.x + width / 2, position.y - height / 2),
+            new Vector(position.x + width / 2, position.y + height / 2),
+            new Vector(position.x - width / 2, position.y + height / 2)
+        ];
+    }
+
+    static #polygonCorners(position, outerRadius, corners) {
+        const angleIncrement = (2 * Math.PI) / corners;
+        const points = [];
+        for (let i = 0; i < corners; i++) {
+            points.push(new Vector(position.x + outerRadius * Math.cos(i * angleIncrement), position.y + outerRadius * Math.sin(i * angleIncrement)));
+        }
+        return points;
+    }
+
     /**
      * Draws a color buffer (ImageData) onto the canvas.
      * 
@@ -239,7 +1054,7 @@ class Camera {
      */
     drawImageData(imageData) {
         // Check if the imageData is an instance of ImageData
-        if (!(imageData instanceof ImageData)) {
+        if (!CameraBackend.isImageData(imageData)) {
             throw new Error('Invalid argument: imageData should be an instance of ImageData.');
         }
 
@@ -252,8 +1067,9 @@ class Camera {
         if (imageData.data.length !== this.#gameWidth * this.#gameHeight * 4) {
             throw new Error('Invalid imageData data length.');
         }
+        this.#drawCalls++;
 
-        // Draw the color buffer onto the canvas
+        // Draw the color buffer onto the canvas (the ctx getter writes back pending pixels first)
         this.ctx.putImageData(imageData, 0, 0);
     }
 
@@ -266,7 +1082,7 @@ class Camera {
      */
     drawImageDataWithMismatch(imageData) {
         // Check if the imageData is an instance of ImageData
-        if (!(imageData instanceof ImageData)) {
+        if (!CameraBackend.isImageData(imageData)) {
             throw new Error('Invalid argument: imageData should be an instance of ImageData.');
         }
 
@@ -274,12 +1090,11 @@ class Camera {
         if (imageData.data.length !== imageData.width * imageData.height * 4) {
             throw new Error('Invalid imageData data length.');
         }
+        this.#drawCalls++;
 
         // Create a temporary canvas to draw the ImageData
-        const tempCanvas = document.createElement('canvas');
+        const tempCanvas = this.#backend.createCanvas(imageData.width, imageData.height);
         const tempCtx = tempCanvas.getContext('2d');
-        tempCanvas.width = imageData.width;
-        tempCanvas.height = imageData.height;
         tempCtx.putImageData(imageData, 0, 0);
 
         // Draw the temporary canvas onto the main canvas, adjusting for dimensions
@@ -289,7 +1104,7 @@ class Camera {
     /**
      * Draws an image on the canvas with specified parameters.
      * 
-     * @param {Image} image - The image to draw.
+     * @param {Image|HTMLCanvasElement|RenderTarget} image - The image to draw.
      * @param {Vector} position - The position vector at which to start drawing the image.
      * @param {number} width - The width of the image.
      * @param {number} height - The height of the image.
@@ -299,10 +1114,11 @@ class Camera {
      * @param {number} [srcHeight=image.height] - The height of the source rectangle.
      * @param {boolean} [reflectX=false] - Whether to reflect the image along the X-axis.
      * @param {boolean} [reflectY=false] - Whether to reflect the image along the Y-axis.
+     * @param {SpriteEffects|null} [effects=null] - Alpha, tint, flash, palette swap and outline of the image.
      */
-    drawImage(image, position, width, height, angle = 0, sourcePosition = new Vector(0, 0), srcWidth = image.width, srcHeight = image.height, reflectX = false, reflectY = false) {
-        if (!(image instanceof Image)) {
-            throw new Error('Invalid argument: image should be an instance of Image.');
+    drawImage(image, position, width, height, angle = 0, sourcePosition = new Vector(0, 0), srcWidth = image.width, srcHeight = image.height, reflectX = false, reflectY = false, effects = null) {
+        if (!CameraBackend.isImage(image) && !(image instanceof RenderTarget)) {
+            throw new Error('Invalid argument: image should be an instance of Image, HTMLCanvasElement or RenderTarget.');
         }
         if (!(position instanceof Vector) || !(sourcePosition instanceof Vector)) {
             throw new Error('Invalid arguments: Expected Vector objects for position and sourcePosition.');
@@ -316,6 +1132,11 @@ class Camera {
         if (typeof reflectX !== 'boolean' || typeof reflectY !== 'boolean') {
             throw new Error('Invalid arguments: reflectX and reflectY should be booleans.');
         }
+        if (effects !== null && !(effects instanceof SpriteEffects)) {
+            throw new Error('Invalid effects: Expected a SpriteEffects object or null.');
+        }
+        this.#drawCalls++;
+        this.#flushPixels();
         this.#ctx.save();
         this.#ctx.translate(position.x, position.y);
         this.#ctx.rotate(angle * Math.PI / 180);
@@ -329,7 +1150,28 @@ class Camera {
         let drawX = -width / 2;
         let drawY = -height / 2;
     
-        this.#ctx.drawImage(image, sourcePosition.x, sourcePosition.y, srcWidth, srcHeight, drawX, drawY, width, height);
+        let source = image instanceof RenderTarget ? image.canvas : image;
+        let srcX = sourcePosition.x;
+        let srcY = sourcePosition.y;
+        if (effects) {
+            this.#ctx.globalAlpha *= effects.alpha;
+            if (effects.recolors) {
+                // Render targets change every frame, so their recolored versions are not cached
+                const variant = effects.getVariant(source, srcX, srcY, srcWidth, srcHeight, !(image instanceof RenderTarget));
+                const paddingX = variant.padding * width / srcWidth;
+                const paddingY = variant.padding * height / srcHeight;
+                source = variant.canvas;
+                srcX = 0;
+                srcY = 0;
+                srcWidth = variant.canvas.width;
+                srcHeight = variant.canvas.height;
+                drawX -= paddingX;
+                drawY -= paddingY;
+                width += paddingX * 2;
+                height += paddingY * 2;
+            }
+        }
+        this.#ctx.drawImage(source, srcX, srcY, srcWidth, srcHeight, drawX, drawY, width, height);
         this.#ctx.restore();
     }
 
@@ -343,8 +1185,9 @@ class Camera {
      * @param {number} [angle=0] - The rotation angle of the frame in degrees.
      * @param {boolean} [reflectX=false] - Whether to reflect the frame along the X-axis.
      * @param {boolean} [reflectY=false] - Whether to reflect the frame along the Y-axis.
+     * @param {SpriteEffects|null} [effects=null] - Alpha, tint, flash, palette swap and outline of the frame.
      */
-    drawAnimationFrame(frame, position, width, height, angle = 0, reflectX = false, reflectY = false) {
+    drawAnimationFrame(frame, position, width, height, angle = 0, reflectX = false, reflectY = false, effects = null) {
         if (!(frame instanceof AnimationFrame)) {
             throw new Error('Invalid argument: frame should be an instance of AnimationFrame.');
         }
@@ -360,7 +1203,26 @@ class Camera {
         if (typeof reflectX !== 'boolean' || typeof reflectY !== 'boolean') {
             throw new Error('Invalid arguments: reflectX and reflectY should be booleans.');
         }
-        this.drawImage(frame.image, position, width, height, angle, new Vector(frame.srcX, frame.srcY), frame.width, frame.height, reflectX, reflectY);
+        this.drawImage(frame.image, position, width, height, angle, new Vector(frame.srcX, frame.srcY), frame.width, frame.height, reflectX, reflectY, effects);
+    }
+
+    /**
+     * Draws an indexed image in the current colors of its palette, so color cycles and palette changes show up.
+     * 
+     * @param {IndexedImage} image - The image to draw.
+     * @param {Vector} position - The position of the center of the image.
+     * @param {number} [width=image.width] - The width of the image.
+     * @param {number} [height=image.height] - The height of the image.
+     * @param {number} [angle=0] - The rotation angle of the image in degrees.
+     * @param {boolean} [reflectX=false] - Whether to reflect the image along the X-axis.
+     * @param {boolean} [reflectY=false] - Whether to reflect the image along the Y-axis.
+     * @param {SpriteEffects|null} [effects=null] - Alpha, tint, flash, palette swap and outline of the image.
+     */
+    drawIndexedImage(image, position, width = image.width, height = image.height, angle = 0, reflectX = false, reflectY = false, effects = null) {
+        if (!(image instanceof IndexedImage)) {
+            throw new Error('Invalid argument: image should be an instance of IndexedImage.');
+        }
+        this.drawImage(image.render(), position, width, height, angle, new Vector(0, 0), image.width, image.height, reflectX, reflectY, effects);
     }
 
     /**
@@ -384,6 +1246,12 @@ class Camera {
         if (typeof angle !== 'number') {
             throw new Error('Invalid angle: Expected a number.');
         }
+        this.#drawCalls++;
+
+        if (this.#pixelMode) {
+            this.#rasterizePolygon(Camera.#rectCorners(position, width, height), color, null, 1, position, angle);
+            return;
+        }
 
         this.#ctx.save();
         this.#ctx.translate(position.x, position.y);
@@ -419,6 +1287,12 @@ class Camera {
         if (typeof angle !== 'number') {
             throw new Error('Invalid angle: Expected a number.');
         }
+        this.#drawCalls++;
+
+        if (this.#pixelMode) {
+            this.#rasterizePolygon(Camera.#rectCorners(position, width, height), color, outlineColor, lineWidth, position, angle);
+            return;
+        }
 
         this.#ctx.save();
         this.#ctx.translate(position.x, position.y);
@@ -449,9 +1323,15 @@ class Camera {
         if (typeof angle !== 'number') {
             throw new Error('Invalid angle: Expected a number.');
         }
+        this.#drawCalls++;
 
         const centroid = new Vector((pos1.x + pos2.x + pos3.x) / 3, (pos1.y + pos2.y + pos3.y) / 3);
 
+        if (this.#pixelMode) {
+            this.#rasterizePolygon([pos1, pos2, pos3], color, null, 1, centroid, angle);
+            return;
+        }
+
         this.#ctx.save();
         this.#ctx.translate(centroid.x, centroid.y);
         this.#ctx.rotate(angle * Math.PI / 180);
@@ -488,9 +1368,15 @@ class Camera {
         if (typeof angle !== 'number') {
             throw new Error('Invalid angle: Expected a number.');
         }
+        this.#drawCalls++;
 
         const centroid = new Vector((pos1.x + pos2.x + pos3.x) / 3, (pos1.y + pos2.y + pos3.y) / 3);
 
+        if (this.#pixelMode) {
+            this.#rasterizePolygon([pos1, pos2, pos3], color, outlineColor, lineWidth, centroid, angle);
+            return;
+        }
+
         this.#ctx.save();
         this.#ctx.translate(centroid.x, centroid.y);
         this.#ctx.rotate(angle * Math.PI / 180);
@@ -531,6 +1417,12 @@ class Camera {
         if (typeof angle !== 'number') {
             throw new Error('Invalid angle: Expected a number.');
         }
+        this.#drawCalls++;
+
+        if (this.#pixelMode) {
+            this.#rasterizePolygon(Camera.#polygonCorners(position, outerRadius, corners), color, null, 1, position, angle);
+            return;
+        }
 
         const angleIncrement = (2 * Math.PI) / corners;
 
@@ -584,6 +1476,12 @@ class Camera {
         if (typeof angle !== 'number') {
             throw new Error('Invalid angle: Expected a number.');
         }
+        this.#drawCalls++;
+
+        if (this.#pixelMode) {
+            this.#rasterizePolygon(Camera.#polygonCorners(position, outerRadius, corners), color, outlineColor, lineWidth, position, angle);
+            return;
+        }
 
         const angleIncrement = (2 * Math.PI) / corners;
 
@@ -633,6 +1531,12 @@ class Camera {
         if (typeof angle !== 'number') {
             throw new Error('Invalid angle: Expected a number.');
         }
+        this.#drawCalls++;
+
+        if (this.#pixelMode) {
+            this.#rasterizeEllipse(center, radiusX, radiusY, color, null, 1, angle);
+            return;
+        }
 
         const radianAngle = angle * (Math.PI / 180); // Convert angle to radians
 
@@ -668,6 +1572,12 @@ class Camera {
         if (typeof angle !== 'number') {
             throw new Error('Invalid angle: Expected a number.');
         }
+        this.#drawCalls++;
+
+        if (this.#pixelMode) {
+            this.#rasterizeEllipse(center, radiusX, radiusY, color, outlineColor, lineWidth, angle);
+            return;
+        }
 
         const radianAngle = angle * (Math.PI / 180); // Convert angle to radians
 
@@ -697,6 +1607,13 @@ class Camera {
         if (typeof lineWidth !== 'number' || lineWidth <= 0) {
             throw new Error('Invalid lineWidth: Expected a positive number.');
         }
+        this.#drawCalls++;
+
+        if (this.#pixelMode) {
+            const [canvasStart, canvasEnd] = this.#toCanvasPixels([start, end]);
+            this.#getRasterizer().drawLine(canvasStart.x, canvasStart.y, canvasEnd.x, canvasEnd.y, color, this.#scaleLineWidth(lineWidth));
+            return;
+        }
 
         this.#ctx.beginPath();
         this.#ctx.moveTo(start.x, start.y);
@@ -734,7 +1651,9 @@ class Camera {
         if (typeof center !== 'boolean') {
             throw new Error('Invalid center value: Expected a boolean.');
         }
+        this.#drawCalls++;
 
+        this.#flushPixels();
         this.#ctx.save(); // Save the current state of the canvas context
         this.#ctx.font = font;
         this.#ctx.font = font;
@@ -758,6 +1677,68 @@ class Camera {
         this.#ctx.restore();
     }
 
+    /**
+     * Draws text with a bitmap font. Glyphs are placed on whole pixels so the text stays crisp.
+     * The text can contain "\n" for new lines and inline color codes like "{#ff0000}red{/}".
+     * @param {string} text - The text to draw.
+     * @param {Vector} position - The top left corner of the text block.
+     * @param {BitmapFont} [font=BitmapFont.getDefault()] - The font to draw with.
+     * @param {Color} [color=new Color(255, 255, 255, 255)] - The default color of the text. The alpha is applied to the whole text.
+     * @param {number} [scale=1] - The scale of the glyphs. Integer values give the best results.
+     * @param {string} [align='left'] - The alignment of the lines inside the text block: 'left', 'center' or 'right'.
+     * @param {number} [maxWidth=0] - The width of the text block in pixels. Lines are wrapped at spaces to fit. 0 disables wrapping.
+     */
+    drawBitmapText(text, position, font = BitmapFont.getDefault(), color = new Color(255, 255, 255, 255), scale = 1, align = 'left', maxWidth = 0) {
+        if (typeof text !== 'string') {
+            throw new Error('Invalid text: Expected a string.');
+        }
+        if (!(position instanceof Vector)) {
+            throw new Error('Invalid position: Expected a Vector object.');
+        }
+        if (!(font instanceof BitmapFont)) {
+            throw new Error('Invalid font: Expected a BitmapFont object.');
+        }
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        if (typeof scale !== 'number' || scale <= 0) {
+            throw new Error('Invalid scale: Expected a positive number.');
+        }
+        if (!['left', 'center', 'right'].includes(align)) {
+            throw new Error("Invalid align: Expected 'left', 'center' or 'right'.");
+        }
+        if (typeof maxWidth !== 'number' || maxWidth < 0) {
+            throw new Error('Invalid maxWidth: Expected a number bigger or equal than 0.');
+        }
+        this.#drawCalls++;
+
+        const lines = font.layout(text, maxWidth / scale);
+        const blockWidth = maxWidth > 0 ? maxWidth : Math.max(0, ...lines.map(line => line.width * scale));
+
+        this.#flushPixels();
+        this.#ctx.save();
+        this.#ctx.globalAlpha *= color.a / 255;
+        const textAlpha = this.#ctx.globalAlpha;
+        lines.forEach((line, lineIndex) => {
+            let offsetX = 0;
+            if (align === 'center') offsetX = (blockWidth - line.width * scale) / 2;
+            if (align === 'right') offsetX = blockWidth - line.width * scale;
+            const lineY = position.y + lineIndex * font.lineHeight * scale;
+
+            for (const { glyph, x, color: glyphColor } of line.glyphs) {
+                if (glyph.width === 0 || glyph.height === 0) continue;
+                const glyphAlpha = glyphColor ? glyphColor.a / 255 : 1;
+                const page = font.getPage(glyph.page, glyphColor || color);
+                this.#ctx.globalAlpha = textAlpha * glyphAlpha;
+                this.#ctx.drawImage(page, glyph.x, glyph.y, glyph.width, glyph.height,
+                    Math.round(position.x + offsetX + (x + glyph.xOffset) * scale),
+                    Math.round(lineY + glyph.yOffset * scale),
+                    glyph.width * scale, glyph.height * scale);
+            }
+        });
+        this.#ctx.restore();
+    }
+
     /**
      * Toggles the fullscreen mode.
      * If the canvas is not already in fullscreen mode, this method will make it fullscreen
@@ -800,21 +1781,16 @@ class Camera {
      * @returns {boolean} True if the canvas is in fullscreen mode, false otherwise.
      */
     isFullscreen() {
-        return document.fullscreenElement === this.#canvas ||
-               document.mozFullScreenElement === this.#canvas || // Firefox
-               document.webkitFullscreenElement === this.#canvas || // Chrome, Safari, Opera
-               document.msFullscreenElement === this.#canvas; // Microsoft Edge/IE
+        return this.#backend.getFullscreenElement() === this.#canvas;
     }
 
     #handleFullscreen() {
         if (this.isFullscreen()) {
             console.log("Fullscreen mode.");
-            this.#resizeCanvas();
         } else {
             console.log("Fullscreen mode disabled.");
-            this.#canvas.style.width = `${this.#canvasWidth}px`;
-            this.#canvas.style.height = `${this.#canvasHeight}px`;
         }
+        this.#resizeCanvas();
     }
 
     /**
@@ -837,9 +1813,60 @@ class Camera {
 
         this.#canvasWidth = newWidth;
         this.#canvasHeight = newHeight;
+        this.#resizeCanvas();
+    }
 
-        this.#canvas.style.width = `${this.#canvasWidth}px`;
-        this.#canvas.style.height = `${this.#canvasHeight}px`;
+    /**
+     * Sets how the game is scaled to the size of the canvas (or the screen in fullscreen):
+     * - AUTO is the default: STRETCH to the canvas size given to the constructor, FIT in fullscreen.
+     * - STRETCH fills the whole area, pixels can become non-square.
+     * - FIT scales as large as possible while keeping the aspect ratio, with bars on two sides.
+     * - INTEGER scales by whole device pixels only, so all pixels have the same size, with bars around.
+     *   If the area is smaller than the game it falls back to FIT.
+     * - FILL covers the whole area while keeping the aspect ratio, the game is cropped on two sides.
+     * - EXPAND widens or heightens the game area to the aspect ratio of the area, so there are no bars.
+     *   The game size given to the constructor is the minimum, onResize() is called when it changes.
+     * @param {string} mode - The scale mode, see ScaleModes.
+     * @param {Color} [letterboxColor=new Color(0, 0, 0, 255)] - The color of the bars.
+     */
+    setScaleMode(mode, letterboxColor = new Color(0, 0, 0, 255)) {
+        if (!Object.values(ScaleModes).includes(mode)) {
+            throw new Error('Invalid mode: Expected a value of ScaleModes.');
+        }
+        if (!(letterboxColor instanceof Color)) {
+            throw new Error('Invalid letterboxColor: Expected a Color object.');
+        }
+        this.#scaleMode = mode;
+        this.#letterboxColor = letterboxColor;
+        this.#resizeCanvas();
+    }
+
+    /**
+     * Returns the camera that draws on a canvas, e.g. to map input events through its scale mode.
+     * @param {HTMLCanvasElement} canvas - The canvas element.
+     * @returns {Camera|null} The camera that was initialized with the canvas last, or null if there is none.
+     */
+    static getCameraOf(canvas) {
+        return Camera.#canvasCameras.get(canvas) || null;
+    }
+
+    /**
+     * Converts a position in the browser window (e.g. clientX and clientY of a mouse event) to game pixels,
+     * taking the scale mode and the letterbox bars into account.
+     * @param {number} clientX - The x position in the window, in CSS pixels.
+     * @param {number} clientY - The y position in the window, in CSS pixels.
+     * @returns {Vector} The position in game pixels. It is outside of the game area for positions on the bars.
+     */
+    clientToGame(clientX, clientY) {
+        if (typeof clientX !== 'number' || typeof clientY !== 'number') {
+            throw new Error('Invalid arguments: Expected numbers for clientX and clientY.');
+        }
+        const rect = this.#canvas.getBoundingClientRect();
+        const layout = this.#calculateLayout(rect.width, rect.height);
+        return new Vector(
+            (clientX - rect.left - layout.x) * this.#gameWidth / layout.width,
+            (clientY - rect.top - layout.y) * this.#gameHeight / layout.height
+        );
     }
 
     /**
@@ -850,7 +1877,7 @@ class Camera {
      * @returns {ImageData} - The zoomed pixel data.
      */
     zoomImageData(imageData, position, zoomValue) {
-        if (!(imageData instanceof ImageData)) {
+        if (!CameraBackend.isImageData(imageData)) {
             throw new Error("Invalid imageData: Expected an instance of ImageData.");
         }
         if (!(position instanceof Vector)) {
@@ -886,20 +1913,91 @@ class Camera {
         return destImageData;
     }
 
+    // The rectangle the game is shown in, relative to an area of the given size (in CSS pixels)
+    #calculateLayout(areaWidth, areaHeight) {
+        const mode = this.#resolveScaleMode();
+        if (mode === ScaleModes.STRETCH) {
+            return { x: 0, y: 0, width: areaWidth, height: areaHeight };
+        }
+
+        const scaleX = areaWidth / this.#gameWidth;
+        const scaleY = areaHeight / this.#gameHeight;
+        let scale = Math.min(scaleX, scaleY);
+        if (mode === ScaleModes.FILL) {
+            scale = Math.max(scaleX, scaleY);
+        } else if (mode === ScaleModes.INTEGER) {
+            const pixelRatio = this.#backend.getPixelRatio();
+            const devicePixels = Math.floor(scale * pixelRatio);
+            if (devicePixels >= 1) scale = devicePixels / pixelRatio;
+        }
+
+        const width = this.#gameWidth * scale;
+        const height = this.#gameHeight * scale;
+        return { x: (areaWidth - width) / 2, y: (areaHeight - height) / 2, width, height };
+    }
+
+    // AUTO keeps the stretch of the canvas size, but never stretches to the aspect ratio of the screen
+    #resolveScaleMode() {
+        if (this.#scaleMode !== ScaleModes.AUTO) return this.#scaleMode;
+        return this.isFullscreen() ? ScaleModes.FIT : ScaleModes.STRETCH;
+    }
+
     /**
-     * Resize the canvas element based on the window's size while maintaining the aspect ratio.
+     * Lays out the canvas element for the scale mode, in the canvas size or, in fullscreen, the screen size.
+     * The bars are the padding of the element, so the canvas is never stretched by CSS.
      * @private
      */
     #resizeCanvas() {
-        let windowRatio = window.innerWidth / window.innerHeight;
+        if (!this.#canvas) return;
 
-        if (windowRatio < this.#aspectRatio) {
-            this.#canvas.style.width = window.innerWidth + 'px';
-            this.#canvas.style.height = (window.innerWidth / this.#aspectRatio) + 'px';
+        const area = this.isFullscreen() ? this.#backend.getScreenSize() : { width: this.#canvasWidth, height: this.#canvasHeight };
+        if (this.#scaleMode === ScaleModes.EXPAND) {
+            const areaRatio = area.width / area.height;
+            if (areaRatio > this.#baseGameWidth / this.#baseGameHeight) {
+                this.#setGameSize(Math.round(this.#baseGameHeight * areaRatio), this.#baseGameHeight);
+            } else {
+                this.#setGameSize(this.#baseGameWidth, Math.round(this.#baseGameWidth / areaRatio));
+            }
         } else {
-            this.#canvas.style.width = (window.innerHeight * this.#aspectRatio) + 'px';
-            this.#canvas.style.height = window.innerHeight + 'px';
+            this.#setGameSize(this.#baseGameWidth, this.#baseGameHeight);
+        }
+
+        const layout = this.#calculateLayout(area.width, area.height);
+        const style = this.#canvas.style;
+        const color = this.#letterboxColor;
+        style.width = `${area.width}px`;
+        style.height = `${area.height}px`;
+        style.boxSizing = 'border-box';
+        // The bars are colored only while there are bars, the background of the page and its CSS stay otherwise
+        if (layout.x > 0 || layout.y > 0) {
+            style.backgroundColor = `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a / 255})`;
+            this.#letterboxShown = true;
+        } else if (this.#letterboxShown) {
+            style.backgroundColor = '';
+            this.#letterboxShown = false;
+        }
+        if (layout.x >= 0 && layout.y >= 0) {
+            style.padding = `${layout.y}px ${layout.x}px`;
+            style.objectFit = 'fill';
+        } else {
+            // Cropping is left to object-fit, the padding cannot be negative
+            style.padding = '0px';
+            style.objectFit = 'cover';
+        }
+    }
+
+    #setGameSize(width, height) {
+        if (width === this.#gameWidth && height === this.#gameHeight) return;
+
+        this.#flushPixels();
+        if (this.#renderTarget) {
+            this.setRenderTarget(null);
         }
+        this.#gameWidth = width;
+        this.#gameHeight = height;
+        this.#view.resize(width, height);
+        this.#configureOutput();
+        this.onResize(width, height);
     }
 
     /**
@@ -925,6 +2023,7 @@ class Camera {
      * @returns {ImageData} The ImageData object for the entire canvas.
      */
     getImageData() {
+        this.#flushPixels();
         return this.#ctx.getImageData(0, 0, this.#gameWidth, this.#gameHeight);
     }
 
@@ -936,11 +2035,32 @@ class Camera {
         // Override this method in your game code.
     }
 
+    /**
+     * Called at a constant rate when the fixed-timestep mode is enabled.
+     * Should be overwritten. Physics and other simulation code belongs here.
+     * @param {number} deltaTime - The fixed delta time, in seconds.
+     */
+    fixedUpdate(deltaTime) {
+        // Override this method in your game code.
+    }
+
     /**
      * Called every frame to update the canvas and the game state.
      * Should be overwritten.
+     * @param {number} alpha - How far the game is between the last and the next fixed step (0-1).
+     *                         Always 1 when the fixed-timestep mode is disabled.
+     */
+    update(alpha) {
+        // Override this method in your game code.
+    }
+
+    /**
+     * Called every frame once per viewport, after update() and before postProcessing().
+     * The drawing is clipped to the viewport and its view is applied, so the world can be drawn
+     * the same way for every viewport. Draws queued here are flushed per viewport.
+     * @param {Viewport} viewport - The viewport that is rendered.
      */
-    update() {
+    renderScene(viewport) {
         // Override this method in your game code.
     }
 
@@ -948,6 +2068,7 @@ class Camera {
      * Called every frame after update, but before ui.
      * Should be overwritten.
      * Should have imageData as parameter and performe modifications on it.
+     * Is called after the passes added with addPostProcess().
      */
     postProcessing(imageData) {
         // Default implementation does nothing.
@@ -961,6 +2082,16 @@ class Camera {
         // Override this method in your game code.
     }
 
+    /**
+     * Called when the game size changes, in the scale mode EXPAND.
+     * Should be overwritten.
+     * @param {number} gameWidth - The new width of the game, in pixels.
+     * @param {number} gameHeight - The new height of the game, in pixels.
+     */
+    onResize(gameWidth, gameHeight) {
+        // Override this method in your game code.
+    }
+
     /**
      * Returns the width of the game.
      * @returns {number} The width of the game, in pixels.
@@ -978,13 +2109,147 @@ class Camera {
     }
 
     /**
-     * Returns the canvas context.
+     * Returns the view of the camera. Its position, zoom and rotation apply to everything drawn in update().
+     * @returns {View} The view.
+     */
+    get view() {
+        return this.#view;
+    }
+
+    /**
+     * Returns the canvas context. Pixels drawn in pixel mode are written back to the canvas first.
      * @returns {CanvasRenderingContext2D} The canvas context.
      */
     get ctx() {
+        // Code that draws on the context directly must not be overwritten by pending pixels
+        this.#flushPixels();
         return this.#ctx;
     }
 
+    /**
+     * Returns the backend the camera runs on.
+     * @returns {CameraBackend} The backend.
+     */
+    get backend() {
+        return this.#backend;
+    }
+
+    /**
+     * Sets the backend the camera runs on. Has to be set before init() is called.
+     * @param {CameraBackend} backend - The backend.
+     */
+    set backend(backend) {
+        if (!(backend instanceof CameraBackend)) {
+            throw new Error('Invalid backend: Expected a CameraBackend object.');
+        }
+        if (this.#canvas) {
+            throw new Error('The backend cannot be changed after the camera was initialized.');
+        }
+        this.#backend = backend;
+    }
+
+    /**
+     * Returns whether a GIF or a video is being recorded.
+     * @returns {boolean} True while recording.
+     */
+    get isRecording() {
+        return this.#gifRecording !== null || this.#videoRecording !== null;
+    }
+
+    /**
+     * Returns the viewports.
+     * @returns {Array<Viewport>} A copy of the viewport list.
+     */
+    get viewports() {
+        return [...this.#viewports];
+    }
+
+    /**
+     * Returns the viewport that is rendered right now.
+     * @returns {Viewport|null} The viewport during renderScene(), otherwise null.
+     */
+    get activeViewport() {
+        return this.#activeViewport;
+    }
+
+    /**
+     * Returns the view that is drawn with right now: the view of the active viewport, otherwise the main view.
+     * @returns {View} The current view.
+     */
+    get currentView() {
+        return this.#activeViewport ? this.#activeViewport.view : this.#view;
+    }
+
+    /**
+     * Returns the render target that is drawn into.
+     * @returns {RenderTarget|null} The render target, or null if drawing goes to the screen.
+     */
+    get renderTarget() {
+        return this.#renderTarget;
+    }
+
+    /**
+     * Returns the debug overlay, to watch values or show a physics simulation.
+     * @returns {DebugOverlay} The debug overlay.
+     */
+    get debugOverlay() {
+        return this.#debugOverlay;
+    }
+
+    /**
+     * Returns the number of draw calls of the current frame so far.
+     * @returns {number} The number of draw calls.
+     */
+    get drawCalls() {
+        return this.#drawCalls;
+    }
+
+    /**
+     * Returns the clock of the camera. Pause it, step it or change its time scale to control the game time.
+     * @returns {GameClock} The clock, GameClock.default unless it was changed.
+     */
+    get clock() {
+        return this.#clock;
+    }
+
+    /**
+     * Sets the clock of the camera.
+     * @param {GameClock} clock - The clock.
+     */
+    set clock(clock) {
+        if (!(clock instanceof GameClock)) {
+            throw new Error('Invalid clock: Expected a GameClock object.');
+        }
+        this.#clock = clock;
+        if (this.#canvas) {
+            clock.start(this.#currentTime);
+        }
+    }
+
+    /**
+     * Returns the scale mode (see setScaleMode()).
+     * @returns {string} The scale mode, a value of ScaleModes.
+     */
+    get scaleMode() {
+        return this.#scaleMode;
+    }
+
+    /**
+     * Returns whether the shape methods rasterize pixel-exact (see setPixelMode()).
+     * @returns {boolean} True in pixel mode, false in canvas mode.
+     */
+    get pixelMode() {
+        return this.#pixelMode;
+    }
+
+    /**
+     * Returns the resolution of the output canvas as a multiple of the game resolution.
+     * @returns {number} The output scale.
+     */
+    get outputScale() {
+        return this.#outputScale;
+    }
+
     /**
      * Returns the current frames per second.
      * @returns {number} The current frames per second.
@@ -993,6 +2258,41 @@ class Camera {
         return this.#fps;
     }
 
+    /**
+     * Returns the fixed delta time used by fixedUpdate().
+     * @returns {number} The fixed delta time in seconds, 0 if the fixed-timestep mode is disabled.
+     */
+    get fixedDeltaTime() {
+        return this.#fixedTimeStep;
+    }
+
+    /**
+     * Returns the interpolation alpha of the current frame.
+     * @returns {number} A value between 0 and 1.
+     */
+    get interpolationAlpha() {
+        return this.#interpolationAlpha;
+    }
+
+    /**
+     * Returns the scene manager driven by this camera.
+     * @returns {SceneManager|null} The scene manager, or null if none is attached.
+     */
+    get sceneManager() {
+        return this.#sceneManager;
+    }
+
+    /**
+     * Attaches a scene manager to the camera. Its scenes are updated after update() and drawn after ui().
+     * @param {SceneManager|null} manager - The scene manager, or null to detach it.
+     */
+    set sceneManager(manager) {
+        if (manager !== null && !(manager instanceof SceneManager)) {
+            throw new Error('Invalid sceneManager: Expected an instance of SceneManager or null.');
+        }
+        this.#sceneManager = manager;
+    }
+
     /**
      * Sets the update delay for fps counter.
      * @returns {number} Delay before next update in ms.
@@ -1003,4 +2303,43 @@ class Camera {
         }
         this.#fpsUpdateRate = rate;
     }
-}
\ No newline at end of file
+
+    /**
+     * Sets the font of the fps counter.
+     * @param {BitmapFont|null} font - The font, or null for the default font.
+     */
+    set fpsFont(font) {
+        if (font !== null && !(font instanceof BitmapFont)) {
+            throw new Error('Invalid fpsFont: Expected a BitmapFont object or null.');
+        }
+        this.#fpsFont = font;
+    }
+}
+
+/**
+ * Enum of commonly used draw layers for Camera.queueDraw().
+ * Any number can be used as a layer, these only give the usual order.
+ * @constant
+ * @type {object}
+ */
+const DrawLayers = {
+    BACKGROUND: 0,
+    TILES: 100,
+    ENTITIES: 200,
+    FOREGROUND: 300,
+    LIGHTING: 400,
+};
+
+/**
+ * Enum of the ways the game can be scaled to the canvas or screen, see Camera.setScaleMode().
+ * @constant
+ * @type {object}
+ */
+const ScaleModes = {
+    AUTO: 'auto',
+    STRETCH: 'stretch',
+    FIT: 'fit',
+    INTEGER: 'integer',
+    FILL: 'fill',
+    EXPAND: 'expand',
+};
@@ -0,0 +1,373 @@
+/**
+ * The platform a Camera runs on: where canvases come from, the clock and the frame loop.
+ * The browser is the default. Set CameraBackend.default to a HeadlessBackend before the cameras are created
+ * to run the game in Node, for tests or a server simulation.
+ */
+class CameraBackend {
+    static #default = null;
+
+    /**
+     * Returns the canvas with a name (id).
+     * @param {string} canvasName - The name of the canvas.
+     * @returns {HTMLCanvasElement|null} The canvas, or null if it does not exist (yet).
+     */
+    getCanvas(canvasName) {
+        throw new Error('CameraBackend.getCanvas has to be implemented by the backend.');
+    }
+
+    /**
+     * Creates an offscreen canvas.
+     * @param {number} width - The width of the canvas.
+     * @param {number} height - The height of the canvas.
+     * @returns {HTMLCanvasElement} The canvas.
+     */
+    createCanvas(width, height) {
+        throw new Error('CameraBackend.createCanvas has to be implemented by the backend.');
+    }
+
+    /**
+     * Returns the current time of the backend clock.
+     * @returns {number} The time, in milliseconds.
+     */
+    now() {
+        throw new Error('CameraBackend.now has to be implemented by the backend.');
+    }
+
+    /**
+     * Schedules a callback for the next frame.
+     * @param {Function} callback - The callback, it receives the time of the frame in milliseconds.
+     * @returns {number} A handle to cancel the callback.
+     */
+    requestFrame(callback) {
+        throw new Error('CameraBackend.requestFrame has to be implemented by the backend.');
+    }
+
+    /**
+     * Cancels a callback scheduled with requestFrame().
+     * @param {number} handle - The handle returned by requestFrame().
+     */
+    cancelFrame(handle) {
+        throw new Error('CameraBackend.cancelFrame has to be implemented by the backend.');
+    }
+
+    /**
+     * Listens to an event of the window, like "fullscreenchange".
+     * @param {string} type - The event type.
+     * @param {Function} listener - The event listener.
+     */
+    addEventListener(type, listener) {
+        // Backends without a window have no events.
+    }
+
+    /**
+     * Returns the element that is shown in fullscreen.
+     * @returns {HTMLElement|null} The element, or null if nothing is in fullscreen.
+     */
+    getFullscreenElement() {
+        // Backends without a screen are never in fullscreen.
+        return null;
+    }
+
+    /**
+     * Returns the size of the screen area the page is shown in, used to lay out the canvas in fullscreen.
+     * @returns {{width: number, height: number}} The size, in CSS pixels.
+     */
+    getScreenSize() {
+        throw new Error('CameraBackend.getScreenSize has to be implemented by the backend.');
+    }
+
+    /**
+     * Returns how many device pixels make up one CSS pixel.
+     * @returns {number} The pixel ratio.
+     */
+    getPixelRatio() {
+        return 1;
+    }
+
+    /**
+     * Checks if an object can be drawn like an image: an Image or a canvas.
+     * Without a DOM every object with a numeric width and height is accepted, like the images of node-canvas.
+     * @param {*} image - The object to check.
+     * @returns {boolean} True if the object can be drawn.
+     */
+    static isImage(image) {
+        if (typeof Image !== 'undefined' && image instanceof Image) return true;
+        if (typeof HTMLCanvasElement !== 'undefined' && image instanceof HTMLCanvasElement) return true;
+        if (typeof OffscreenCanvas !== 'undefined' && image instanceof OffscreenCanvas) return true;
+        if (typeof Image !== 'undefined' && typeof HTMLCanvasElement !== 'undefined') return false;
+        return image !== null && typeof image === 'object' && typeof image.width === 'number' && typeof image.height === 'number';
+    }
+
+    /**
+     * Checks if an object is an ImageData.
+     * Without a DOM every object with a Uint8ClampedArray as data and a numeric width and height is accepted.
+     * @param {*} imageData - The object to check.
+     * @returns {boolean} True if the object is an ImageData.
+     */
+    static isImageData(imageData) {
+        if (typeof ImageData !== 'undefined' && imageData instanceof ImageData) return true;
+        return imageData !== null && typeof imageData === 'object' && imageData.data instanceof Uint8ClampedArray &&
+               typeof imageData.width === 'number' && typeof imageData.height === 'number';
+    }
+
+    /**
+     * Returns the backend new cameras, render targets and fonts use. It is a BrowserBackend unless it was changed.
+     * @returns {CameraBackend} The default backend.
+     */
+    static get default() {
+        if (!CameraBackend.#default) {
+            CameraBackend.#default = new BrowserBackend();
+        }
+        return CameraBackend.#default;
+    }
+
+    /**
+     * Sets the backend new cameras, render targets and fonts use.
+     * @param {CameraBackend} backend - The backend.
+     */
+    static set default(backend) {
+        if (!(backend instanceof CameraBackend)) {
+            throw new Error('Invalid backend: Expected a CameraBackend object.');
+        }
+        CameraBackend.#default = backend;
+    }
+}
+
+/**
+ * The backend for the browser: canvases from the document, performance.now() and requestAnimationFrame().
+ */
+class BrowserBackend extends CameraBackend {
+    /**
+     * Returns the canvas with a name (id) from the document.
+     * @param {string} canvasName - The id of the canvas.
+     * @returns {HTMLCanvasElement|null} The canvas, or null if it is not in the document.
+     */
+    getCanvas(canvasName) {
+        return document.getElementById(canvasName);
+    }
+
+    /**
+     * Creates an offscreen canvas.
+     * @param {number} width - The width of the canvas.
+     * @param {number} height - The height of the canvas.
+     * @returns {HTMLCanvasElement} The canvas.
+     */
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Returns the current time.
+     * @returns {number} The time, in milliseconds.
+     */
+    now() {
+        return performance.now();
+    }
+
+    /**
+     * Schedules a callback for the next animation frame.
+     * @param {Function} callback - The callback.
+     * @returns {number} A handle to cancel the callback.
+     */
+    requestFrame(callback) {
+        return window.requestAnimationFrame(callback);
+    }
+
+    /**
+     * Cancels a callback scheduled with requestFrame().
+     * @param {number} handle - The handle returned by requestFrame().
+     */
+    cancelFrame(handle) {
+        window.cancelAnimationFrame(handle);
+    }
+
+    /**
+     * Listens to an event of the window.
+     * @param {string} type - The event type.
+     * @param {Function} listener - The event listener.
+     */
+    addEventListener(type, listener) {
+        window.addEventListener(type, listener);
+    }
+
+    /**
+     * Returns the element that is shown in fullscreen.
+     * @returns {HTMLElement|null} The element, or null if nothing is in fullscreen.
+     */
+    getFullscreenElement() {
+        return document.fullscreenElement ||
+               document.mozFullScreenElement || // Firefox
+               document.webkitFullscreenElement || // Chrome, Safari, Opera
+               document.msFullscreenElement || // Microsoft Edge/IE
+               null;
+    }
+
+    /**
+     * Returns the size of the browser window.
+     * @returns {{width: number, height: number}} The size, in CSS pixels.
+     */
+    getScreenSize() {
+        return { width: window.innerWidth, height: window.innerHeight };
+    }
+
+    /**
+     * Returns the device pixel ratio of the window.
+     * @returns {number} The pixel ratio.
+     */
+    getPixelRatio() {
+        return window.devicePixelRatio || 1;
+    }
+}
+
+/**
+ * A backend without a browser. Canvases are created with an injected factory (for example createCanvas of node-canvas),
+ * the clock only moves when step() or advance() is called and frames only run on step().
+ */
+class HeadlessBackend extends CameraBackend {
+    #canvasFactory;
+    #canvases = new Map();
+    #time = 0;
+    #frameCallbacks = new Map();
+    #nextHandle = 1;
+
+    /**
+     * Creates a new HeadlessBackend.
+     * @param {Function} canvasFactory - A function (width, height) that returns a canvas-like object with getContext('2d').
+     */
+    constructor(canvasFactory) {
+        super();
+        if (typeof canvasFactory !== 'function') {
+            throw new Error('Invalid canvasFactory: Expected a function.');
+        }
+        this.#canvasFactory = canvasFactory;
+    }
+
+    /**
+     * Registers a canvas under a name, so a Camera with that canvas name draws on it.
+     * @param {string} canvasName - The name of the canvas.
+     * @param {Object} canvas - The canvas-like object.
+     */
+    addCanvas(canvasName, canvas) {
+        if (typeof canvasName !== 'string' || canvasName.trim() === '') {
+            throw new Error('Invalid canvasName: Expected a non-empty string.');
+        }
+        if (!canvas || typeof canvas.getContext !== 'function') {
+            throw new Error('Invalid canvas: Expected an object with a getContext method.');
+        }
+        if (!canvas.style) canvas.style = {};
+        this.#canvases.set(canvasName, canvas);
+    }
+
+    /**
+     * Returns the canvas with a name. A canvas is created for names that were not registered with addCanvas().
+     * @param {string} canvasName - The name of the canvas.
+     * @returns {Object} The canvas.
+     */
+    getCanvas(canvasName) {
+        if (!this.#canvases.has(canvasName)) {
+            this.addCanvas(canvasName, this.createCanvas(1, 1));
+        }
+        return this.#canvases.get(canvasName);
+    }
+
+    /**
+     * Creates an offscreen canvas with the canvas factory.
+     * @param {number} width - The width of the canvas.
+     * @param {number} height - The height of the canvas.
+     * @returns {Object} The canvas.
+     */
+    createCanvas(width, height) {
+        const canvas = this.#canvasFactory(width, height);
+        canvas.width = width;
+        canvas.height = height;
+        if (!canvas.style) canvas.style = {};
+        return canvas;
+    }
+
+    /**
+     * Returns the time of the manual clock.
+     * @returns {number} The time, in milliseconds.
+     */
+    now() {
+        return this.#time;
+    }
+
+    /**
+     * Moves the clock forward without running a frame.
+     * @param {number} milliseconds - The time to add.
+     */
+    advance(milliseconds) {
+        if (typeof milliseconds !== 'number' || milliseconds < 0) {
+            throw new Error('Invalid milliseconds: Expected a number bigger or equal than 0.');
+        }
+        this.#time += milliseconds;
+    }
+
+    /**
+     * Schedules a callback for the next step().
+     * @param {Function} callback - The callback.
+     * @returns {number} A handle to cancel the callback.
+     */
+    requestFrame(callback) {
+        const handle = this.#nextHandle++;
+        this.#frameCallbacks.set(handle, callback);
+        return handle;
+    }
+
+    /**
+     * Cancels a callback scheduled with requestFrame().
+     * @param {number} handle - The handle returned by requestFrame().
+     */
+    cancelFrame(handle) {
+        this.#frameCallbacks.delete(handle);
+    }
+
+    /**
+     * Moves the clock forward and runs one frame: every callback scheduled before the step is called once.
+     * @param {number} [milliseconds=1000 / 60] - The duration of the frame.
+     * @returns {number} The number of callbacks that were called.
+     */
+    step(milliseconds = 1000 / 60) {
+        this.advance(milliseconds);
+        const callbacks = [...this.#frameCallbacks.values()];
+        this.#frameCallbacks.clear();
+        for (const callback of callbacks) {
+            callback(this.#time);
+        }
+        return callbacks.length;
+    }
+
+    /**
+     * Compares two images pixel by pixel, for example a rendered frame with a golden image.
+     * @param {ImageData} actual - The rendered image.
+     * @param {ImageData} expected - The expected image.
+     * @param {number} [tolerance=0] - The largest difference per channel (0-255) that still counts as equal.
+     * @returns {{matches: boolean, mismatchedPixels: number, maxDifference: number}} The result of the comparison.
+     */
+    static compareImageData(actual, expected, tolerance = 0) {
+        if (!CameraBackend.isImageData(actual) || !CameraBackend.isImageData(expected)) {
+            throw new Error('Invalid arguments: Expected ImageData objects for actual and expected.');
+        }
+        if (actual.width !== expected.width || actual.height !== expected.height) {
+            throw new Error(`Size mismatch: ${actual.width}x${actual.height} does not match ${expected.width}x${expected.height}.`);
+        }
+        if (typeof tolerance !== 'number' || tolerance < 0) {
+            throw new Error('Invalid tolerance: Expected a number bigger or equal than 0.');
+        }
+
+        let mismatchedPixels = 0;
+        let maxDifference = 0;
+        for (let i = 0; i < actual.data.length; i += 4) {
+            let pixelDifference = 0;
+            for (let c = 0; c < 4; c++) {
+                pixelDifference = Math.max(pixelDifference, Math.abs(actual.data[i + c] - expected.data[i + c]));
+            }
+            if (pixelDifference > tolerance) mismatchedPixels++;
+            maxDifference = Math.max(maxDifference, pixelDifference);
+        }
+        return { matches: mismatchedPixels === 0, mismatchedPixels, maxDifference };
+    }
+}
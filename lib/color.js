@@ -124,6 +124,23 @@ class Color {
        return this.a << 24 | this.b << 16 | this.g << 8 | this.r; 
     }
 
+    /**
+     * Creates a Color from a hexadecimal string.
+     * @param {string} hex - The color as "#rrggbb" or "#rrggbbaa" (the # is optional).
+     * @returns {Color} The new Color.
+     */
+    static fromHex(hex) {
+        if (typeof hex !== 'string' || !/^#?([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/.test(hex)) {
+            throw new Error('Invalid hex: Expected a string in the format "#rrggbb" or "#rrggbbaa".');
+        }
+        const value = hex.replace('#', '');
+        const r = parseInt(value.substring(0, 2), 16);
+        const g = parseInt(value.substring(2, 4), 16);
+        const b = parseInt(value.substring(4, 6), 16);
+        const a = value.length === 8 ? parseInt(value.substring(6, 8), 16) : 255;
+        return new Color(r, g, b, a);
+    }
+
     /**
      * Returns a new Color that is a copy of this Color.
      * @returns {Color} The new Color.
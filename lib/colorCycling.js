@@ -0,0 +1,537 @@
+/**
+ * The directions a ColorCycle can move its colors in.
+ * @constant
+ * @type {object}
+ */
+const CycleDirections = Object.freeze({
+    FORWARD: 'forward',
+    REVERSE: 'reverse',
+    PING_PONG: 'pingpong'
+});
+
+/**
+ * A range of palette indices whose colors rotate over time, like water, lava or a waterfall.
+ */
+class ColorCycle {
+    #start;
+    #end;
+    #speed;
+    #direction;
+    #blend;
+    #enabled = true;
+
+    /**
+     * Creates a new ColorCycle.
+     * @param {number} start - The first palette index of the range.
+     * @param {number} end - The last palette index of the range (inclusive).
+     * @param {number} speed - How many indices the colors move per second.
+     * @param {string} [direction=CycleDirections.FORWARD] - The direction of the cycle, see CycleDirections.
+     * @param {boolean} [blend=false] - If true, the colors fade smoothly from one index to the next instead of jumping.
+     */
+    constructor(start, end, speed, direction = CycleDirections.FORWARD, blend = false) {
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end > 255) {
+            throw new Error('Invalid range: Expected integers with 0 <= start <= end <= 255.');
+        }
+        if (typeof speed !== 'number' || speed < 0) {
+            throw new Error('Invalid speed: Expected a number bigger or equal than 0.');
+        }
+        if (!Object.values(CycleDirections).includes(direction)) {
+            throw new Error('Invalid direction: Expected a value of CycleDirections.');
+        }
+        if (typeof blend !== 'boolean') {
+            throw new Error('Invalid blend value: Expected a boolean.');
+        }
+        this.#start = start;
+        this.#end = end;
+        this.#speed = speed;
+        this.#direction = direction;
+        this.#blend = blend;
+    }
+
+    /**
+     * Returns how far the colors have moved at a point in time.
+     * @param {number} time - The time since the cycle started, in seconds.
+     * @returns {number} The offset, in indices. It has a fraction if the cycle blends.
+     */
+    getOffset(time) {
+        const length = this.#end - this.#start + 1;
+        const steps = time * this.#speed;
+        let offset;
+        if (this.#direction === CycleDirections.PING_PONG) {
+            const period = 2 * (length - 1);
+            const position = period > 0 ? steps % period : 0;
+            offset = position <= length - 1 ? position : period - position;
+        } else {
+            offset = this.#direction === CycleDirections.REVERSE ? -steps : steps;
+        }
+        return this.#blend ? offset : Math.floor(offset);
+    }
+
+    /**
+     * Returns the first palette index of the range.
+     * @returns {number} The index.
+     */
+    get start() {
+        return this.#start;
+    }
+
+    /**
+     * Returns the last palette index of the range.
+     * @returns {number} The index.
+     */
+    get end() {
+        return this.#end;
+    }
+
+    /**
+     * Returns the speed of the cycle.
+     * @returns {number} The speed, in indices per second.
+     */
+    get speed() {
+        return this.#speed;
+    }
+
+    /**
+     * Sets the speed of the cycle.
+     * @param {number} speed - The speed, in indices per second.
+     */
+    set speed(speed) {
+        if (typeof speed !== 'number' || speed < 0) {
+            throw new Error('Invalid speed: Expected a number bigger or equal than 0.');
+        }
+        this.#speed = speed;
+    }
+
+    /**
+     * Returns the direction of the cycle.
+     * @returns {string} The direction, see CycleDirections.
+     */
+    get direction() {
+        return this.#direction;
+    }
+
+    /**
+     * Returns whether the colors fade from one index to the next.
+     * @returns {boolean} True if the cycle blends.
+     */
+    get blend() {
+        return this.#blend;
+    }
+
+    /**
+     * Returns whether the cycle is running.
+     * @returns {boolean} True if the cycle is running.
+     */
+    get enabled() {
+        return this.#enabled;
+    }
+
+    /**
+     * Starts or stops the cycle. A stopped cycle shows the original colors.
+     * @param {boolean} enabled - True to run the cycle.
+     */
+    set enabled(enabled) {
+        if (typeof enabled !== 'boolean') {
+            throw new Error('Invalid enabled value: Expected a boolean.');
+        }
+        this.#enabled = enabled;
+    }
+}
+
+/**
+ * A palette of up to 256 colors with animated color cycles. IndexedImages look up their colors in it,
+ * so changing or cycling a color changes every pixel with that index.
+ */
+class IndexedPalette {
+    #colors;
+    #current;
+    #next;
+    #cycles = [];
+    #time = 0;
+    #version = 0;
+
+    /**
+     * Creates a new IndexedPalette.
+     * @param {Array<Color>} colors - The colors of the palette (1-256). The index of a color is its position in the array.
+     */
+    constructor(colors) {
+        if (!Array.isArray(colors) || colors.length === 0 || colors.length > 256 || !colors.every(color => color instanceof Color)) {
+            throw new Error('Invalid colors: Expected an array of 1 to 256 Color objects.');
+        }
+        this.#colors = [...colors];
+        this.#current = new Uint8ClampedArray(colors.length * 4);
+        this.#next = new Uint8ClampedArray(colors.length * 4);
+        this.#applyCycles();
+    }
+
+    /**
+     * Adds a color cycle.
+     * @param {ColorCycle} cycle - The cycle. Its range has to be inside the palette.
+     * @returns {ColorCycle} The added cycle.
+     */
+    addCycle(cycle) {
+        if (!(cycle instanceof ColorCycle)) {
+            throw new Error('Invalid cycle: Expected a ColorCycle object.');
+        }
+        if (cycle.end >= this.#colors.length) {
+            throw new Error(`Invalid cycle: The range ${cycle.start}-${cycle.end} is outside of the palette with ${this.#colors.length} colors.`);
+        }
+        this.#cycles.push(cycle);
+        this.#applyCycles();
+        return cycle;
+    }
+
+    /**
+     * Removes a color cycle.
+     * @param {ColorCycle} cycle - The cycle to remove.
+     */
+    removeCycle(cycle) {
+        this.#cycles = this.#cycles.filter(other => other !== cycle);
+        this.#applyCycles();
+    }
+
+    /**
+     * Removes all color cycles.
+     */
+    clearCycles() {
+        this.#cycles = [];
+        this.#applyCycles();
+    }
+
+    /**
+     * Moves the color cycles forward. Call it once per frame.
+     * @param {number} deltaTime - The time since the last update, in seconds.
+     */
+    update(deltaTime) {
+        if (typeof deltaTime !== 'number' || deltaTime < 0) {
+            throw new Error('Invalid deltaTime: Expected a number bigger or equal than 0.');
+        }
+        this.#time += deltaTime;
+        if (this.#cycles.length > 0) {
+            this.#applyCycles();
+        }
+    }
+
+    /**
+     * Resets the color cycles to their start.
+     */
+    reset() {
+        this.#time = 0;
+        this.#applyCycles();
+    }
+
+    /**
+     * Changes a color of the palette.
+     * @param {number} index - The index of the color.
+     * @param {Color} color - The new color.
+     */
+    setColor(index, color) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.#colors.length) {
+            throw new Error(`Invalid index: Expected an integer between 0 and ${this.#colors.length - 1}.`);
+        }
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        this.#colors[index] = color;
+        this.#applyCycles();
+    }
+
+    /**
+     * Returns the color of an index with the color cycles applied.
+     * @param {number} index - The index of the color.
+     * @returns {Color} The current color.
+     */
+    getColor(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.#colors.length) {
+            throw new Error(`Invalid index: Expected an integer between 0 and ${this.#colors.length - 1}.`);
+        }
+        const i = index * 4;
+        return new Color(this.#current[i], this.#current[i + 1], this.#current[i + 2], this.#current[i + 3]);
+    }
+
+    // The colors are computed into a second buffer, the version only changes if a color really changed
+    #applyCycles() {
+        const next = this.#next;
+        this.#colors.forEach((color, index) => {
+            next.set([color.r, color.g, color.b, color.a], index * 4);
+        });
+
+        for (const cycle of this.#cycles) {
+            if (!cycle.enabled) continue;
+            const length = cycle.end - cycle.start + 1;
+            const offset = cycle.getOffset(this.#time);
+            for (let j = 0; j < length; j++) {
+                // The color at j came from (j - offset), blending cycles mix the two neighbours
+                const source = ((j - offset) % length + length) % length;
+                const from = this.#colors[cycle.start + Math.floor(source)];
+                const to = this.#colors[cycle.start + (Math.floor(source) + 1) % length];
+                const fraction = source - Math.floor(source);
+                const i = (cycle.start + j) * 4;
+                next[i] = from.r + (to.r - from.r) * fraction;
+                next[i + 1] = from.g + (to.g - from.g) * fraction;
+                next[i + 2] = from.b + (to.b - from.b) * fraction;
+                next[i + 3] = from.a + (to.a - from.a) * fraction;
+            }
+        }
+
+        if (next.every((value, i) => value === this.#current[i])) return;
+        this.#current.set(next);
+        this.#version++;
+    }
+
+    /**
+     * Returns the colors of the palette without the color cycles.
+     * @returns {Array<Color>} A copy of the colors.
+     */
+    get colors() {
+        return [...this.#colors];
+    }
+
+    /**
+     * Returns the current colors with the color cycles applied, as RGBA bytes (4 per index).
+     * @returns {Uint8ClampedArray} The colors. Do not modify the array.
+     */
+    get currentColors() {
+        return this.#current;
+    }
+
+    /**
+     * Returns a number that changes every time the current colors change, to know when images have to be redrawn.
+     * @returns {number} The version.
+     */
+    get version() {
+        return this.#version;
+    }
+
+    /**
+     * Returns the number of colors.
+     * @returns {number} The number of colors.
+     */
+    get size() {
+        return this.#colors.length;
+    }
+
+    /**
+     * Returns the color cycles.
+     * @returns {Array<ColorCycle>} A copy of the list of cycles.
+     */
+    get cycles() {
+        return [...this.#cycles];
+    }
+}
+
+/**
+ * An image that stores a palette index per pixel instead of a color. It is drawn with Camera.drawIndexedImage()
+ * and follows every change of its palette, which makes color cycling and cheap palette swaps possible.
+ */
+class IndexedImage {
+    #width;
+    #height;
+    #indices;
+    #palette;
+    #canvas = null;
+    #renderedVersion = -1;
+    #renderedPalette = null;
+    #dirty = true;
+
+    /**
+     * Creates a new IndexedImage.
+     * @param {number} width - The width of the image, in pixels.
+     * @param {number} height - The height of the image, in pixels.
+     * @param {Uint8Array} indices - The palette index of every pixel, row by row.
+     * @param {IndexedPalette} palette - The palette the indices refer to.
+     */
+    constructor(width, height, indices, palette) {
+        if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+            throw new Error('Invalid size: Expected positive integers for width and height.');
+        }
+        if (!(indices instanceof Uint8Array) || indices.length !== width * height) {
+            throw new Error('Invalid indices: Expected a Uint8Array with one index per pixel.');
+        }
+        this.#width = width;
+        this.#height = height;
+        this.#indices = indices;
+        this.palette = palette;
+    }
+
+    /**
+     * Creates an indexed image from a texture loaded with the AssetLoader ({data, width, height}).
+     * Without a palette, one is built from the colors of the texture in the order they appear.
+     * With a palette, every pixel gets the index of the closest palette color (alpha included).
+     * @param {{data: Uint8ClampedArray, width: number, height: number}} texture - The texture.
+     * @param {IndexedPalette|null} [palette=null] - The palette to map the colors to.
+     * @returns {IndexedImage} The indexed image.
+     */
+    static fromTexture(texture, palette = null) {
+        if (!CameraBackend.isImageData(texture)) {
+            throw new Error('Invalid texture: Expected an object with data (Uint8ClampedArray), width and height.');
+        }
+        if (palette !== null && !(palette instanceof IndexedPalette)) {
+            throw new Error('Invalid palette: Expected an IndexedPalette object or null.');
+        }
+        const data = texture.data;
+        const indices = new Uint8Array(texture.width * texture.height);
+        const lookup = new Map();
+
+        if (palette === null) {
+            const colors = [];
+            for (let p = 0; p < indices.length; p++) {
+                const i = p * 4;
+                // All fully transparent pixels share one index
+                const key = data[i + 3] === 0 ? -1 : (data[i] << 24 | data[i + 1] << 16 | data[i + 2] << 8 | data[i + 3]);
+                let index = lookup.get(key);
+                if (index === undefined) {
+                    if (colors.length === 256) {
+                        throw new Error('Invalid texture: It has more than 256 colors, pass a palette to map the colors to.');
+                    }
+                    index = colors.length;
+                    colors.push(key === -1 ? new Color(0, 0, 0, 0) : new Color(data[i], data[i + 1], data[i + 2], data[i + 3]));
+                    lookup.set(key, index);
+                }
+                indices[p] = index;
+            }
+            return new IndexedImage(texture.width, texture.height, indices, new IndexedPalette(colors));
+        }
+
+        // Matched against the original colors, not the cycled ones
+        const colors = palette.colors;
+        for (let p = 0; p < indices.length; p++) {
+            const i = p * 4;
+            const key = data[i] << 24 | data[i + 1] << 16 | data[i + 2] << 8 | data[i + 3];
+            let index = lookup.get(key);
+            if (index === undefined) {
+                let minDistance = Infinity;
+                for (let c = 0; c < colors.length; c++) {
+                    const color = colors[c];
+                    const distance = (color.r - data[i]) ** 2 + (color.g - data[i + 1]) ** 2 + (color.b - data[i + 2]) ** 2 + (color.a - data[i + 3]) ** 2;
+                    if (distance < minDistance) {
+                        minDistance = distance;
+                        index = c;
+                    }
+                }
+                lookup.set(key, index);
+            }
+            indices[p] = index;
+        }
+        return new IndexedImage(texture.width, texture.height, indices, palette);
+    }
+
+    /**
+     * Returns the palette index of a pixel.
+     * @param {number} x - The x coordinate.
+     * @param {number} y - The y coordinate.
+     * @returns {number} The index.
+     */
+    getIndex(x, y) {
+        if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= this.#width || y >= this.#height) {
+            throw new Error('Invalid position: Expected integer coordinates inside the image.');
+        }
+        return this.#indices[y * this.#width + x];
+    }
+
+    /**
+     * Sets the palette index of a pixel.
+     * @param {number} x - The x coordinate.
+     * @param {number} y - The y coordinate.
+     * @param {number} index - The index.
+     */
+    setIndex(x, y, index) {
+        if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= this.#width || y >= this.#height) {
+            throw new Error('Invalid position: Expected integer coordinates inside the image.');
+        }
+        if (!Number.isInteger(index) || index < 0 || index >= this.#palette.size) {
+            throw new Error(`Invalid index: Expected an integer between 0 and ${this.#palette.size - 1}.`);
+        }
+        this.#indices[y * this.#width + x] = index;
+        this.#dirty = true;
+    }
+
+    /**
+     * Marks the image to be redrawn, after the indices array was changed directly.
+     */
+    markDirty() {
+        this.#dirty = true;
+    }
+
+    /**
+     * Returns a canvas with the image in the current colors of the palette.
+     * The canvas is only redrawn when the palette or the indices have changed.
+     * @returns {HTMLCanvasElement} The canvas.
+     */
+    render() {
+        if (!this.#canvas) {
+            this.#canvas = CameraBackend.default.createCanvas(this.#width, this.#height);
+        }
+        if (!this.#dirty && this.#renderedPalette === this.#palette && this.#renderedVersion === this.#palette.version) {
+            return this.#canvas;
+        }
+
+        const ctx = this.#canvas.getContext('2d');
+        const imageData = ctx.createImageData(this.#width, this.#height);
+        const colors = this.#palette.currentColors;
+        for (let p = 0; p < this.#indices.length; p++) {
+            const c = this.#indices[p] * 4;
+            const i = p * 4;
+            imageData.data[i] = colors[c];
+            imageData.data[i + 1] = colors[c + 1];
+            imageData.data[i + 2] = colors[c + 2];
+            imageData.data[i + 3] = colors[c + 3];
+        }
+        ctx.putImageData(imageData, 0, 0);
+        // Recolored versions of the old pixels are outdated
+        SpriteEffects.clearCache(this.#canvas);
+
+        this.#dirty = false;
+        this.#renderedPalette = this.#palette;
+        this.#renderedVersion = this.#palette.version;
+        return this.#canvas;
+    }
+
+    /**
+     * Returns the width of the image.
+     * @returns {number} The width, in pixels.
+     */
+    get width() {
+        return this.#width;
+    }
+
+    /**
+     * Returns the height of the image.
+     * @returns {number} The height, in pixels.
+     */
+    get height() {
+        return this.#height;
+    }
+
+    /**
+     * Returns the palette index of every pixel, row by row.
+     * Call markDirty() after changing the array directly.
+     * @returns {Uint8Array} The indices.
+     */
+    get indices() {
+        return this.#indices;
+    }
+
+    /**
+     * Returns the palette of the image.
+     * @returns {IndexedPalette} The palette.
+     */
+    get palette() {
+        return this.#palette;
+    }
+
+    /**
+     * Sets the palette of the image, for example to swap the colors of an enemy variant.
+     * @param {IndexedPalette} palette - The palette. It needs a color for every index of the image.
+     */
+    set palette(palette) {
+        if (!(palette instanceof IndexedPalette)) {
+            throw new Error('Invalid palette: Expected an IndexedPalette object.');
+        }
+        const maxIndex = this.#indices.reduce((max, index) => Math.max(max, index), 0);
+        if (maxIndex >= palette.size) {
+            throw new Error(`Invalid palette: The image uses the index ${maxIndex}, but the palette has only ${palette.size} colors.`);
+        }
+        this.#palette = palette;
+    }
+}
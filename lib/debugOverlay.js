@@ -0,0 +1,239 @@
+/**
+ * A debug overlay for the Camera: a frame time graph, the split between update and render time,
+ * the number of draw calls, the physics simulation and a panel of watched values.
+ * Every Camera has one, see Camera.debugOverlay and Camera.toggleDebugOverlay().
+ */
+class DebugOverlay {
+    #enabled = false;
+    #historySize;
+    #frameTimes;
+    #historyIndex = 0;
+    #updateTime = 0;
+    #renderTime = 0;
+    #drawCalls = 0;
+    #physics = null;
+    #showPhysics = true;
+    #watches = new Map();
+    #font = null;
+    #textColor = new Color(255, 255, 255, 255);
+    #panelColor = new Color(0, 0, 0, 170);
+    #gridColor = new Color(0, 255, 0, 60);
+    #nodeColor = new Color(255, 255, 0, 255);
+    #connectionColor = new Color(0, 200, 255, 255);
+
+    /**
+     * Creates a new DebugOverlay.
+     * @param {number} [historySize=60] - The number of frames shown in the frame time graph.
+     */
+    constructor(historySize = 60) {
+        if (!Number.isInteger(historySize) || historySize < 2) {
+            throw new Error('Invalid historySize: Expected an integer bigger than 1.');
+        }
+        this.#historySize = historySize;
+        this.#frameTimes = new Float32Array(historySize);
+    }
+
+    /**
+     * Toggles the overlay.
+     */
+    toggle() {
+        this.#enabled = !this.#enabled;
+    }
+
+    /**
+     * Adds a live value to the watch panel. The getter is called every frame the overlay is shown.
+     * @param {string} name - The label of the value. A watch with the same name is replaced.
+     * @param {Function} getter - A function that returns the current value.
+     */
+    watch(name, getter) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Invalid name: Expected a non-empty string.');
+        }
+        if (typeof getter !== 'function') {
+            throw new Error('Invalid getter: Expected a function.');
+        }
+        this.#watches.set(name, getter);
+    }
+
+    /**
+     * Removes a value from the watch panel.
+     * @param {string} name - The label of the value.
+     */
+    unwatch(name) {
+        this.#watches.delete(name);
+    }
+
+    /**
+     * Records the timings of a frame. Called by the Camera every frame.
+     * @param {number} frameTime - The time since the last frame, in milliseconds.
+     * @param {number} updateTime - The time spent in the fixed updates and update(), in milliseconds.
+     * @param {number} renderTime - The time spent drawing, post-processing and in ui(), in milliseconds.
+     * @param {number} drawCalls - The number of draw calls of the frame.
+     */
+    recordFrame(frameTime, updateTime, renderTime, drawCalls) {
+        this.#frameTimes[this.#historyIndex] = frameTime;
+        this.#historyIndex = (this.#historyIndex + 1) % this.#historySize;
+        this.#updateTime = updateTime;
+        this.#renderTime = renderTime;
+        this.#drawCalls = drawCalls;
+    }
+
+    /**
+     * Draws the spatial grid cells, the node radii and the connections of the physics simulation.
+     * Called by the Camera in world space, once per viewport.
+     * @param {Camera} camera - The camera to draw with.
+     */
+    drawWorld(camera) {
+        if (!this.#physics || !this.#showPhysics) return;
+
+        const grid = this.#physics.grid;
+        const cellSize = grid.cellSize;
+        for (let row = 0; row < grid.rows; row++) {
+            for (let column = 0; column < grid.columns; column++) {
+                const count = grid.getNodesInCell(column, row).length;
+                if (count === 0) continue;
+                // Crowded cells are drawn more opaque
+                const alpha = Math.min(255, this.#gridColor.a * count);
+                camera.drawRect(new Vector((column + 0.5) * cellSize, (row + 0.5) * cellSize), cellSize, cellSize,
+                    new Color(this.#gridColor.r, this.#gridColor.g, this.#gridColor.b, alpha));
+            }
+        }
+
+        const transparent = new Color(0, 0, 0, 0);
+        for (const connection of this.#physics.connections) {
+            camera.drawLine(connection.node1.position, connection.node2.position, this.#connectionColor);
+        }
+        for (const node of this.#physics.nodes) {
+            camera.drawEllipseOutline(node.position, node.radius, node.radius, transparent, this.#nodeColor);
+        }
+    }
+
+    /**
+     * Draws the panel with the frame time graph, the statistics and the watched values.
+     * Called by the Camera in screen space after ui().
+     * @param {Camera} camera - The camera to draw with.
+     */
+    drawScreen(camera) {
+        const font = this.#font || BitmapFont.getDefault();
+        const lastFrame = this.#frameTimes[(this.#historyIndex + this.#historySize - 1) % this.#historySize];
+        const lines = [
+            `FPS ${lastFrame > 0 ? Math.round(1000 / lastFrame) : 0}  ${lastFrame.toFixed(1)}ms`,
+            `update ${this.#updateTime.toFixed(1)}ms  render ${this.#renderTime.toFixed(1)}ms`,
+            `draw calls ${this.#drawCalls}`
+        ];
+        if (this.#physics) {
+            lines.push(`nodes ${this.#physics.nodes.length}  connections ${this.#physics.connections.length}`);
+        }
+        for (const [name, getter] of this.#watches) {
+            let value;
+            try {
+                value = DebugOverlay.#formatValue(getter());
+            } catch (error) {
+                value = `error: ${error.message}`;
+            }
+            lines.push(`${name}: ${value}`);
+        }
+
+        const padding = 2;
+        const graphHeight = 20;
+        const textWidth = Math.max(...lines.map(line => font.measureText(line).width));
+        const width = Math.max(textWidth, this.#historySize) + padding * 2;
+        const height = lines.length * font.lineHeight + graphHeight + padding * 3;
+        camera.drawRect(new Vector(width / 2, height / 2), width, height, this.#panelColor);
+        camera.drawBitmapText(lines.join('\n'), new Vector(padding, padding), font, this.#textColor);
+
+        // One bar per frame, the lines mark 60 and 30 frames per second
+        const graphTop = padding * 2 + lines.length * font.lineHeight;
+        const graphBottom = graphTop + graphHeight;
+        const msPerPixel = 50 / graphHeight;
+        for (let i = 0; i < this.#historySize; i++) {
+            const frameTime = this.#frameTimes[(this.#historyIndex + i) % this.#historySize];
+            if (frameTime <= 0) continue;
+            const barHeight = Math.min(graphHeight, Math.max(1, Math.round(frameTime / msPerPixel)));
+            const color = frameTime > 1000 / 30 ? new Color(255, 60, 60, 255) : frameTime > 1000 / 60 + 1 ? new Color(255, 200, 0, 255) : new Color(60, 255, 60, 255);
+            camera.drawRect(new Vector(padding + i + 0.5, graphBottom - barHeight / 2), 1, barHeight, color);
+        }
+        for (const fps of [60, 30]) {
+            const y = Math.round(graphBottom - (1000 / fps) / msPerPixel) + 0.5;
+            camera.drawLine(new Vector(padding, y), new Vector(padding + this.#historySize, y), new Color(255, 255, 255, 90));
+        }
+    }
+
+    static #formatValue(value) {
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? String(value) : value.toFixed(2);
+        }
+        if (value instanceof Vector) {
+            return `(${value.x.toFixed(1)}, ${value.y.toFixed(1)})`;
+        }
+        return String(value);
+    }
+
+    /**
+     * Returns whether the overlay is shown.
+     * @returns {boolean} True if the overlay is shown.
+     */
+    get enabled() {
+        return this.#enabled;
+    }
+
+    /**
+     * Shows or hides the overlay.
+     * @param {boolean} enabled - True to show the overlay.
+     */
+    set enabled(enabled) {
+        if (typeof enabled !== 'boolean') {
+            throw new Error('Invalid enabled value: Expected a boolean.');
+        }
+        this.#enabled = enabled;
+    }
+
+    /**
+     * Returns the physics simulation that is shown.
+     * @returns {Physics|null} The simulation, or null.
+     */
+    get physics() {
+        return this.#physics;
+    }
+
+    /**
+     * Sets the physics simulation whose grid, nodes and connections are shown.
+     * @param {Physics|null} physics - The simulation, or null to show none.
+     */
+    set physics(physics) {
+        if (physics !== null && !(physics instanceof Physics)) {
+            throw new Error('Invalid physics: Expected a Physics object or null.');
+        }
+        this.#physics = physics;
+    }
+
+    /**
+     * Returns whether the physics simulation is drawn in the world.
+     * @returns {boolean} True if the grid, nodes and connections are drawn.
+     */
+    get showPhysics() {
+        return this.#showPhysics;
+    }
+
+    /**
+     * Sets whether the physics simulation is drawn in the world. The counts stay in the panel.
+     * @param {boolean} show - True to draw the grid, nodes and connections.
+     */
+    set showPhysics(show) {
+        if (typeof show !== 'boolean') {
+            throw new Error('Invalid show value: Expected a boolean.');
+        }
+        this.#showPhysics = show;
+    }
+
+    /**
+     * Sets the font of the panel.
+     * @param {BitmapFont|null} font - The font, or null for the default font.
+     */
+    set font(font) {
+        if (font !== null && !(font instanceof BitmapFont)) {
+            throw new Error('Invalid font: Expected a BitmapFont object or null.');
+        }
+        this.#font = font;
+    }
+}
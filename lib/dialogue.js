@@ -0,0 +1,818 @@
+/**
+ * A branching dialogue, loaded from a JSON graph of nodes. A node shows a text, optionally with a speaker,
+ * a portrait and choices, and names the node that follows:
+ *
+ *     {
+ *         "start": "gate",
+ *         "variables": { "gold": 12, "metGuard": false },
+ *         "nodes": {
+ *             "gate": { "speaker": "Guard", "portrait": "guard", "text": "The toll is 10 gold. You have ${gold}.",
+ *                       "set": { "metGuard": true }, "next": "ask" },
+ *             "ask": { "text": "Pay the toll?", "choices": [
+ *                 { "text": "Pay", "condition": "gold >= 10", "add": { "gold": -10 }, "next": "paid" },
+ *                 { "text": "Leave", "next": null }
+ *             ] },
+ *             "paid": { "text": "Move along.", "event": "openGate" },
+ *             "check": { "branches": [{ "condition": "metGuard", "next": "paid" }, { "next": "gate" }] }
+ *         }
+ *     }
+ *
+ * Conditions are "name", "!name" or "name op value" with the operators ==, !=, <, <=, > and >=,
+ * an array of conditions has to match completely. "set" assigns variables, "add" adds to them.
+ * Nodes with "branches" and without text jump to the first branch whose condition matches.
+ * A missing or null "next" ends the dialogue. "${name}" in texts is replaced with the variable.
+ */
+class DialogueScript {
+    static #conditionPattern = /^\s*(!?)\s*([A-Za-z_][\w.]*)\s*(?:(==|!=|<=|>=|<|>)\s*(.+?))?\s*$/;
+    #start;
+    #variables;
+    #nodes = new Map();
+
+    /**
+     * Creates a new DialogueScript.
+     * @param {Object} data - The parsed JSON graph, see the description of the class.
+     */
+    constructor(data) {
+        if (data === null || typeof data !== 'object' || data.nodes === null || typeof data.nodes !== 'object') {
+            throw new Error('Invalid data: Expected an object with a nodes object.');
+        }
+        const ids = Object.keys(data.nodes);
+        if (ids.length === 0) {
+            throw new Error('Invalid data: The script has no nodes.');
+        }
+        this.#start = data.start !== undefined ? data.start : ids[0];
+        this.#variables = Object.assign({}, data.variables);
+
+        for (const id of ids) {
+            this.#nodes.set(id, DialogueScript.#parseNode(id, data.nodes[id]));
+        }
+        // Broken links are found when the script is loaded, not in the middle of a conversation
+        const checkLink = (from, next) => {
+            if (next !== null && !this.#nodes.has(next)) {
+                throw new Error(`Invalid script: Node "${from}" links to the unknown node "${next}".`);
+            }
+        };
+        checkLink('start', this.#start);
+        for (const node of this.#nodes.values()) {
+            checkLink(node.id, node.next);
+            node.choices.forEach(choice => checkLink(node.id, choice.next));
+            node.branches.forEach(branch => checkLink(node.id, branch.next));
+        }
+    }
+
+    /**
+     * Creates a DialogueScript from a JSON string.
+     * @param {string} json - The JSON graph.
+     * @returns {DialogueScript} The script.
+     */
+    static fromJSON(json) {
+        if (typeof json !== 'string') {
+            throw new Error('Invalid json: Expected a string.');
+        }
+        return new DialogueScript(JSON.parse(json));
+    }
+
+    /**
+     * Returns a node of the script.
+     * @param {string} id - The id of the node.
+     * @returns {Object} The node with id, speaker, portrait, text, next, choices, branches, set, add and event.
+     */
+    getNode(id) {
+        const node = this.#nodes.get(id);
+        if (!node) {
+            throw new Error(`Invalid id: The script has no node "${id}".`);
+        }
+        return node;
+    }
+
+    /**
+     * Checks a condition against variables.
+     * @param {string|Array<string>|null} condition - The condition, an array of conditions or null.
+     * @param {Object} variables - The variables.
+     * @returns {boolean} True if the condition matches. A null condition always matches.
+     */
+    static evaluate(condition, variables) {
+        if (condition === null || condition === undefined) return true;
+        if (Array.isArray(condition)) {
+            return condition.every(part => DialogueScript.evaluate(part, variables));
+        }
+        const match = String(condition).match(DialogueScript.#conditionPattern);
+        if (!match) {
+            throw new Error(`Invalid condition: "${condition}".`);
+        }
+        const [, not, name, operator, literal] = match;
+        const value = variables[name];
+        if (!operator) {
+            return not ? !value : !!value;
+        }
+        const other = DialogueScript.#parseLiteral(literal);
+        let result;
+        switch (operator) {
+            case '==': result = value === other; break;
+            case '!=': result = value !== other; break;
+            case '<': result = value < other; break;
+            case '<=': result = value <= other; break;
+            case '>': result = value > other; break;
+            case '>=': result = value >= other; break;
+        }
+        return not ? !result : result;
+    }
+
+    static #parseLiteral(literal) {
+        if (literal === 'true') return true;
+        if (literal === 'false') return false;
+        if (literal === 'null') return null;
+        if (/^-?\d+(\.\d+)?$/.test(literal)) return Number(literal);
+        return literal.replace(/^(['"])(.*)\1$/, '$2');
+    }
+
+    static #parseNode(id, data) {
+        if (data === null || typeof data !== 'object') {
+            throw new Error(`Invalid node "${id}": Expected an object.`);
+        }
+        const branches = Array.isArray(data.branches) ? data.branches : [];
+        if (typeof data.text !== 'string' && branches.length === 0) {
+            throw new Error(`Invalid node "${id}": Expected a text or branches.`);
+        }
+        const choices = Array.isArray(data.choices) ? data.choices : [];
+        choices.forEach((choice, index) => {
+            if (choice === null || typeof choice.text !== 'string') {
+                throw new Error(`Invalid node "${id}": Choice ${index} has no text.`);
+            }
+        });
+        const link = (entry) => entry.next === undefined ? null : entry.next;
+        return {
+            id,
+            speaker: data.speaker || null,
+            portrait: data.portrait || null,
+            text: typeof data.text === 'string' ? data.text : null,
+            next: link(data),
+            event: data.event || null,
+            set: data.set || null,
+            add: data.add || null,
+            choices: choices.map(choice => ({
+                text: choice.text, condition: choice.condition || null, next: link(choice),
+                set: choice.set || null, add: choice.add || null, event: choice.event || null
+            })),
+            branches: branches.map(branch => ({ condition: branch.condition || null, next: link(branch) }))
+        };
+    }
+
+    /**
+     * Returns the id of the first node.
+     * @returns {string} The id.
+     */
+    get start() {
+        return this.#start;
+    }
+
+    /**
+     * Returns the initial values of the variables.
+     * @returns {Object} A copy of the variables.
+     */
+    get variables() {
+        return Object.assign({}, this.#variables);
+    }
+
+    /**
+     * Returns the ids of all nodes.
+     * @returns {Array<string>} The ids.
+     */
+    get nodeIds() {
+        return [...this.#nodes.keys()];
+    }
+}
+
+/**
+ * Walks through a DialogueScript: keeps the current node and the variables, follows branches and applies choices.
+ * It does not draw anything, see DialogueBox for that.
+ */
+class DialogueRunner {
+    static #maxJumps = 100;
+    #script;
+    #variables;
+    #node = null;
+
+    /**
+     * Creates a new DialogueRunner.
+     * @param {DialogueScript} script - The script.
+     * @param {Object|null} [variables=null] - The variables, e.g. shared between several scripts. Null uses a copy of the variables of the script.
+     */
+    constructor(script, variables = null) {
+        if (!(script instanceof DialogueScript)) {
+            throw new Error('Invalid script: Expected a DialogueScript object.');
+        }
+        if (variables !== null && typeof variables !== 'object') {
+            throw new Error('Invalid variables: Expected an object or null.');
+        }
+        this.#script = script;
+        this.#variables = variables || script.variables;
+    }
+
+    /**
+     * Starts the dialogue.
+     * @param {string} [nodeId=script.start] - The node to start at.
+     */
+    start(nodeId = this.#script.start) {
+        this.#enter(nodeId);
+    }
+
+    /**
+     * Moves on to the next node. Only possible if the current node has no choices.
+     */
+    advance() {
+        if (!this.#node) {
+            throw new Error('advance: The dialogue is not running.');
+        }
+        if (this.#node.choices.some(choice => DialogueScript.evaluate(choice.condition, this.#variables))) {
+            throw new Error('advance: The current node has choices, use choose().');
+        }
+        this.#enter(this.#node.next);
+    }
+
+    /**
+     * Picks a choice of the current node and moves on to its node.
+     * @param {number} index - The index in the available choices (see choices).
+     */
+    choose(index) {
+        const choices = this.#getAvailableChoices();
+        if (!Number.isInteger(index) || index < 0 || index >= choices.length) {
+            throw new Error('Invalid index: Expected the index of an available choice.');
+        }
+        const choice = choices[index];
+        this.#apply(choice);
+        this.#enter(choice.next);
+    }
+
+    /**
+     * Returns the value of a variable.
+     * @param {string} name - The name of the variable.
+     * @returns {*} The value, or undefined.
+     */
+    getVariable(name) {
+        return this.#variables[name];
+    }
+
+    /**
+     * Sets the value of a variable.
+     * @param {string} name - The name of the variable.
+     * @param {*} value - The value.
+     */
+    setVariable(name, value) {
+        if (typeof name !== 'string') {
+            throw new Error('Invalid name: Expected a string.');
+        }
+        this.#variables[name] = value;
+    }
+
+    /**
+     * Called when a node or a choice with an "event" is reached, e.g. to open a shop.
+     * Should be overwritten.
+     * @param {string} event - The name of the event.
+     * @param {Object} source - The node or the choice with the event.
+     */
+    onEvent(event, source) {
+        // Override this method in your game code.
+    }
+
+    /**
+     * Called when the dialogue ends.
+     * Should be overwritten.
+     */
+    onEnd() {
+        // Override this method in your game code.
+    }
+
+    #enter(nodeId) {
+        let jumps = 0;
+        while (nodeId !== null) {
+            const node = this.#script.getNode(nodeId);
+            this.#apply(node);
+            if (node.text !== null) {
+                this.#node = node;
+                return;
+            }
+            // Nodes without text only branch, a loop of them would never show anything
+            if (++jumps > DialogueRunner.#maxJumps) {
+                throw new Error(`Invalid script: The branches starting at "${nodeId}" form a loop.`);
+            }
+            const branch = node.branches.find(branch => DialogueScript.evaluate(branch.condition, this.#variables));
+            nodeId = branch ? branch.next : null;
+        }
+        this.#node = null;
+        this.onEnd();
+    }
+
+    #apply(entry) {
+        if (entry.set) {
+            Object.assign(this.#variables, entry.set);
+        }
+        if (entry.add) {
+            for (const name in entry.add) {
+                this.#variables[name] = (this.#variables[name] || 0) + entry.add[name];
+            }
+        }
+        if (entry.event) {
+            this.onEvent(entry.event, entry);
+        }
+    }
+
+    #getAvailableChoices() {
+        if (!this.#node) return [];
+        return this.#node.choices.filter(choice => DialogueScript.evaluate(choice.condition, this.#variables));
+    }
+
+    #interpolate(text) {
+        return text.replace(/\$\{([A-Za-z_][\w.]*)\}/g, (match, name) => {
+            const value = this.#variables[name];
+            return value === undefined ? '' : String(value);
+        });
+    }
+
+    /**
+     * Returns whether the dialogue is running.
+     * @returns {boolean} True if there is a current node.
+     */
+    get running() {
+        return this.#node !== null;
+    }
+
+    /**
+     * Returns the id of the current node.
+     * @returns {string|null} The id, or null if the dialogue is not running.
+     */
+    get nodeId() {
+        return this.#node ? this.#node.id : null;
+    }
+
+    /**
+     * Returns the speaker of the current node.
+     * @returns {string|null} The speaker, or null.
+     */
+    get speaker() {
+        return this.#node ? this.#node.speaker : null;
+    }
+
+    /**
+     * Returns the portrait name of the current node.
+     * @returns {string|null} The portrait name, or null.
+     */
+    get portrait() {
+        return this.#node ? this.#node.portrait : null;
+    }
+
+    /**
+     * Returns the text of the current node with the variables filled in.
+     * @returns {string} The text, or an empty string if the dialogue is not running.
+     */
+    get text() {
+        return this.#node ? this.#interpolate(this.#node.text) : '';
+    }
+
+    /**
+     * Returns the texts of the choices whose conditions match, with the variables filled in.
+     * @returns {Array<string>} The texts, empty if the node has no choices.
+     */
+    get choices() {
+        return this.#getAvailableChoices().map(choice => this.#interpolate(choice.text));
+    }
+
+    /**
+     * Returns the variables.
+     * @returns {Object} The variables, changes are seen by the dialogue.
+     */
+    get variables() {
+        return this.#variables;
+    }
+
+    /**
+     * Returns the script.
+     * @returns {DialogueScript} The script.
+     */
+    get script() {
+        return this.#script;
+    }
+}
+
+/**
+ * Shows a DialogueRunner in an RPG text box: typewriter text with a callback per character, a portrait,
+ * the name of the speaker, pages for long texts and choice prompts.
+ * Enter, Space or gamepad A reveal the page or go on, up and down pick a choice.
+ * Call update() and draw() every frame, e.g. in Camera.ui().
+ */
+class DialogueBox {
+    #camera;
+    #input;
+    #runner = null;
+    #font = null;
+    #position;
+    #width;
+    #lines;
+    #speed = 30;
+    #panel = null;
+    #portraits = new Map();
+    #textColor = new Color(255, 255, 255, 255);
+    #nameColor = new Color(254, 231, 97, 255);
+    #panelColor = new Color(24, 20, 37, 230);
+    #padding = 4;
+    #pages = [];
+    #page = 0;
+    #revealed = 0;
+    #selectedChoice = 0;
+    #controls = { up: false, down: false, left: false, right: false, confirm: false, back: false };
+    #pressed = { up: false, down: false, left: false, right: false, confirm: false, back: false };
+
+    /**
+     * Creates a new DialogueBox.
+     * @param {Camera} camera - The camera to draw with.
+     * @param {Input} input - The input to read the keyboard and gamepads from.
+     * @param {Vector} position - The top left corner of the box, in game pixels.
+     * @param {number} width - The width of the box.
+     * @param {number} [lines=3] - The number of text lines on a page.
+     */
+    constructor(camera, input, position, width, lines = 3) {
+        if (!(camera instanceof Camera)) {
+            throw new Error('Invalid camera: Expected a Camera object.');
+        }
+        if (!(input instanceof Input)) {
+            throw new Error('Invalid input: Expected an Input object.');
+        }
+        if (!(position instanceof Vector)) {
+            throw new Error('Invalid position: Expected a Vector object.');
+        }
+        if (typeof width !== 'number' || width <= 0) {
+            throw new Error('Invalid width: Expected a positive number.');
+        }
+        if (!Number.isInteger(lines) || lines < 1) {
+            throw new Error('Invalid lines: Expected a positive integer.');
+        }
+        this.#camera = camera;
+        this.#input = input;
+        this.#position = position.copy();
+        this.#width = width;
+        this.#lines = lines;
+    }
+
+    /**
+     * Opens the box with a dialogue. The runner is started if it does not run yet.
+     * @param {DialogueRunner} runner - The dialogue.
+     */
+    open(runner) {
+        if (!(runner instanceof DialogueRunner)) {
+            throw new Error('Invalid runner: Expected a DialogueRunner object.');
+        }
+        this.#runner = runner;
+        if (!runner.running) {
+            runner.start();
+        }
+        // The key that opened the box must not skip the first page
+        this.#controls = this.#input.getMenuControls();
+        this.#showNode();
+    }
+
+    /**
+     * Closes the box. The runner keeps its state.
+     */
+    close() {
+        if (!this.#runner) return;
+        this.#runner = null;
+        this.onClose();
+    }
+
+    /**
+     * Adds a portrait that nodes can show with "portrait": name.
+     * @param {string} name - The name of the portrait.
+     * @param {Image|HTMLCanvasElement|RenderTarget} image - The image, drawn as a square at the left of the box.
+     */
+    addPortrait(name, image) {
+        if (typeof name !== 'string') {
+            throw new Error('Invalid name: Expected a string.');
+        }
+        if (!CameraBackend.isImage(image) && !(image instanceof RenderTarget)) {
+            throw new Error('Invalid image: Expected an Image, a canvas or a RenderTarget.');
+        }
+        this.#portraits.set(name, image);
+        this.#showNode();
+    }
+
+    /**
+     * Reveals the text and handles the input. Pass the unscaled delta time to keep the box running while the game is paused.
+     * @param {number} deltaTime - The elapsed time, in seconds.
+     */
+    update(deltaTime) {
+        if (typeof deltaTime !== 'number' || deltaTime < 0) {
+            throw new Error('Invalid deltaTime: Expected a number bigger or equal than 0.');
+        }
+        const controls = this.#input.getMenuControls();
+        for (const name in controls) {
+            this.#pressed[name] = controls[name] && !this.#controls[name];
+        }
+        this.#controls = controls;
+        if (!this.#runner) return;
+
+        const pageLength = this.#getPageLength();
+        if (this.#revealed < pageLength) {
+            const before = Math.floor(this.#revealed);
+            this.#revealed = this.#speed === Infinity ? pageLength : Math.min(pageLength, this.#revealed + this.#speed * deltaTime);
+            this.#announceCharacters(before, Math.floor(this.#revealed));
+            if (this.#pressed.confirm) {
+                this.#revealed = pageLength;
+            }
+            return;
+        }
+
+        const choices = this.#isLastPage() ? this.#runner.choices : [];
+        if (choices.length > 0) {
+            const direction = (this.#pressed.down ? 1 : 0) - (this.#pressed.up ? 1 : 0);
+            this.#selectedChoice = (this.#selectedChoice + direction + choices.length) % choices.length;
+        }
+        if (!this.#pressed.confirm) return;
+
+        if (!this.#isLastPage()) {
+            this.#page++;
+            this.#revealed = 0;
+        } else if (choices.length > 0) {
+            this.#runner.choose(this.#selectedChoice);
+            this.#showNode();
+        } else {
+            this.#runner.advance();
+            this.#showNode();
+        }
+    }
+
+    /**
+     * Draws the box, if it is open.
+     */
+    draw() {
+        if (!this.#runner) return;
+        const font = this.#getFont();
+        const padding = this.#padding;
+        const height = this.height;
+        if (this.#panel) {
+            this.#panel.draw(this.#camera, this.#position, this.#width, height);
+        } else {
+            this.#camera.drawRect(new Vector(this.#position.x + this.#width / 2, this.#position.y + height / 2), this.#width, height, this.#panelColor);
+        }
+
+        let textX = this.#position.x + padding;
+        const portrait = this.#getPortrait();
+        if (portrait) {
+            const size = height - padding * 2;
+            this.#camera.drawImage(portrait, new Vector(textX + size / 2, this.#position.y + padding + size / 2), size, size);
+            textX += size + padding;
+        }
+        let textY = this.#position.y + padding;
+        if (this.#runner.speaker) {
+            this.#camera.drawBitmapText(this.#runner.speaker, new Vector(textX, textY), font, this.#nameColor);
+            textY += font.lineHeight;
+        }
+
+        let remaining = Math.floor(this.#revealed);
+        const pageLines = this.#pages[this.#page] || [];
+        pageLines.forEach((line, index) => {
+            const visible = DialogueBox.#visiblePrefix(line, remaining);
+            remaining -= DialogueBox.#visibleLength(line);
+            this.#camera.drawBitmapText(visible, new Vector(textX, textY + index * font.lineHeight), font, this.#textColor);
+        });
+        if (this.#revealed < this.#getPageLength()) return;
+
+        const choices = this.#isLastPage() ? this.#runner.choices : [];
+        if (choices.length > 0) {
+            const choicesY = textY + pageLines.length * font.lineHeight;
+            // Only the choices that fit in the box are drawn, the list scrolls with the selection
+            const rows = Math.max(1, this.#getLinesPerPage() - pageLines.length);
+            const first = Math.max(0, Math.min(this.#selectedChoice - rows + 1, choices.length - rows));
+            choices.slice(first, first + rows).forEach((choice, row) => {
+                const index = first + row;
+                const marker = index === this.#selectedChoice ? '> ' : '  ';
+                const color = index === this.#selectedChoice ? this.#nameColor : this.#textColor;
+                this.#camera.drawBitmapText(marker + choice, new Vector(textX, choicesY + row * font.lineHeight), font, color);
+            });
+        } else if (this.#camera.clock.unscaledTime % 1 < 0.5) {
+            // Blinking marker: the player can go on
+            const markerX = this.#position.x + this.#width - padding - 3;
+            const markerY = this.#position.y + height - padding - 2;
+            this.#camera.drawTriangle(new Vector(markerX - 3, markerY - 2), new Vector(markerX + 3, markerY - 2), new Vector(markerX, markerY + 1), this.#textColor);
+        }
+    }
+
+    /**
+     * Called for every revealed character that is not a space, e.g. to play a typing sound.
+     * Should be overwritten.
+     * @param {string} character - The character.
+     */
+    onCharacter(character) {
+        // Override this method in your game code.
+    }
+
+    /**
+     * Called when the box closes, because the dialogue ended or close() was called.
+     * Should be overwritten.
+     */
+    onClose() {
+        // Override this method in your game code.
+    }
+
+    #showNode() {
+        if (!this.#runner) return;
+        if (!this.#runner.running) {
+            this.close();
+            return;
+        }
+        this.#pages = this.#paginate(this.#runner.text);
+        this.#page = 0;
+        this.#revealed = 0;
+        this.#selectedChoice = 0;
+    }
+
+    #paginate(text) {
+        const font = this.#getFont();
+        const maxWidth = this.#getTextWidth();
+        const lines = [];
+        // A color code stays open over line breaks, so every line starts with the color the line before ended with
+        let color = '';
+        const pushLine = (line) => {
+            lines.push(color + line);
+            const codes = line.match(/\{(#[0-9a-fA-F]{6}(?:[0-9a-fA-F]{2})?|\/)\}/g);
+            if (codes) {
+                const last = codes[codes.length - 1];
+                color = last === '{/}' ? '' : last;
+            }
+        };
+        for (const paragraph of text === '' ? [] : text.split('\n')) {
+            let line = '';
+            for (const word of paragraph.split(' ')) {
+                const candidate = line === '' ? word : `${line} ${word}`;
+                if (line !== '' && font.measureText(candidate).width > maxWidth) {
+                    pushLine(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            }
+            pushLine(line);
+        }
+        // The choices are shown below the text of the last page, so they take lines away from it.
+        // If they do not fit next to any text, they get a page of their own and scroll there
+        const choiceLines = this.#runner.choices.length;
+        const linesPerPage = this.#getLinesPerPage();
+        const pages = [];
+        for (let i = 0; i < lines.length; i += linesPerPage) {
+            pages.push(lines.slice(i, i + linesPerPage));
+        }
+        if (pages.length === 0) {
+            pages.push([]);
+        }
+        const last = pages[pages.length - 1];
+        const keep = Math.max(0, linesPerPage - choiceLines);
+        if (choiceLines > 0 && last.length > keep) {
+            pages.push(last.splice(last.length - keep));
+        }
+        return pages;
+    }
+
+    #announceCharacters(from, to) {
+        let index = 0;
+        for (const line of this.#pages[this.#page]) {
+            for (const character of DialogueBox.#stripColorCodes(line)) {
+                if (index >= from && index < to && character !== ' ') {
+                    this.onCharacter(character);
+                }
+                index++;
+            }
+        }
+    }
+
+    #getPageLength() {
+        const lines = this.#pages[this.#page] || [];
+        return lines.reduce((length, line) => length + DialogueBox.#visibleLength(line), 0);
+    }
+
+    #getLinesPerPage() {
+        return Math.max(1, this.#lines - (this.#runner.speaker ? 1 : 0));
+    }
+
+    #isLastPage() {
+        return this.#page >= this.#pages.length - 1;
+    }
+
+    #getFont() {
+        return this.#font || BitmapFont.getDefault();
+    }
+
+    #getPortrait() {
+        return this.#runner && this.#runner.portrait ? this.#portraits.get(this.#runner.portrait) || null : null;
+    }
+
+    #getTextWidth() {
+        let width = this.#width - this.#padding * 2;
+        if (this.#getPortrait()) {
+            width -= this.height - this.#padding;
+        }
+        return width;
+    }
+
+    static #stripColorCodes(text) {
+        return text.replace(/\{(#[0-9a-fA-F]{6}(?:[0-9a-fA-F]{2})?|\/)\}/g, '');
+    }
+
+    static #visibleLength(text) {
+        return DialogueBox.#stripColorCodes(text).length;
+    }
+
+    static #visiblePrefix(text, count) {
+        // Color codes are copied without counting, so colored words are revealed letter by letter, too
+        let result = '';
+        let visible = 0;
+        for (let i = 0; i < text.length && visible < count; i++) {
+            const code = text[i] === '{' ? text.substring(i).match(/^\{(#[0-9a-fA-F]{6}(?:[0-9a-fA-F]{2})?|\/)\}/) : null;
+            if (code) {
+                result += code[0];
+                i += code[0].length - 1;
+                continue;
+            }
+            result += text[i];
+            visible++;
+        }
+        return result;
+    }
+
+    /**
+     * Returns whether the box is open.
+     * @returns {boolean} True if the box shows a dialogue.
+     */
+    get isOpen() {
+        return this.#runner !== null;
+    }
+
+    /**
+     * Returns the dialogue of the box.
+     * @returns {DialogueRunner|null} The runner, or null if the box is closed.
+     */
+    get runner() {
+        return this.#runner;
+    }
+
+    /**
+     * Returns whether the whole page is shown.
+     * @returns {boolean} True if the typewriter is done with the page.
+     */
+    get pageRevealed() {
+        return this.#revealed >= this.#getPageLength();
+    }
+
+    /**
+     * Returns the height of the box.
+     * @returns {number} The height, in pixels.
+     */
+    get height() {
+        return this.#lines * this.#getFont().lineHeight + this.#padding * 2;
+    }
+
+    /**
+     * Sets the typewriter speed.
+     * @param {number} speed - The characters per second, Infinity shows pages at once.
+     */
+    set speed(speed) {
+        if (typeof speed !== 'number' || speed <= 0) {
+            throw new Error('Invalid speed: Expected a positive number.');
+        }
+        this.#speed = speed;
+    }
+
+    /**
+     * Sets the font.
+     * @param {BitmapFont|null} font - The font, or null for the default font.
+     */
+    set font(font) {
+        if (font !== null && !(font instanceof BitmapFont)) {
+            throw new Error('Invalid font: Expected a BitmapFont object or null.');
+        }
+        this.#font = font;
+        this.#showNode();
+    }
+
+    /**
+     * Sets the sprite of the box.
+     * @param {NineSlice|null} panel - The sprite, or null for a flat rectangle.
+     */
+    set panel(panel) {
+        if (panel !== null && !(panel instanceof NineSlice)) {
+            throw new Error('Invalid panel: Expected a NineSlice object or null.');
+        }
+        this.#panel = panel;
+    }
+
+    /**
+     * Sets the colors of the box.
+     * @param {{text: Color, name: Color, panel: Color}} colors - The color of the text, of the speaker name and choice marker, and of the flat box.
+     */
+    set colors({ text = this.#textColor, name = this.#nameColor, panel = this.#panelColor }) {
+        if (![text, name, panel].every(color => color instanceof Color)) {
+            throw new Error('Invalid colors: Expected Color objects.');
+        }
+        this.#textColor = text;
+        this.#nameColor = name;
+        this.#panelColor = panel;
+    }
+}
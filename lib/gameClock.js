@@ -0,0 +1,383 @@
+/**
+ * The clock of the game: the Camera ticks it every frame, and the delta time it hands out is scaled, paused and
+ * stepped here. Camera.getDeltaTime(), the fixed updates, the scenes, animations and tweens all follow it,
+ * which makes slow motion, hit-stop and pause menus a matter of changing the clock.
+ */
+class GameClock {
+    static #default = null;
+    #timeScale = 1;
+    #paused = false;
+    #pendingSteps = 0;
+    #stepDuration = 1 / 60;
+    #hitStopRemaining = 0;
+    #hitStopScale = 0;
+    #lastNow = null;
+    #deltaTime = 0;
+    #unscaledDeltaTime = 0;
+    #time = 0;
+    #unscaledTime = 0;
+    #tweens = new Map();
+
+    /**
+     * Advances the clock to a timestamp. Called by the Camera at the start of every frame.
+     * A timestamp that is not later than the last one is ignored, so cameras sharing a clock can all tick it.
+     * @param {number} now - The current time, in milliseconds.
+     */
+    tick(now) {
+        if (typeof now !== 'number' || !Number.isFinite(now)) {
+            throw new Error('Invalid now: Expected a finite number.');
+        }
+        if (this.#lastNow !== null && now <= this.#lastNow) return;
+
+        // Like Camera.getDeltaTime(), a long pause of the browser tab counts as one second at most
+        const unscaledDeltaTime = this.#lastNow === null ? 0 : Math.min((now - this.#lastNow) / 1000, 1);
+        this.#lastNow = now;
+        this.#unscaledDeltaTime = unscaledDeltaTime;
+        this.#unscaledTime += unscaledDeltaTime;
+
+        if (this.#paused) {
+            if (this.#pendingSteps > 0) {
+                this.#pendingSteps--;
+                this.#deltaTime = this.#stepDuration;
+            } else {
+                this.#deltaTime = 0;
+            }
+        } else if (this.#hitStopRemaining > 0) {
+            // A hit-stop runs in real time and ends within the frame it runs out in
+            const stopped = Math.min(unscaledDeltaTime, this.#hitStopRemaining);
+            this.#deltaTime = stopped * this.#hitStopScale + (unscaledDeltaTime - stopped) * this.#timeScale;
+            this.#hitStopRemaining -= stopped;
+        } else {
+            this.#deltaTime = unscaledDeltaTime * this.#timeScale;
+        }
+        this.#time += this.#deltaTime;
+
+        for (const [tween, unscaled] of this.#tweens) {
+            tween.update(unscaled ? unscaledDeltaTime : this.#deltaTime);
+            if (tween.finished) {
+                this.#tweens.delete(tween);
+            }
+        }
+    }
+
+    /**
+     * Sets the time the first tick measures from, so the first frame gets its real duration instead of 0.
+     * Called by the Camera when it starts. A clock that was already ticked keeps its time.
+     * @param {number} now - The current time, in milliseconds.
+     */
+    start(now) {
+        if (typeof now !== 'number' || !Number.isFinite(now)) {
+            throw new Error('Invalid now: Expected a finite number.');
+        }
+        if (this.#lastNow === null) {
+            this.#lastNow = now;
+        }
+    }
+
+    /**
+     * Pauses the clock. The delta time is 0 until the clock is resumed, unscaled tweens keep running.
+     */
+    pause() {
+        this.#paused = true;
+    }
+
+    /**
+     * Resumes the clock. Frames that were requested with step() and did not run yet are dropped.
+     */
+    resume() {
+        this.#paused = false;
+        this.#pendingSteps = 0;
+    }
+
+    /**
+     * Pauses the clock if it runs, resumes it if it is paused.
+     */
+    togglePause() {
+        if (this.#paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Pauses the clock and lets the next frames run with a fixed delta time, for frame-by-frame debugging.
+     * @param {number} [frames=1] - The number of frames to run.
+     * @param {number} [duration=1 / 60] - The delta time of every frame, in seconds. The time scale does not apply.
+     */
+    step(frames = 1, duration = 1 / 60) {
+        if (!Number.isInteger(frames) || frames < 1) {
+            throw new Error('Invalid frames: Expected a positive integer.');
+        }
+        if (typeof duration !== 'number' || duration <= 0) {
+            throw new Error('Invalid duration: Expected a positive number.');
+        }
+        this.#paused = true;
+        this.#pendingSteps += frames;
+        this.#stepDuration = duration;
+    }
+
+    /**
+     * Freezes or slows the game for a moment of real time, e.g. to give a hit more weight.
+     * A new hit-stop replaces the running one.
+     * @param {number} duration - The duration of the hit-stop, in real seconds.
+     * @param {number} [timeScale=0] - The time scale during the hit-stop, 0 freezes the game.
+     */
+    hitStop(duration, timeScale = 0) {
+        if (typeof duration !== 'number' || duration < 0) {
+            throw new Error('Invalid duration: Expected a number bigger or equal than 0.');
+        }
+        if (typeof timeScale !== 'number' || timeScale < 0) {
+            throw new Error('Invalid timeScale: Expected a number bigger or equal than 0.');
+        }
+        this.#hitStopRemaining = duration;
+        this.#hitStopScale = timeScale;
+    }
+
+    /**
+     * Adds a tween that is updated every tick until it is finished.
+     * @param {Tween} tween - The tween.
+     * @param {boolean} [unscaled=false] - If true, the tween runs in real time, e.g. for the animations of a pause menu.
+     * @returns {Tween} The tween.
+     */
+    addTween(tween, unscaled = false) {
+        if (!(tween instanceof Tween)) {
+            throw new Error('Invalid tween: Expected a Tween object.');
+        }
+        if (typeof unscaled !== 'boolean') {
+            throw new Error('Invalid unscaled value: Expected a boolean.');
+        }
+        this.#tweens.set(tween, unscaled);
+        return tween;
+    }
+
+    /**
+     * Removes a tween before it is finished.
+     * @param {Tween} tween - The tween.
+     */
+    removeTween(tween) {
+        this.#tweens.delete(tween);
+    }
+
+    /**
+     * Returns the clock the cameras, animations and tweens use unless they were given another one.
+     * @returns {GameClock} The default clock.
+     */
+    static get default() {
+        if (!GameClock.#default) {
+            GameClock.#default = new GameClock();
+        }
+        return GameClock.#default;
+    }
+
+    /**
+     * Sets the clock new cameras and animations use. Cameras and animations that were created before keep their clock.
+     * @param {GameClock} clock - The clock.
+     */
+    static set default(clock) {
+        if (!(clock instanceof GameClock)) {
+            throw new Error('Invalid clock: Expected a GameClock object.');
+        }
+        GameClock.#default = clock;
+    }
+
+    /**
+     * Returns the scaled time of the last tick: 0 while paused, the step duration while stepping.
+     * @returns {number} The delta time, in seconds.
+     */
+    get deltaTime() {
+        return this.#deltaTime;
+    }
+
+    /**
+     * Returns the real time of the last tick.
+     * @returns {number} The delta time, in seconds.
+     */
+    get unscaledDeltaTime() {
+        return this.#unscaledDeltaTime;
+    }
+
+    /**
+     * Returns the game time, the sum of all scaled delta times.
+     * @returns {number} The time, in seconds.
+     */
+    get time() {
+        return this.#time;
+    }
+
+    /**
+     * Returns the real time the clock has been ticking.
+     * @returns {number} The time, in seconds.
+     */
+    get unscaledTime() {
+        return this.#unscaledTime;
+    }
+
+    /**
+     * Returns the time scale.
+     * @returns {number} The time scale, 1 is normal speed.
+     */
+    get timeScale() {
+        return this.#timeScale;
+    }
+
+    /**
+     * Sets the time scale, e.g. 0.25 for bullet time or 2 for fast forward.
+     * @param {number} timeScale - The time scale, 1 is normal speed.
+     */
+    set timeScale(timeScale) {
+        if (typeof timeScale !== 'number' || !Number.isFinite(timeScale) || timeScale < 0) {
+            throw new Error('Invalid timeScale: Expected a number bigger or equal than 0.');
+        }
+        this.#timeScale = timeScale;
+    }
+
+    /**
+     * Returns whether the clock is paused.
+     * @returns {boolean} True if the clock is paused.
+     */
+    get paused() {
+        return this.#paused;
+    }
+
+    /**
+     * Returns whether a hit-stop is running.
+     * @returns {boolean} True if a hit-stop is running.
+     */
+    get hitStopping() {
+        return this.#hitStopRemaining > 0;
+    }
+}
+
+/**
+ * Animates a number or a Vector from one value to another over time. Add it to a GameClock with
+ * GameClock.addTween() to follow the time scale and the pause of the game, or call update() by hand.
+ */
+class Tween {
+    #from;
+    #to;
+    #duration;
+    #onUpdate;
+    #easing;
+    #onComplete;
+    #elapsed = 0;
+    #finished = false;
+
+    /**
+     * Creates a new Tween.
+     * @param {number|Vector} from - The start value.
+     * @param {number|Vector} to - The end value, of the same type as the start value.
+     * @param {number} duration - The duration, in seconds.
+     * @param {Function} onUpdate - Called with the current value on every update.
+     * @param {Function} [easing=Easings.LINEAR] - Maps the progress (0-1) to the eased progress, see Easings.
+     * @param {Function|null} [onComplete=null] - Called once when the tween is finished.
+     */
+    constructor(from, to, duration, onUpdate, easing = Easings.LINEAR, onComplete = null) {
+        const isNumber = typeof from === 'number' && typeof to === 'number';
+        const isVector = from instanceof Vector && to instanceof Vector;
+        if (!isNumber && !isVector) {
+            throw new Error('Invalid values: Expected two numbers or two Vector objects.');
+        }
+        if (typeof duration !== 'number' || duration < 0) {
+            throw new Error('Invalid duration: Expected a number bigger or equal than 0.');
+        }
+        if (typeof onUpdate !== 'function') {
+            throw new Error('Invalid onUpdate: Expected a function.');
+        }
+        if (typeof easing !== 'function') {
+            throw new Error('Invalid easing: Expected a function.');
+        }
+        if (onComplete !== null && typeof onComplete !== 'function') {
+            throw new Error('Invalid onComplete: Expected a function or null.');
+        }
+        this.#from = isVector ? from.copy() : from;
+        this.#to = isVector ? to.copy() : to;
+        this.#duration = duration;
+        this.#onUpdate = onUpdate;
+        this.#easing = easing;
+        this.#onComplete = onComplete;
+    }
+
+    /**
+     * Advances the tween.
+     * @param {number} deltaTime - The elapsed time, in seconds.
+     */
+    update(deltaTime) {
+        if (typeof deltaTime !== 'number' || deltaTime < 0) {
+            throw new Error('Invalid deltaTime: Expected a number bigger or equal than 0.');
+        }
+        if (this.#finished) return;
+
+        this.#elapsed = Math.min(this.#elapsed + deltaTime, this.#duration);
+        this.#onUpdate(this.value);
+        if (this.#elapsed >= this.#duration) {
+            this.#finished = true;
+            if (this.#onComplete) {
+                this.#onComplete();
+            }
+        }
+    }
+
+    /**
+     * Restarts the tween from the start value. A tween that was removed from its clock has to be added again.
+     */
+    reset() {
+        this.#elapsed = 0;
+        this.#finished = false;
+    }
+
+    /**
+     * Returns the current value.
+     * @returns {number|Vector} The current value, a new Vector for Vector tweens.
+     */
+    get value() {
+        const t = this.#easing(this.progress);
+        if (this.#from instanceof Vector) {
+            return new Vector(GameMath.lerp(this.#from.x, this.#to.x, t), GameMath.lerp(this.#from.y, this.#to.y, t));
+        }
+        return GameMath.lerp(this.#from, this.#to, t);
+    }
+
+    /**
+     * Returns the progress of the tween.
+     * @returns {number} The progress (0-1), before easing.
+     */
+    get progress() {
+        return this.#duration === 0 ? 1 : this.#elapsed / this.#duration;
+    }
+
+    /**
+     * Returns whether the tween reached its end value.
+     * @returns {boolean} True if the tween is finished.
+     */
+    get finished() {
+        return this.#finished;
+    }
+
+    /**
+     * Returns the duration of the tween.
+     * @returns {number} The duration, in seconds.
+     */
+    get duration() {
+        return this.#duration;
+    }
+}
+
+/**
+ * Easing functions for tweens. Each maps the progress (0-1) to the eased progress.
+ * @constant
+ * @type {object}
+ */
+const Easings = {
+    LINEAR: t => t,
+    EASE_IN: t => t * t,
+    EASE_OUT: t => t * (2 - t),
+    EASE_IN_OUT: t => t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t),
+    EASE_OUT_BACK: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+    EASE_OUT_BOUNCE: t => {
+        if (t < 1 / 2.75) return 7.5625 * t * t;
+        if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+        if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+        return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+    }
+};
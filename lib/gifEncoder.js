@@ -0,0 +1,273 @@
+/**
+ * Encodes frames into an animated GIF. Every frame gets its own palette, taken from the colors of the frame.
+ * Frames with more than 256 colors are reduced to the 256 most used colors.
+ */
+class GifEncoder {
+    #width;
+    #height;
+    #bytes = [];
+    #finished = false;
+
+    /**
+     * Creates a new GifEncoder.
+     * @param {number} width - The width of the GIF, in pixels.
+     * @param {number} height - The height of the GIF, in pixels.
+     * @param {number} [loopCount=0] - How many times the animation repeats, 0 repeats forever.
+     */
+    constructor(width, height, loopCount = 0) {
+        if (!Number.isInteger(width) || width <= 0 || width > 65535 || !Number.isInteger(height) || height <= 0 || height > 65535) {
+            throw new Error('Invalid size: Expected integers between 1 and 65535 for width and height.');
+        }
+        if (!Number.isInteger(loopCount) || loopCount < 0 || loopCount > 65535) {
+            throw new Error('Invalid loopCount: Expected an integer between 0 and 65535.');
+        }
+        this.#width = width;
+        this.#height = height;
+
+        // Header and logical screen descriptor without a global color table
+        this.#writeString('GIF89a');
+        this.#writeShort(width);
+        this.#writeShort(height);
+        this.#bytes.push(0, 0, 0);
+
+        // Netscape extension for looping
+        this.#bytes.push(0x21, 0xff, 0x0b);
+        this.#writeString('NETSCAPE2.0');
+        this.#bytes.push(0x03, 0x01);
+        this.#writeShort(loopCount);
+        this.#bytes.push(0x00);
+    }
+
+    #writeString(string) {
+        for (let i = 0; i < string.length; i++) {
+            this.#bytes.push(string.charCodeAt(i));
+        }
+    }
+
+    #writeShort(value) {
+        this.#bytes.push(value & 0xff, (value >> 8) & 0xff);
+    }
+
+    /**
+     * Adds a frame to the GIF.
+     * @param {ImageData|{data: Uint8ClampedArray, width: number, height: number}} imageData - The frame. The alpha channel is ignored.
+     * @param {number} delay - How long the frame is shown, in milliseconds. GIF stores it in steps of 10ms.
+     * @param {number} [scale=1] - The integer factor the frame is upscaled with. The scaled frame has to match the size of the GIF.
+     */
+    addFrame(imageData, delay, scale = 1) {
+        if (this.#finished) {
+            throw new Error('GifEncoder: Cannot add frames after finish() was called.');
+        }
+        if (!imageData || !(imageData.data instanceof Uint8ClampedArray)) {
+            throw new Error('Invalid imageData: Expected an ImageData object.');
+        }
+        if (!Number.isInteger(scale) || scale < 1) {
+            throw new Error('Invalid scale: Expected a positive integer.');
+        }
+        if (imageData.width * scale !== this.#width || imageData.height * scale !== this.#height) {
+            throw new Error(`Invalid frame size: Expected ${this.#width}x${this.#height} after scaling.`);
+        }
+        if (typeof delay !== 'number' || delay < 0) {
+            throw new Error('Invalid delay: Expected a number bigger or equal than 0.');
+        }
+
+        const { palette, indices } = GifEncoder.#indexFrame(imageData);
+        const scaledIndices = scale === 1 ? indices : GifEncoder.#scaleIndices(indices, imageData.width, imageData.height, scale);
+
+        // The color table size is a power of two, at least 2 entries
+        let tableBits = 1;
+        while ((1 << tableBits) < palette.length) tableBits++;
+
+        // Graphic control extension
+        this.#bytes.push(0x21, 0xf9, 0x04, 0x00);
+        this.#writeShort(Math.round(delay / 10));
+        this.#bytes.push(0x00, 0x00);
+
+        // Image descriptor with a local color table
+        this.#bytes.push(0x2c);
+        this.#writeShort(0);
+        this.#writeShort(0);
+        this.#writeShort(this.#width);
+        this.#writeShort(this.#height);
+        this.#bytes.push(0x80 | (tableBits - 1));
+        for (let i = 0; i < (1 << tableBits); i++) {
+            const color = palette[i] || 0;
+            this.#bytes.push((color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff);
+        }
+
+        const minCodeSize = Math.max(2, tableBits);
+        this.#bytes.push(minCodeSize);
+        const data = GifEncoder.#lzwEncode(scaledIndices, minCodeSize);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            this.#bytes.push(block.length);
+            for (const byte of block) this.#bytes.push(byte);
+        }
+        this.#bytes.push(0x00);
+    }
+
+    /**
+     * Finishes the GIF. No frames can be added afterwards.
+     * @returns {Uint8Array} The bytes of the GIF file.
+     */
+    finish() {
+        if (!this.#finished) {
+            this.#bytes.push(0x3b);
+            this.#finished = true;
+        }
+        return new Uint8Array(this.#bytes);
+    }
+
+    /**
+     * Finishes the GIF and returns it as a Blob.
+     * @returns {Blob} The GIF file.
+     */
+    toBlob() {
+        return new Blob([this.finish()], { type: 'image/gif' });
+    }
+
+    static #indexFrame(imageData) {
+        const data = imageData.data;
+        const pixelCount = imageData.width * imageData.height;
+        const indices = new Uint8Array(pixelCount);
+        const colorIndices = new Map();
+        let palette = [];
+
+        for (let p = 0; p < pixelCount; p++) {
+            const color = data[p * 4] << 16 | data[p * 4 + 1] << 8 | data[p * 4 + 2];
+            let index = colorIndices.get(color);
+            if (index === undefined) {
+                if (palette.length === 256) {
+                    return GifEncoder.#indexReducedFrame(imageData);
+                }
+                index = palette.length;
+                palette.push(color);
+                colorIndices.set(color, index);
+            }
+            indices[p] = index;
+        }
+        return { palette, indices };
+    }
+
+    // Reduces the colors to 4 bits per channel and keeps the 256 most used ones
+    static #indexReducedFrame(imageData) {
+        const data = imageData.data;
+        const pixelCount = imageData.width * imageData.height;
+        const buckets = new Map();
+        for (let p = 0; p < pixelCount; p++) {
+            const r = data[p * 4], g = data[p * 4 + 1], b = data[p * 4 + 2];
+            const key = (r >> 4) << 8 | (g >> 4) << 4 | (b >> 4);
+            const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+            bucket.count++;
+            bucket.r += r;
+            bucket.g += g;
+            bucket.b += b;
+            buckets.set(key, bucket);
+        }
+
+        const colors = [...buckets.values()]
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 256)
+            .map(bucket => [Math.round(bucket.r / bucket.count), Math.round(bucket.g / bucket.count), Math.round(bucket.b / bucket.count)]);
+        const palette = colors.map(([r, g, b]) => r << 16 | g << 8 | b);
+
+        const indices = new Uint8Array(pixelCount);
+        const nearest = new Map();
+        for (let p = 0; p < pixelCount; p++) {
+            const r = data[p * 4], g = data[p * 4 + 1], b = data[p * 4 + 2];
+            const color = r << 16 | g << 8 | b;
+            let index = nearest.get(color);
+            if (index === undefined) {
+                let minDistance = Infinity;
+                colors.forEach(([pr, pg, pb], i) => {
+                    const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+                    if (distance < minDistance) {
+                        minDistance = distance;
+                        index = i;
+                    }
+                });
+                nearest.set(color, index);
+            }
+            indices[p] = index;
+        }
+        return { palette, indices };
+    }
+
+    static #scaleIndices(indices, width, height, scale) {
+        const scaledWidth = width * scale;
+        const scaled = new Uint8Array(scaledWidth * height * scale);
+        for (let y = 0; y < height * scale; y++) {
+            const sourceRow = Math.floor(y / scale) * width;
+            for (let x = 0; x < scaledWidth; x++) {
+                scaled[y * scaledWidth + x] = indices[sourceRow + Math.floor(x / scale)];
+            }
+        }
+        return scaled;
+    }
+
+    static #lzwEncode(indices, minCodeSize) {
+        const output = [];
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let dictionary = new Map();
+        let buffer = 0;
+        let bufferBits = 0;
+
+        const emit = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                output.push(buffer & 0xff);
+                buffer >>>= 8;
+                bufferBits -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = prefix << 8 | index;
+            const code = dictionary.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === 4096) {
+                // The dictionary is full, start over
+                emit(clearCode);
+                dictionary = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                dictionary.set(key, nextCode++);
+            }
+            prefix = index;
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bufferBits > 0) output.push(buffer & 0xff);
+        return new Uint8Array(output);
+    }
+
+    /**
+     * Returns the width of the GIF.
+     * @returns {number} The width, in pixels.
+     */
+    get width() {
+        return this.#width;
+    }
+
+    /**
+     * Returns the height of the GIF.
+     * @returns {number} The height, in pixels.
+     */
+    get height() {
+        return this.#height;
+    }
+}
@@ -5,12 +5,17 @@
 class Input {
     #canvasId;
     #canvas;
+    #camera = null;
+    #consumers = new Set();
     // Keyboard attributes
     #keys;
+    #typedText = '';
     // Mouse attributes
     #position;
     #mouseButtons;
+    #wheelDelta = 0;
     // Gamepad attributes
+    static #menuStickThreshold = 0.5;
     #gamepads = [];
     #gamepadButtonStates = [];
     #gamepadAxesStates = [];
@@ -53,6 +58,44 @@ class Input {
         this.#initializeEventListeners();
     }
 
+    /**
+     * Maps the mouse position through the scale mode of a camera, so getMousePosition() returns game pixels
+     * that stay correct with letterbox bars, integer scaling, output scaling and in fullscreen.
+     * Without an attached camera the camera that draws on the canvas is used, see Camera.getCameraOf().
+     * @param {Camera|null} camera - The camera, or null for the camera of the canvas.
+     */
+    attachCamera(camera) {
+        if (camera !== null && !(camera instanceof Camera)) {
+            throw new Error('Invalid camera: Expected a Camera object or null.');
+        }
+        this.#camera = camera;
+    }
+
+    /**
+     * Registers a reader of consumeTypedText() and consumeWheelDelta(), e.g. a UI.
+     * The typed text and the wheel distance are only recorded while a consumer is attached,
+     * so they do not pile up in games that never read them.
+     * @param {Object} consumer - The reader.
+     */
+    addConsumer(consumer) {
+        if (typeof consumer !== 'object' || consumer === null) {
+            throw new Error('Invalid consumer: Expected an object.');
+        }
+        this.#consumers.add(consumer);
+    }
+
+    /**
+     * Removes a reader of the typed text and the wheel distance. Without readers, what was not read yet is dropped.
+     * @param {Object} consumer - The reader.
+     */
+    removeConsumer(consumer) {
+        this.#consumers.delete(consumer);
+        if (this.#consumers.size === 0) {
+            this.#typedText = '';
+            this.#wheelDelta = 0;
+        }
+    }
+
     /**
      * Registers event listeners for mouse, keyboard, and gamepad events.
      */
@@ -65,6 +108,7 @@ class Input {
         this.#canvas.addEventListener('mouseup', (e) => this.onMouseButtonUp(e), false);
         this.#canvas.addEventListener('mouseup', (e) => this.#handleMouseUp(e), false);
         this.#canvas.addEventListener('wheel', (e) => this.onMouseWheel(e), false);
+        this.#canvas.addEventListener('wheel', (e) => this.#handleMouseWheel(e), false);
 
         // Keyboard
         window.addEventListener('keydown', (e) => this.#handleKeyDown(e), false);
@@ -89,38 +133,19 @@ class Input {
      * @param {MouseEvent} e - The mouse event object.
      */
     #updatePosition(e) {
-        const rect = this.#canvas.getBoundingClientRect();
-        let isInFullScreen = (document.fullscreenElement || document.webkitFullscreenElement || document.mozFullScreenElement || document.msFullscreenElement) === this.#canvas;
-    
-        if (isInFullScreen) {
-            // Calculate aspect ratios
-            const canvasAspectRatio = this.#canvas.width / this.#canvas.height;
-            const screenAspectRatio = window.innerWidth / window.innerHeight;
-    
-            let scaleX, scaleY, offsetX, offsetY;
-    
-            if (canvasAspectRatio > screenAspectRatio) {
-                scaleX = rect.width / this.#canvas.width;
-                scaleY = scaleX;
-                offsetX = 0;
-                offsetY = (window.innerHeight - (this.#canvas.height * scaleY)) / 2;
-            } else {
-                scaleY = rect.height / this.#canvas.height;
-                scaleX = scaleY;
-                offsetY = 0;
-                offsetX = (window.innerWidth - (this.#canvas.width * scaleX)) / 2;
-            }
-    
-            // Adjust the mouse position using the calculated scales and offsets
-            this.#position.x = (e.clientX - rect.left - offsetX) * (1 / scaleX);
-            this.#position.y = (e.clientY - rect.top - offsetY) * (1 / scaleY);
-        } else {
-            // Not in fullscreen, more straightforward calculation
-            const scaleX = this.#canvas.width / rect.width;
-            const scaleY = this.#canvas.height / rect.height;
-            this.#position.x = (e.clientX - rect.left) * scaleX;
-            this.#position.y = (e.clientY - rect.top) * scaleY;
+        // The camera knows the scale mode, the bars and the output scale
+        const camera = this.#camera || Camera.getCameraOf(this.#canvas);
+        if (camera) {
+            const position = camera.clientToGame(e.clientX, e.clientY);
+            this.#position.x = position.x;
+            this.#position.y = position.y;
+            return;
         }
+
+        // A canvas without a camera is stretched by its CSS size only
+        const rect = this.#canvas.getBoundingClientRect();
+        this.#position.x = (e.clientX - rect.left) * this.#canvas.width / rect.width;
+        this.#position.y = (e.clientY - rect.top) * this.#canvas.height / rect.height;
     }
 
     /**
@@ -175,6 +200,15 @@ class Input {
         }
     }
 
+    /**
+     * Handle the wheel event and add up the scrolled distance.
+     * @param {WheelEvent} e - The wheel event object.
+     */
+    #handleMouseWheel(e) {
+        if (this.#consumers.size === 0) return;
+        this.#wheelDelta += e.deltaY;
+    }
+
     /**
      * Event handler to be overridden when the mouse is moved.
      * @param {MouseEvent} e - The mouse event object.
@@ -221,12 +255,24 @@ class Input {
 
     /**
      * Get the current position of the mouse.
+     * The position is in game pixels of the attached camera or the camera of the canvas, see attachCamera().
      * @returns {Vector} - The current position of the mouse.
      */
     getMousePosition() {
         return this.#position.copy();
     }
 
+    /**
+     * Returns the distance the mouse wheel was scrolled since the last call and resets it.
+     * It is only recorded while a consumer is attached, see addConsumer().
+     * @returns {number} - The scrolled distance, positive values scroll down.
+     */
+    consumeWheelDelta() {
+        const delta = this.#wheelDelta;
+        this.#wheelDelta = 0;
+        return delta;
+    }
+
     /**
      * Clears all the current mouse buttons presses.
      */
@@ -246,6 +292,13 @@ class Input {
      */
     #handleKeyDown(e) {
         this.#keys[e.code] = true;
+        if (this.#consumers.size === 0) return;
+        // Printable characters have a one character key, modifiers and arrows have names
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
+            this.#typedText += e.key;
+        } else if (e.key === 'Backspace') {
+            this.#typedText += '\b';
+        }
     }
 
     /**
@@ -284,6 +337,18 @@ class Input {
         return !!this.#keys[keyCode];
     }
 
+    /**
+     * Returns the text typed since the last call and resets it, for text input fields.
+     * Key repeat is included, a Backspace press is the character "\b".
+     * It is only recorded while a consumer is attached, see addConsumer().
+     * @returns {string} - The typed text.
+     */
+    consumeTypedText() {
+        const text = this.#typedText;
+        this.#typedText = '';
+        return text;
+    }
+
     // Gamepad
 
     /**
@@ -370,6 +435,22 @@ class Input {
         return this.#gamepadButtonStates[gamepadIndex][buttonIndex];
     }
 
+    /**
+     * Check the value of a specific gamepad axis.
+     * @param {number} gamepadIndex - The index of the gamepad.
+     * @param {number} axisIndex - The index of the axis, see GamepadButtons.LEFT_STICK_X and the following.
+     * @returns {number} - The current value of the axis (-1 to 1).
+     */
+    getGamepadAxis(gamepadIndex, axisIndex) {
+        if (!this.#gamepads[gamepadIndex]) {
+            throw new Error(`No gamepad connected at index ${gamepadIndex}.`);
+        }
+        if (axisIndex < 0 || axisIndex >= this.#gamepads[gamepadIndex].axes.length) {
+            throw new Error(`Invalid axis index. Valid indices are between 0 and ${this.#gamepads[gamepadIndex].axes.length - 1}.`);
+        }
+        return this.#gamepadAxesStates[gamepadIndex][axisIndex];
+    }
+
     /**
      * Event handler to be overridden when a gamepad button is pressed.
      * @param {number} buttonIndex - The index of the gamepad button.
@@ -413,6 +494,38 @@ class Input {
         return this.#gamepads[gamepadIndex] !== undefined;
     }
 
+    // Menus
+
+    /**
+     * Reads the controls of menus and dialogs from the keyboard and every connected gamepad.
+     * The arrow keys, the D-pad or the left stick move, Enter, Space or gamepad A confirm and Escape or gamepad B go back.
+     * @param {boolean} [spaceConfirms=true] - Whether Space confirms. False e.g. while a text box takes the spaces.
+     * @returns {{up: boolean, down: boolean, left: boolean, right: boolean, confirm: boolean, back: boolean}} - Which controls are held.
+     */
+    getMenuControls(spaceConfirms = true) {
+        const controls = {
+            up: this.getKey(KeyCode.ARROW_UP),
+            down: this.getKey(KeyCode.ARROW_DOWN),
+            left: this.getKey(KeyCode.ARROW_LEFT),
+            right: this.getKey(KeyCode.ARROW_RIGHT),
+            confirm: this.getKey(KeyCode.ENTER) || this.getKey(KeyCode.NUMPAD_ENTER) || (spaceConfirms && this.getKey(KeyCode.SPACE)),
+            back: this.getKey(KeyCode.ESCAPE)
+        };
+        const threshold = Input.#menuStickThreshold;
+        for (let index = 0; index < 4; index++) {
+            if (!this.isGamepadConnected(index)) continue;
+            const stickX = this.getGamepadAxis(index, GamepadButtons.LEFT_STICK_X);
+            const stickY = this.getGamepadAxis(index, GamepadButtons.LEFT_STICK_Y);
+            controls.up = controls.up || this.getGamepadButton(index, GamepadButtons.DPAD_UP) || stickY < -threshold;
+            controls.down = controls.down || this.getGamepadButton(index, GamepadButtons.DPAD_DOWN) || stickY > threshold;
+            controls.left = controls.left || this.getGamepadButton(index, GamepadButtons.DPAD_LEFT) || stickX < -threshold;
+            controls.right = controls.right || this.getGamepadButton(index, GamepadButtons.DPAD_RIGHT) || stickX > threshold;
+            controls.confirm = controls.confirm || this.getGamepadButton(index, GamepadButtons.A);
+            controls.back = controls.back || this.getGamepadButton(index, GamepadButtons.B);
+        }
+        return controls;
+    }
+
     // TOUCH
 
     #handleTouchStart(e) {
@@ -16,7 +16,7 @@ class IsometricCamera extends Camera {
      * @param {number} canvasHeight - The height of the canvas on which the game is rendered.
      * @param {string} canvasName - The identifier for the canvas element.
      * @param {Array} map - The game map represented as a 2D array.
-     * @param {Array} images - An array containing image assets used in rendering the map.
+     * @param {Tileset|Array} images - A tileset, or an array containing image assets used in rendering the map.
      * @param {number} [tileEnlargement=0] - Optional enlargement factor for the tiles.
      */
     constructor(gameWidth, gameHeight, canvasWidth, canvasHeight, canvasName, map, images, tileEnlargement = 0) {
@@ -38,12 +38,12 @@ class IsometricCamera extends Camera {
             throw new Error('Invalid map: Every row in the map has to have the same number of indices.');
         }
 
-        if (map.every(row => row.every(index => index >= images.length))) {
-            throw new Error('Invalid map: One of the indecies is higher than the number of images provided.');
+        if (!(images instanceof Tileset) && (!Array.isArray(images) || !images.every(image => CameraBackend.isImage(image)))) {
+            throw new Error('Invalid images: Expected a Tileset or an array of Image objects.');
         }
 
-        if (!Array.isArray(images) || !images.every(image => image instanceof Image)) {
-            throw new Error('Invalid images: Expected an array of Image objects.');
+        if (map.every(row => row.every(index => index >= IsometricCamera.#getTileCount(images)))) {
+            throw new Error('Invalid map: One of the indecies is higher than the number of images provided.');
         }
 
         this.#map = map;
@@ -52,6 +52,10 @@ class IsometricCamera extends Camera {
         this.#tileEnlargement = tileEnlargement;
     }
 
+    static #getTileCount(images) {
+        return images instanceof Tileset ? images.tileCount : images.length;
+    }
+
     #calculateIsometricPositioning() {
         const tileBaseWidth = this.gameWidth / this.#map[0].length;
         const tileBaseHeight = tileBaseWidth / 2; // 2:1 ratio for isometric tiles
@@ -70,16 +74,25 @@ class IsometricCamera extends Camera {
     }
 
     /**
-     * Renders the game map using the tile images stored in the #images property.
+     * Renders the game map using the tileset or tile images stored in the #images property.
      * Tiles are drawn in an isometric perspective based on the #map array.
+     * With a draw layer every tile is queued with the depth x + y, so objects drawn on the same layer are sorted between the tiles.
+     * @param {number|null} [layer=null] - The draw layer of the tiles, e.g. DrawLayers.TILES, or null to draw them immediately.
      */
-    render() {
+    render(layer = null) {
+        if (layer !== null && typeof layer !== 'number') {
+            throw new Error('render: layer must be a number or null.');
+        }
         const { tileWidth, tileHeight, offsetX, offsetY } = this.#calculateIsometricPositioning();
+        const tileset = this.#images instanceof Tileset ? this.#images : null;
+        // Animated tiles show the frame of the game time of the camera, the map keeps the tile value
+        const time = this.clock.time * 1000;
     
         for (let y = 0; y < this.#map.length; y++) {
             for (let x = 0; x < this.#map[y].length; x++) {
                 const tileIndex = this.#map[y][x];
-                const tileImage = this.#images[tileIndex];
+                const tileImage = tileset ? null : this.#images[tileIndex];
+                if (tileset ? !tileset.hasTile(tileIndex) : !tileImage) continue;
     
                 const isoX = (x - y) * tileWidth / 2;
                 const isoY = (x + y) * tileHeight / 2;
@@ -92,9 +105,17 @@ class IsometricCamera extends Camera {
                 if (renderX + tileWidth < 0 || renderX - drawWidth > this.gameWidth || renderY + tileHeight < 0 || renderY > this.gameHeight) continue;
                 if (this.#fogMap[y][x] == 1) continue;
 
-                this.ctx.globalAlpha = 1 - this.#fogMap[y][x];
-                this.ctx.drawImage(tileImage, renderX - drawWidth / 2, renderY, drawWidth, tileHeight + this.#tileEnlargement);
-                this.ctx.globalAlpha = 1;
+                const alpha = 1 - this.#fogMap[y][x];
+                this.queueDraw(() => {
+                    this.ctx.globalAlpha = alpha;
+                    // Tiles of a tileset are drawn by their source rectangle on the sheet
+                    if (tileset) {
+                        tileset.drawTile(this.ctx, tileset.getAnimatedTile(tileIndex, time), renderX - drawWidth / 2, renderY, drawWidth, tileHeight + this.#tileEnlargement);
+                    } else {
+                        this.ctx.drawImage(tileImage, renderX - drawWidth / 2, renderY, drawWidth, tileHeight + this.#tileEnlargement);
+                    }
+                    this.ctx.globalAlpha = 1;
+                }, layer, x + y);
             }
         }
     }
@@ -108,20 +129,26 @@ class IsometricCamera extends Camera {
      * @param {number} [sizeX=1] - The horizontal size multiplier for the object.
      * @param {number} [sizeY=1] - The vertical size multiplier for the object.
      * @param {boolean} [adjustAspectRatio=false] - Adjusts the aspect ratio to match tile height if true.
+     * @param {number|null} [layer=null] - The draw layer of the object, or null to draw it immediately. On the layer of the tiles the object is sorted between them.
+     * @param {number} [depth=objX + objY + 0.5] - The depth of the object inside its layer. The default draws it after the tile it stands on.
      */
-    drawObject(objX, objY, objectImage, sizeX = 1, sizeY = 1, adjustAspectRatio = false) {
+    drawObject(objX, objY, objectImage, sizeX = 1, sizeY = 1, adjustAspectRatio = false, layer = null, depth = objX + objY + 0.5) {
         if (typeof objX !== 'number' || typeof objY !== 'number' ||
         typeof sizeX !== 'number' || typeof sizeY !== 'number') {
             throw new Error('drawObject: objX, objY, sizeX, sizeY must be numbers.');
         }
         
-        if (!(objectImage instanceof Image)) {
+        if (!CameraBackend.isImage(objectImage)) {
             throw new Error('drawObject: objectImage must be instance of Image.');
         }
         
         if (typeof adjustAspectRatio !== 'boolean') {
             throw new Error('drawObject: adjustedAspectRatio must be boolean.');
         }
+
+        if ((layer !== null && typeof layer !== 'number') || typeof depth !== 'number') {
+            throw new Error('drawObject: layer must be a number or null and depth must be a number.');
+        }
         
         const { tileWidth, tileHeight, offsetX, offsetY } = this.#calculateIsometricPositioning();
     
@@ -137,11 +164,15 @@ class IsometricCamera extends Camera {
     
         // Render the tile with potential enlargement to fill gaps
         let drawY = adjustAspectRatio ? 0 : drawHeight / 2;
+        let alpha = 1;
         if (~~objX >= 0 && ~~objY >= 0 && ~~objX < this.#map[0].length && ~~objY < this.#map.length) {
-            this.ctx.globalAlpha = 1 - this.#fogMap[~~objY][~~objX];
+            alpha = 1 - this.#fogMap[~~objY][~~objX];
         }
-        this.ctx.drawImage(objectImage, renderX - drawWidth / 2, renderY - drawY, drawWidth, drawHeight);
-        this.ctx.globalAlpha = 1;
+        this.queueDraw(() => {
+            this.ctx.globalAlpha = alpha;
+            this.ctx.drawImage(objectImage, renderX - drawWidth / 2, renderY - drawY, drawWidth, drawHeight);
+            this.ctx.globalAlpha = 1;
+        }, layer, depth);
     }
 
     /**
@@ -155,8 +186,11 @@ class IsometricCamera extends Camera {
      * @param {boolean} [adjustAspectRatio=false] - Adjusts the aspect ratio to match tile height if true.
      * @param {boolean} [reflectX=false] - Reflects the animation frame along the X-axis if true.
      * @param {boolean} [reflectY=false] - Reflects the animation frame along the Y-axis if true.
+     * @param {number|null} [layer=null] - The draw layer of the animation, or null to draw it immediately. On the layer of the tiles it is sorted between them.
+     * @param {number} [depth=objX + objY + 0.5] - The depth of the animation inside its layer. The default draws it after the tile it stands on.
+     * @param {SpriteEffects|null} [effects=null] - Alpha, tint, flash, palette swap and outline of the frame.
      */
-    drawAnimation(objX, objY, animationFrame, sizeX = 1, sizeY = 1, adjustAspectRatio = false, reflectX = false, reflectY = false) {
+    drawAnimation(objX, objY, animationFrame, sizeX = 1, sizeY = 1, adjustAspectRatio = false, reflectX = false, reflectY = false, layer = null, depth = objX + objY + 0.5, effects = null) {
         if (typeof objX !== 'number' || typeof objY !== 'number' ||
             typeof sizeX !== 'number' || typeof sizeY !== 'number') {
             throw new Error('drawObject: objX, objY, sizeX, sizeY must be numbers.');
@@ -169,6 +203,10 @@ class IsometricCamera extends Camera {
         if (typeof adjustAspectRatio !== 'boolean' || typeof reflectX !== 'boolean' || typeof reflectY !== 'boolean') {
             throw new Error('drawObject: adjustedAspectRatio, reflectX, reflectY must be booleans.');
         }
+
+        if ((layer !== null && typeof layer !== 'number') || typeof depth !== 'number') {
+            throw new Error('drawObject: layer must be a number or null and depth must be a number.');
+        }
         
         const { tileWidth, tileHeight, offsetX, offsetY } = this.#calculateIsometricPositioning();
     
@@ -184,12 +222,17 @@ class IsometricCamera extends Camera {
     
         // Render the tile with potential enlargement to fill gaps
         let drawY = adjustAspectRatio ? 0 : drawHeight / 2;
+        let alpha = 1;
         if (~~objX >= 0 && ~~objY >= 0 && ~~objX < this.#map[0].length && ~~objY < this.#map.length) {
-            this.ctx.globalAlpha = 1 - this.#fogMap[~~objY][~~objX];
+            alpha = 1 - this.#fogMap[~~objY][~~objX];
             //this.ctx.globalAlpha = this.#fogMap[~~objY][~~objX] >= 0.6 ? 0 : 1;
         }
-        this.drawAnimationFrame(animationFrame, new Vector(renderX, renderY - drawY), drawWidth, drawHeight, 0, reflectX, reflectY);
-        this.ctx.globalAlpha = 1;
+        const renderPosition = new Vector(renderX, renderY - drawY);
+        this.queueDraw(() => {
+            this.ctx.globalAlpha = alpha;
+            this.drawAnimationFrame(animationFrame, renderPosition, drawWidth, drawHeight, 0, reflectX, reflectY, effects);
+            this.ctx.globalAlpha = 1;
+        }, layer, depth);
     }
     
     /**
@@ -351,8 +394,8 @@ class IsometricCamera extends Camera {
     }
 
    /**
-     * Gets the current images array.
-     * @returns {Array} The array containing image assets used in rendering the map.
+     * Gets the current tileset or images array.
+     * @returns {Tileset|Array} The tileset or the array containing image assets used in rendering the map.
      */
     get images() {
         return this.#images;
@@ -379,13 +422,13 @@ class IsometricCamera extends Camera {
      * @param {Array} newMap - The new map to set as the game map.
      */
     set map(newMap) {
-        if (!Array.isArray(newMap) || !Array.isArray(newMap[0]) || !map.every(row => row.every(Number.isInteger))) {
+        if (!Array.isArray(newMap) || !Array.isArray(newMap[0]) || !newMap.every(row => row.every(Number.isInteger))) {
             throw new Error('Invalid map: Expected a 2D array of integers.');
         }
         if (newMap.some(row => row.length !== newMap[0].length)) {
             throw new Error('Invalid map: Every row in the map has to have the same number of indices.');
         }
-        if (newMap.every(row => row.every(index => index >= images.length))) {
+        if (newMap.every(row => row.every(index => index >= IsometricCamera.#getTileCount(this.#images)))) {
             throw new Error('Invalid map: One of the indecies is higher than the number of images provided.');
         }
         this.#map = newMap;
@@ -406,12 +449,12 @@ class IsometricCamera extends Camera {
     }
 
     /**
-     * Sets a new images array.
-     * @param {Array} newImages - The new array of images to be used for rendering.
+     * Sets a new tileset or images array.
+     * @param {Tileset|Array} newImages - The new tileset or array of images to be used for rendering.
      */
     set images(newImages) {
-        if (!Array.isArray(newImages) || !newImages.every(img => img instanceof Image)) {
-            throw new Error("set images: newImages must be an array of Image instances.");
+        if (!(newImages instanceof Tileset) && (!Array.isArray(newImages) || !newImages.every(img => CameraBackend.isImage(img)))) {
+            throw new Error("set images: newImages must be a Tileset or an array of Image instances.");
         }
         this.#images = newImages;
     }
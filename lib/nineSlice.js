@@ -0,0 +1,114 @@
+/**
+ * A sprite split into a 3x3 grid, for panels and buttons of any size: the corners keep their size,
+ * the edges stretch along one axis and the center stretches along both.
+ */
+class NineSlice {
+    #image;
+    #left;
+    #top;
+    #right;
+    #bottom;
+    #sourcePosition;
+    #srcWidth;
+    #srcHeight;
+
+    /**
+     * Creates a new NineSlice.
+     * @param {Image|HTMLCanvasElement|RenderTarget} image - The image that contains the sprite.
+     * @param {number} left - The width of the left border, in source pixels.
+     * @param {number} top - The height of the top border, in source pixels.
+     * @param {number} right - The width of the right border, in source pixels.
+     * @param {number} bottom - The height of the bottom border, in source pixels.
+     * @param {Vector} [sourcePosition=new Vector(0, 0)] - The top left corner of the sprite in the image, for sprite sheets.
+     * @param {number} [srcWidth=image.width] - The width of the sprite.
+     * @param {number} [srcHeight=image.height] - The height of the sprite.
+     */
+    constructor(image, left, top, right, bottom, sourcePosition = new Vector(0, 0), srcWidth = image.width, srcHeight = image.height) {
+        if (!CameraBackend.isImage(image) && !(image instanceof RenderTarget)) {
+            throw new Error('Invalid image: Expected an Image, a canvas or a RenderTarget.');
+        }
+        if (![left, top, right, bottom].every(border => Number.isInteger(border) && border >= 0)) {
+            throw new Error('Invalid borders: Expected integers bigger or equal than 0 for left, top, right and bottom.');
+        }
+        if (!(sourcePosition instanceof Vector)) {
+            throw new Error('Invalid sourcePosition: Expected a Vector object.');
+        }
+        if (typeof srcWidth !== 'number' || typeof srcHeight !== 'number' || left + right >= srcWidth || top + bottom >= srcHeight) {
+            throw new Error('Invalid size: The borders have to be smaller than the sprite.');
+        }
+        this.#image = image;
+        this.#left = left;
+        this.#top = top;
+        this.#right = right;
+        this.#bottom = bottom;
+        this.#sourcePosition = sourcePosition.copy();
+        this.#srcWidth = srcWidth;
+        this.#srcHeight = srcHeight;
+    }
+
+    /**
+     * Draws the sprite stretched to a rectangle. Rectangles smaller than the borders shrink the borders.
+     * @param {Camera} camera - The camera to draw with.
+     * @param {Vector} position - The top left corner of the rectangle.
+     * @param {number} width - The width of the rectangle.
+     * @param {number} height - The height of the rectangle.
+     * @param {number} [scale=1] - The scale of the borders, e.g. 2 for a chunkier look.
+     */
+    draw(camera, position, width, height, scale = 1) {
+        if (!(camera instanceof Camera)) {
+            throw new Error('Invalid camera: Expected a Camera object.');
+        }
+        if (!(position instanceof Vector)) {
+            throw new Error('Invalid position: Expected a Vector object.');
+        }
+        if (typeof width !== 'number' || typeof height !== 'number') {
+            throw new Error('Invalid size: Expected numbers for width and height.');
+        }
+        if (typeof scale !== 'number' || scale <= 0) {
+            throw new Error('Invalid scale: Expected a positive number.');
+        }
+        if (width <= 0 || height <= 0) return;
+
+        const shrinkX = Math.min(1, width / ((this.#left + this.#right) * scale));
+        const shrinkY = Math.min(1, height / ((this.#top + this.#bottom) * scale));
+        const destColumns = [this.#left * scale * shrinkX, 0, this.#right * scale * shrinkX];
+        const destRows = [this.#top * scale * shrinkY, 0, this.#bottom * scale * shrinkY];
+        destColumns[1] = width - destColumns[0] - destColumns[2];
+        destRows[1] = height - destRows[0] - destRows[2];
+        const srcColumns = [this.#left, this.#srcWidth - this.#left - this.#right, this.#right];
+        const srcRows = [this.#top, this.#srcHeight - this.#top - this.#bottom, this.#bottom];
+
+        let srcY = this.#sourcePosition.y;
+        let destY = position.y;
+        for (let row = 0; row < 3; row++) {
+            let srcX = this.#sourcePosition.x;
+            let destX = position.x;
+            for (let column = 0; column < 3; column++) {
+                if (srcColumns[column] > 0 && srcRows[row] > 0 && destColumns[column] > 0 && destRows[row] > 0) {
+                    camera.drawImage(this.#image, new Vector(destX + destColumns[column] / 2, destY + destRows[row] / 2),
+                        destColumns[column], destRows[row], 0, new Vector(srcX, srcY), srcColumns[column], srcRows[row]);
+                }
+                srcX += srcColumns[column];
+                destX += destColumns[column];
+            }
+            srcY += srcRows[row];
+            destY += destRows[row];
+        }
+    }
+
+    /**
+     * Returns the image of the sprite.
+     * @returns {Image|HTMLCanvasElement|RenderTarget} The image.
+     */
+    get image() {
+        return this.#image;
+    }
+
+    /**
+     * Returns the borders of the sprite.
+     * @returns {{left: number, top: number, right: number, bottom: number}} The borders, in source pixels.
+     */
+    get borders() {
+        return { left: this.#left, top: this.#top, right: this.#right, bottom: this.#bottom };
+    }
+}
@@ -0,0 +1,432 @@
+/**
+ * Emits and simulates particles: spawn rate and bursts, lifetime, a velocity cone, gravity, drag,
+ * color and size over the life of a particle, and collisions with a TileCamera map or a Physics world.
+ * Particles are pixels (rectangles, crisp in pixel mode), images or AnimationFrames played over their life.
+ * The particles are kept in typed arrays of a fixed size and reused, so the simulation allocates nothing per frame.
+ */
+class ParticleEmitter {
+    static #defaults = {
+        rate: 0, minLifetime: 0.5, maxLifetime: 1, angle: 0, spread: 360, minSpeed: 20, maxSpeed: 60,
+        gravity: new Vector(0, 0), drag: 0, startColor: new Color(255, 255, 255, 255), endColor: new Color(255, 255, 255, 0),
+        startSize: 2, endSize: 1, sprite: null, areaWidth: 0, areaHeight: 0, bounce: 0.3, killOnCollision: false
+    };
+    #position;
+    #maxParticles;
+    #count = 0;
+    #x;
+    #y;
+    #velocityX;
+    #velocityY;
+    #age;
+    #lifetime;
+    #emitting = true;
+    #spawnAccumulator = 0;
+    #settings = {};
+    #tileCamera = null;
+    #isSolidTile = null;
+    #tileLayerName = null;
+    #physics = null;
+    #nearbyNodes = [];
+    #drawPosition = new Vector(0, 0);
+    #drawColor = new Color(0, 0, 0, 0);
+    #sourceOrigin = new Vector(0, 0);
+    #spriteEffects = new SpriteEffects();
+
+    /**
+     * Creates a new ParticleEmitter.
+     * @param {Vector} position - The position of the emitter, in world coordinates.
+     * @param {Object} [options={}] - The settings of the particles, see configure(). Presets are in ParticlePresets.
+     * @param {number} [maxParticles=256] - The size of the pool. New particles are dropped while it is full.
+     */
+    constructor(position, options = {}, maxParticles = 256) {
+        if (!(position instanceof Vector)) {
+            throw new Error('Invalid position: Expected a Vector object.');
+        }
+        if (!Number.isInteger(maxParticles) || maxParticles < 1) {
+            throw new Error('Invalid maxParticles: Expected a positive integer.');
+        }
+        this.#position = position.copy();
+        this.#maxParticles = maxParticles;
+        this.#x = new Float32Array(maxParticles);
+        this.#y = new Float32Array(maxParticles);
+        this.#velocityX = new Float32Array(maxParticles);
+        this.#velocityY = new Float32Array(maxParticles);
+        this.#age = new Float32Array(maxParticles);
+        this.#lifetime = new Float32Array(maxParticles);
+        this.configure(Object.assign({}, ParticleEmitter.#defaults, options));
+    }
+
+    /**
+     * Changes settings of the particles. Settings that are not given keep their value.
+     * Particles that are alive use the new settings from now on.
+     * @param {Object} options - The settings.
+     * @param {number} [options.rate] - The particles spawned per second, 0 only spawns with burst().
+     * @param {number} [options.minLifetime] - The shortest life of a particle, in seconds.
+     * @param {number} [options.maxLifetime] - The longest life of a particle, in seconds.
+     * @param {number} [options.angle] - The direction particles fly in, in degrees (0 is right, 90 is down).
+     * @param {number} [options.spread] - The width of the cone around the direction, in degrees. 360 is every direction.
+     * @param {number} [options.minSpeed] - The lowest start speed, in pixels per second.
+     * @param {number} [options.maxSpeed] - The highest start speed, in pixels per second.
+     * @param {Vector} [options.gravity] - The acceleration of the particles, in pixels per second squared.
+     * @param {number} [options.drag] - How fast the particles slow down, 0 keeps the speed.
+     * @param {Color} [options.startColor] - The color of a new particle.
+     * @param {Color} [options.endColor] - The color at the end of the life, mixed with Color.mix(). For sprites only the alpha is used.
+     * @param {number} [options.startSize] - The size of a new particle, in pixels.
+     * @param {number} [options.endSize] - The size at the end of the life, in pixels.
+     * @param {Image|HTMLCanvasElement|RenderTarget|AnimationFrame|Array<AnimationFrame>|null} [options.sprite] - The sprite of the particles,
+     * frames of an array are played over the life of a particle. Null draws rectangles.
+     * @param {number} [options.areaWidth] - The width of the area around the position that particles spawn in, e.g. for rain.
+     * @param {number} [options.areaHeight] - The height of the spawn area.
+     * @param {number} [options.bounce] - The part of the speed that is kept when a particle bounces off the map or a node (0-1).
+     * @param {boolean} [options.killOnCollision] - If true, particles die when they collide instead of bouncing.
+     */
+    configure(options) {
+        if (options === null || typeof options !== 'object') {
+            throw new Error('Invalid options: Expected an object.');
+        }
+        const settings = Object.assign({}, this.#settings, options);
+        const numbers = ['rate', 'minLifetime', 'maxLifetime', 'spread', 'minSpeed', 'maxSpeed', 'drag', 'startSize', 'endSize', 'areaWidth', 'areaHeight'];
+        for (const name of numbers) {
+            if (typeof settings[name] !== 'number' || !Number.isFinite(settings[name]) || settings[name] < 0) {
+                throw new Error(`Invalid ${name}: Expected a number bigger or equal than 0.`);
+            }
+        }
+        if (typeof settings.angle !== 'number') {
+            throw new Error('Invalid angle: Expected a number.');
+        }
+        if (settings.minLifetime <= 0 || settings.maxLifetime < settings.minLifetime) {
+            throw new Error('Invalid lifetime: Expected a positive minLifetime and a maxLifetime that is not smaller.');
+        }
+        if (settings.maxSpeed < settings.minSpeed) {
+            throw new Error('Invalid speed: maxSpeed should not be smaller than minSpeed.');
+        }
+        if (!(settings.gravity instanceof Vector)) {
+            throw new Error('Invalid gravity: Expected a Vector object.');
+        }
+        if (!(settings.startColor instanceof Color) || !(settings.endColor instanceof Color)) {
+            throw new Error('Invalid colors: Expected Color objects for startColor and endColor.');
+        }
+        const sprite = settings.sprite;
+        const isFrames = Array.isArray(sprite) && sprite.length > 0 && sprite.every(frame => frame instanceof AnimationFrame);
+        if (sprite !== null && !isFrames && !(sprite instanceof AnimationFrame) && !(sprite instanceof RenderTarget) && !CameraBackend.isImage(sprite)) {
+            throw new Error('Invalid sprite: Expected an image, a RenderTarget, an AnimationFrame, an array of AnimationFrames or null.');
+        }
+        if (typeof settings.bounce !== 'number' || settings.bounce < 0 || settings.bounce > 1) {
+            throw new Error('Invalid bounce: Expected a number between 0 and 1.');
+        }
+        if (typeof settings.killOnCollision !== 'boolean') {
+            throw new Error('Invalid killOnCollision value: Expected a boolean.');
+        }
+        // Copies, so presets and the objects of the caller are not changed
+        settings.gravity = settings.gravity.copy();
+        settings.startColor = new Color(settings.startColor.r, settings.startColor.g, settings.startColor.b, settings.startColor.a);
+        settings.endColor = new Color(settings.endColor.r, settings.endColor.g, settings.endColor.b, settings.endColor.a);
+        settings.sprite = isFrames ? [...sprite] : sprite;
+        this.#settings = settings;
+    }
+
+    /**
+     * Spawns a number of particles at once, e.g. for an explosion.
+     * @param {number} count - The number of particles.
+     */
+    burst(count) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error('Invalid count: Expected an integer bigger or equal than 0.');
+        }
+        for (let i = 0; i < count; i++) {
+            this.#spawn();
+        }
+    }
+
+    /**
+     * Spawns new particles and moves, ages and collides the living ones.
+     * @param {number} deltaTime - The elapsed time, in seconds.
+     */
+    update(deltaTime) {
+        if (typeof deltaTime !== 'number' || deltaTime < 0) {
+            throw new Error('Invalid deltaTime: Expected a number bigger or equal than 0.');
+        }
+        const settings = this.#settings;
+        if (this.#emitting && settings.rate > 0) {
+            this.#spawnAccumulator += settings.rate * deltaTime;
+            while (this.#spawnAccumulator >= 1) {
+                this.#spawn();
+                this.#spawnAccumulator--;
+            }
+        }
+
+        const dragFactor = Math.exp(-settings.drag * deltaTime);
+        const gravityX = settings.gravity.x * deltaTime;
+        const gravityY = settings.gravity.y * deltaTime;
+        let i = 0;
+        while (i < this.#count) {
+            this.#age[i] += deltaTime;
+            if (this.#age[i] >= this.#lifetime[i]) {
+                this.#kill(i);
+                continue;
+            }
+            this.#velocityX[i] = (this.#velocityX[i] + gravityX) * dragFactor;
+            this.#velocityY[i] = (this.#velocityY[i] + gravityY) * dragFactor;
+            const oldX = this.#x[i];
+            const oldY = this.#y[i];
+            this.#x[i] += this.#velocityX[i] * deltaTime;
+            this.#y[i] += this.#velocityY[i] * deltaTime;
+
+            if ((this.#tileCamera && !this.#collideWithTiles(i, oldX, oldY)) ||
+                (this.#physics && !this.#collideWithNodes(i))) {
+                this.#kill(i);
+                continue;
+            }
+            i++;
+        }
+    }
+
+    /**
+     * Draws the particles, in world space. Older particles are drawn first.
+     * @param {Camera} camera - The camera to draw with.
+     */
+    draw(camera) {
+        if (!(camera instanceof Camera)) {
+            throw new Error('Invalid camera: Expected a Camera object.');
+        }
+        const settings = this.#settings;
+        const sprite = settings.sprite;
+        for (let i = 0; i < this.#count; i++) {
+            const t = this.#age[i] / this.#lifetime[i];
+            const size = settings.startSize + (settings.endSize - settings.startSize) * t;
+            if (size <= 0) continue;
+            const color = this.#drawColor;
+            color.r = settings.startColor.r;
+            color.g = settings.startColor.g;
+            color.b = settings.startColor.b;
+            color.a = settings.startColor.a;
+            color.mix(settings.endColor, t);
+            this.#drawPosition.x = this.#x[i];
+            this.#drawPosition.y = this.#y[i];
+
+            if (sprite === null) {
+                camera.drawRect(this.#drawPosition, size, size, color);
+                continue;
+            }
+            this.#spriteEffects.alpha = color.a / 255;
+            if (Array.isArray(sprite)) {
+                const frame = sprite[Math.min(sprite.length - 1, Math.floor(t * sprite.length))];
+                camera.drawAnimationFrame(frame, this.#drawPosition, size, size, 0, false, false, this.#spriteEffects);
+            } else if (sprite instanceof AnimationFrame) {
+                camera.drawAnimationFrame(sprite, this.#drawPosition, size, size, 0, false, false, this.#spriteEffects);
+            } else {
+                camera.drawImage(sprite, this.#drawPosition, size, size, 0, this.#sourceOrigin, sprite.width, sprite.height, false, false, this.#spriteEffects);
+            }
+        }
+    }
+
+    /**
+     * Removes all particles.
+     */
+    clear() {
+        this.#count = 0;
+        this.#spawnAccumulator = 0;
+    }
+
+    /**
+     * Lets the particles collide with the map of a TileCamera.
+     * @param {TileCamera|null} tileCamera - The camera with the map, or null to stop colliding with it.
+     * @param {Function|null} [isSolid=null] - Returns whether a tile value is solid. Null uses the "solid" metadata of the Tileset of the layer,
+     *                                         or makes every tile solid if the layer has no Tileset. Empty cells and the outside of the map are never solid.
+     * @param {string|null} [layerName=null] - The name of the layer to collide with, null for the first layer.
+     */
+    setTileCollision(tileCamera, isSolid = null, layerName = null) {
+        if (tileCamera !== null && !(tileCamera instanceof TileCamera)) {
+            throw new Error('Invalid tileCamera: Expected a TileCamera object or null.');
+        }
+        if (isSolid !== null && typeof isSolid !== 'function') {
+            throw new Error('Invalid isSolid: Expected a function or null.');
+        }
+        if (layerName !== null && tileCamera !== null) {
+            // Throws if the map has no such layer
+            tileCamera.getLayer(layerName);
+        }
+        this.#tileCamera = tileCamera;
+        this.#isSolidTile = isSolid;
+        this.#tileLayerName = layerName;
+    }
+
+    /**
+     * Lets the particles collide with the nodes of a Physics world. The nodes are not pushed by the particles.
+     * @param {Physics|null} physics - The world, or null to stop colliding with it.
+     */
+    setPhysicsCollision(physics) {
+        if (physics !== null && !(physics instanceof Physics)) {
+            throw new Error('Invalid physics: Expected a Physics object or null.');
+        }
+        this.#physics = physics;
+    }
+
+    #spawn() {
+        if (this.#count >= this.#maxParticles) return;
+        const settings = this.#settings;
+        const i = this.#count++;
+        const angle = (settings.angle + (Math.random() - 0.5) * settings.spread) * Math.PI / 180;
+        const speed = settings.minSpeed + Math.random() * (settings.maxSpeed - settings.minSpeed);
+        this.#x[i] = this.#position.x + (Math.random() - 0.5) * settings.areaWidth;
+        this.#y[i] = this.#position.y + (Math.random() - 0.5) * settings.areaHeight;
+        this.#velocityX[i] = Math.cos(angle) * speed;
+        this.#velocityY[i] = Math.sin(angle) * speed;
+        this.#age[i] = 0;
+        this.#lifetime[i] = settings.minLifetime + Math.random() * (settings.maxLifetime - settings.minLifetime);
+    }
+
+    #kill(i) {
+        // The last particle takes the free slot, so the living particles stay packed
+        const last = --this.#count;
+        this.#x[i] = this.#x[last];
+        this.#y[i] = this.#y[last];
+        this.#velocityX[i] = this.#velocityX[last];
+        this.#velocityY[i] = this.#velocityY[last];
+        this.#age[i] = this.#age[last];
+        this.#lifetime[i] = this.#lifetime[last];
+    }
+
+    #isSolidAt(x, y) {
+        const tile = this.#tileCamera.getTileAt(x, y, this.#tileLayerName);
+        if (tile === -1) return false;
+        if (this.#isSolidTile) return this.#isSolidTile(tile);
+        const images = this.#tileLayerName === null ? this.#tileCamera.images : this.#tileCamera.getLayer(this.#tileLayerName).images;
+        if (!(images instanceof Tileset)) return true;
+        const data = images.getTileData(tile);
+        return data !== null && data.solid === true;
+    }
+
+    #collideWithTiles(i, oldX, oldY) {
+        if (!this.#isSolidAt(this.#x[i], this.#y[i])) return true;
+        if (this.#settings.killOnCollision) return false;
+
+        // The axis that leads into the wall is reflected, corners reflect both
+        const bounce = this.#settings.bounce;
+        const blockedX = this.#isSolidAt(this.#x[i], oldY);
+        const blockedY = this.#isSolidAt(oldX, this.#y[i]);
+        if (blockedX || !blockedY) {
+            this.#x[i] = oldX;
+            this.#velocityX[i] *= -bounce;
+        }
+        if (blockedY || !blockedX) {
+            this.#y[i] = oldY;
+            this.#velocityY[i] *= -bounce;
+        }
+        return true;
+    }
+
+    #collideWithNodes(i) {
+        const nodes = this.#physics.grid.getNearbyPoint(this.#x[i], this.#y[i], this.#nearbyNodes);
+        for (const node of nodes) {
+            if (!node.collider) continue;
+            const dx = this.#x[i] - node.position.x;
+            const dy = this.#y[i] - node.position.y;
+            const distanceSquared = dx * dx + dy * dy;
+            if (distanceSquared >= node.radius * node.radius) continue;
+            if (this.#settings.killOnCollision) return false;
+
+            // Pushed out to the surface, the velocity is reflected at the normal
+            const distance = Math.sqrt(distanceSquared) || 1;
+            const normalX = distanceSquared > 0 ? dx / distance : 0;
+            const normalY = distanceSquared > 0 ? dy / distance : -1;
+            this.#x[i] = node.position.x + normalX * node.radius;
+            this.#y[i] = node.position.y + normalY * node.radius;
+            const along = this.#velocityX[i] * normalX + this.#velocityY[i] * normalY;
+            if (along < 0) {
+                this.#velocityX[i] -= (1 + this.#settings.bounce) * along * normalX;
+                this.#velocityY[i] -= (1 + this.#settings.bounce) * along * normalY;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Returns the number of living particles.
+     * @returns {number} The number of particles.
+     */
+    get count() {
+        return this.#count;
+    }
+
+    /**
+     * Returns the size of the pool.
+     * @returns {number} The maximum number of particles.
+     */
+    get maxParticles() {
+        return this.#maxParticles;
+    }
+
+    /**
+     * Returns the position of the emitter.
+     * @returns {Vector} A copy of the position.
+     */
+    get position() {
+        return this.#position.copy();
+    }
+
+    /**
+     * Moves the emitter. Particles that are alive stay where they are.
+     * @param {Vector} position - The new position, in world coordinates.
+     */
+    set position(position) {
+        if (!(position instanceof Vector)) {
+            throw new Error('Invalid position: Expected a Vector object.');
+        }
+        this.#position.x = position.x;
+        this.#position.y = position.y;
+    }
+
+    /**
+     * Returns whether the emitter spawns particles at its rate.
+     * @returns {boolean} True if the emitter spawns particles.
+     */
+    get emitting() {
+        return this.#emitting;
+    }
+
+    /**
+     * Starts or stops spawning particles at the rate. Bursts and the living particles are not affected.
+     * @param {boolean} emitting - True to spawn particles.
+     */
+    set emitting(emitting) {
+        if (typeof emitting !== 'boolean') {
+            throw new Error('Invalid emitting value: Expected a boolean.');
+        }
+        this.#emitting = emitting;
+    }
+}
+
+/**
+ * Settings for common effects, to pass to new ParticleEmitter() or ParticleEmitter.configure().
+ * Explosions and sparks have no rate, start them with burst(). Rain and snow spawn in a 320 pixels wide area.
+ * @constant
+ * @type {object}
+ */
+const ParticlePresets = {
+    EXPLOSION: {
+        rate: 0, minLifetime: 0.3, maxLifetime: 0.8, angle: 0, spread: 360, minSpeed: 40, maxSpeed: 120,
+        gravity: new Vector(0, 60), drag: 3, startColor: new Color(255, 230, 120, 255), endColor: new Color(200, 40, 0, 0),
+        startSize: 4, endSize: 1
+    },
+    SMOKE: {
+        rate: 20, minLifetime: 1, maxLifetime: 2, angle: -90, spread: 40, minSpeed: 8, maxSpeed: 20,
+        gravity: new Vector(0, -10), drag: 1, startColor: new Color(120, 120, 120, 200), endColor: new Color(60, 60, 60, 0),
+        startSize: 3, endSize: 8
+    },
+    SPARKS: {
+        rate: 0, minLifetime: 0.2, maxLifetime: 0.5, angle: 0, spread: 360, minSpeed: 80, maxSpeed: 160,
+        gravity: new Vector(0, 200), drag: 1, startColor: new Color(255, 255, 200, 255), endColor: new Color(255, 120, 0, 0),
+        startSize: 1, endSize: 1, bounce: 0.5
+    },
+    RAIN: {
+        rate: 120, minLifetime: 1, maxLifetime: 1.5, angle: 100, spread: 4, minSpeed: 160, maxSpeed: 200,
+        gravity: new Vector(0, 100), drag: 0, startColor: new Color(150, 180, 255, 200), endColor: new Color(150, 180, 255, 120),
+        startSize: 1, endSize: 1, areaWidth: 320, areaHeight: 0, killOnCollision: true
+    },
+    SNOW: {
+        rate: 40, minLifetime: 4, maxLifetime: 6, angle: 90, spread: 30, minSpeed: 10, maxSpeed: 25,
+        gravity: new Vector(0, 2), drag: 0.2, startColor: new Color(255, 255, 255, 230), endColor: new Color(255, 255, 255, 0),
+        startSize: 2, endSize: 2, areaWidth: 320, areaHeight: 0, bounce: 0
+    }
+};
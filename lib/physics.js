@@ -50,6 +50,8 @@ class Physics {
         if (typeof deltaTime !== 'number') {
             throw new Error("deltaTime must be a number.");
         }
+        // Nothing moves while the game clock is paused
+        if (deltaTime === 0) return;
 
         const deltaTimeSubStep = deltaTime / this.#subSteps;
 
@@ -0,0 +1,548 @@
+/**
+ * Draws primitives pixel by pixel into an ImageData, without anti-aliasing.
+ * All coordinates are rounded to whole pixels and everything outside of the clip rectangle is skipped.
+ * Colors with an alpha below 255 are blended over the existing pixels. A stroke, e.g. a thick line or the outline of a
+ * polygon, blends every pixel once, even where its parts overlap.
+ */
+class PixelRasterizer {
+    #imageData;
+    #clip;
+    #dirty = null;
+    #strokeMarks = null;
+    #strokeId = 0;
+    #stroking = false;
+
+    /**
+     * Creates a new PixelRasterizer.
+     * @param {ImageData} imageData - The buffer to draw into.
+     */
+    constructor(imageData) {
+        if (!CameraBackend.isImageData(imageData)) {
+            throw new Error('Invalid imageData: Expected an ImageData object.');
+        }
+        this.#imageData = imageData;
+        this.clearClip();
+    }
+
+    /**
+     * Restricts drawing to a rectangle. The rectangle is limited to the buffer.
+     * @param {number} x - The x position of the rectangle.
+     * @param {number} y - The y position of the rectangle.
+     * @param {number} width - The width of the rectangle.
+     * @param {number} height - The height of the rectangle.
+     */
+    setClip(x, y, width, height) {
+        if (![x, y, width, height].every(Number.isFinite) || width < 0 || height < 0) {
+            throw new Error('Invalid clip: Expected numbers with a width and height bigger or equal than 0.');
+        }
+        const left = Math.max(0, Math.round(x));
+        const top = Math.max(0, Math.round(y));
+        this.#clip = {
+            left,
+            top,
+            right: Math.max(left, Math.min(this.#imageData.width, Math.round(x + width))),
+            bottom: Math.max(top, Math.min(this.#imageData.height, Math.round(y + height)))
+        };
+    }
+
+    /**
+     * Allows drawing on the whole buffer again.
+     */
+    clearClip() {
+        this.#clip = { left: 0, top: 0, right: this.#imageData.width, bottom: this.#imageData.height };
+    }
+
+    /**
+     * Sets the color of a pixel.
+     * @param {number} x - The x coordinate.
+     * @param {number} y - The y coordinate.
+     * @param {Color} color - The color. Colors with an alpha below 255 are blended.
+     */
+    setPixel(x, y, color) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < this.#clip.left || x >= this.#clip.right || y < this.#clip.top || y >= this.#clip.bottom) return;
+        this.#writePixel(x, y, color);
+    }
+
+    // Writes a pixel inside the clip with source-over blending of non-premultiplied colors
+    #writePixel(x, y, color) {
+        if (color.a <= 0) return;
+        const pixel = y * this.#imageData.width + x;
+        if (this.#stroking) {
+            if (this.#strokeMarks[pixel] === this.#strokeId) return;
+            this.#strokeMarks[pixel] = this.#strokeId;
+        }
+        this.#markDirty(x, y, x + 1, y + 1);
+
+        const data = this.#imageData.data;
+        const i = pixel * 4;
+        if (color.a >= 255) {
+            data[i] = color.r;
+            data[i + 1] = color.g;
+            data[i + 2] = color.b;
+            data[i + 3] = 255;
+            return;
+        }
+        const alpha = color.a / 255;
+        const backAlpha = data[i + 3] / 255 * (1 - alpha);
+        const outAlpha = alpha + backAlpha;
+        data[i] = (color.r * alpha + data[i] * backAlpha) / outAlpha;
+        data[i + 1] = (color.g * alpha + data[i + 1] * backAlpha) / outAlpha;
+        data[i + 2] = (color.b * alpha + data[i + 2] * backAlpha) / outAlpha;
+        data[i + 3] = outAlpha * 255;
+    }
+
+    #markDirty(left, top, right, bottom) {
+        if (!this.#dirty) {
+            this.#dirty = { left, top, right, bottom };
+            return;
+        }
+        this.#dirty.left = Math.min(this.#dirty.left, left);
+        this.#dirty.top = Math.min(this.#dirty.top, top);
+        this.#dirty.right = Math.max(this.#dirty.right, right);
+        this.#dirty.bottom = Math.max(this.#dirty.bottom, bottom);
+    }
+
+    // Everything drawn until the callback returns is one stroke, every pixel of it is written once
+    #stroke(callback) {
+        if (this.#stroking) {
+            callback();
+            return;
+        }
+        if (!this.#strokeMarks) {
+            this.#strokeMarks = new Uint32Array(this.#imageData.width * this.#imageData.height);
+        }
+        this.#strokeId++;
+        if (this.#strokeId > 0xffffffff) {
+            this.#strokeMarks.fill(0);
+            this.#strokeId = 1;
+        }
+        this.#stroking = true;
+        try {
+            callback();
+        } finally {
+            this.#stroking = false;
+        }
+    }
+
+    /**
+     * Forgets the written pixels, dirtyRect is null afterwards.
+     */
+    clearDirtyRect() {
+        this.#dirty = null;
+    }
+
+    /**
+     * Returns the color of a pixel.
+     * @param {number} x - The x coordinate.
+     * @param {number} y - The y coordinate.
+     * @returns {Color|null} The color, or null if the pixel is outside of the buffer.
+     */
+    getPixel(x, y) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || x >= this.#imageData.width || y < 0 || y >= this.#imageData.height) return null;
+        const i = (y * this.#imageData.width + x) * 4;
+        const data = this.#imageData.data;
+        return new Color(data[i], data[i + 1], data[i + 2], data[i + 3]);
+    }
+
+    /**
+     * Fills the clip rectangle with a color, without blending.
+     * @param {Color|null} [color=null] - The color, or null for transparent.
+     */
+    clear(color = null) {
+        if (color !== null && !(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object or null.');
+        }
+        const value = color || new Color(0, 0, 0, 0);
+        const data = this.#imageData.data;
+        if (this.#clip.right > this.#clip.left && this.#clip.bottom > this.#clip.top) {
+            this.#markDirty(this.#clip.left, this.#clip.top, this.#clip.right, this.#clip.bottom);
+        }
+        for (let y = this.#clip.top; y < this.#clip.bottom; y++) {
+            for (let x = this.#clip.left; x < this.#clip.right; x++) {
+                const i = (y * this.#imageData.width + x) * 4;
+                data[i] = value.r;
+                data[i + 1] = value.g;
+                data[i + 2] = value.b;
+                data[i + 3] = value.a;
+            }
+        }
+    }
+
+    // Fills the pixels x0 to x1 (inclusive) of a row
+    #fillSpan(x0, x1, y, color) {
+        if (y < this.#clip.top || y >= this.#clip.bottom) return;
+        const start = Math.max(this.#clip.left, Math.min(x0, x1));
+        const end = Math.min(this.#clip.right - 1, Math.max(x0, x1));
+        for (let x = start; x <= end; x++) {
+            this.#writePixel(x, y, color);
+        }
+    }
+
+    /**
+     * Draws a line with the Bresenham algorithm.
+     * @param {number} x0 - The x coordinate of the start.
+     * @param {number} y0 - The y coordinate of the start.
+     * @param {number} x1 - The x coordinate of the end.
+     * @param {number} y1 - The y coordinate of the end.
+     * @param {Color} color - The color of the line.
+     * @param {number} [thickness=1] - The width of the line in pixels. Thicker lines are drawn with a square brush, as one stroke.
+     */
+    drawLine(x0, y0, x1, y1, color, thickness = 1) {
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        if (typeof thickness !== 'number' || thickness < 1) {
+            throw new Error('Invalid thickness: Expected a number bigger or equal than 1.');
+        }
+        this.#stroke(() => {
+            this.#forEachLinePoint(Math.round(x0), Math.round(y0), Math.round(x1), Math.round(y1), (x, y) => {
+                if (thickness < 2) {
+                    this.setPixel(x, y, color);
+                } else {
+                    const size = Math.round(thickness);
+                    const offset = Math.floor((size - 1) / 2);
+                    this.fillRect(x - offset, y - offset, size, size, color);
+                }
+            });
+        });
+    }
+
+    #forEachLinePoint(x0, y0, x1, y1, callback) {
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const stepX = x0 < x1 ? 1 : -1;
+        const stepY = y0 < y1 ? 1 : -1;
+        let error = dx + dy;
+        while (true) {
+            callback(x0, y0);
+            if (x0 === x1 && y0 === y1) break;
+            const doubleError = 2 * error;
+            if (doubleError >= dy) {
+                error += dy;
+                x0 += stepX;
+            }
+            if (doubleError <= dx) {
+                error += dx;
+                y0 += stepY;
+            }
+        }
+    }
+
+    /**
+     * Fills a rectangle.
+     * @param {number} x - The x position of the top left corner.
+     * @param {number} y - The y position of the top left corner.
+     * @param {number} width - The width of the rectangle.
+     * @param {number} height - The height of the rectangle.
+     * @param {Color} color - The color of the rectangle.
+     */
+    fillRect(x, y, width, height, color) {
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        const left = Math.round(x);
+        const top = Math.round(y);
+        const right = Math.round(x + width);
+        const bottom = Math.round(y + height);
+        for (let row = top; row < bottom; row++) {
+            this.#fillSpan(left, right - 1, row, color);
+        }
+    }
+
+    /**
+     * Draws the outline of a rectangle.
+     * @param {number} x - The x position of the top left corner.
+     * @param {number} y - The y position of the top left corner.
+     * @param {number} width - The width of the rectangle.
+     * @param {number} height - The height of the rectangle.
+     * @param {Color} color - The color of the outline.
+     */
+    drawRect(x, y, width, height, color) {
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        const left = Math.round(x);
+        const top = Math.round(y);
+        const right = Math.round(x + width) - 1;
+        const bottom = Math.round(y + height) - 1;
+        if (right < left || bottom < top) return;
+        this.#fillSpan(left, right, top, color);
+        if (bottom > top) this.#fillSpan(left, right, bottom, color);
+        for (let row = top + 1; row < bottom; row++) {
+            this.setPixel(left, row, color);
+            if (right > left) this.setPixel(right, row, color);
+        }
+    }
+
+    // Calls back the midpoint ellipse points of one quadrant, (dx, dy) are offsets from the center
+    #forEachEllipsePoint(radiusX, radiusY, callback) {
+        const rx2 = radiusX * radiusX;
+        const ry2 = radiusY * radiusY;
+        let x = 0;
+        let y = radiusY;
+        let px = 0;
+        let py = 2 * rx2 * y;
+
+        let p = ry2 - rx2 * radiusY + 0.25 * rx2;
+        while (px < py) {
+            callback(x, y);
+            x++;
+            px += 2 * ry2;
+            if (p < 0) {
+                p += ry2 + px;
+            } else {
+                y--;
+                py -= 2 * rx2;
+                p += ry2 + px - py;
+            }
+        }
+
+        p = ry2 * (x + 0.5) * (x + 0.5) + rx2 * (y - 1) * (y - 1) - rx2 * ry2;
+        while (y >= 0) {
+            callback(x, y);
+            y--;
+            py -= 2 * rx2;
+            if (p > 0) {
+                p += rx2 - py;
+            } else {
+                x++;
+                px += 2 * ry2;
+                p += rx2 - py + px;
+            }
+        }
+    }
+
+    /**
+     * Draws the outline of an axis-aligned ellipse with the midpoint algorithm.
+     * @param {number} centerX - The x coordinate of the center.
+     * @param {number} centerY - The y coordinate of the center.
+     * @param {number} radiusX - The horizontal radius.
+     * @param {number} radiusY - The vertical radius.
+     * @param {Color} color - The color of the outline.
+     */
+    drawEllipse(centerX, centerY, radiusX, radiusY, color) {
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        const cx = Math.round(centerX);
+        const cy = Math.round(centerY);
+        const rx = Math.round(Math.abs(radiusX));
+        const ry = Math.round(Math.abs(radiusY));
+
+        // The quadrants share their end points, as one stroke transparent outlines have no darker spots
+        this.#stroke(() => {
+            this.#forEachEllipsePoint(rx, ry, (dx, dy) => {
+                this.setPixel(cx + dx, cy + dy, color);
+                this.setPixel(cx - dx, cy + dy, color);
+                this.setPixel(cx + dx, cy - dy, color);
+                this.setPixel(cx - dx, cy - dy, color);
+            });
+        });
+    }
+
+    /**
+     * Fills an axis-aligned ellipse with the midpoint algorithm.
+     * @param {number} centerX - The x coordinate of the center.
+     * @param {number} centerY - The y coordinate of the center.
+     * @param {number} radiusX - The horizontal radius.
+     * @param {number} radiusY - The vertical radius.
+     * @param {Color} color - The color of the ellipse.
+     */
+    fillEllipse(centerX, centerY, radiusX, radiusY, color) {
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        const cx = Math.round(centerX);
+        const cy = Math.round(centerY);
+        const rx = Math.round(Math.abs(radiusX));
+        const ry = Math.round(Math.abs(radiusY));
+
+        // The widest span of every row
+        const spans = new Map();
+        this.#forEachEllipsePoint(rx, ry, (dx, dy) => {
+            spans.set(dy, Math.max(spans.get(dy) ?? 0, dx));
+        });
+        for (const [dy, dx] of spans) {
+            this.#fillSpan(cx - dx, cx + dx, cy + dy, color);
+            if (dy !== 0) this.#fillSpan(cx - dx, cx + dx, cy - dy, color);
+        }
+    }
+
+    /**
+     * Draws the outline of a circle.
+     * @param {number} centerX - The x coordinate of the center.
+     * @param {number} centerY - The y coordinate of the center.
+     * @param {number} radius - The radius.
+     * @param {Color} color - The color of the outline.
+     */
+    drawCircle(centerX, centerY, radius, color) {
+        this.drawEllipse(centerX, centerY, radius, radius, color);
+    }
+
+    /**
+     * Fills a circle.
+     * @param {number} centerX - The x coordinate of the center.
+     * @param {number} centerY - The y coordinate of the center.
+     * @param {number} radius - The radius.
+     * @param {Color} color - The color of the circle.
+     */
+    fillCircle(centerX, centerY, radius, color) {
+        this.fillEllipse(centerX, centerY, radius, radius, color);
+    }
+
+    /**
+     * Draws the outline of a polygon as one stroke.
+     * @param {Array<Vector>} points - The corners of the polygon.
+     * @param {Color} color - The color of the outline.
+     * @param {number} [thickness=1] - The width of the outline in pixels.
+     */
+    drawPolygon(points, color, thickness = 1) {
+        if (!Array.isArray(points) || points.length < 2 || !points.every(point => point instanceof Vector)) {
+            throw new Error('Invalid points: Expected an array of at least 2 Vector objects.');
+        }
+        this.#stroke(() => {
+            for (let i = 0; i < points.length; i++) {
+                const start = points[i];
+                const end = points[(i + 1) % points.length];
+                this.drawLine(start.x, start.y, end.x, end.y, color, thickness);
+            }
+        });
+    }
+
+    /**
+     * Fills a polygon with the scanline algorithm. A pixel is filled if its center is inside the polygon (even-odd rule).
+     * @param {Array<Vector>} points - The corners of the polygon.
+     * @param {Color} color - The color of the polygon.
+     */
+    fillPolygon(points, color) {
+        if (!Array.isArray(points) || points.length < 3 || !points.every(point => point instanceof Vector)) {
+            throw new Error('Invalid points: Expected an array of at least 3 Vector objects.');
+        }
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        const top = Math.max(this.#clip.top, Math.floor(Math.min(...points.map(point => point.y))));
+        const bottom = Math.min(this.#clip.bottom - 1, Math.ceil(Math.max(...points.map(point => point.y))));
+
+        for (let y = top; y <= bottom; y++) {
+            const sampleY = y + 0.5;
+            const crossings = [];
+            for (let i = 0; i < points.length; i++) {
+                const a = points[i];
+                const b = points[(i + 1) % points.length];
+                if ((a.y <= sampleY && b.y > sampleY) || (b.y <= sampleY && a.y > sampleY)) {
+                    crossings.push(a.x + (sampleY - a.y) * (b.x - a.x) / (b.y - a.y));
+                }
+            }
+            crossings.sort((a, b) => a - b);
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                const start = Math.ceil(crossings[i] - 0.5);
+                const end = Math.ceil(crossings[i + 1] - 0.5) - 1;
+                if (end >= start) this.#fillSpan(start, end, y, color);
+            }
+        }
+    }
+
+    /**
+     * Fills the connected area of similar color around a pixel.
+     * @param {number} x - The x coordinate of the start pixel.
+     * @param {number} y - The y coordinate of the start pixel.
+     * @param {Color} color - The fill color, it is written without blending.
+     * @param {number} [tolerance=0] - The largest difference per channel (0-255) to the start color that is still filled.
+     */
+    floodFill(x, y, color, tolerance = 0) {
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        if (typeof tolerance !== 'number' || tolerance < 0) {
+            throw new Error('Invalid tolerance: Expected a number bigger or equal than 0.');
+        }
+        x = Math.round(x);
+        y = Math.round(y);
+        const { left, top, right, bottom } = this.#clip;
+        if (x < left || x >= right || y < top || y >= bottom) return;
+
+        const width = this.#imageData.width;
+        const data = this.#imageData.data;
+        const start = (y * width + x) * 4;
+        const target = [data[start], data[start + 1], data[start + 2], data[start + 3]];
+        const fill = [color.r, color.g, color.b, color.a];
+        if (tolerance === 0 && target.every((value, c) => value === fill[c])) return;
+
+        const visited = new Uint8Array(width * this.#imageData.height);
+        const matches = (px, py) => {
+            const pixel = py * width + px;
+            if (visited[pixel]) return false;
+            const i = pixel * 4;
+            for (let c = 0; c < 4; c++) {
+                if (Math.abs(data[i + c] - target[c]) > tolerance) return false;
+            }
+            return true;
+        };
+
+        // Scanline fill: fill a whole row span, then look for new spans above and below
+        const stack = [[x, y]];
+        while (stack.length > 0) {
+            const [seedX, seedY] = stack.pop();
+            if (!matches(seedX, seedY)) continue;
+            let spanLeft = seedX;
+            let spanRight = seedX;
+            while (spanLeft - 1 >= left && matches(spanLeft - 1, seedY)) spanLeft--;
+            while (spanRight + 1 < right && matches(spanRight + 1, seedY)) spanRight++;
+
+            for (let px = spanLeft; px <= spanRight; px++) {
+                const pixel = seedY * width + px;
+                visited[pixel] = 1;
+                data.set(fill, pixel * 4);
+            }
+            this.#markDirty(spanLeft, seedY, spanRight + 1, seedY + 1);
+            for (const rowY of [seedY - 1, seedY + 1]) {
+                if (rowY < top || rowY >= bottom) continue;
+                let inSpan = false;
+                for (let px = spanLeft; px <= spanRight; px++) {
+                    const match = matches(px, rowY);
+                    if (match && !inSpan) stack.push([px, rowY]);
+                    inSpan = match;
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the rectangle around all pixels that were written since the rasterizer was created or the last clearDirtyRect().
+     * @returns {{x: number, y: number, width: number, height: number}|null} The rectangle, or null if nothing was written.
+     */
+    get dirtyRect() {
+        if (!this.#dirty) return null;
+        const { left, top, right, bottom } = this.#dirty;
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * Returns the buffer that is drawn into.
+     * @returns {ImageData} The buffer.
+     */
+    get imageData() {
+        return this.#imageData;
+    }
+
+    /**
+     * Returns the width of the buffer.
+     * @returns {number} The width, in pixels.
+     */
+    get width() {
+        return this.#imageData.width;
+    }
+
+    /**
+     * Returns the height of the buffer.
+     * @returns {number} The height, in pixels.
+     */
+    get height() {
+        return this.#imageData.height;
+    }
+}
@@ -0,0 +1,358 @@
+/**
+ * Base class of the post-process passes that can be chained on a Camera with Camera.addPostProcess().
+ * A pass changes the ImageData of the finished frame in place.
+ */
+class PostProcessPass {
+    #enabled = true;
+
+    /**
+     * Applies the pass to a frame.
+     * @param {ImageData} imageData - The frame. It is changed in place.
+     */
+    apply(imageData) {
+        // Override this method in your game code.
+    }
+
+    /**
+     * Returns whether the pass is applied.
+     * @returns {boolean} True if the pass is enabled.
+     */
+    get enabled() {
+        return this.#enabled;
+    }
+
+    /**
+     * Enables or disables the pass.
+     * @param {boolean} value - True to enable the pass.
+     */
+    set enabled(value) {
+        if (typeof value !== 'boolean') {
+            throw new Error('Invalid enabled value: Expected a boolean.');
+        }
+        this.#enabled = value;
+    }
+}
+
+/**
+ * Replaces every pixel with the nearest color of a palette.
+ */
+class PaletteQuantizePass extends PostProcessPass {
+    #palette;
+    #cache = new Map();
+
+    /**
+     * Creates a new PaletteQuantizePass.
+     * @param {Color[]} palette - The colors the frame is reduced to. The alpha of the colors is ignored.
+     */
+    constructor(palette) {
+        super();
+        this.palette = palette;
+    }
+
+    /**
+     * Returns the color of the palette that is nearest to a color.
+     * @param {number} r - The red component (0-255).
+     * @param {number} g - The green component (0-255).
+     * @param {number} b - The blue component (0-255).
+     * @returns {Color} The nearest palette color.
+     */
+    findNearestColor(r, g, b) {
+        r = Math.min(255, Math.max(0, Math.round(r)));
+        g = Math.min(255, Math.max(0, Math.round(g)));
+        b = Math.min(255, Math.max(0, Math.round(b)));
+        const key = r << 16 | g << 8 | b;
+
+        let nearest = this.#cache.get(key);
+        if (nearest === undefined) {
+            let minDistance = Infinity;
+            for (const color of this.#palette) {
+                const distance = (color.r - r) ** 2 + (color.g - g) ** 2 + (color.b - b) ** 2;
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    nearest = color;
+                }
+            }
+            if (this.#cache.size >= 65536) this.#cache.clear();
+            this.#cache.set(key, nearest);
+        }
+        return nearest;
+    }
+
+    /**
+     * Applies the pass to a frame.
+     * @param {ImageData} imageData - The frame. It is changed in place.
+     */
+    apply(imageData) {
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            const color = this.findNearestColor(data[i], data[i + 1], data[i + 2]);
+            data[i] = color.r;
+            data[i + 1] = color.g;
+            data[i + 2] = color.b;
+        }
+    }
+
+    /**
+     * Returns the palette.
+     * @returns {Color[]} A copy of the palette.
+     */
+    get palette() {
+        return [...this.#palette];
+    }
+
+    /**
+     * Sets the palette.
+     * @param {Color[]} palette - The colors the frame is reduced to.
+     */
+    set palette(palette) {
+        if (!Array.isArray(palette) || palette.length === 0 || !palette.every(color => color instanceof Color)) {
+            throw new Error('Invalid palette: Expected a non-empty array of Color objects.');
+        }
+        this.#palette = palette.map(color => color.copy());
+        this.#cache.clear();
+    }
+}
+
+/**
+ * Reduces the frame to a palette with an ordered (Bayer matrix) dither pattern.
+ */
+class BayerDitherPass extends PaletteQuantizePass {
+    #matrix;
+    #matrixSize;
+    #spread;
+
+    /**
+     * Creates a new BayerDitherPass.
+     * @param {Color[]} palette - The colors the frame is reduced to.
+     * @param {number} [matrixSize=4] - The size of the Bayer matrix: 2, 4 or 8.
+     * @param {number} [spread=64] - How far the dither pattern moves a color before it is matched, in color units (0-255).
+     */
+    constructor(palette, matrixSize = 4, spread = 64) {
+        super(palette);
+        if (![2, 4, 8].includes(matrixSize)) {
+            throw new Error('Invalid matrixSize: Expected 2, 4 or 8.');
+        }
+        this.#matrixSize = matrixSize;
+        this.#matrix = BayerDitherPass.#createMatrix(matrixSize);
+        this.spread = spread;
+    }
+
+    static #createMatrix(size) {
+        let matrix = [[0]];
+        for (let n = 1; n < size; n *= 2) {
+            const next = [];
+            for (let y = 0; y < n * 2; y++) {
+                next.push([]);
+                for (let x = 0; x < n * 2; x++) {
+                    const quadrant = [0, 2, 3, 1][(y >= n ? 2 : 0) + (x >= n ? 1 : 0)];
+                    next[y].push(4 * matrix[y % n][x % n] + quadrant);
+                }
+            }
+            matrix = next;
+        }
+        // Normalize to thresholds between -0.5 and 0.5
+        return matrix.map(row => row.map(value => (value + 0.5) / (size * size) - 0.5));
+    }
+
+    /**
+     * Applies the pass to a frame.
+     * @param {ImageData} imageData - The frame. It is changed in place.
+     */
+    apply(imageData) {
+        const { data, width } = imageData;
+        for (let i = 0; i < data.length; i += 4) {
+            const pixel = i / 4;
+            const offset = this.#matrix[Math.floor(pixel / width) % this.#matrixSize][pixel % width % this.#matrixSize] * this.#spread;
+            const color = this.findNearestColor(data[i] + offset, data[i + 1] + offset, data[i + 2] + offset);
+            data[i] = color.r;
+            data[i + 1] = color.g;
+            data[i + 2] = color.b;
+        }
+    }
+
+    /**
+     * Returns the spread of the dither pattern.
+     * @returns {number} The spread in color units.
+     */
+    get spread() {
+        return this.#spread;
+    }
+
+    /**
+     * Sets the spread of the dither pattern.
+     * @param {number} value - The spread in color units (0-255).
+     */
+    set spread(value) {
+        if (typeof value !== 'number' || value < 0) {
+            throw new Error('Invalid spread: Expected a number bigger or equal than 0.');
+        }
+        this.#spread = value;
+    }
+}
+
+/**
+ * Reduces the frame to a palette with Floyd-Steinberg error diffusion dithering.
+ */
+class FloydSteinbergDitherPass extends PaletteQuantizePass {
+    #strength;
+    #errors = new Float32Array(0);
+
+    /**
+     * Creates a new FloydSteinbergDitherPass.
+     * @param {Color[]} palette - The colors the frame is reduced to.
+     * @param {number} [strength=1] - How much of the error is passed on to the neighbour pixels (0-1).
+     */
+    constructor(palette, strength = 1) {
+        super(palette);
+        this.strength = strength;
+    }
+
+    /**
+     * Applies the pass to a frame.
+     * @param {ImageData} imageData - The frame. It is changed in place.
+     */
+    apply(imageData) {
+        const { data, width, height } = imageData;
+        const size = width * height * 3;
+        if (this.#errors.length !== size) {
+            this.#errors = new Float32Array(size);
+        } else {
+            this.#errors.fill(0);
+        }
+        const errors = this.#errors;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const pixel = y * width + x;
+                const i = pixel * 4;
+                const e = pixel * 3;
+                const r = data[i] + errors[e];
+                const g = data[i + 1] + errors[e + 1];
+                const b = data[i + 2] + errors[e + 2];
+                const color = this.findNearestColor(r, g, b);
+                data[i] = color.r;
+                data[i + 1] = color.g;
+                data[i + 2] = color.b;
+
+                const errorR = (r - color.r) * this.#strength;
+                const errorG = (g - color.g) * this.#strength;
+                const errorB = (b - color.b) * this.#strength;
+                const right = x + 1 < width;
+                if (right) {
+                    FloydSteinbergDitherPass.#spread(errors, e + 3, errorR, errorG, errorB, 7 / 16);
+                }
+                if (y + 1 < height) {
+                    const below = e + width * 3;
+                    if (x > 0) {
+                        FloydSteinbergDitherPass.#spread(errors, below - 3, errorR, errorG, errorB, 3 / 16);
+                    }
+                    FloydSteinbergDitherPass.#spread(errors, below, errorR, errorG, errorB, 5 / 16);
+                    if (right) {
+                        FloydSteinbergDitherPass.#spread(errors, below + 3, errorR, errorG, errorB, 1 / 16);
+                    }
+                }
+            }
+        }
+    }
+
+    static #spread(errors, n, errorR, errorG, errorB, weight) {
+        errors[n] += errorR * weight;
+        errors[n + 1] += errorG * weight;
+        errors[n + 2] += errorB * weight;
+    }
+
+    /**
+     * Returns the strength of the error diffusion.
+     * @returns {number} The strength (0-1).
+     */
+    get strength() {
+        return this.#strength;
+    }
+
+    /**
+     * Sets the strength of the error diffusion.
+     * @param {number} value - The strength (0-1).
+     */
+    set strength(value) {
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+            throw new Error('Invalid strength: Expected a number between 0 and 1.');
+        }
+        this.#strength = value;
+    }
+}
+
+/**
+ * Reduces every color channel to a number of evenly spaced levels.
+ */
+class PosterizePass extends PostProcessPass {
+    #levels;
+
+    /**
+     * Creates a new PosterizePass.
+     * @param {number} [levels=4] - The number of levels per channel (2-256).
+     */
+    constructor(levels = 4) {
+        super();
+        this.levels = levels;
+    }
+
+    /**
+     * Applies the pass to a frame.
+     * @param {ImageData} imageData - The frame. It is changed in place.
+     */
+    apply(imageData) {
+        const data = imageData.data;
+        const step = 255 / (this.#levels - 1);
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = Math.round(data[i] / step) * step;
+            data[i + 1] = Math.round(data[i + 1] / step) * step;
+            data[i + 2] = Math.round(data[i + 2] / step) * step;
+        }
+    }
+
+    /**
+     * Returns the number of levels per channel.
+     * @returns {number} The levels.
+     */
+    get levels() {
+        return this.#levels;
+    }
+
+    /**
+     * Sets the number of levels per channel.
+     * @param {number} value - The levels (2-256).
+     */
+    set levels(value) {
+        if (!Number.isInteger(value) || value < 2 || value > 256) {
+            throw new Error('Invalid levels: Expected an integer between 2 and 256.');
+        }
+        this.#levels = value;
+    }
+}
+
+/**
+ * Preset palettes of classic hardware, for use with the palette passes.
+ * @constant
+ * @type {object}
+ */
+const Palettes = {
+    GAMEBOY_DMG: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f'].map(hex => Color.fromHex(hex)),
+    NES: [
+        '#7c7c7c', '#0000fc', '#0000bc', '#4428bc', '#940084', '#a80020', '#a81000', '#881400', '#503000', '#007800', '#006800', '#005800', '#004058', '#000000',
+        '#bcbcbc', '#0078f8', '#0058f8', '#6844fc', '#d800cc', '#e40058', '#f83800', '#e45c10', '#ac7c00', '#00b800', '#00a800', '#00a844', '#008888',
+        '#f8f8f8', '#3cbcfc', '#6888fc', '#9878f8', '#f878f8', '#f85898', '#f87858', '#fca044', '#f8b800', '#b8f818', '#58d854', '#58f898', '#00e8d8', '#787878',
+        '#fcfcfc', '#a4e4fc', '#b8b8f8', '#d8b8f8', '#f8b8f8', '#f8a4c0', '#f0d0b0', '#fce0a8', '#f8d878', '#d8f878', '#b8f8b8', '#b8f8d8', '#00fcfc', '#f8d8f8'
+    ].map(hex => Color.fromHex(hex)),
+    PICO8: [
+        '#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8',
+        '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'
+    ].map(hex => Color.fromHex(hex)),
+    CGA: [
+        '#000000', '#0000aa', '#00aa00', '#00aaaa', '#aa0000', '#aa00aa', '#aa5500', '#aaaaaa',
+        '#555555', '#5555ff', '#55ff55', '#55ffff', '#ff5555', '#ff55ff', '#ffff55', '#ffffff'
+    ].map(hex => Color.fromHex(hex)),
+    C64: [
+        '#000000', '#ffffff', '#880000', '#aaffee', '#cc44cc', '#00cc55', '#0000aa', '#eeee77',
+        '#dd8855', '#664400', '#ff7777', '#333333', '#777777', '#aaff66', '#0088ff', '#bbbbbb'
+    ].map(hex => Color.fromHex(hex))
+};
@@ -23,9 +23,11 @@ class RaycasterCamera extends Camera {
     #camWallGapFactor;
     #rays;
     #cellSize;
+    #players = [];
+    #activePlayer = 0;
 
     constructor(gameWidth, gameHeight, canvasWidth, canvasHeight, canvasName, map, floorMap, ceilingMap, wallTextures, floorTextures, ceilingTextures, position, rotation = 0, friction = 5, fov = 60, blockSize = 32) {
-        if (!Array.isArray(wallTextures) || !wallTextures.every(image => image instanceof Image)) {
+        if (!Array.isArray(wallTextures) || !wallTextures.every(image => CameraBackend.isImage(image))) {
             throw new Error('Invalid images: Expected an array of Image objects.');
         }
 
@@ -73,10 +75,71 @@ class RaycasterCamera extends Camera {
         this.#camWallGapFactor = 2;
         this.#rays = [];
         this.initializeRays();
+        this.#players.push({});
+        this.#storeActivePlayer();
+    }
+
+    #storeActivePlayer() {
+        Object.assign(this.#players[this.#activePlayer], {
+            position: this.#position,
+            rotation: this.#rotation,
+            lookOffsetZ: this.#lookOffsetZ,
+            velocity: this.#velocity,
+            rays: this.#rays
+        });
+    }
+
+    // The area that is rendered to: the active viewport, or the whole screen
+    #getRenderArea() {
+        const viewport = this.activeViewport;
+        if (viewport) {
+            return { x: ~~viewport.x, y: ~~viewport.y, width: ~~viewport.width, height: ~~viewport.height };
+        }
+        return { x: 0, y: 0, width: this.gameWidth, height: this.gameHeight };
+    }
+
+    /**
+     * Adds another player with its own position, rotation and velocity, for split-screen games.
+     * Every player is rendered from its own point of view once it is made the active player.
+     * @param {Vector} position - The position of the player.
+     * @param {number} [rotation=0] - The rotation of the player in degrees.
+     * @returns {number} The index of the new player.
+     */
+    addPlayer(position, rotation = 0) {
+        if (!(position instanceof Vector)) {
+            throw new Error('Invalid position: Expected a Vector object.');
+        }
+        if (typeof rotation !== 'number') {
+            throw new Error('Invalid rotation: Expected a number.');
+        }
+        this.#players.push({ position, rotation, lookOffsetZ: 0, velocity: new Vector(0, 0), rays: [] });
+        return this.#players.length - 1;
+    }
+
+    /**
+     * Makes a player the active player. move(), rotate(), strafe(), tilt() and the render methods act on the active player.
+     * To render two players side by side, add a viewport per player and render each player in renderScene():
+     * call setActivePlayer() with the player of the viewport, then render3D().
+     * @param {number} index - The index of the player, 0 is the player given to the constructor.
+     */
+    setActivePlayer(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.#players.length) {
+            throw new Error(`Invalid player index: Expected an integer between 0 and ${this.#players.length - 1}.`);
+        }
+        this.#storeActivePlayer();
+        const player = this.#players[index];
+        this.#activePlayer = index;
+        this.#position = player.position;
+        this.#rotation = player.rotation;
+        this.#lookOffsetZ = player.lookOffsetZ;
+        this.#velocity = player.velocity;
+        this.#rays = player.rays;
     }
 
     initializeRays() {
-        const totalRays = this.gameWidth;
+        const totalRays = this.#getRenderArea().width;
+        this.#rays = [];
+        this.#distFromPlayerToProjectionPlane = ((totalRays / 2) / Math.tan((this.#fov / 2) * Math.PI / 180));
         const angleBetweenRays = this.#fov / totalRays;
         let currentAngle = -(this.#fov / 2) + this.#rotation;
 
@@ -90,6 +153,10 @@ class RaycasterCamera extends Camera {
     }
 
     updateRays() {
+        // The number of rays follows the width of the area that is rendered to
+        if (this.#rays.length !== this.#getRenderArea().width) {
+            this.initializeRays();
+        }
         const deltaTime = this.getDeltaTime();
         const totalRays = this.#rays.length;
         const angleBetweenRays = this.#fov / totalRays;
@@ -163,12 +230,13 @@ class RaycasterCamera extends Camera {
     }
     
     #renderWalls() {
+        const area = this.#getRenderArea();
         for (let column = 0; column < this.#rays.length; column++) {
             const hitPosition = this.#rays[column].cast(this.#map);
             if (hitPosition) {
                 let distHit = Math.sqrt(Math.pow(hitPosition.x - this.#position.x, 2) + Math.pow(hitPosition.y - this.#position.y, 2));
                 // Calculate the angle of the ray relative to the player's view direction
-                let rayAngle = this.#rotation + (column / this.gameWidth - 0.5) * this.#fov;
+                let rayAngle = this.#rotation + (column / area.width - 0.5) * this.#fov;
                 // Convert to radians
                 rayAngle = GameMath.degreesToRadians(rayAngle);
                 // Calculate the actual distance to the wall without the fisheye effect
@@ -176,7 +244,7 @@ class RaycasterCamera extends Camera {
     
                 const sliceHeight = ~~(this.#blockSize / distHit * this.#distFromPlayerToProjectionPlane);
                 let drawHeight = sliceHeight;
-                let startY = this.gameHeight / 2 - drawHeight / 2;
+                let startY = area.height / 2 - drawHeight / 2;
                 
                 // Fake looking up and down.
                 startY += this.#lookOffsetZ;                
@@ -223,9 +291,10 @@ class RaycasterCamera extends Camera {
     }
 
     #renderFloorAndCeiling() {
-        // Use the projection width and height directly from the object's properties
-        const width = this.gameWidth;
-        const adjustedHight = ~~(this.gameHeight + Math.abs(this.#lookOffsetZ) * 2);
+        // Use the projection width and height of the area that is rendered to
+        const area = this.#getRenderArea();
+        const width = area.width;
+        const adjustedHight = ~~(area.height + Math.abs(this.#lookOffsetZ) * 2);
         const height = adjustedHight % 2 == 0 ? adjustedHight : adjustedHight + 1;
         const halfHeight = height / 2; // Half the height for drawing the floor and ceiling separately
         const playerHeight = this.#playerHeight; // Use the player height as defined in the constructor
@@ -241,16 +310,16 @@ class RaycasterCamera extends Camera {
         for (let y = 0; y <= halfHeight; y++) {
             interpolationSkip = 10;
             const adjustedY = this.#lookOffsetZ < 0 ? y : y;
-            for (let x = 0; x < this.gameWidth-1; x+=interpolationSkip) {
+            for (let x = 0; x < width-1; x+=interpolationSkip) {
                 // Calculate distance to floor point, factoring in the blockSize
                 let distToFloorPoint = Math.abs(this.#distFromPlayerToProjectionPlane * (this.#playerHeight / (adjustedY - height / 2)));
-                distToFloorPoint /= Math.cos((this.#fov / 2 - x * (this.#fov / this.gameWidth)) * Math.PI / 180);
+                distToFloorPoint /= Math.cos((this.#fov / 2 - x * (this.#fov / width)) * Math.PI / 180);
 
                 let textPixel = this.#getFloorCeilingTextureIndex(x, distToFloorPoint);
                 let floorTexture = this.#floorTexture;
                 let ceilingTexture = this.#ceilingTexture;
                 //const nextIndex = x + interpolationSkip >= this.gameWidth ? this.gameWidth - 1 : x + interpolationSkip;
-                if (x + interpolationSkip >= this.gameWidth) {
+                if (x + interpolationSkip >= width) {
                     interpolationSkip = 1;
                 }
                 const nextIndex = x + interpolationSkip;
@@ -306,11 +375,12 @@ class RaycasterCamera extends Camera {
             }
         }
 
-        // Draw the floor and ceiling image data
+        // Draw the floor and ceiling image data, putImageData ignores the clip so only the area is copied
         if (this.#lookOffsetZ < 0) {
-            this.ctx.putImageData(imageData, 0, 0 + this.#lookOffsetZ * 2);
+            const offsetY = ~~(this.#lookOffsetZ * 2);
+            this.ctx.putImageData(imageData, area.x, area.y + offsetY, 0, -offsetY, width, area.height);
         } else {
-            this.ctx.putImageData(imageData, 0, 0);
+            this.ctx.putImageData(imageData, area.x, area.y, 0, 0, width, area.height);
         }
     }
 
@@ -349,12 +419,13 @@ class RaycasterCamera extends Camera {
 
     render2D() {
         this.updateRays();
-        const blockWidth = (this.gameWidth / this.#map[0].length);
-        const blockHeight = (this.gameHeight / this.#map.length);
-        const screenToWorldRatio = new Vector(this.gameWidth / (this.#map[0].length * this.#blockSize), this.gameHeight / (this.#map.length * this.#blockSize));
+        const area = this.#getRenderArea();
+        const blockWidth = (area.width / this.#map[0].length);
+        const blockHeight = (area.height / this.#map.length);
+        const screenToWorldRatio = new Vector(area.width / (this.#map[0].length * this.#blockSize), area.height / (this.#map.length * this.#blockSize));
         const screenPosition = this.#position.copy().mult(screenToWorldRatio);
 
-        this.drawRect(new Vector(this.gameWidth / 2, this.gameHeight / 2), this.gameWidth, this.gameHeight, new Color(255, 255, 255, 255));
+        this.drawRect(new Vector(area.width / 2, area.height / 2), area.width, area.height, new Color(255, 255, 255, 255));
 
         for (let y = 0; y < this.#map.length; y++) {
             for (let x = 0; x < this.#map[y].length; x++) {
@@ -370,8 +441,8 @@ class RaycasterCamera extends Camera {
                 }
             }
         }
-        for (let y = 0; y < this.#map.length; y++) this.drawLine(new Vector(0, y * (this.gameHeight / this.#map.length)), new Vector(this.gameWidth, y * (this.gameHeight / this.#map.length)), new Color(0, 0, 0, 255), 3);
-        for (let x = 0; x < this.#map[0].length; x++) this.drawLine(new Vector(x * (this.gameWidth / this.#map[0].length), 0), new Vector(x * (this.gameWidth / this.#map[0].length), this.gameHeight), new Color(0, 0, 0, 255), 3);
+        for (let y = 0; y < this.#map.length; y++) this.drawLine(new Vector(0, y * (area.height / this.#map.length)), new Vector(area.width, y * (area.height / this.#map.length)), new Color(0, 0, 0, 255), 3);
+        for (let x = 0; x < this.#map[0].length; x++) this.drawLine(new Vector(x * (area.width / this.#map[0].length), 0), new Vector(x * (area.width / this.#map[0].length), area.height), new Color(0, 0, 0, 255), 3);
 
         this.#rays.forEach(ray => {
             const hit = ray.cast(this.#map);
@@ -385,8 +456,8 @@ class RaycasterCamera extends Camera {
             }
         });
 
-        const radX = (this.gameWidth / this.#map[0].length) * 0.3;
-        const radY = (this.gameHeight / this.#map.length) * 0.3;
+        const radX = (area.width / this.#map[0].length) * 0.3;
+        const radY = (area.height / this.#map.length) * 0.3;
         //const drawPos = new Vector();
         this.drawEllipse(screenPosition, radX, radY);
     }
@@ -425,6 +496,22 @@ class RaycasterCamera extends Camera {
         return this.#map;
     }
 
+    /**
+     * Returns the index of the active player.
+     * @returns {number} The index of the active player.
+     */
+    get activePlayer() {
+        return this.#activePlayer;
+    }
+
+    /**
+     * Returns the number of players.
+     * @returns {number} The number of players.
+     */
+    get playerCount() {
+        return this.#players.length;
+    }
+
     get images() {
         return this.#wallTextures;
     }
@@ -445,7 +532,7 @@ class RaycasterCamera extends Camera {
      * @param {Array<{data: Uint8ClampedArray, width: number, height: number}>} newImages - The new image array.
      */
     set images(newImages) {
-        if (!Array.isArray(newImages) || !newImages.every(image => image instanceof Image)) {
+        if (!Array.isArray(newImages) || !newImages.every(image => CameraBackend.isImage(image))) {
             throw new Error('Invalid images: Expected an array of Image objects.');
         }
         this.#wallTextures = newImages;
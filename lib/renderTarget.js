@@ -0,0 +1,104 @@
+/**
+ * An offscreen canvas that the Camera can draw into instead of the screen (see Camera.setRenderTarget()).
+ * A RenderTarget can be drawn like an image with Camera.drawImage().
+ */
+class RenderTarget {
+    #canvas;
+    #ctx;
+    #smooth;
+
+    /**
+     * Creates a new RenderTarget.
+     * @param {number} width - The width of the target, in pixels.
+     * @param {number} height - The height of the target, in pixels.
+     * @param {boolean} [smooth=false] - If true, images drawn into the target are smoothed when scaled.
+     */
+    constructor(width, height, smooth = false) {
+        if (typeof smooth !== 'boolean') {
+            throw new Error('Invalid smooth value: Expected a boolean.');
+        }
+        this.#canvas = CameraBackend.default.createCanvas(1, 1);
+        this.#smooth = smooth;
+        this.resize(width, height);
+    }
+
+    /**
+     * Changes the size of the target. The content of the target is cleared.
+     * @param {number} width - The new width, in pixels.
+     * @param {number} height - The new height, in pixels.
+     */
+    resize(width, height) {
+        if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+            throw new Error('Invalid size: Expected positive integers for width and height.');
+        }
+        this.#canvas.width = width;
+        this.#canvas.height = height;
+
+        // Resizing resets the context state
+        this.#ctx = this.#canvas.getContext('2d');
+        this.#ctx.imageSmoothingEnabled = this.#smooth;
+        this.#ctx.mozImageSmoothingEnabled = this.#smooth; // Firefox
+        this.#ctx.webkitImageSmoothingEnabled = this.#smooth; // Chrome, Safari
+        this.#ctx.msImageSmoothingEnabled = this.#smooth; // IE
+    }
+
+    /**
+     * Clears the target.
+     * @param {Color|null} [color=null] - The color to fill the target with, or null to make it transparent.
+     */
+    clear(color = null) {
+        if (color !== null && !(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object or null.');
+        }
+        this.#ctx.save();
+        this.#ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.#ctx.globalAlpha = 1;
+        this.#ctx.globalCompositeOperation = 'source-over';
+        this.#ctx.clearRect(0, 0, this.#canvas.width, this.#canvas.height);
+        if (color) {
+            this.#ctx.fillStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a / 255})`;
+            this.#ctx.fillRect(0, 0, this.#canvas.width, this.#canvas.height);
+        }
+        this.#ctx.restore();
+    }
+
+    /**
+     * Returns the pixels of the target.
+     * @returns {ImageData} The pixels.
+     */
+    getImageData() {
+        return this.#ctx.getImageData(0, 0, this.#canvas.width, this.#canvas.height);
+    }
+
+    /**
+     * Returns the canvas of the target.
+     * @returns {HTMLCanvasElement} The canvas.
+     */
+    get canvas() {
+        return this.#canvas;
+    }
+
+    /**
+     * Returns the 2d context of the target.
+     * @returns {CanvasRenderingContext2D} The context.
+     */
+    get ctx() {
+        return this.#ctx;
+    }
+
+    /**
+     * Returns the width of the target.
+     * @returns {number} The width, in pixels.
+     */
+    get width() {
+        return this.#canvas.width;
+    }
+
+    /**
+     * Returns the height of the target.
+     * @returns {number} The height, in pixels.
+     */
+    get height() {
+        return this.#canvas.height;
+    }
+}
@@ -0,0 +1,555 @@
+/**
+ * Represents a single screen of the game, such as a menu, a level or a pause screen.
+ * Extend this class and override the hooks that the scene needs.
+ */
+class Scene {
+    #name;
+    #manager = null;
+
+    /**
+     * Creates a new Scene.
+     * @param {string} [name="Scene"] - The name of the scene.
+     * @param {boolean} [transparent=false] - If true, the scene below this one is drawn as well (useful for pause screens and popups).
+     */
+    constructor(name = "Scene", transparent = false) {
+        if (typeof name !== 'string') {
+            throw new Error('Invalid name: Expected a string.');
+        }
+        if (typeof transparent !== 'boolean') {
+            throw new Error('Invalid transparent value: Expected a boolean.');
+        }
+        this.#name = name;
+        this.transparent = transparent;
+    }
+
+    /**
+     * Called when the scene is added to the scene stack.
+     * @param {*} data - Optional data passed to push() or replace().
+     */
+    enter(data) {
+        // Override this method in your game code.
+    }
+
+    /**
+     * Called when the scene is removed from the scene stack.
+     */
+    exit() {
+        // Override this method in your game code.
+    }
+
+    /**
+     * Called when another scene is pushed on top of this scene.
+     */
+    pause() {
+        // Override this method in your game code.
+    }
+
+    /**
+     * Called when this scene becomes the top scene again after the scene above it was popped.
+     * @param {*} data - Optional data passed to pop().
+     */
+    resume(data) {
+        // Override this method in your game code.
+    }
+
+    /**
+     * Called every frame, but only for the top scene.
+     * @param {number} deltaTime - The time elapsed since the last frame, in seconds.
+     * @param {number} alpha - The interpolation alpha of the camera.
+     */
+    update(deltaTime, alpha) {
+        // Override this method in your game code.
+    }
+
+    /**
+     * Called at a constant rate when the camera is in fixed-timestep mode, but only for the top scene.
+     * @param {number} deltaTime - The fixed delta time, in seconds.
+     */
+    fixedUpdate(deltaTime) {
+        // Override this method in your game code.
+    }
+
+    /**
+     * Called every frame for every visible scene, from the bottom to the top of the stack.
+     * Visible scenes are the top scene and the scenes below transparent scenes.
+     * @param {number} alpha - The interpolation alpha of the camera.
+     */
+    draw(alpha) {
+        // Override this method in your game code.
+    }
+
+    /**
+     * Called every frame for every visible scene after the camera's ui().
+     */
+    ui() {
+        // Override this method in your game code.
+    }
+
+    // Input hooks, only called while the scene has the input focus.
+    onKeyDown(e) {}
+    onKeyUp(e) {}
+    onMouseMove(e) {}
+    onMouseWheel(e) {}
+    onMouseButtonDown(e) {}
+    onMouseButtonUp(e) {}
+    onGamepadButtonPressed(buttonIndex, gamepadIndex) {}
+    onGamepadButtonReleased(buttonIndex, gamepadIndex) {}
+    onGamepadAxisChanged(axisIndex, value, gamepadIndex) {}
+    onTouchStart(e) {}
+    onTouchMove(e) {}
+    onTouchEnd(e) {}
+
+    /**
+     * Returns the name of the scene.
+     * @returns {string} The name of the scene.
+     */
+    get name() {
+        return this.#name;
+    }
+
+    /**
+     * Returns the scene manager the scene belongs to.
+     * @returns {SceneManager|null} The scene manager, or null if the scene is not on a scene stack.
+     */
+    get manager() {
+        return this.#manager;
+    }
+
+    /**
+     * Sets the scene manager the scene belongs to. Called by the SceneManager.
+     * @param {SceneManager|null} manager - The scene manager.
+     */
+    set manager(manager) {
+        if (manager !== null && !(manager instanceof SceneManager)) {
+            throw new Error('Invalid manager: Expected a SceneManager or null.');
+        }
+        this.#manager = manager;
+    }
+
+    /**
+     * Returns the camera that renders the scene.
+     * @returns {Camera|null} The camera.
+     */
+    get camera() {
+        return this.#manager ? this.#manager.camera : null;
+    }
+
+    /**
+     * Returns whether the scene currently receives input.
+     * @returns {boolean} True if the scene is the top scene and no transition is running.
+     */
+    get hasFocus() {
+        return this.#manager !== null && this.#manager.focusedScene === this;
+    }
+}
+
+/**
+ * Manages a stack of scenes and drives them from the render loop of a Camera.
+ */
+class SceneManager {
+    #camera;
+    #input;
+    #scenes = [];
+    #transition = null;
+    #transitionTime = 0;
+    #pendingChange = null;
+    #changeApplied = false;
+
+    /**
+     * Creates a new SceneManager and attaches it to a camera.
+     * @param {Camera} camera - The camera whose render loop drives the scenes.
+     * @param {Input} [input=null] - If given, the input events are forwarded to the scene that has the focus.
+     */
+    constructor(camera, input = null) {
+        if (!(camera instanceof Camera)) {
+            throw new Error('Invalid camera: Expected an instance of Camera.');
+        }
+        if (input !== null && !(input instanceof Input)) {
+            throw new Error('Invalid input: Expected an instance of Input or null.');
+        }
+        this.#camera = camera;
+        this.#input = input;
+        this.#camera.sceneManager = this;
+
+        if (this.#input) {
+            this.#forwardInput();
+        }
+    }
+
+    #forwardInput() {
+        const hooks = [
+            'onKeyDown', 'onKeyUp', 'onMouseMove', 'onMouseWheel', 'onMouseButtonDown', 'onMouseButtonUp',
+            'onGamepadButtonPressed', 'onGamepadButtonReleased', 'onGamepadAxisChanged',
+            'onTouchStart', 'onTouchMove', 'onTouchEnd'
+        ];
+        for (const hook of hooks) {
+            // Keep the handlers that the game has already defined on the input
+            const original = this.#input[hook].bind(this.#input);
+            this.#input[hook] = (...args) => {
+                original(...args);
+                const scene = this.focusedScene;
+                if (scene) scene[hook](...args);
+            };
+        }
+    }
+
+    /**
+     * Pushes a scene on top of the stack. The current top scene is paused.
+     * @param {Scene} scene - The scene to push.
+     * @param {*} [data=null] - Data passed to the enter() hook of the scene.
+     * @param {SceneTransition} [transition=null] - An optional transition.
+     */
+    push(scene, data = null, transition = null) {
+        if (!(scene instanceof Scene)) {
+            throw new Error('Invalid scene: Expected an instance of Scene.');
+        }
+        if (this.#scenes.includes(scene)) {
+            throw new Error('Invalid scene: The scene is already on the scene stack.');
+        }
+        this.#change(() => {
+            const top = this.currentScene;
+            if (top) top.pause();
+            scene.manager = this;
+            this.#scenes.push(scene);
+            scene.enter(data);
+        }, transition);
+    }
+
+    /**
+     * Removes the top scene from the stack. The scene below it is resumed.
+     * @param {*} [data=null] - Data passed to the resume() hook of the new top scene.
+     * @param {SceneTransition} [transition=null] - An optional transition.
+     */
+    pop(data = null, transition = null) {
+        if (this.#scenes.length === 0) {
+            throw new Error('Cannot pop: The scene stack is empty.');
+        }
+        this.#change(() => {
+            const scene = this.#scenes.pop();
+            scene.exit();
+            scene.manager = null;
+            const top = this.currentScene;
+            if (top) top.resume(data);
+        }, transition);
+    }
+
+    /**
+     * Replaces the top scene with another scene.
+     * @param {Scene} scene - The new scene.
+     * @param {*} [data=null] - Data passed to the enter() hook of the new scene.
+     * @param {SceneTransition} [transition=null] - An optional transition.
+     */
+    replace(scene, data = null, transition = null) {
+        if (!(scene instanceof Scene)) {
+            throw new Error('Invalid scene: Expected an instance of Scene.');
+        }
+        this.#change(() => {
+            const previous = this.#scenes.pop();
+            if (previous) {
+                previous.exit();
+                previous.manager = null;
+            }
+            scene.manager = this;
+            this.#scenes.push(scene);
+            scene.enter(data);
+        }, transition);
+    }
+
+    #change(change, transition) {
+        if (transition !== null && !(transition instanceof SceneTransition)) {
+            throw new Error('Invalid transition: Expected an instance of SceneTransition or null.');
+        }
+        if (this.#transition) {
+            throw new Error('Cannot change scenes while a transition is running.');
+        }
+        if (!transition) {
+            change();
+            return;
+        }
+        this.#transition = transition;
+        this.#transitionTime = 0;
+        this.#pendingChange = change;
+        this.#changeApplied = false;
+    }
+
+    #updateTransition(deltaTime) {
+        this.#transitionTime += deltaTime;
+        const half = this.#transition.duration / 2;
+
+        // The scenes are swapped while the screen is fully covered
+        if (!this.#changeApplied && this.#transitionTime >= half) {
+            this.#changeApplied = true;
+            this.#pendingChange();
+            this.#pendingChange = null;
+        }
+        if (this.#transitionTime >= this.#transition.duration) {
+            this.#transition = null;
+        }
+    }
+
+    /**
+     * Returns the scenes that should be drawn this frame, from the bottom to the top.
+     * @returns {Array<Scene>} The visible scenes.
+     */
+    #getVisibleScenes() {
+        let first = this.#scenes.length - 1;
+        while (first > 0 && this.#scenes[first].transparent) {
+            first--;
+        }
+        return this.#scenes.slice(Math.max(first, 0));
+    }
+
+    /**
+     * Updates the top scene and draws the visible scenes. Called by the Camera every frame.
+     * @param {number} deltaTime - The time elapsed since the last frame, in seconds.
+     * @param {number} alpha - The interpolation alpha of the camera.
+     * @param {number} [unscaledDeltaTime=deltaTime] - The real time elapsed since the last frame, in seconds.
+     * Transitions run in real time, so a pause menu can slide in while the game clock is paused.
+     */
+    update(deltaTime, alpha, unscaledDeltaTime = deltaTime) {
+        if (this.#transition) {
+            this.#updateTransition(unscaledDeltaTime);
+        }
+        const top = this.currentScene;
+        for (const scene of this.#getVisibleScenes()) {
+            if (scene === top) {
+                scene.update(deltaTime, alpha);
+            }
+            scene.draw(alpha);
+        }
+    }
+
+    /**
+     * Calls fixedUpdate() on the top scene. Called by the Camera in fixed-timestep mode.
+     * @param {number} deltaTime - The fixed delta time, in seconds.
+     */
+    fixedUpdate(deltaTime) {
+        const top = this.currentScene;
+        if (top) top.fixedUpdate(deltaTime);
+    }
+
+    /**
+     * Draws the ui of the visible scenes and the running transition. Called by the Camera every frame.
+     */
+    ui() {
+        for (const scene of this.#getVisibleScenes()) {
+            scene.ui();
+        }
+        if (this.#transition) {
+            const half = this.#transition.duration / 2;
+            const progress = this.#changeApplied
+                ? 1 - (this.#transitionTime - half) / half
+                : this.#transitionTime / half;
+            this.#transition.draw(this.#camera, GameMath.clamp(progress, 0, 1));
+        }
+    }
+
+    /**
+     * Returns the camera that drives the scenes.
+     * @returns {Camera} The camera.
+     */
+    get camera() {
+        return this.#camera;
+    }
+
+    /**
+     * Returns the input the events are forwarded from.
+     * @returns {Input|null} The input.
+     */
+    get input() {
+        return this.#input;
+    }
+
+    /**
+     * Returns the top scene of the stack.
+     * @returns {Scene|null} The top scene, or null if the stack is empty.
+     */
+    get currentScene() {
+        return this.#scenes.length > 0 ? this.#scenes[this.#scenes.length - 1] : null;
+    }
+
+    /**
+     * Returns the scene that receives input. No scene has the focus while a transition is running.
+     * @returns {Scene|null} The focused scene.
+     */
+    get focusedScene() {
+        return this.#transition ? null : this.currentScene;
+    }
+
+    /**
+     * Returns a copy of the scene stack, from the bottom to the top.
+     * @returns {Array<Scene>} The scenes.
+     */
+    get scenes() {
+        return [...this.#scenes];
+    }
+
+    /**
+     * Returns whether a transition is running.
+     * @returns {boolean} True if a transition is running.
+     */
+    get isTransitioning() {
+        return this.#transition !== null;
+    }
+}
+
+/**
+ * Base class for scene transitions. The first half of the transition covers the screen,
+ * the scenes are changed, and the second half uncovers the screen.
+ */
+class SceneTransition {
+    #duration;
+
+    /**
+     * Creates a new SceneTransition.
+     * @param {number} [duration=0.5] - The duration of the whole transition, in seconds.
+     */
+    constructor(duration = 0.5) {
+        if (typeof duration !== 'number' || duration <= 0) {
+            throw new Error('Invalid duration: Expected a positive number.');
+        }
+        this.#duration = duration;
+    }
+
+    /**
+     * Draws the transition. Should be overwritten.
+     * @param {Camera} camera - The camera to draw on.
+     * @param {number} progress - How much of the screen is covered (0-1).
+     */
+    draw(camera, progress) {
+        // Override this method in the transition.
+    }
+
+    /**
+     * Returns the duration of the transition.
+     * @returns {number} The duration, in seconds.
+     */
+    get duration() {
+        return this.#duration;
+    }
+}
+
+/**
+ * Fades the screen to a color and back.
+ */
+class FadeTransition extends SceneTransition {
+    #color;
+
+    /**
+     * Creates a new FadeTransition.
+     * @param {number} [duration=0.5] - The duration of the whole transition, in seconds.
+     * @param {Color} [color=new Color(0, 0, 0, 255)] - The color to fade to.
+     */
+    constructor(duration = 0.5, color = new Color(0, 0, 0, 255)) {
+        super(duration);
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        this.#color = color;
+    }
+
+    draw(camera, progress) {
+        const color = this.#color.copy();
+        color.a = ~~(this.#color.a * progress);
+        camera.drawRect(new Vector(camera.gameWidth / 2, camera.gameHeight / 2), camera.gameWidth, camera.gameHeight, color);
+    }
+}
+
+/**
+ * Wipes a solid color over the screen from one side and back.
+ */
+class WipeTransition extends SceneTransition {
+    #direction;
+    #color;
+
+    /**
+     * Creates a new WipeTransition.
+     * @param {number} [duration=0.5] - The duration of the whole transition, in seconds.
+     * @param {string} [direction="right"] - The direction of the wipe: "left", "right", "up" or "down".
+     * @param {Color} [color=new Color(0, 0, 0, 255)] - The color of the wipe.
+     */
+    constructor(duration = 0.5, direction = "right", color = new Color(0, 0, 0, 255)) {
+        super(duration);
+        if (!["left", "right", "up", "down"].includes(direction)) {
+            throw new Error('Invalid direction: Expected "left", "right", "up" or "down".');
+        }
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        this.#direction = direction;
+        this.#color = color;
+    }
+
+    draw(camera, progress) {
+        if (progress <= 0) return;
+        const width = camera.gameWidth;
+        const height = camera.gameHeight;
+        const horizontal = this.#direction === "left" || this.#direction === "right";
+        const coverWidth = horizontal ? width * progress : width;
+        const coverHeight = horizontal ? height : height * progress;
+
+        let x = coverWidth / 2;
+        let y = coverHeight / 2;
+        if (this.#direction === "left") x = width - coverWidth / 2;
+        if (this.#direction === "up") y = height - coverHeight / 2;
+
+        camera.drawRect(new Vector(x, y), coverWidth, coverHeight, this.#color);
+    }
+}
+
+/**
+ * Covers the screen with blocks of pixels in a random order and uncovers it again.
+ */
+class DissolveTransition extends SceneTransition {
+    #pixelSize;
+    #color;
+    #seed;
+    #thresholds = null;
+    #columns = 0;
+    #rows = 0;
+
+    /**
+     * Creates a new DissolveTransition.
+     * @param {number} [duration=0.5] - The duration of the whole transition, in seconds.
+     * @param {number} [pixelSize=4] - The size of the dissolving blocks, in game pixels.
+     * @param {Color} [color=new Color(0, 0, 0, 255)] - The color of the blocks.
+     * @param {number} [seed=0] - The seed for the order of the blocks.
+     */
+    constructor(duration = 0.5, pixelSize = 4, color = new Color(0, 0, 0, 255), seed = 0) {
+        super(duration);
+        if (typeof pixelSize !== 'number' || pixelSize < 1) {
+            throw new Error('Invalid pixelSize: Expected a number bigger or equal than 1.');
+        }
+        if (!(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object.');
+        }
+        if (typeof seed !== 'number') {
+            throw new Error('Invalid seed: Expected a number.');
+        }
+        this.#pixelSize = ~~pixelSize;
+        this.#color = color;
+        this.#seed = seed;
+    }
+
+    draw(camera, progress) {
+        const columns = Math.ceil(camera.gameWidth / this.#pixelSize);
+        const rows = Math.ceil(camera.gameHeight / this.#pixelSize);
+        if (!this.#thresholds || columns !== this.#columns || rows !== this.#rows) {
+            this.#columns = columns;
+            this.#rows = rows;
+            this.#thresholds = new Float32Array(columns * rows);
+            for (let i = 0; i < this.#thresholds.length; i++) {
+                this.#thresholds[i] = Random.seededRandom(this.#seed + i);
+            }
+        }
+
+        const size = this.#pixelSize;
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < columns; x++) {
+                if (this.#thresholds[y * columns + x] < progress) {
+                    camera.drawRect(new Vector(x * size + size / 2, y * size + size / 2), size, size, this.#color);
+                }
+            }
+        }
+    }
+}
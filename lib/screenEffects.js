@@ -0,0 +1,563 @@
+/**
+ * Base class of the display simulation effects that can be chained on a Camera with Camera.addScreenEffect().
+ * Screen effects run after the post-processing passes, at the resolution of the output canvas (see Camera.setOutputScale()).
+ */
+class ScreenEffect extends PostProcessPass {
+    /**
+     * Applies the effect to a frame.
+     * @param {ImageData} imageData - The frame at output resolution. It is changed in place.
+     * @param {number} [scale=1] - The number of output pixels per game pixel.
+     */
+    apply(imageData, scale = 1) {
+        // Override this method in your game code.
+    }
+}
+
+/**
+ * Darkens the gaps between the lines of the game pixels.
+ */
+class ScanlineEffect extends ScreenEffect {
+    #intensity;
+
+    /**
+     * Creates a new ScanlineEffect.
+     * @param {number} [intensity=0.3] - How much the gaps are darkened (0-1).
+     */
+    constructor(intensity = 0.3) {
+        super();
+        this.intensity = intensity;
+    }
+
+    /**
+     * Applies the effect to a frame.
+     * @param {ImageData} imageData - The frame at output resolution. It is changed in place.
+     * @param {number} [scale=1] - The number of output pixels per game pixel.
+     */
+    apply(imageData, scale = 1) {
+        const { data, width, height } = imageData;
+        const period = Math.max(2, scale);
+        const factor = 1 - this.#intensity;
+        for (let y = 0; y < height; y++) {
+            if (y % period < Math.ceil(period / 2)) continue;
+            for (let i = y * width * 4; i < (y + 1) * width * 4; i += 4) {
+                data[i] *= factor;
+                data[i + 1] *= factor;
+                data[i + 2] *= factor;
+            }
+        }
+    }
+
+    /**
+     * Returns the intensity of the effect.
+     * @returns {number} The intensity (0-1).
+     */
+    get intensity() {
+        return this.#intensity;
+    }
+
+    /**
+     * Sets the intensity of the effect.
+     * @param {number} value - The intensity (0-1).
+     */
+    set intensity(value) {
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+            throw new Error('Invalid intensity: Expected a number between 0 and 1.');
+        }
+        this.#intensity = value;
+    }
+}
+
+/**
+ * Simulates the aperture grille of a CRT with alternating red, green and blue columns.
+ */
+class ShadowMaskEffect extends ScreenEffect {
+    #intensity;
+
+    /**
+     * Creates a new ShadowMaskEffect.
+     * @param {number} [intensity=0.2] - How much the other two channels are darkened in every column (0-1).
+     */
+    constructor(intensity = 0.2) {
+        super();
+        this.intensity = intensity;
+    }
+
+    /**
+     * Applies the effect to a frame.
+     * @param {ImageData} imageData - The frame at output resolution. It is changed in place.
+     * @param {number} [scale=1] - The number of output pixels per game pixel.
+     */
+    apply(imageData, scale = 1) {
+        const data = imageData.data;
+        const factor = 1 - this.#intensity;
+        for (let i = 0; i < data.length; i += 4) {
+            const channel = (i / 4) % imageData.width % 3;
+            if (channel !== 0) data[i] *= factor;
+            if (channel !== 1) data[i + 1] *= factor;
+            if (channel !== 2) data[i + 2] *= factor;
+        }
+    }
+
+    /**
+     * Returns the intensity of the effect.
+     * @returns {number} The intensity (0-1).
+     */
+    get intensity() {
+        return this.#intensity;
+    }
+
+    /**
+     * Sets the intensity of the effect.
+     * @param {number} value - The intensity (0-1).
+     */
+    set intensity(value) {
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+            throw new Error('Invalid intensity: Expected a number between 0 and 1.');
+        }
+        this.#intensity = value;
+    }
+}
+
+/**
+ * Bends the frame like the curved glass of a CRT. The corners outside of the screen are filled with a border color.
+ */
+class BarrelDistortionEffect extends ScreenEffect {
+    #curvature;
+    #borderColor;
+    #source = new Uint8ClampedArray(0);
+
+    /**
+     * Creates a new BarrelDistortionEffect.
+     * @param {number} [curvature=0.1] - The strength of the curvature. 0 is a flat screen.
+     * @param {Color} [borderColor=new Color(0, 0, 0, 255)] - The color outside of the curved screen.
+     */
+    constructor(curvature = 0.1, borderColor = new Color(0, 0, 0, 255)) {
+        super();
+        this.curvature = curvature;
+        this.borderColor = borderColor;
+    }
+
+    /**
+     * Applies the effect to a frame.
+     * @param {ImageData} imageData - The frame at output resolution. It is changed in place.
+     * @param {number} [scale=1] - The number of output pixels per game pixel.
+     */
+    apply(imageData, scale = 1) {
+        const { data, width, height } = imageData;
+        if (this.#source.length !== data.length) {
+            this.#source = new Uint8ClampedArray(data.length);
+        }
+        const source = this.#source;
+        source.set(data);
+
+        for (let y = 0; y < height; y++) {
+            const v = (y + 0.5) / height * 2 - 1;
+            for (let x = 0; x < width; x++) {
+                const u = (x + 0.5) / width * 2 - 1;
+                const distortion = 1 + this.#curvature * (u * u + v * v);
+                const sourceX = Math.floor(((u * distortion) + 1) / 2 * width);
+                const sourceY = Math.floor(((v * distortion) + 1) / 2 * height);
+                const i = (y * width + x) * 4;
+
+                if (sourceX < 0 || sourceX >= width || sourceY < 0 || sourceY >= height) {
+                    data[i] = this.#borderColor.r;
+                    data[i + 1] = this.#borderColor.g;
+                    data[i + 2] = this.#borderColor.b;
+                    data[i + 3] = this.#borderColor.a;
+                } else {
+                    const s = (sourceY * width + sourceX) * 4;
+                    data[i] = source[s];
+                    data[i + 1] = source[s + 1];
+                    data[i + 2] = source[s + 2];
+                    data[i + 3] = source[s + 3];
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the strength of the curvature.
+     * @returns {number} The curvature.
+     */
+    get curvature() {
+        return this.#curvature;
+    }
+
+    /**
+     * Sets the strength of the curvature.
+     * @param {number} value - The curvature, 0 is a flat screen.
+     */
+    set curvature(value) {
+        if (typeof value !== 'number' || value < 0) {
+            throw new Error('Invalid curvature: Expected a number bigger or equal than 0.');
+        }
+        this.#curvature = value;
+    }
+
+    /**
+     * Returns the color outside of the curved screen.
+     * @returns {Color} The border color.
+     */
+    get borderColor() {
+        return this.#borderColor;
+    }
+
+    /**
+     * Sets the color outside of the curved screen.
+     * @param {Color} value - The border color.
+     */
+    set borderColor(value) {
+        if (!(value instanceof Color)) {
+            throw new Error('Invalid borderColor: Expected a Color object.');
+        }
+        this.#borderColor = value;
+    }
+}
+
+/**
+ * Shifts the red and the blue channel apart, like a badly converged CRT.
+ */
+class ChromaticAberrationEffect extends ScreenEffect {
+    #offset;
+    #source = new Uint8ClampedArray(0);
+
+    /**
+     * Creates a new ChromaticAberrationEffect.
+     * @param {number} [offset=1] - How far the red channel is moved left and the blue channel right, in game pixels.
+     */
+    constructor(offset = 1) {
+        super();
+        this.offset = offset;
+    }
+
+    /**
+     * Applies the effect to a frame.
+     * @param {ImageData} imageData - The frame at output resolution. It is changed in place.
+     * @param {number} [scale=1] - The number of output pixels per game pixel.
+     */
+    apply(imageData, scale = 1) {
+        const { data, width, height } = imageData;
+        if (this.#source.length !== data.length) {
+            this.#source = new Uint8ClampedArray(data.length);
+        }
+        const source = this.#source;
+        source.set(data);
+
+        const shift = Math.round(this.#offset * scale);
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                const i = (row + x) * 4;
+                data[i] = source[(row + Math.min(width - 1, x + shift)) * 4];
+                data[i + 2] = source[(row + Math.max(0, x - shift)) * 4 + 2];
+            }
+        }
+    }
+
+    /**
+     * Returns the channel offset.
+     * @returns {number} The offset in game pixels.
+     */
+    get offset() {
+        return this.#offset;
+    }
+
+    /**
+     * Sets the channel offset.
+     * @param {number} value - The offset in game pixels.
+     */
+    set offset(value) {
+        if (typeof value !== 'number' || value < 0) {
+            throw new Error('Invalid offset: Expected a number bigger or equal than 0.');
+        }
+        this.#offset = value;
+    }
+}
+
+/**
+ * Darkens the frame towards the edges.
+ */
+class VignetteEffect extends ScreenEffect {
+    #intensity;
+    #radius;
+    #mask = new Float32Array(0);
+    #maskWidth = 0;
+    #maskHeight = 0;
+
+    /**
+     * Creates a new VignetteEffect.
+     * @param {number} [intensity=0.5] - How dark the corners get (0-1).
+     * @param {number} [radius=0.5] - The distance from the center where the darkening starts, relative to the distance to a corner (0-1).
+     */
+    constructor(intensity = 0.5, radius = 0.5) {
+        super();
+        this.intensity = intensity;
+        this.radius = radius;
+    }
+
+    #updateMask(width, height) {
+        this.#mask = new Float32Array(width * height);
+        this.#maskWidth = width;
+        this.#maskHeight = height;
+        for (let y = 0; y < height; y++) {
+            const v = (y + 0.5) / height * 2 - 1;
+            for (let x = 0; x < width; x++) {
+                const u = (x + 0.5) / width * 2 - 1;
+                const distance = Math.sqrt(u * u + v * v) / Math.SQRT2;
+                const t = Math.min(1, Math.max(0, (distance - this.#radius) / (1 - this.#radius)));
+                this.#mask[y * width + x] = 1 - this.#intensity * t * t * (3 - 2 * t);
+            }
+        }
+    }
+
+    /**
+     * Applies the effect to a frame.
+     * @param {ImageData} imageData - The frame at output resolution. It is changed in place.
+     * @param {number} [scale=1] - The number of output pixels per game pixel.
+     */
+    apply(imageData, scale = 1) {
+        const { data, width, height } = imageData;
+        if (width !== this.#maskWidth || height !== this.#maskHeight) {
+            this.#updateMask(width, height);
+        }
+        for (let i = 0; i < data.length; i += 4) {
+            const factor = this.#mask[i / 4];
+            data[i] *= factor;
+            data[i + 1] *= factor;
+            data[i + 2] *= factor;
+        }
+    }
+
+    /**
+     * Returns the intensity of the effect.
+     * @returns {number} The intensity (0-1).
+     */
+    get intensity() {
+        return this.#intensity;
+    }
+
+    /**
+     * Sets the intensity of the effect.
+     * @param {number} value - The intensity (0-1).
+     */
+    set intensity(value) {
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+            throw new Error('Invalid intensity: Expected a number between 0 and 1.');
+        }
+        this.#intensity = value;
+        this.#maskWidth = 0;
+    }
+
+    /**
+     * Returns the distance from the center where the darkening starts.
+     * @returns {number} The radius, relative to the distance to a corner (0-1).
+     */
+    get radius() {
+        return this.#radius;
+    }
+
+    /**
+     * Sets the distance from the center where the darkening starts.
+     * @param {number} value - The radius, relative to the distance to a corner (0-1, exclusive).
+     */
+    set radius(value) {
+        if (typeof value !== 'number' || value < 0 || value >= 1) {
+            throw new Error('Invalid radius: Expected a number between 0 and 1 (exclusive).');
+        }
+        this.#radius = value;
+        this.#maskWidth = 0;
+    }
+}
+
+/**
+ * Lets bright pixels glow into their surroundings.
+ */
+class BloomEffect extends ScreenEffect {
+    #threshold;
+    #intensity;
+    #radius;
+    #bright = new Float32Array(0);
+    #blurred = new Float32Array(0);
+
+    /**
+     * Creates a new BloomEffect.
+     * @param {number} [threshold=200] - The brightness (0-255) above which pixels glow.
+     * @param {number} [intensity=0.6] - How strong the glow is added to the frame.
+     * @param {number} [radius=2] - The radius of the glow, in game pixels.
+     */
+    constructor(threshold = 200, intensity = 0.6, radius = 2) {
+        super();
+        this.threshold = threshold;
+        this.intensity = intensity;
+        this.radius = radius;
+    }
+
+    // Separable box blur of a 3-channel float buffer, the result ends up in "from"
+    #blur(from, to, width, height, radius) {
+        const size = radius * 2 + 1;
+        for (let pass = 0; pass < 2; pass++) {
+            const horizontal = pass === 0;
+            const lines = horizontal ? height : width;
+            const length = horizontal ? width : height;
+            for (let line = 0; line < lines; line++) {
+                const index = (k) => (horizontal ? line * width + k : k * width + line) * 3;
+                for (let c = 0; c < 3; c++) {
+                    let sum = 0;
+                    for (let k = -radius; k <= radius; k++) {
+                        sum += from[index(Math.min(length - 1, Math.max(0, k))) + c];
+                    }
+                    for (let k = 0; k < length; k++) {
+                        to[index(k) + c] = sum / size;
+                        sum += from[index(Math.min(length - 1, k + radius + 1)) + c];
+                        sum -= from[index(Math.max(0, k - radius)) + c];
+                    }
+                }
+            }
+            from.set(to);
+        }
+    }
+
+    /**
+     * Applies the effect to a frame.
+     * @param {ImageData} imageData - The frame at output resolution. It is changed in place.
+     * @param {number} [scale=1] - The number of output pixels per game pixel.
+     */
+    apply(imageData, scale = 1) {
+        const { data, width, height } = imageData;
+        const size = width * height * 3;
+        if (this.#bright.length !== size) {
+            this.#bright = new Float32Array(size);
+            this.#blurred = new Float32Array(size);
+        }
+
+        for (let p = 0, i = 0; i < data.length; p += 3, i += 4) {
+            const luminance = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+            const glow = luminance > this.#threshold ? 1 : 0;
+            this.#bright[p] = data[i] * glow;
+            this.#bright[p + 1] = data[i + 1] * glow;
+            this.#bright[p + 2] = data[i + 2] * glow;
+        }
+
+        this.#blur(this.#bright, this.#blurred, width, height, Math.round(this.#radius * scale));
+
+        for (let p = 0, i = 0; i < data.length; p += 3, i += 4) {
+            data[i] += this.#bright[p] * this.#intensity;
+            data[i + 1] += this.#bright[p + 1] * this.#intensity;
+            data[i + 2] += this.#bright[p + 2] * this.#intensity;
+        }
+    }
+
+    /**
+     * Returns the brightness above which pixels glow.
+     * @returns {number} The threshold (0-255).
+     */
+    get threshold() {
+        return this.#threshold;
+    }
+
+    /**
+     * Sets the brightness above which pixels glow.
+     * @param {number} value - The threshold (0-255).
+     */
+    set threshold(value) {
+        if (typeof value !== 'number' || value < 0 || value > 255) {
+            throw new Error('Invalid threshold: Expected a number between 0 and 255.');
+        }
+        this.#threshold = value;
+    }
+
+    /**
+     * Returns how strong the glow is added to the frame.
+     * @returns {number} The intensity.
+     */
+    get intensity() {
+        return this.#intensity;
+    }
+
+    /**
+     * Sets how strong the glow is added to the frame.
+     * @param {number} value - The intensity, 0 or more.
+     */
+    set intensity(value) {
+        if (typeof value !== 'number' || value < 0) {
+            throw new Error('Invalid intensity: Expected a number bigger or equal than 0.');
+        }
+        this.#intensity = value;
+    }
+
+    /**
+     * Returns the radius of the glow.
+     * @returns {number} The radius in game pixels.
+     */
+    get radius() {
+        return this.#radius;
+    }
+
+    /**
+     * Sets the radius of the glow.
+     * @param {number} value - The radius in game pixels, a positive integer.
+     */
+    set radius(value) {
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error('Invalid radius: Expected a positive integer.');
+        }
+        this.#radius = value;
+    }
+}
+
+/**
+ * Darkens every other line of game pixels, alternating between the even and the odd lines every frame.
+ */
+class InterlaceEffect extends ScreenEffect {
+    #intensity;
+    #oddFrame = false;
+
+    /**
+     * Creates a new InterlaceEffect.
+     * @param {number} [intensity=0.25] - How much the skipped lines are darkened (0-1).
+     */
+    constructor(intensity = 0.25) {
+        super();
+        this.intensity = intensity;
+    }
+
+    /**
+     * Applies the effect to a frame.
+     * @param {ImageData} imageData - The frame at output resolution. It is changed in place.
+     * @param {number} [scale=1] - The number of output pixels per game pixel.
+     */
+    apply(imageData, scale = 1) {
+        const { data, width, height } = imageData;
+        const factor = 1 - this.#intensity;
+        const parity = this.#oddFrame ? 1 : 0;
+        this.#oddFrame = !this.#oddFrame;
+
+        for (let y = 0; y < height; y++) {
+            if (Math.floor(y / scale) % 2 !== parity) continue;
+            for (let i = y * width * 4; i < (y + 1) * width * 4; i += 4) {
+                data[i] *= factor;
+                data[i + 1] *= factor;
+                data[i + 2] *= factor;
+            }
+        }
+    }
+
+    /**
+     * Returns how much the skipped lines are darkened.
+     * @returns {number} The intensity (0-1).
+     */
+    get intensity() {
+        return this.#intensity;
+    }
+
+    /**
+     * Sets how much the skipped lines are darkened.
+     * @param {number} value - The intensity (0-1).
+     */
+    set intensity(value) {
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+            throw new Error('Invalid intensity: Expected a number between 0 and 1.');
+        }
+        this.#intensity = value;
+    }
+}
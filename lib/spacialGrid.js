@@ -76,6 +76,32 @@ class SpatialGrid {
         return nearbyNodes;
     }
 
+
+    /**
+     * Fetches the Nodes in the cell of a point and in the cells around it.
+     * The result array is cleared and reused, so querying every frame allocates nothing.
+     * 
+     * @param {number} x - The x position of the point.
+     * @param {number} y - The y position of the point.
+     * @param {Array} [result=[]] - The array to fill.
+     * @returns {Array} - The result array with the nearby Nodes.
+     */
+    getNearbyPoint(x, y, result = []) {
+        if (typeof x !== 'number' || typeof y !== 'number') {
+            throw new Error("x and y must be numbers.");
+        }
+        result.length = 0;
+        const col = Math.floor(x / this.#cellSize);
+        const row = Math.floor(y / this.#cellSize);
+        for (let newRow = Math.max(0, row - 1); newRow <= Math.min(this.#rows - 1, row + 1); newRow++) {
+            for (let newCol = Math.max(0, col - 1); newCol <= Math.min(this.#columns - 1, col + 1); newCol++) {
+                for (const node of this.#grid[newRow][newCol]) {
+                    result.push(node);
+                }
+            }
+        }
+        return result;
+    }
     
     /**
      * Retrieves nodes in the grid that are near a given connection defined by two Nodes.
@@ -182,4 +208,56 @@ class SpatialGrid {
             }
         }
     }
+
+    /**
+     * Returns the Nodes in a cell.
+     * 
+     * @param {number} column - The column of the cell.
+     * @param {number} row - The row of the cell.
+     * @returns {Array<PhysicsNode>} - A copy of the list of Nodes in the cell, empty for cells outside of the grid.
+     */
+    getNodesInCell(column, row) {
+        if (row < 0 || row >= this.#rows || column < 0 || column >= this.#columns) return [];
+        return [...this.#grid[row][column]];
+    }
+
+    /**
+     * Gets the size of each grid cell.
+     * @returns {number} - The cell size in world units.
+     */
+    get cellSize() {
+        return this.#cellSize;
+    }
+
+    /**
+     * Gets the number of columns of the grid.
+     * @returns {number} - The number of columns.
+     */
+    get columns() {
+        return this.#columns;
+    }
+
+    /**
+     * Gets the number of rows of the grid.
+     * @returns {number} - The number of rows.
+     */
+    get rows() {
+        return this.#rows;
+    }
+
+    /**
+     * Gets the width of the grid.
+     * @returns {number} - The width in world units.
+     */
+    get width() {
+        return this.#width;
+    }
+
+    /**
+     * Gets the height of the grid.
+     * @returns {number} - The height in world units.
+     */
+    get height() {
+        return this.#height;
+    }
 }
\ No newline at end of file
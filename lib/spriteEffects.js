@@ -0,0 +1,302 @@
+/**
+ * Replaces colors of a sprite with other colors, for example to make enemy variants from one sprite sheet.
+ * Only exact color matches are replaced, the alpha of the pixels is kept.
+ */
+class PaletteSwap {
+    static #nextId = 1;
+    #id;
+    #colors = new Map();
+
+    /**
+     * Creates a new PaletteSwap.
+     * @param {Array<Color>} fromColors - The colors of the sprite that are replaced.
+     * @param {Array<Color>} toColors - The new colors, in the same order as fromColors.
+     */
+    constructor(fromColors, toColors) {
+        if (!Array.isArray(fromColors) || !fromColors.every(color => color instanceof Color)) {
+            throw new Error('Invalid fromColors: Expected an array of Color objects.');
+        }
+        if (!Array.isArray(toColors) || !toColors.every(color => color instanceof Color)) {
+            throw new Error('Invalid toColors: Expected an array of Color objects.');
+        }
+        if (fromColors.length !== toColors.length) {
+            throw new Error('Invalid colors: fromColors and toColors should have the same length.');
+        }
+        fromColors.forEach((color, index) => {
+            this.#colors.set(color.r << 16 | color.g << 8 | color.b, toColors[index]);
+        });
+        this.#id = PaletteSwap.#nextId++;
+    }
+
+    /**
+     * Returns the replacement for a color.
+     * @param {number} r - The red channel (0-255).
+     * @param {number} g - The green channel (0-255).
+     * @param {number} b - The blue channel (0-255).
+     * @returns {Color|undefined} The new color, or undefined if the color is not replaced.
+     */
+    getColor(r, g, b) {
+        return this.#colors.get(r << 16 | g << 8 | b);
+    }
+
+    /**
+     * Returns the unique id of the palette swap, it identifies the recolored sprites in the cache.
+     * @returns {number} The id.
+     */
+    get id() {
+        return this.#id;
+    }
+}
+
+/**
+ * Effects for Camera.drawImage() and Camera.drawAnimationFrame(): alpha, color tint, hit flash, palette swap and outline.
+ * Recolored sprites are cached per image and source rectangle, so drawing the same effect every frame is cheap.
+ * Reading the pixels of an image requires it to be from the same origin as the page.
+ */
+class SpriteEffects {
+    static #cache = new WeakMap();
+    static #maxVariantsPerImage = 64;
+    #alpha = 1;
+    #tint = null;
+    #flash = null;
+    #paletteSwap = null;
+    #outline = null;
+
+    /**
+     * Creates new SpriteEffects.
+     * @param {Object} [effects={}] - The effects.
+     * @param {number} [effects.alpha=1] - The opacity of the sprite (0-1).
+     * @param {Color|null} [effects.tint=null] - Multiplies the sprite with a color. The alpha of the color is the strength of the tint.
+     * @param {Color|null} [effects.flash=null] - Blends the sprite towards a color, e.g. solid white for a hit flash. The alpha of the color is the strength.
+     * @param {PaletteSwap|null} [effects.paletteSwap=null] - Replaces colors of the sprite.
+     * @param {Color|null} [effects.outline=null] - Draws a one source pixel wide silhouette outline around the sprite.
+     */
+    constructor({ alpha = 1, tint = null, flash = null, paletteSwap = null, outline = null } = {}) {
+        this.alpha = alpha;
+        this.tint = tint;
+        this.flash = flash;
+        this.paletteSwap = paletteSwap;
+        this.outline = outline;
+    }
+
+    /**
+     * Returns the recolored version of a part of an image. Results are cached.
+     * @param {Image|HTMLCanvasElement} image - The image.
+     * @param {number} srcX - The x position of the source rectangle.
+     * @param {number} srcY - The y position of the source rectangle.
+     * @param {number} srcWidth - The width of the source rectangle.
+     * @param {number} srcHeight - The height of the source rectangle.
+     * @param {boolean} [useCache=true] - If false, the version is not cached, for images that change every frame.
+     * @returns {{canvas: HTMLCanvasElement, padding: number}} The recolored canvas and the number of pixels it is bigger on every side, for the outline.
+     */
+    getVariant(image, srcX, srcY, srcWidth, srcHeight, useCache = true) {
+        if (!CameraBackend.isImage(image)) {
+            throw new Error('Invalid image: Expected an Image or a canvas.');
+        }
+        const x = Math.round(srcX);
+        const y = Math.round(srcY);
+        const width = Math.max(1, Math.round(srcWidth));
+        const height = Math.max(1, Math.round(srcHeight));
+        const key = `${x},${y},${width},${height}|${this.#getKey()}`;
+
+        let variants = SpriteEffects.#cache.get(image);
+        if (useCache && variants && variants.has(key)) {
+            // Maps keep their insertion order, moving a used variant to the end makes the first one the least recently used
+            const cached = variants.get(key);
+            variants.delete(key);
+            variants.set(key, cached);
+            return cached;
+        }
+
+        const variant = this.#createVariant(image, x, y, width, height);
+        if (useCache) {
+            if (!variants) {
+                variants = new Map();
+                SpriteEffects.#cache.set(image, variants);
+            }
+            // Animated tints create many variants, the least recently used ones are dropped
+            if (variants.size >= SpriteEffects.#maxVariantsPerImage) {
+                variants.delete(variants.keys().next().value);
+            }
+            variants.set(key, variant);
+        }
+        return variant;
+    }
+
+    /**
+     * Removes cached sprites, for example after the pixels of a canvas that is drawn as a sprite have changed.
+     * @param {Image|HTMLCanvasElement|null} [image=null] - The image to remove the sprites of, or null for all images.
+     */
+    static clearCache(image = null) {
+        if (image === null) {
+            SpriteEffects.#cache = new WeakMap();
+        } else {
+            SpriteEffects.#cache.delete(image);
+        }
+    }
+
+    #getKey() {
+        const color = (c) => c ? `${c.r},${c.g},${c.b},${c.a}` : '-';
+        return `${color(this.#tint)}|${color(this.#flash)}|${this.#paletteSwap ? this.#paletteSwap.id : '-'}|${color(this.#outline)}`;
+    }
+
+    #createVariant(image, srcX, srcY, srcWidth, srcHeight) {
+        const padding = this.#outline ? 1 : 0;
+        const canvas = CameraBackend.default.createCanvas(srcWidth + padding * 2, srcHeight + padding * 2);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, srcX, srcY, srcWidth, srcHeight, padding, padding, srcWidth, srcHeight);
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] === 0) continue;
+            if (this.#paletteSwap) {
+                const color = this.#paletteSwap.getColor(data[i], data[i + 1], data[i + 2]);
+                if (color) {
+                    data[i] = color.r;
+                    data[i + 1] = color.g;
+                    data[i + 2] = color.b;
+                }
+            }
+            if (this.#tint) {
+                const strength = this.#tint.a / 255;
+                data[i] *= 1 - strength + strength * this.#tint.r / 255;
+                data[i + 1] *= 1 - strength + strength * this.#tint.g / 255;
+                data[i + 2] *= 1 - strength + strength * this.#tint.b / 255;
+            }
+            if (this.#flash) {
+                const strength = this.#flash.a / 255;
+                data[i] += (this.#flash.r - data[i]) * strength;
+                data[i + 1] += (this.#flash.g - data[i + 1]) * strength;
+                data[i + 2] += (this.#flash.b - data[i + 2]) * strength;
+            }
+        }
+
+        if (this.#outline) {
+            // Transparent pixels next to an opaque one (4-neighbourhood) become the outline
+            const width = canvas.width;
+            const height = canvas.height;
+            const alpha = new Uint8Array(width * height);
+            for (let p = 0; p < alpha.length; p++) alpha[p] = data[p * 4 + 3];
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const p = y * width + x;
+                    if (alpha[p] !== 0) continue;
+                    if ((x > 0 && alpha[p - 1]) || (x < width - 1 && alpha[p + 1]) ||
+                        (y > 0 && alpha[p - width]) || (y < height - 1 && alpha[p + width])) {
+                        data[p * 4] = this.#outline.r;
+                        data[p * 4 + 1] = this.#outline.g;
+                        data[p * 4 + 2] = this.#outline.b;
+                        data[p * 4 + 3] = this.#outline.a;
+                    }
+                }
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+        return { canvas, padding };
+    }
+
+    /**
+     * Returns whether the sprite has to be recolored, i.e. any effect besides alpha is set.
+     * @returns {boolean} True if a recolored version is drawn.
+     */
+    get recolors() {
+        return this.#tint !== null || this.#flash !== null || this.#paletteSwap !== null || this.#outline !== null;
+    }
+
+    /**
+     * Returns the opacity of the sprite.
+     * @returns {number} The opacity (0-1).
+     */
+    get alpha() {
+        return this.#alpha;
+    }
+
+    /**
+     * Sets the opacity of the sprite.
+     * @param {number} alpha - The opacity (0-1).
+     */
+    set alpha(alpha) {
+        if (typeof alpha !== 'number' || alpha < 0 || alpha > 1) {
+            throw new Error('Invalid alpha: Expected a number between 0 and 1.');
+        }
+        this.#alpha = alpha;
+    }
+
+    /**
+     * Returns the tint color.
+     * @returns {Color|null} The tint color, or null for no tint.
+     */
+    get tint() {
+        return this.#tint;
+    }
+
+    /**
+     * Sets the tint color. The alpha of the color is the strength of the tint.
+     * @param {Color|null} color - The tint color, or null for no tint.
+     */
+    set tint(color) {
+        if (color !== null && !(color instanceof Color)) {
+            throw new Error('Invalid tint: Expected a Color object or null.');
+        }
+        this.#tint = color;
+    }
+
+    /**
+     * Returns the flash color.
+     * @returns {Color|null} The flash color, or null for no flash.
+     */
+    get flash() {
+        return this.#flash;
+    }
+
+    /**
+     * Sets the flash color. The alpha of the color is the strength of the flash, 255 draws the sprite solid.
+     * @param {Color|null} color - The flash color, or null for no flash.
+     */
+    set flash(color) {
+        if (color !== null && !(color instanceof Color)) {
+            throw new Error('Invalid flash: Expected a Color object or null.');
+        }
+        this.#flash = color;
+    }
+
+    /**
+     * Returns the palette swap.
+     * @returns {PaletteSwap|null} The palette swap, or null for the original colors.
+     */
+    get paletteSwap() {
+        return this.#paletteSwap;
+    }
+
+    /**
+     * Sets the palette swap.
+     * @param {PaletteSwap|null} paletteSwap - The palette swap, or null for the original colors.
+     */
+    set paletteSwap(paletteSwap) {
+        if (paletteSwap !== null && !(paletteSwap instanceof PaletteSwap)) {
+            throw new Error('Invalid paletteSwap: Expected a PaletteSwap object or null.');
+        }
+        this.#paletteSwap = paletteSwap;
+    }
+
+    /**
+     * Returns the outline color.
+     * @returns {Color|null} The outline color, or null for no outline.
+     */
+    get outline() {
+        return this.#outline;
+    }
+
+    /**
+     * Sets the outline color.
+     * @param {Color|null} color - The outline color, or null for no outline.
+     */
+    set outline(color) {
+        if (color !== null && !(color instanceof Color)) {
+            throw new Error('Invalid outline: Expected a Color object or null.');
+        }
+        this.#outline = color;
+    }
+}
@@ -1,35 +1,35 @@
+/**
+ * A camera for tile maps of any size. Tiles have a fixed size in world pixels and the map scrolls with the view
+ * of the camera (see Camera.view): move, follow or zoom the view, and only the visible tiles are drawn.
+ * Positions are world pixels, the top left corner of the map is at (0, 0).
+ * The map is a stack of TileLayers, e.g. background, collision, decoration and foreground, each with its own
+ * tile images, opacity, visibility, parallax and draw layer. A single map matrix becomes one layer named "main".
+ */
 class TileCamera extends Camera {
-    #map;
+    #layers = [];
     #lights;
-    #images;
-    #zoomValue = 1; // Default zoom value
-    #zoomTarget = new Vector(this.gameWidth / 2, this.gameHeight / 2);
+    #tileSize;
     #tileEnlargment;
+    #lightTarget = null;
     /**
      * Creates a new TileCamera.
-     * @param {Array<Array<number>>} map - The map matrix.
-     * @param {Array<{data: Uint8ClampedArray, width: number, height: number}>} images - The image array.
-     * @param {Array<Light>} lights - The light sources.
+     * @param {Array<Array<number>>|Array<TileLayer>} map - The map matrix, or the layers of the map from back to front.
+     * @param {Tileset|Array<{data: Uint8ClampedArray, width: number, height: number}>|null} images - The tileset or image array of a map matrix, unused for layers.
+     * @param {Array<Light>} lights - The light sources, in world pixels.
      * @param {Number} tileEnlargment - How many pixels to make the tile longer and taller (helps to reduce gaps between tiles).
+     * @param {number} [tileSize=16] - The width and height of a tile, in world pixels.
      */
-    constructor(gameWidth, gameHeight, canvasWidth, canvasHeight, canvasName, map, images, lights = [new Light(0, 0, 100, 1, 0.5)], tileEnlargment = 0) {
+    constructor(gameWidth, gameHeight, canvasWidth, canvasHeight, canvasName, map, images, lights = [new Light(0, 0, 100, 1, 0.5)], tileEnlargment = 0, tileSize = 16) {
         super(gameWidth, gameHeight, canvasWidth, canvasHeight, canvasName);
-        if (!Array.isArray(map) || !Array.isArray(map[0]) || !map.every(row => row.every(Number.isInteger))) {
-            throw new Error('Invalid map: Expected a 2D array of integers.');
-        }
-        if (map.some(row => row.length !== map[0].length)) {
-            throw new Error('Invalid map: Every row in the map has to have the same number of indices.');
-        }        
-
-        if (map.every(row => row.every(index => index >= images.length))) {
-            throw new Error('Invalid map: One of the indecies is higher than the number of images provided.');
-        }
-        this.#map = map;
-
-        if (!Array.isArray(images) || !images.every(image => image instanceof Image)) {
-            throw new Error('Invalid images: Expected an array of Image objects.');
+        if (Array.isArray(map) && map.length > 0 && map.every(layer => layer instanceof TileLayer)) {
+            map.forEach(layer => this.addLayer(layer));
+        } else {
+            const tileCount = images instanceof Tileset ? images.tileCount : Array.isArray(images) ? images.length : 0;
+            if (Array.isArray(map) && map.every(row => Array.isArray(row) && row.every(index => index >= tileCount))) {
+                throw new Error('Invalid map: One of the indecies is higher than the number of images provided.');
+            }
+            this.addLayer(new TileLayer('main', map, images));
         }
-        this.#images = images;
 
         if (!Array.isArray(lights) || !lights.every(light => light instanceof Light)) {
             throw new Error('Invalid lights: Expected an array of Light instances.');
@@ -40,53 +40,203 @@ class TileCamera extends Camera {
             throw new Error('Invalid tileEnlargment value: Expected a number bigger or equal than 0.');
         }
         this.#tileEnlargment = tileEnlargment;
+
+        if (typeof tileSize !== 'number' || tileSize <= 0) {
+            throw new Error('Invalid tileSize: Expected a positive number.');
+        }
+        this.#tileSize = tileSize;
     }
 
     /**
      * Fills the renderer data with tiles.
+     * Layers without a draw layer are drawn immediately, from back to front. Layers with a draw layer are queued
+     * as a single draw command each, layers that share a draw layer keep their order in the stack, see Camera.queueDraw().
+     * @param {number|null} [layer=null] - The draw layer of all tiles, null for the draw layer of each TileLayer.
      */
-    render() {   
-        const tileWidth = (this.gameWidth / this.#map[0].length) * this.#zoomValue;
-        const tileHeight = (this.gameHeight / this.#map.length) * this.#zoomValue;
-    
-        const offsetX = this.#zoomTarget.x * (1 - this.#zoomValue);
-        const offsetY = this.#zoomTarget.y * (1 - this.#zoomValue);
-    
-        // Draw the tiles
-        for (let y = 0; y < this.#map.length; y++) {
-            for (let x = 0; x < this.#map[y].length; x++) {
-                const tileIndex = this.#map[y][x];
-                const tileImage = this.images[tileIndex];
-    
-                // Calculate the exact position where the tile should be rendered.
-                const renderX = (x * tileWidth) + offsetX;
-                const renderY = (y * tileHeight) + offsetY;
-    
-                if (renderX > this.gameWidth || renderX + tileWidth < 0 || renderY > this.gameHeight || renderY + tileHeight < 0) continue;
-                this.ctx.drawImage(tileImage, renderX, renderY, tileWidth + this.#tileEnlargment, tileHeight + this.#tileEnlargment);
-                //this.drawImage(tileImage, new Vector(renderX, renderY), tileWidth + this.#tileEnglargment, tileHeight + this.#tileEnglargment);
+    render(layer = null) {
+        if (layer !== null && typeof layer !== 'number') {
+            throw new Error('render: layer must be a number or null.');
+        }
+        this.#layers.forEach((tileLayer, index) => {
+            if (!tileLayer.visible || tileLayer.opacity === 0) return;
+            const drawLayer = layer ?? tileLayer.drawLayer;
+            if (drawLayer === null) {
+                this.#renderTiles(tileLayer);
+            } else {
+                this.queueDraw(() => this.#renderTiles(tileLayer), drawLayer, index);
+            }
+        });
+    }
+
+    #renderTiles(tileLayer) {
+        const tileSize = this.#tileSize;
+        const map = tileLayer.map;
+        const images = tileLayer.images;
+        const tileset = images instanceof Tileset ? images : null;
+        const drawSize = tileSize + this.#tileEnlargment;
+        // Animated tiles show the frame of the game time of the camera, the map keeps the tile value
+        const time = this.clock.time * 1000;
+        const offset = this.#getParallaxOffset(tileLayer);
+        const { startColumn, startRow, endColumn, endRow } = this.getVisibleTileRange(tileLayer.name);
+
+        this.ctx.save();
+        this.ctx.globalAlpha *= tileLayer.opacity;
+        this.ctx.translate(offset.x, offset.y);
+        // Only the tiles in the view of the camera (or of the viewport that is rendered) are drawn
+        for (let y = startRow; y <= endRow; y++) {
+            for (let x = startColumn; x <= endColumn; x++) {
+                // Tiles of a tileset are drawn by their source rectangle on the sheet
+                if (tileset) {
+                    tileset.drawTile(this.ctx, tileset.getAnimatedTile(map[y][x], time), x * tileSize, y * tileSize, drawSize, drawSize);
+                    continue;
+                }
+                const tileImage = images[map[y][x]];
+                if (!tileImage) continue;
+                this.ctx.drawImage(tileImage, x * tileSize, y * tileSize, drawSize, drawSize);
             }
         }
+        this.ctx.restore();
+    }
+
+    #getParallaxOffset(tileLayer) {
+        // A layer with a parallax factor below 1 lags behind the view, at 0 it is fixed to the screen
+        const parallax = tileLayer.parallax;
+        const position = this.currentView.position;
+        return new Vector(position.x * (1 - parallax.x), position.y * (1 - parallax.y));
+    }
+
+    /**
+     * Returns the range of tiles of a layer that is visible in the current view, clamped to the layer.
+     * The range is empty (start after end) if the view is outside of the layer.
+     * @param {string|null} [layerName=null] - The name of the layer, null for the first layer.
+     * @returns {{startColumn: number, startRow: number, endColumn: number, endRow: number}} The first and last visible column and row.
+     */
+    getVisibleTileRange(layerName = null) {
+        const tileLayer = this.#resolveLayer(layerName);
+        const bounds = this.currentView.getVisibleBounds();
+        const offset = this.#getParallaxOffset(tileLayer);
+        const x = bounds.x - offset.x;
+        const y = bounds.y - offset.y;
+        return {
+            startColumn: Math.max(0, Math.floor(x / this.#tileSize)),
+            startRow: Math.max(0, Math.floor(y / this.#tileSize)),
+            endColumn: Math.min(tileLayer.columns - 1, Math.floor((x + bounds.width) / this.#tileSize)),
+            endRow: Math.min(tileLayer.rows - 1, Math.floor((y + bounds.height) / this.#tileSize))
+        };
+    }
+
+    /**
+     * Adds a layer to the map.
+     * @param {TileLayer} layer - The layer, its name has to be unique in the map.
+     * @param {number} [index=this.layers.length] - The position in the stack, 0 is the back.
+     */
+    addLayer(layer, index = this.#layers.length) {
+        if (!(layer instanceof TileLayer)) {
+            throw new Error('addLayer: layer must be a TileLayer.');
+        }
+        if (this.#layers.some(other => other.name === layer.name)) {
+            throw new Error(`addLayer: A layer named "${layer.name}" already exists.`);
+        }
+        if (!Number.isInteger(index) || index < 0 || index > this.#layers.length) {
+            throw new Error(`addLayer: index must be an integer between 0 and ${this.#layers.length}.`);
+        }
+        this.#layers.splice(index, 0, layer);
+    }
+
+    /**
+     * Removes a layer from the map. The last layer can't be removed.
+     * @param {string} name - The name of the layer.
+     * @returns {TileLayer} The removed layer.
+     */
+    removeLayer(name) {
+        const layer = this.getLayer(name);
+        if (this.#layers.length === 1) {
+            throw new Error('removeLayer: The map needs at least one layer.');
+        }
+        this.#layers.splice(this.#layers.indexOf(layer), 1);
+        return layer;
+    }
+
+    /**
+     * Returns a layer of the map.
+     * @param {string} name - The name of the layer.
+     * @returns {TileLayer} The layer.
+     */
+    getLayer(name) {
+        const layer = this.#layers.find(layer => layer.name === name);
+        if (!layer) {
+            throw new Error(`getLayer: No layer named "${name}".`);
+        }
+        return layer;
+    }
+
+    #resolveLayer(layerName) {
+        return layerName === null ? this.#layers[0] : this.getLayer(layerName);
+    }
+
+    /**
+     * Converts a world position to the column and row of the tile at it.
+     * @param {Vector} worldPos - The position in the world, in world pixels.
+     * @returns {Vector} The column (x) and row (y), can be outside of the map.
+     */
+    worldToTile(worldPos) {
+        if (!(worldPos instanceof Vector)) {
+            throw new Error('worldToTile: worldPos must be a Vector.');
+        }
+        return new Vector(Math.floor(worldPos.x / this.#tileSize), Math.floor(worldPos.y / this.#tileSize));
+    }
+
+    /**
+     * Converts a column and row to the world position of the top left corner of the tile.
+     * @param {number} column - The column of the tile.
+     * @param {number} row - The row of the tile.
+     * @returns {Vector} The position in the world, in world pixels.
+     */
+    tileToWorld(column, row) {
+        if (typeof column !== 'number' || typeof row !== 'number') {
+            throw new Error('tileToWorld: column and row must be numbers.');
+        }
+        return new Vector(column * this.#tileSize, row * this.#tileSize);
+    }
+
+    /**
+     * Converts a screen position, e.g. of the mouse, to the column and row of the tile under it.
+     * @param {Vector} screenPos - The position on the screen, in game pixels.
+     * @returns {Vector} The column (x) and row (y), can be outside of the map.
+     */
+    screenToTile(screenPos) {
+        return this.worldToTile(this.screenToWorld(screenPos));
     }
 
     /**
-     * Draws an object on the canvas at the specified grid position, scaled by the current zoom level.
-     * The object is not drawn if it is outside the visible area of the canvas.
+     * Converts a column and row to the screen position of the top left corner of the tile.
+     * @param {number} column - The column of the tile.
+     * @param {number} row - The row of the tile.
+     * @returns {Vector} The position on the screen, in game pixels.
+     */
+    tileToScreen(column, row) {
+        return this.worldToScreen(this.tileToWorld(column, row));
+    }
+
+    /**
+     * Draws an object at a world position. The object is not drawn if it is outside the view.
      * 
-     * @param {number} objX - The X position of the object in grid coordinates.
-     * @param {number} objY - The Y position of the object in grid coordinates.
+     * @param {number} objX - The X position of the top left corner of the object, in world pixels.
+     * @param {number} objY - The Y position of the top left corner of the object, in world pixels.
      * @param {Image} objectImage - The image to be drawn.
-     * @param {number} objectWidth - The width of the object in pixels before scaling.
-     * @param {number} objectHeight - The height of the object in pixels before scaling.
+     * @param {number} objectWidth - The width of the object, in world pixels.
+     * @param {number} objectHeight - The height of the object, in world pixels.
+     * @param {number|null} [layer=null] - The draw layer of the object, e.g. DrawLayers.ENTITIES, or null to draw it immediately.
+     * @param {number} [depth=objY] - The depth of the object inside its layer, objects are y-sorted by default.
      */
-    drawObject(objX, objY, objectImage, objectWidth, objectHeight) {
+    drawObject(objX, objY, objectImage, objectWidth, objectHeight, layer = null, depth = objY) {
         if (typeof objX !== 'number') {
             throw new Error('drawObject: objX must be a number.');
         }
         if (typeof objY !== 'number') {
             throw new Error('drawObject: objY must be a number.');
         }
-        if (!(objectImage instanceof Image)) {
+        if (!CameraBackend.isImage(objectImage)) {
             throw new Error('drawObject: objectImage must be an instance of Image.');
         }
         if (typeof objectWidth !== 'number') {
@@ -95,43 +245,39 @@ class TileCamera extends Camera {
         if (typeof objectHeight !== 'number') {
             throw new Error('drawObject: objectHeight must be a number.');
         }
+        if ((layer !== null && typeof layer !== 'number') || typeof depth !== 'number') {
+            throw new Error('drawObject: layer must be a number or null and depth must be a number.');
+        }
 
-        // Dimensions of a tile
-        const tileWidth = (this.gameWidth / this.#map[0].length) * this.#zoomValue;
-        const tileHeight = (this.gameHeight / this.#map.length) * this.#zoomValue;
-    
-        // Offset based on the zoom target
-        const offsetX = this.#zoomTarget.x * (1 - this.#zoomValue);
-        const offsetY = this.#zoomTarget.y * (1 - this.#zoomValue);
-    
-        // Object's grid position to the canvas position
-        const renderX = (objX * tileWidth) + offsetX;
-        const renderY = (objY * tileHeight) + offsetY;
-    
-        if (renderX + objectWidth < 0 || renderX > this.gameWidth || renderY + objectHeight < 0 || renderY > this.gameHeight) {
+ 
+        if (!this.#isVisible(objX, objY, objectWidth, objectHeight)) {
             return;
         }
-    
-        const scaledObjectWidth = objectWidth * this.#zoomValue;
-        const scaledObjectHeight = objectHeight * this.#zoomValue;
-    
-        this.ctx.drawImage(objectImage, renderX, renderY, scaledObjectWidth, scaledObjectHeight);
-    }    
+        this.queueDraw(() => this.ctx.drawImage(objectImage, objX, objY, objectWidth, objectHeight), layer, depth);
+    }
+
+    #isVisible(x, y, width, height) {
+        // Objects are drawn in the viewport that is rendered, renderScene() runs once per viewport
+        const bounds = this.currentView.getVisibleBounds();
+        return x + width >= bounds.x && x <= bounds.x + bounds.width && y + height >= bounds.y && y <= bounds.y + bounds.height;
+    }
 
     /**
-     * Draws an animation frame on the canvas at the specified grid position, scaled by the current zoom level.
-     * The frame is not drawn if it is outside the visible area of the canvas.
+     * Draws an animation frame at a world position. The frame is not drawn if it is outside the view.
      * Optionally, the image can be reflected along the X and/or Y axis.
      * 
-     * @param {number} objX - The X position of the object in grid coordinates.
-     * @param {number} objY - The Y position of the object in grid coordinates.
+     * @param {number} objX - The X position of the top left corner of the frame, in world pixels.
+     * @param {number} objY - The Y position of the top left corner of the frame, in world pixels.
      * @param {Image} animationFrame - The animation frame to be drawn.
-     * @param {number} width - The width of the frame in pixels before scaling.
-     * @param {number} height - The height of the frame in pixels before scaling.
+     * @param {number} width - The width of the frame, in world pixels.
+     * @param {number} height - The height of the frame, in world pixels.
      * @param {boolean} [reflectX=false] - Whether to reflect the image along the X axis.
      * @param {boolean} [reflectY=false] - Whether to reflect the image along the Y axis.
+     * @param {number|null} [layer=null] - The draw layer of the frame, e.g. DrawLayers.ENTITIES, or null to draw it immediately.
+     * @param {number} [depth=objY] - The depth of the frame inside its layer, objects are y-sorted by default.
+     * @param {SpriteEffects|null} [effects=null] - Alpha, tint, flash, palette swap and outline of the frame.
      */
-    drawAnimation(objX, objY, animationFrame, width, height, reflectX = false, reflectY = false) {
+    drawAnimation(objX, objY, animationFrame, width, height, reflectX = false, reflectY = false, layer = null, depth = objY, effects = null) {
         if (typeof objX !== 'number') {
             throw new Error('drawAnimation: objX must be a number.');
         }
@@ -153,142 +299,219 @@ class TileCamera extends Camera {
         if (typeof reflectY !== 'boolean') {
             throw new Error('drawAnimation: reflectY must be a boolean.');
         }
+        if ((layer !== null && typeof layer !== 'number') || typeof depth !== 'number') {
+            throw new Error('drawAnimation: layer must be a number or null and depth must be a number.');
+        }
 
-        // Dimensions of a tile
-        const tileWidth = (this.gameWidth / this.#map[0].length) * this.#zoomValue;
-        const tileHeight = (this.gameHeight / this.#map.length) * this.#zoomValue;
-    
-        // Offset based on the zoom target
-        const offsetX = this.#zoomTarget.x * (1 - this.#zoomValue);
-        const offsetY = this.#zoomTarget.y * (1 - this.#zoomValue);
-    
-        // Object's grid position to the canvas position
-        const renderX = (objX * tileWidth) + offsetX;
-        const renderY = (objY * tileHeight) + offsetY;
-    
-        if (renderX + width < 0 || renderX > this.gameWidth || renderY + height < 0 || renderY > this.gameHeight) {
+        if (!this.#isVisible(objX, objY, width, height)) {
             return;
         }
-    
-        const scaledObjectWidth = width * this.#zoomValue;
-        const scaledObjectHeight = height * this.#zoomValue;
-    
-        this.drawAnimationFrame(animationFrame, new Vector(renderX, renderY), scaledObjectWidth, scaledObjectHeight, 0, reflectX, reflectY);
+        // drawAnimationFrame() takes the center of the frame
+        const renderPosition = new Vector(objX + width / 2, objY + height / 2);
+        this.queueDraw(() => this.drawAnimationFrame(animationFrame, renderPosition, width, height, 0, reflectX, reflectY, effects), layer, depth);
     }
 
     /**
-     * Renders the lighting.
+     * Renders the lighting over everything that was drawn before it.
+     * With a draw layer it is queued instead, so it is applied over everything in lower layers.
+     * @param {number|null} [layer=null] - The draw layer of the lighting, e.g. DrawLayers.LIGHTING, or null to draw it immediately.
      */
-    renderLighting() {
-        // Create a separate canvas for the light mask
-        const lightCanvas = document.createElement('canvas');
-        lightCanvas.width = this.gameWidth;
-        lightCanvas.height = this.gameHeight;
-        const lightCtx = lightCanvas.getContext('2d');
-
-        // Draw the light mask
+    renderLighting(layer = null) {
+        if (layer !== null && typeof layer !== 'number') {
+            throw new Error('renderLighting: layer must be a number or null.');
+        }
+        this.queueDraw(() => this.#renderLightMask(), layer);
+    }
+
+    #renderLightMask() {
+        // The light mask covers the view and is drawn into a separate target that is reused every frame.
+        // The view is not the game size, zoom and viewports change it, so the target follows its size
+        const view = this.currentView;
+        const width = Math.ceil(view.width);
+        const height = Math.ceil(view.height);
+        if (!this.#lightTarget) {
+            this.#lightTarget = new RenderTarget(width, height);
+        } else if (this.#lightTarget.width !== width || this.#lightTarget.height !== height) {
+            this.#lightTarget.resize(width, height);
+        }
+        this.#lightTarget.clear();
+        const lightCtx = this.#lightTarget.ctx;
+
+        // Draw the light mask, the lights are in the world and move with the view
         lightCtx.fillStyle = 'black';
-        lightCtx.fillRect(0, 0, this.gameWidth, this.gameHeight);
+        lightCtx.fillRect(0, 0, width, height);
         lightCtx.globalCompositeOperation = 'xor';
         for (const light of this.lights) {
-            const gradient = lightCtx.createRadialGradient(light.x, light.y, 0, light.x, light.y, light.dist);
+            const center = view.worldToScreen(new Vector(light.x, light.y));
+            const radius = light.dist * view.zoom;
+            const gradient = lightCtx.createRadialGradient(center.x, center.y, 0, center.x, center.y, radius);
             gradient.addColorStop(0, `rgba(255, 255, 255, ${light.maxBrightness})`);
             gradient.addColorStop(light.gradientValue, `rgba(255, 255, 255, ${light.maxBrightness / 2})`);
             gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
 
             lightCtx.fillStyle = gradient;
             lightCtx.beginPath();
-            lightCtx.arc(light.x, light.y, light.dist, 0, 2 * Math.PI);
+            lightCtx.arc(center.x, center.y, radius, 0, 2 * Math.PI);
             lightCtx.fill();
         }
+        lightCtx.globalCompositeOperation = 'source-over';
 
-        // Draw the light mask onto the main canvas
+        // Draw the light mask onto the main canvas in screen space. The context holds the view transform
+        // after the offset of the viewport, so the difference of the translations is that offset
+        const current = this.ctx.getTransform();
+        const [, , , , viewX, viewY] = view.getTransform();
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, current.e - viewX, current.f - viewY);
         this.ctx.globalCompositeOperation = 'multiply';
-        this.ctx.drawImage(lightCanvas, 0, 0, this.gameWidth, this.gameHeight);
-        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.drawImage(this.#lightTarget.canvas, 0, 0, width, height);
+        this.ctx.restore();
     }
 
     /**
-     * Adjusts the zoom level of the camera.
+     * Zooms the view of the camera and centers it on a world position.
      * @param {number} zoomValue - The zoom multiplier. Values greater than 1 zoom in, values between 0 and 1 zoom out.
-     * @param {number} targetX - The x coordinate of the zoom target.
-     * @param {number} targetY - The y coordinate of the zoom target.
+     * @param {number} targetX - The x coordinate of the zoom target, in world pixels.
+     * @param {number} targetY - The y coordinate of the zoom target, in world pixels.
      */
     zoom(zoomValue, targetX, targetY) {
-        if (typeof zoomValue !== 'number' || zoomValue < 1) {
-            throw new Error('Invalid zoom value: Expected a number bigger or equal than 1.');
+        if (typeof zoomValue !== 'number' || zoomValue <= 0) {
+            throw new Error('Invalid zoom value: Expected a positive number.');
         }
-        if (!(target instanceof Vector)) {
-            throw new Error("Target should be a Vector.");
+        if (typeof targetX !== 'number' || typeof targetY !== 'number') {
+            throw new Error('Invalid target: Expected numbers for targetX and targetY.');
         }
 
-        this.#zoomValue = zoomValue;
-        this.#zoomTarget = target.copy();
+        this.view.zoom = zoomValue;
+        this.view.position = new Vector(targetX, targetY);
     }
 
     /**
-     * Set a specific tile value in the map at the given x and y coordinates.
+     * Set a specific tile value in a layer at the given x and y coordinates.
      * 
-     * @param {number} x - The x-coordinate of the tile. Must be a whole number.
-     * @param {number} y - The y-coordinate of the tile. Must be a whole number.
+     * @param {number} x - The column of the tile. Must be a whole number.
+     * @param {number} y - The row of the tile. Must be a whole number.
      * @param {number} value - The value to set for the tile. Must be a whole number.
+     * @param {string|null} [layerName=null] - The name of the layer, null for the first layer.
      * 
-     * @throws {Error} If any parameter is not a number or if they are not whole numbers greater than or equal to 1.
+     * @throws {Error} If the tile is outside of the layer, the value is not a whole number or the layer doesn't exist.
      */
-    setTile(x, y, value) {
-        if (typeof x !== 'number' || x < 1 || x !== Math.floor(x)) {
-            throw new Error('Invalid x-coordinate: Expected a whole number greater than or equal to 1.');
-        }
-        if (typeof y !== 'number' || y < 1 || y !== Math.floor(y)) {
-            throw new Error('Invalid y-coordinate: Expected a whole number greater than or equal to 1.');
-        }
-        if (typeof value !== 'number' || value !== Math.floor(value)) {
-            throw new Error('Invalid tile value: Expected a whole number.');
+    setTile(x, y, value, layerName = null) {
+        this.#resolveLayer(layerName).setTile(x, y, value);
+    }
+
+    /**
+     * Returns the tile at a world position, e.g. to collide with the map. Parallax is ignored.
+     * @param {number} x - The x position, in world pixels.
+     * @param {number} y - The y position, in world pixels.
+     * @param {string|null} [layerName=null] - The name of the layer, null for the first layer.
+     * @returns {number} The tile value, or -1 outside of the layer.
+     */
+    getTileAt(x, y, layerName = null) {
+        if (typeof x !== 'number' || typeof y !== 'number') {
+            throw new Error('getTileAt: x and y must be numbers.');
         }
-        this.#map[~~y][~~x] = ~~value;
+        return this.#resolveLayer(layerName).getTile(Math.floor(x / this.#tileSize), Math.floor(y / this.#tileSize));
+    }
+
+    /**
+     * Returns the tileset metadata of the tile at a world position, e.g. to check if it is solid or a slope.
+     * @param {number} x - The x position, in world pixels.
+     * @param {number} y - The y position, in world pixels.
+     * @param {string|null} [layerName=null] - The name of the layer, null for the first layer.
+     * @returns {Object|null} The metadata, or null if the tile has none or the layer has no Tileset.
+     */
+    getTileDataAt(x, y, layerName = null) {
+        const images = this.#resolveLayer(layerName).images;
+        if (!(images instanceof Tileset)) return null;
+        return images.getTileData(this.getTileAt(x, y, layerName));
     }
 
     // Getters and setters for private fields
+    /**
+     * Returns the map matrix of the first layer.
+     * @returns {Array<Array<number>>} The map matrix.
+     */
     get map() {
-        return this.#map;
+        return this.#layers[0].map;
+    }
+
+    /**
+     * Returns the layers of the map.
+     * @returns {Array<TileLayer>} A copy of the stack, from back to front.
+     */
+    get layers() {
+        return [...this.#layers];
     }
 
     get lights() {
         return this.#lights;
     }
 
+    /**
+     * Returns the tileset or image array of the first layer.
+     * @returns {Tileset|Array<Image|HTMLCanvasElement>} The tileset or images.
+     */
     get images() {
-        return this.#images;
+        return this.#layers[0].images;
     }
 
     get zoomValue() {
-        return this.#zoomValue;
+        return this.view.zoom;
     }
 
     get zoomTarget() {
-        return this.#zoomTarget;
+        return this.view.position;
     }
 
     /**
-     * Sets the map matrix.
+     * Returns the size of a tile.
+     * @returns {number} The width and height of a tile, in world pixels.
+     */
+    get tileSize() {
+        return this.#tileSize;
+    }
+
+    /**
+     * Returns the width of the map.
+     * @returns {number} The width of the widest layer, in world pixels.
+     */
+    get worldWidth() {
+        return Math.max(...this.#layers.map(layer => layer.columns)) * this.#tileSize;
+    }
+
+    /**
+     * Returns the height of the map.
+     * @returns {number} The height of the tallest layer, in world pixels.
+     */
+    get worldHeight() {
+        return Math.max(...this.#layers.map(layer => layer.rows)) * this.#tileSize;
+    }
+
+    /**
+     * Sets the size of a tile.
+     * @param {number} tileSize - The width and height of a tile, in world pixels.
+     */
+    set tileSize(tileSize) {
+        if (typeof tileSize !== 'number' || tileSize <= 0) {
+            throw new Error('Invalid tileSize: Expected a positive number.');
+        }
+        this.#tileSize = tileSize;
+    }
+
+    /**
+     * Sets the map matrix of the first layer.
      * @param {Array<Array<number>>} newMap - The new map matrix.
      */
     set map(newMap) {
-        if (!Array.isArray(newMap) || !Array.isArray(newMap[0]) || !newMap.every(row => row.every(Number.isInteger))) {
-            throw new Error('Invalid map: Expected a 2D array of integers.');
-        }
-        this.#map = newMap;
+        this.#layers[0].map = newMap;
     }
 
     /**
-     * Sets the image array.
-     * @param {Array<{data: Uint8ClampedArray, width: number, height: number}>} newImages - The new image array.
+     * Sets the tileset or image array of the first layer.
+     * @param {Tileset|Array<{data: Uint8ClampedArray, width: number, height: number}>} newImages - The new tileset or image array.
      */
     set images(newImages) {
-        if (!Array.isArray(newImages) || !newImages.every(image => image instanceof Image)) {
-            throw new Error('Invalid images: Expected an array of Image objects.');
-        }
-        this.#images = newImages;
+        this.#layers[0].images = newImages;
     }
 
     /**
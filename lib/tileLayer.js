@@ -0,0 +1,211 @@
+/**
+ * A layer of a TileCamera map: a grid of tile values with its own tileset or tile images, opacity, visibility and parallax.
+ * Layers are drawn when TileCamera.render() is called, or queued in their draw layer (see DrawLayers), so objects can be drawn between them.
+ */
+class TileLayer {
+    #name;
+    #map;
+    #images;
+    #opacity = 1;
+    #visible = true;
+    #parallax = new Vector(1, 1);
+    #drawLayer = null;
+
+    /**
+     * Creates a new TileLayer.
+     * @param {string} name - The name of the layer, e.g. "background", "collision" or "foreground".
+     * @param {Array<Array<number>>} map - The map matrix. Values without an image, e.g. -1, are empty.
+     * @param {Tileset|Array<Image|HTMLCanvasElement>} images - The tileset, or the image of every tile value.
+     * @param {Object} [options={}] - The look of the layer.
+     * @param {number} [options.opacity=1] - The opacity (0-1).
+     * @param {boolean} [options.visible=true] - Whether the layer is drawn.
+     * @param {Vector|number} [options.parallax=1] - How fast the layer scrolls with the view, per axis or for both.
+     * 1 moves with the world, smaller values are further away, 0 stays on the screen.
+     * @param {number|null} [options.drawLayer=null] - The draw layer of the tiles, e.g. DrawLayers.FOREGROUND to cover queued entities, or null to draw them immediately.
+     */
+    constructor(name, map, images, { opacity = 1, visible = true, parallax = 1, drawLayer = null } = {}) {
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Invalid name: Expected a non-empty string.');
+        }
+        this.#name = name;
+        this.map = map;
+        this.images = images;
+        this.opacity = opacity;
+        this.visible = visible;
+        this.parallax = typeof parallax === 'number' ? new Vector(parallax, parallax) : parallax;
+        this.drawLayer = drawLayer;
+    }
+
+    /**
+     * Returns the value of a tile.
+     * @param {number} column - The column of the tile.
+     * @param {number} row - The row of the tile.
+     * @returns {number} The tile value, or -1 outside of the layer.
+     */
+    getTile(column, row) {
+        if (row < 0 || row >= this.#map.length || column < 0 || column >= this.#map[0].length) {
+            return -1;
+        }
+        return this.#map[row][column];
+    }
+
+    /**
+     * Sets the value of a tile.
+     * @param {number} column - The column of the tile.
+     * @param {number} row - The row of the tile.
+     * @param {number} value - The new tile value.
+     */
+    setTile(column, row, value) {
+        if (!Number.isInteger(column) || column < 0 || column >= this.#map[0].length) {
+            throw new Error(`Invalid column: Expected an integer between 0 and ${this.#map[0].length - 1}.`);
+        }
+        if (!Number.isInteger(row) || row < 0 || row >= this.#map.length) {
+            throw new Error(`Invalid row: Expected an integer between 0 and ${this.#map.length - 1}.`);
+        }
+        if (!Number.isInteger(value)) {
+            throw new Error('Invalid tile value: Expected an integer.');
+        }
+        this.#map[row][column] = value;
+    }
+
+    /**
+     * Returns the name of the layer.
+     * @returns {string} The name.
+     */
+    get name() {
+        return this.#name;
+    }
+
+    /**
+     * Returns the map matrix.
+     * @returns {Array<Array<number>>} The map, changes are seen by the layer.
+     */
+    get map() {
+        return this.#map;
+    }
+
+    /**
+     * Sets the map matrix.
+     * @param {Array<Array<number>>} map - The new map matrix.
+     */
+    set map(map) {
+        if (!Array.isArray(map) || !Array.isArray(map[0]) || !map.every(row => Array.isArray(row) && row.every(Number.isInteger))) {
+            throw new Error('Invalid map: Expected a 2D array of integers.');
+        }
+        if (map.some(row => row.length !== map[0].length)) {
+            throw new Error('Invalid map: Every row in the map has to have the same number of indices.');
+        }
+        this.#map = map;
+    }
+
+    /**
+     * Returns the tileset or the images of the tile values.
+     * @returns {Tileset|Array<Image|HTMLCanvasElement>} The tileset or the images.
+     */
+    get images() {
+        return this.#images;
+    }
+
+    /**
+     * Sets the tileset or the images of the tile values.
+     * @param {Tileset|Array<Image|HTMLCanvasElement>} images - The new tileset or images.
+     */
+    set images(images) {
+        if (!(images instanceof Tileset) && (!Array.isArray(images) || !images.every(image => CameraBackend.isImage(image)))) {
+            throw new Error('Invalid images: Expected a Tileset or an array of Image objects.');
+        }
+        this.#images = images;
+    }
+
+    /**
+     * Returns the number of columns.
+     * @returns {number} The width of the layer, in tiles.
+     */
+    get columns() {
+        return this.#map[0].length;
+    }
+
+    /**
+     * Returns the number of rows.
+     * @returns {number} The height of the layer, in tiles.
+     */
+    get rows() {
+        return this.#map.length;
+    }
+
+    /**
+     * Returns the opacity.
+     * @returns {number} The opacity (0-1).
+     */
+    get opacity() {
+        return this.#opacity;
+    }
+
+    /**
+     * Sets the opacity.
+     * @param {number} opacity - The opacity (0-1).
+     */
+    set opacity(opacity) {
+        if (typeof opacity !== 'number' || opacity < 0 || opacity > 1) {
+            throw new Error('Invalid opacity: Expected a number between 0 and 1.');
+        }
+        this.#opacity = opacity;
+    }
+
+    /**
+     * Returns whether the layer is drawn.
+     * @returns {boolean} True if the layer is drawn.
+     */
+    get visible() {
+        return this.#visible;
+    }
+
+    /**
+     * Shows or hides the layer. Hidden layers still work for getTileAt(), e.g. for an invisible collision layer.
+     * @param {boolean} visible - True to draw the layer.
+     */
+    set visible(visible) {
+        if (typeof visible !== 'boolean') {
+            throw new Error('Invalid visible value: Expected a boolean.');
+        }
+        this.#visible = visible;
+    }
+
+    /**
+     * Returns the parallax factor.
+     * @returns {Vector} A copy of the factor per axis.
+     */
+    get parallax() {
+        return this.#parallax.copy();
+    }
+
+    /**
+     * Sets the parallax factor.
+     * @param {Vector} parallax - The factor per axis. 1 moves with the world, 0 stays on the screen.
+     */
+    set parallax(parallax) {
+        if (!(parallax instanceof Vector)) {
+            throw new Error('Invalid parallax: Expected a Vector object or a number.');
+        }
+        this.#parallax = parallax.copy();
+    }
+
+    /**
+     * Returns the draw layer of the tiles.
+     * @returns {number|null} The draw layer, or null if the tiles are drawn immediately.
+     */
+    get drawLayer() {
+        return this.#drawLayer;
+    }
+
+    /**
+     * Sets the draw layer of the tiles.
+     * @param {number|null} drawLayer - The draw layer, see DrawLayers, or null to draw the tiles immediately.
+     */
+    set drawLayer(drawLayer) {
+        if (drawLayer !== null && typeof drawLayer !== 'number') {
+            throw new Error('Invalid drawLayer: Expected a number or null.');
+        }
+        this.#drawLayer = drawLayer;
+    }
+}
@@ -0,0 +1,884 @@
+/**
+ * A map made in the Tiled (.tmj, .tmx) or LDtk (.ldtk) editor: tile layers with their tilesets, object layers,
+ * custom properties and animated tile definitions.
+ * Tile values are indices into the tiles of the map and -1 is an empty tile. The layers of a map draw from one Tileset,
+ * with the tile animations of the map, unless the tilesets have different tile sizes or single images per tile:
+ * then every tile is sliced into its own image and the tiles don't animate. The layers can be passed to a TileCamera,
+ * their map matrices and images can be used by an IsometricCamera or a RaycasterCamera.
+ */
+class Tilemap {
+    #tileWidth;
+    #tileHeight;
+    #orientation;
+    #layers;
+    #images;
+    #tilesets;
+    #objectLayers;
+    #intGrids;
+    #properties;
+    #layerProperties;
+    #tileProperties;
+    #tileAnimations;
+    #origin;
+
+    /**
+     * Creates a new Tilemap. Use Tilemap.load(), Tilemap.fromTiled() or Tilemap.fromLDtk() to import a map.
+     * @param {number} tileWidth - The width of a tile, in pixels.
+     * @param {number} tileHeight - The height of a tile, in pixels.
+     * @param {Array<TileLayer>} layers - The tile layers, from back to front.
+     * @param {Tileset|Array<Image|HTMLCanvasElement>} images - The tileset or the images of all tile values.
+     * @param {Object} [options={}] - The rest of the map.
+     * @param {string} [options.orientation='orthogonal'] - The orientation of the map, e.g. 'orthogonal' or 'isometric'.
+     * @param {Array<{firstTile: number, tileset: Tileset}>} [options.tilesets=[]] - The tilesets with the tile value of their first tile.
+     * @param {Array<{name: string, visible: boolean, objects: Array<Object>, properties: Object}>} [options.objectLayers=[]] - The object layers.
+     * @param {Map<string, Array<Array<number>>>} [options.intGrids=new Map()] - The values of LDtk IntGrid layers by layer name, 0 is empty.
+     * @param {Object} [options.properties={}] - The custom properties of the map.
+     * @param {Map<string, Object>} [options.layerProperties=new Map()] - The custom properties of the tile layers by layer name.
+     * @param {Map<number, Object>} [options.tileProperties=new Map()] - The custom properties of the tiles by tile value.
+     * @param {Map<number, Array<{tile: number, duration: number}>>} [options.tileAnimations=new Map()] - The animated tiles by tile value, durations are in milliseconds.
+     * @param {Vector} [options.origin=new Vector(0, 0)] - The tile in the editor that is the top left tile of the map, for infinite maps.
+     */
+    constructor(tileWidth, tileHeight, layers, images, { orientation = 'orthogonal', tilesets = [], objectLayers = [], intGrids = new Map(), properties = {},
+        layerProperties = new Map(), tileProperties = new Map(), tileAnimations = new Map(), origin = new Vector(0, 0) } = {}) {
+        if (typeof tileWidth !== 'number' || tileWidth <= 0 || typeof tileHeight !== 'number' || tileHeight <= 0) {
+            throw new Error('Invalid tile size: Expected positive numbers for tileWidth and tileHeight.');
+        }
+        if (!Array.isArray(layers) || !layers.every(layer => layer instanceof TileLayer)) {
+            throw new Error('Invalid layers: Expected an array of TileLayer objects.');
+        }
+        const duplicate = layers.find((layer, index) => layers.findIndex(other => other.name === layer.name) !== index);
+        if (duplicate) {
+            throw new Error(`Invalid layers: Two layers are named "${duplicate.name}", layer names have to be unique.`);
+        }
+        if (!(images instanceof Tileset) && !Array.isArray(images)) {
+            throw new Error('Invalid images: Expected a Tileset or an array.');
+        }
+        if (!Array.isArray(tilesets) || !tilesets.every(entry => entry.tileset instanceof Tileset && Number.isInteger(entry.firstTile))) {
+            throw new Error('Invalid tilesets: Expected an array of {firstTile, tileset} objects.');
+        }
+        if (!Array.isArray(objectLayers)) {
+            throw new Error('Invalid objectLayers: Expected an array.');
+        }
+        if (![intGrids, layerProperties, tileProperties, tileAnimations].every(map => map instanceof Map)) {
+            throw new Error('Invalid options: Expected Map objects for intGrids, layerProperties, tileProperties and tileAnimations.');
+        }
+        if (!(origin instanceof Vector)) {
+            throw new Error('Invalid origin: Expected a Vector object.');
+        }
+        this.#tileWidth = tileWidth;
+        this.#tileHeight = tileHeight;
+        this.#orientation = orientation;
+        this.#layers = layers;
+        this.#images = images;
+        this.#tilesets = tilesets;
+        this.#objectLayers = objectLayers;
+        this.#intGrids = intGrids;
+        this.#properties = properties;
+        this.#layerProperties = layerProperties;
+        this.#tileProperties = tileProperties;
+        this.#tileAnimations = tileAnimations;
+        this.#origin = origin.copy();
+    }
+
+    /**
+     * Loads a map file with its external tilesets, level files and images.
+     * The format is detected from the file: Tiled JSON (.tmj, .json), Tiled XML (.tmx) or LDtk (.ldtk).
+     * Paths in the file are relative to the file.
+     * @param {string} path - The path of the map file.
+     * @param {number|string} [level=0] - The index or identifier of the level to import from an LDtk project.
+     * @returns {Promise<Tilemap>} The map.
+     */
+    static async load(path, level = 0) {
+        if (typeof path !== 'string') {
+            throw new Error('Invalid path: Expected a string.');
+        }
+        const text = await Tilemap.#fetchText(path);
+
+        if (/\.ldtk$/i.test(path) || text.includes('"__header__"')) {
+            const project = JSON.parse(text);
+            // Levels can be saved in separate files, only the file of the requested level is fetched
+            const isRequested = (levelData, index) => typeof level === 'number' ? index === level : levelData.identifier === level;
+            const levels = await Promise.all(project.levels.map((levelData, index) => levelData.layerInstances || !levelData.externalRelPath || !isRequested(levelData, index)
+                ? levelData
+                : Tilemap.#fetchText(Tilemap.#resolvePath(path, levelData.externalRelPath)).then(JSON.parse)));
+            const tilesets = project.defs.tilesets.map(tileset => tileset.relPath ? { ...tileset, relPath: Tilemap.#resolvePath(path, tileset.relPath) } : tileset);
+            const images = await Tilemap.#loadImages(tilesets.map(tileset => tileset.relPath).filter(Boolean));
+            return Tilemap.fromLDtk({ ...project, levels, defs: { ...project.defs, tilesets } }, images, level);
+        }
+
+        const data = Tilemap.#parseTiled(text);
+        // External tilesets are inlined and all image paths are made relative to the page
+        const tilesets = await Promise.all((data.tilesets || []).map(async entry => {
+            if (entry.source === undefined) return Tilemap.#resolveTilesetImages(entry, path);
+            const source = Tilemap.#resolvePath(path, entry.source);
+            const tileset = Tilemap.#parseTiled(await Tilemap.#fetchText(source));
+            return Tilemap.#resolveTilesetImages({ ...tileset, firstgid: entry.firstgid }, source);
+        }));
+        const imagePaths = tilesets.flatMap(tileset => [tileset.image, ...(tileset.tiles || []).map(tile => tile.image)]).filter(Boolean);
+        const images = await Tilemap.#loadImages(imagePaths);
+        return Tilemap.fromTiled({ ...data, tilesets }, images);
+    }
+
+    /**
+     * Imports a map from Tiled. Finite and infinite maps are supported, infinite maps are cropped to their chunks.
+     * Flipped and rotated tiles are drawn unflipped. Compressed layer data is not supported, save the map with the
+     * CSV or the uncompressed Base64 layer format.
+     * A layer can set its draw layer with the custom property "drawLayer", a number or a key of DrawLayers, e.g. "FOREGROUND".
+     * Layers without one are drawn immediately by TileCamera.render().
+     * @param {Object|string} data - The map as parsed JSON, JSON text (.tmj) or XML text (.tmx).
+     * @param {Object<string, Image|HTMLCanvasElement>} images - The tileset images by the path that is written in the tileset.
+     * @param {Object<string, Object|string>} [tilesets={}] - The external tilesets (.tsj, .tsx) by the source path that is written in the map.
+     * @returns {Tilemap} The map.
+     */
+    static fromTiled(data, images, tilesets = {}) {
+        if (typeof data === 'string') {
+            data = Tilemap.#parseTiled(data);
+        }
+        if (typeof data !== 'object' || data === null || !Array.isArray(data.layers)) {
+            throw new Error('Invalid data: Expected a Tiled map.');
+        }
+        if (typeof images !== 'object' || images === null) {
+            throw new Error('Invalid images: Expected an object with the tileset images by path.');
+        }
+
+        const allImages = [];
+        const sheets = [];
+        const tileProperties = new Map();
+        const tileAnimations = new Map();
+        for (const entry of data.tilesets || []) {
+            let tileset = entry;
+            if (entry.source !== undefined) {
+                if (tilesets[entry.source] === undefined) {
+                    throw new Error(`Invalid tilesets: The external tileset "${entry.source}" is missing.`);
+                }
+                tileset = typeof tilesets[entry.source] === 'string' ? Tilemap.#parseTiled(tilesets[entry.source]) : tilesets[entry.source];
+            }
+            // Tile values start at 0, the gids of Tiled start at 1 and 0 is empty
+            const first = entry.firstgid - 1;
+            const sheet = tileset.image ? new Tileset(Tilemap.#getImage(images, tileset.image), tileset.tilewidth, tileset.tileheight,
+                tileset.margin || 0, tileset.spacing || 0, tileset.tilecount || null) : null;
+            if (sheet) {
+                sheets.push({ firstTile: first, tileset: sheet });
+            }
+            for (const tile of tileset.tiles || []) {
+                const index = first + tile.id;
+                if (tile.image) {
+                    allImages[index] = Tilemap.#getImage(images, tile.image);
+                }
+                const properties = Tilemap.#readProperties(tile.properties);
+                const type = tile.type || tile.class;
+                if (type && properties.type === undefined) {
+                    properties.type = type;
+                }
+                if (Object.keys(properties).length > 0) {
+                    tileProperties.set(index, properties);
+                    if (sheet && sheet.hasTile(tile.id)) sheet.setTileData(tile.id, properties);
+                }
+                if (Array.isArray(tile.animation) && tile.animation.length > 0) {
+                    tileAnimations.set(index, tile.animation.map(frame => ({ tile: first + frame.tileid, duration: frame.duration })));
+                    if (sheet && sheet.hasTile(tile.id)) sheet.setTileAnimation(tile.id, tile.animation.map(frame => ({ tile: frame.tileid, duration: frame.duration })));
+                }
+            }
+        }
+
+        const tileSource = Tilemap.#createTileSource(sheets, allImages, tileProperties, tileAnimations);
+
+        // Groups are flattened, their settings apply to their children and their names prefix the names of the children
+        const tileLayers = [];
+        const objectGroups = [];
+        const flatten = (layers, prefix, opacity, visible, parallaxX, parallaxY) => {
+            for (const layer of layers) {
+                const settings = {
+                    name: prefix + layer.name,
+                    opacity: opacity * (layer.opacity ?? 1),
+                    visible: visible && layer.visible !== false,
+                    parallaxX: parallaxX * (layer.parallaxx ?? 1),
+                    parallaxY: parallaxY * (layer.parallaxy ?? 1)
+                };
+                if (layer.type === 'group') {
+                    flatten(layer.layers || [], `${settings.name}/`, settings.opacity, settings.visible, settings.parallaxX, settings.parallaxY);
+                } else if (layer.type === 'tilelayer') {
+                    tileLayers.push({ layer, settings });
+                } else if (layer.type === 'objectgroup') {
+                    objectGroups.push({ layer, settings });
+                }
+            }
+        };
+        flatten(data.layers, '', 1, true, 1, 1);
+
+        // Infinite maps are made of chunks that can start at negative tiles, the map is cropped to the chunks of all layers
+        let startX = 0;
+        let startY = 0;
+        let columns = data.width;
+        let rows = data.height;
+        if (data.infinite) {
+            const chunks = tileLayers.flatMap(({ layer }) => layer.chunks || []);
+            startX = chunks.length > 0 ? Math.min(...chunks.map(chunk => chunk.x)) : 0;
+            startY = chunks.length > 0 ? Math.min(...chunks.map(chunk => chunk.y)) : 0;
+            columns = chunks.length > 0 ? Math.max(...chunks.map(chunk => chunk.x + chunk.width)) - startX : 1;
+            rows = chunks.length > 0 ? Math.max(...chunks.map(chunk => chunk.y + chunk.height)) - startY : 1;
+        }
+
+        const layerProperties = new Map();
+        const layers = tileLayers.map(({ layer, settings }) => {
+            const map = Array.from({ length: rows }, () => new Array(columns).fill(-1));
+            const write = (values, x, y, width) => {
+                values.forEach((gid, index) => {
+                    const column = x - startX + index % width;
+                    const row = y - startY + Math.floor(index / width);
+                    if (row >= 0 && row < rows && column >= 0 && column < columns) {
+                        // The highest four bits of a gid are the flip and rotation flags
+                        map[row][column] = (gid & 0x0FFFFFFF) - 1;
+                    }
+                });
+            };
+            if (layer.chunks) {
+                layer.chunks.forEach(chunk => write(Tilemap.#decodeTiledData(chunk.data, layer.encoding, layer.compression), chunk.x, chunk.y, chunk.width));
+            } else {
+                write(Tilemap.#decodeTiledData(layer.data, layer.encoding, layer.compression), layer.x || 0, layer.y || 0, layer.width);
+            }
+            const properties = Tilemap.#readProperties(layer.properties);
+            layerProperties.set(settings.name, properties);
+            return new TileLayer(settings.name, map, tileSource, {
+                opacity: settings.opacity,
+                visible: settings.visible,
+                parallax: new Vector(settings.parallaxX, settings.parallaxY),
+                drawLayer: Tilemap.#readDrawLayer(properties.drawLayer)
+            });
+        });
+
+        const offsetX = -startX * data.tilewidth;
+        const offsetY = -startY * data.tileheight;
+        const objectLayers = objectGroups.map(({ layer, settings }) => ({
+            name: settings.name,
+            visible: settings.visible,
+            properties: Tilemap.#readProperties(layer.properties),
+            objects: (layer.objects || []).map(object => {
+                const position = new Vector(object.x + offsetX, object.y + offsetY);
+                // Tile objects are placed at their bottom left corner
+                if (object.gid) {
+                    position.y -= object.height || 0;
+                }
+                const points = object.polygon || object.polyline || [];
+                return {
+                    id: object.id,
+                    name: object.name || '',
+                    type: object.type || object.class || '',
+                    position,
+                    width: object.width || 0,
+                    height: object.height || 0,
+                    rotation: object.rotation || 0,
+                    tile: object.gid ? (object.gid & 0x0FFFFFFF) - 1 : -1,
+                    shape: object.point ? 'point' : object.ellipse ? 'ellipse' : object.polygon ? 'polygon' : object.polyline ? 'polyline' : 'rectangle',
+                    points: points.map(point => new Vector(object.x + offsetX + point.x, object.y + offsetY + point.y)),
+                    properties: Tilemap.#readProperties(object.properties)
+                };
+            })
+        }));
+
+        return new Tilemap(data.tilewidth, data.tileheight, layers, tileSource, {
+            orientation: data.orientation || 'orthogonal',
+            tilesets: sheets,
+            objectLayers,
+            properties: Tilemap.#readProperties(data.properties),
+            layerProperties,
+            tileProperties,
+            tileAnimations,
+            origin: new Vector(startX, startY)
+        });
+    }
+
+    /**
+     * Imports a level of an LDtk project.
+     * Tiles and auto-layer tiles become tile layers, IntGrid values are available with getIntGrid() and entities
+     * become object layers. Of stacked tiles in one cell only the top tile is kept.
+     * A layer can set its draw layer with a layer definition tag: "BACKGROUND", "TILES", "ENTITIES", "FOREGROUND" or "LIGHTING".
+     * @param {Object|string} data - The project as parsed JSON or JSON text. The level has to be in the project, see Tilemap.load() for separate level files.
+     * @param {Object<string, Image|HTMLCanvasElement>} images - The tileset images by the relPath of the tileset.
+     * @param {number|string} [level=0] - The index or identifier of the level.
+     * @returns {Tilemap} The map.
+     */
+    static fromLDtk(data, images, level = 0) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (typeof data !== 'object' || data === null || !Array.isArray(data.levels) || typeof data.defs !== 'object') {
+            throw new Error('Invalid data: Expected an LDtk project.');
+        }
+        if (typeof images !== 'object' || images === null) {
+            throw new Error('Invalid images: Expected an object with the tileset images by path.');
+        }
+        const levelData = typeof level === 'number' ? data.levels[level] : data.levels.find(entry => entry.identifier === level);
+        if (!levelData) {
+            throw new Error(`Invalid level: The project has no level ${level}.`);
+        }
+        if (!Array.isArray(levelData.layerInstances)) {
+            throw new Error(`Invalid level: The level ${levelData.identifier} is saved in a separate file, load it with Tilemap.load().`);
+        }
+
+        // Every tileset gets its own range of tile values, like the gids of Tiled
+        const sheets = [];
+        const tileProperties = new Map();
+        const tilesets = new Map();
+        let next = 0;
+        for (const tileset of data.defs.tilesets || []) {
+            // Embedded atlases, e.g. the internal icons of LDtk, have no image
+            if (!tileset.relPath) continue;
+            const count = tileset.__cWid * tileset.__cHei;
+            const sheet = new Tileset(Tilemap.#getImage(images, tileset.relPath), tileset.tileGridSize, tileset.tileGridSize,
+                tileset.padding || 0, tileset.spacing || 0, count);
+            tilesets.set(tileset.uid, { first: next, definition: tileset });
+            sheets.push({ firstTile: next, tileset: sheet });
+
+            const localProperties = new Map();
+            const getProperties = (tileId) => {
+                if (!localProperties.has(tileId)) localProperties.set(tileId, {});
+                return localProperties.get(tileId);
+            };
+            (tileset.customData || []).forEach(entry => getProperties(entry.tileId).data = entry.data);
+            (tileset.enumTags || []).forEach(entry => entry.tileIds.forEach(tileId => {
+                const properties = getProperties(tileId);
+                properties.tags = [...(properties.tags || []), entry.enumValueId];
+            }));
+            localProperties.forEach((properties, tileId) => {
+                tileProperties.set(next + tileId, properties);
+                if (sheet.hasTile(tileId)) sheet.setTileData(tileId, properties);
+            });
+            next += count;
+        }
+        const tileSource = Tilemap.#createTileSource(sheets, [], tileProperties, new Map());
+
+        const readFields = (fields) => Object.fromEntries((fields || []).map(field => [field.__identifier, field.__value]));
+        const layerDefinitions = new Map((data.defs.layers || []).map(definition => [definition.uid, definition]));
+        const layers = [];
+        const objectLayers = [];
+        const intGrids = new Map();
+        const layerProperties = new Map();
+        // LDtk lists the layers from front to back
+        for (const layer of [...levelData.layerInstances].reverse()) {
+            const gridSize = layer.__gridSize;
+            const columns = layer.__cWid;
+            const rows = layer.__cHei;
+            const definition = layerDefinitions.get(layer.layerDefUid) || {};
+
+            if (layer.__type === 'Entities') {
+                objectLayers.push({
+                    name: layer.__identifier,
+                    visible: layer.visible !== false,
+                    properties: {},
+                    objects: (layer.entityInstances || []).map(entity => {
+                        const pivot = entity.__pivot || [0, 0];
+                        const tile = entity.__tile && tilesets.get(entity.__tile.tilesetUid);
+                        return {
+                            id: entity.iid,
+                            name: entity.__identifier,
+                            type: entity.__identifier,
+                            position: new Vector(entity.px[0] - pivot[0] * entity.width, entity.px[1] - pivot[1] * entity.height),
+                            width: entity.width,
+                            height: entity.height,
+                            rotation: 0,
+                            tile: tile ? tile.first + Tilemap.#getLDtkTileId(tile.definition, entity.__tile.x, entity.__tile.y) : -1,
+                            shape: 'rectangle',
+                            points: [],
+                            properties: readFields(entity.fieldInstances)
+                        };
+                    })
+                });
+                continue;
+            }
+
+            if (layer.__type === 'IntGrid') {
+                const csv = layer.intGridCsv || [];
+                intGrids.set(layer.__identifier, Array.from({ length: rows }, (_, row) => csv.slice(row * columns, (row + 1) * columns)));
+            }
+            const tileset = tilesets.get(layer.__tilesetDefUid);
+            if (!tileset) continue;
+            const map = Array.from({ length: rows }, () => new Array(columns).fill(-1));
+            for (const tile of layer.__type === 'Tiles' ? layer.gridTiles : layer.autoLayerTiles) {
+                const column = Math.floor(tile.px[0] / gridSize);
+                const row = Math.floor(tile.px[1] / gridSize);
+                if (row >= 0 && row < rows && column >= 0 && column < columns) {
+                    map[row][column] = tileset.first + tile.t;
+                }
+            }
+            const tag = (definition.uiFilterTags || []).find(tag => DrawLayers[tag] !== undefined);
+            // The parallax factor of LDtk is how much slower the layer scrolls, 0 moves with the world
+            layers.push(new TileLayer(layer.__identifier, map, tileSource, {
+                opacity: layer.__opacity ?? 1,
+                visible: layer.visible !== false,
+                parallax: new Vector(1 - (definition.parallaxFactorX || 0), 1 - (definition.parallaxFactorY || 0)),
+                drawLayer: tag ? DrawLayers[tag] : null
+            }));
+            layerProperties.set(layer.__identifier, {});
+        }
+
+        const gridSize = levelData.layerInstances.length > 0 ? levelData.layerInstances[0].__gridSize : data.defaultGridSize;
+        return new Tilemap(gridSize, gridSize, layers, tileSource, {
+            tilesets: sheets,
+            objectLayers,
+            intGrids,
+            properties: readFields(levelData.fieldInstances),
+            layerProperties,
+            tileProperties
+        });
+    }
+
+    /**
+     * Creates a TileCamera that draws all tile layers of the map.
+     * @param {number} gameWidth - The width of the game.
+     * @param {number} gameHeight - The height of the game.
+     * @param {number} canvasWidth - The width of the canvas.
+     * @param {number} canvasHeight - The height of the canvas.
+     * @param {string} canvasName - The name of the canvas.
+     * @param {Array<Light>} [lights=[]] - The light sources, in world pixels.
+     * @param {number} [tileEnlargment=0] - How many pixels to make the tiles longer and taller.
+     * @returns {TileCamera} The camera, with tiles of the width of the tiles of the map.
+     */
+    createTileCamera(gameWidth, gameHeight, canvasWidth, canvasHeight, canvasName, lights = [], tileEnlargment = 0) {
+        if (this.#layers.length === 0) {
+            throw new Error('createTileCamera: The map has no tile layers.');
+        }
+        return new TileCamera(gameWidth, gameHeight, canvasWidth, canvasHeight, canvasName, this.#layers, null, lights, tileEnlargment, this.#tileWidth);
+    }
+
+    /**
+     * Returns a tile layer.
+     * @param {string} name - The name of the layer. Layers in groups are named "group/layer".
+     * @returns {TileLayer} The layer.
+     */
+    getLayer(name) {
+        const layer = this.#layers.find(layer => layer.name === name);
+        if (!layer) {
+            throw new Error(`getLayer: No tile layer named "${name}".`);
+        }
+        return layer;
+    }
+
+    /**
+     * Returns an object layer.
+     * The objects have an id, name, type, position (top left corner, in pixels), width, height, rotation (degrees),
+     * tile (-1 if the object is not a tile), shape ('rectangle', 'ellipse', 'point', 'polygon' or 'polyline'),
+     * points (the corners of polygons and polylines, in pixels) and properties.
+     * @param {string} name - The name of the layer.
+     * @returns {{name: string, visible: boolean, objects: Array<Object>, properties: Object}} The layer.
+     */
+    getObjectLayer(name) {
+        const layer = this.#objectLayers.find(layer => layer.name === name);
+        if (!layer) {
+            throw new Error(`getObjectLayer: No object layer named "${name}".`);
+        }
+        return layer;
+    }
+
+    /**
+     * Returns the values of an LDtk IntGrid layer, e.g. for collisions.
+     * @param {string} name - The name of the layer.
+     * @returns {Array<Array<number>>} The values, 0 is empty.
+     */
+    getIntGrid(name) {
+        if (!this.#intGrids.has(name)) {
+            throw new Error(`getIntGrid: No IntGrid layer named "${name}".`);
+        }
+        return this.#intGrids.get(name);
+    }
+
+    /**
+     * Returns the custom properties of a tile layer.
+     * @param {string} name - The name of the layer.
+     * @returns {Object} The properties.
+     */
+    getLayerProperties(name) {
+        return this.#layerProperties.get(this.getLayer(name).name);
+    }
+
+    /**
+     * Returns the custom properties of a tile.
+     * @param {number} tile - The tile value.
+     * @returns {Object|null} The properties, or null if the tile has none.
+     */
+    getTileProperties(tile) {
+        return this.#tileProperties.get(tile) || null;
+    }
+
+    /**
+     * Returns the animation of an animated tile.
+     * @param {number} tile - The tile value.
+     * @returns {Array<{tile: number, duration: number}>|null} The frames with their durations in milliseconds, or null if the tile is not animated.
+     */
+    getTileAnimation(tile) {
+        return this.#tileAnimations.get(tile) || null;
+    }
+
+    static #parseTiled(text) {
+        return text.trim().startsWith('<') ? Tilemap.#xmlToTiled(Tilemap.#parseXml(text)) : JSON.parse(text);
+    }
+
+    static #decodeTiledData(data, encoding, compression) {
+        if (Array.isArray(data)) return data;
+        if (encoding === 'csv') {
+            return data.split(',').map(Number);
+        }
+        if (compression) {
+            throw new Error(`Invalid layer data: ${compression} compression is not supported, save the map with the CSV or the uncompressed Base64 layer format.`);
+        }
+        // Base64 data is a list of little-endian 32 bit gids
+        const bytes = atob(data.trim());
+        const gids = new Array(bytes.length / 4);
+        for (let i = 0; i < gids.length; i++) {
+            gids[i] = (bytes.charCodeAt(i * 4) | bytes.charCodeAt(i * 4 + 1) << 8 | bytes.charCodeAt(i * 4 + 2) << 16 | bytes.charCodeAt(i * 4 + 3) << 24) >>> 0;
+        }
+        return gids;
+    }
+
+    static #readProperties(properties) {
+        if (!properties) return {};
+        // Tiled JSON stores a list of properties, older versions an object
+        return Array.isArray(properties) ? Object.fromEntries(properties.map(property => [property.name, property.value])) : { ...properties };
+    }
+
+    static #readDrawLayer(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' && DrawLayers[value.toUpperCase()] !== undefined) return DrawLayers[value.toUpperCase()];
+        return null;
+    }
+
+    static #getImage(images, path) {
+        const image = images[path];
+        if (!CameraBackend.isImage(image)) {
+            throw new Error(`Invalid images: The image "${path}" is missing.`);
+        }
+        return image;
+    }
+
+    static #getLDtkTileId(tileset, x, y) {
+        const padding = tileset.padding || 0;
+        const step = tileset.tileGridSize + (tileset.spacing || 0);
+        return Math.floor((y - padding) / step) * tileset.__cWid + Math.floor((x - padding) / step);
+    }
+
+    static #createTileSource(sheets, images, tileProperties, tileAnimations) {
+        const { tileWidth, tileHeight } = sheets.length > 0 ? sheets[0].tileset : {};
+        let source = images;
+        if (sheets.length === 1 && sheets[0].firstTile === 0 && images.length === 0) {
+            source = sheets[0].tileset;
+        } else if (sheets.length > 0 && images.length === 0 && sheets.every(({ tileset }) => tileset.tileWidth === tileWidth && tileset.tileHeight === tileHeight)) {
+            // Tilesets with the same tile size are copied into one atlas, so the tile values of all tilesets share one Tileset
+            const count = Math.max(...sheets.map(({ firstTile, tileset }) => firstTile + tileset.tileCount));
+            const columns = Math.min(count, 32);
+            const canvas = CameraBackend.default.createCanvas(columns * tileWidth, Math.ceil(count / columns) * tileHeight);
+            const ctx = canvas.getContext('2d');
+            for (const { firstTile, tileset } of sheets) {
+                for (let tile = 0; tile < tileset.tileCount; tile++) {
+                    const index = firstTile + tile;
+                    tileset.drawTile(ctx, tile, (index % columns) * tileWidth, Math.floor(index / columns) * tileHeight);
+                }
+            }
+            source = new Tileset(canvas, tileWidth, tileHeight, 0, 0, count);
+        } else {
+            for (const { firstTile, tileset } of sheets) {
+                for (let tile = 0; tile < tileset.tileCount; tile++) {
+                    const canvas = CameraBackend.default.createCanvas(tileset.tileWidth, tileset.tileHeight);
+                    tileset.drawTile(canvas.getContext('2d'), tile, 0, 0);
+                    images[firstTile + tile] = canvas;
+                }
+            }
+        }
+
+        if (source instanceof Tileset) {
+            tileProperties.forEach((properties, tile) => source.hasTile(tile) && source.setTileData(tile, properties));
+            tileAnimations.forEach((frames, tile) => {
+                if (source.hasTile(tile) && frames.every(frame => source.hasTile(frame.tile))) source.setTileAnimation(tile, frames);
+            });
+        }
+        return source;
+    }
+
+    static #parseXml(text) {
+        const unescape = (value) => value.replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, name) => {
+            if (name[0] === '#') return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+            return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name] ?? entity;
+        });
+        const root = { name: '', attributes: {}, children: [], text: '' };
+        const stack = [root];
+        // Comments, declarations and doctypes are skipped
+        const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+        for (const match of text.matchAll(pattern)) {
+            const parent = stack[stack.length - 1];
+            if (match[1] !== undefined) {
+                parent.text += match[1];
+            } else if (match[6] !== undefined) {
+                parent.text += unescape(match[6]);
+            } else if (match[2]) {
+                if (stack.length > 1) stack.pop();
+            } else if (match[3]) {
+                const node = { name: match[3], attributes: {}, children: [], text: '' };
+                for (const attribute of match[4].matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                    node.attributes[attribute[1]] = unescape(attribute[2] ?? attribute[3]);
+                }
+                parent.children.push(node);
+                if (!match[5]) stack.push(node);
+            }
+        }
+        if (root.children.length === 0) {
+            throw new Error('Invalid XML: No element was found.');
+        }
+        return root.children[0];
+    }
+
+    static #xmlToTiled(node) {
+        // Converts TMX and TSX elements to the objects of the Tiled JSON format
+        const number = (element, key, fallback = 0) => element.attributes[key] !== undefined ? Number(element.attributes[key]) : fallback;
+        const child = (element, name) => element.children.find(entry => entry.name === name);
+        const children = (element, name) => element.children.filter(entry => entry.name === name);
+        const properties = (element) => {
+            const list = child(element, 'properties');
+            return list ? children(list, 'property').map(property => {
+                const type = property.attributes.type || 'string';
+                const value = property.attributes.value ?? property.text;
+                return {
+                    name: property.attributes.name,
+                    type,
+                    value: type === 'int' || type === 'float' || type === 'object' ? Number(value) : type === 'bool' ? value === 'true' : value
+                };
+            }) : [];
+        };
+        const common = (element) => ({
+            name: element.attributes.name || '',
+            opacity: number(element, 'opacity', 1),
+            visible: element.attributes.visible !== '0',
+            parallaxx: number(element, 'parallaxx', 1),
+            parallaxy: number(element, 'parallaxy', 1),
+            properties: properties(element)
+        });
+        const gids = (element, encoding) => encoding ? element.text.trim() : children(element, 'tile').map(tile => number(tile, 'gid'));
+        const layers = (element) => element.children.flatMap(entry => {
+            if (entry.name === 'layer') {
+                const data = child(entry, 'data') || { attributes: {}, children: [], text: '' };
+                const encoding = data.attributes.encoding;
+                const chunks = children(data, 'chunk');
+                return [{
+                    type: 'tilelayer',
+                    ...common(entry),
+                    width: number(entry, 'width'),
+                    height: number(entry, 'height'),
+                    encoding,
+                    compression: data.attributes.compression,
+                    ...(chunks.length > 0
+                        ? { chunks: chunks.map(chunk => ({ x: number(chunk, 'x'), y: number(chunk, 'y'), width: number(chunk, 'width'), height: number(chunk, 'height'), data: gids(chunk, encoding) })) }
+                        : { data: gids(data, encoding) })
+                }];
+            }
+            if (entry.name === 'objectgroup') {
+                return [{
+                    type: 'objectgroup',
+                    ...common(entry),
+                    objects: children(entry, 'object').map(object => {
+                        const shape = child(object, 'polygon') || child(object, 'polyline');
+                        const points = shape ? shape.attributes.points.trim().split(/\s+/).map(point => {
+                            const [x, y] = point.split(',').map(Number);
+                            return { x, y };
+                        }) : undefined;
+                        return {
+                            id: number(object, 'id'),
+                            name: object.attributes.name || '',
+                            type: object.attributes.type || object.attributes.class || '',
+                            x: number(object, 'x'),
+                            y: number(object, 'y'),
+                            width: number(object, 'width'),
+                            height: number(object, 'height'),
+                            rotation: number(object, 'rotation'),
+                            gid: number(object, 'gid'),
+                            point: !!child(object, 'point'),
+                            ellipse: !!child(object, 'ellipse'),
+                            [shape ? shape.name : 'polygon']: points,
+                            properties: properties(object)
+                        };
+                    })
+                }];
+            }
+            if (entry.name === 'group') {
+                return [{ type: 'group', ...common(entry), layers: layers(entry) }];
+            }
+            return [];
+        });
+        const tileset = (element) => {
+            const image = child(element, 'image');
+            return {
+                firstgid: number(element, 'firstgid', 1),
+                ...(element.attributes.source !== undefined ? { source: element.attributes.source } : {}),
+                name: element.attributes.name || '',
+                tilewidth: number(element, 'tilewidth'),
+                tileheight: number(element, 'tileheight'),
+                margin: number(element, 'margin'),
+                spacing: number(element, 'spacing'),
+                columns: number(element, 'columns'),
+                tilecount: number(element, 'tilecount'),
+                image: image ? image.attributes.source : undefined,
+                properties: properties(element),
+                tiles: children(element, 'tile').map(tile => {
+                    const tileImage = child(tile, 'image');
+                    const animation = child(tile, 'animation');
+                    return {
+                        id: number(tile, 'id'),
+                        type: tile.attributes.type || tile.attributes.class,
+                        image: tileImage ? tileImage.attributes.source : undefined,
+                        properties: properties(tile),
+                        animation: animation ? children(animation, 'frame').map(frame => ({ tileid: number(frame, 'tileid'), duration: number(frame, 'duration') })) : undefined
+                    };
+                })
+            };
+        };
+
+        if (node.name === 'tileset') {
+            return tileset(node);
+        }
+        if (node.name !== 'map') {
+            throw new Error(`Invalid map: Expected a <map> or a <tileset> element, got <${node.name}>.`);
+        }
+        return {
+            width: number(node, 'width'),
+            height: number(node, 'height'),
+            tilewidth: number(node, 'tilewidth'),
+            tileheight: number(node, 'tileheight'),
+            infinite: node.attributes.infinite === '1',
+            orientation: node.attributes.orientation || 'orthogonal',
+            properties: properties(node),
+            tilesets: children(node, 'tileset').map(tileset),
+            layers: layers(node)
+        };
+    }
+
+    static #resolveTilesetImages(tileset, base) {
+        return {
+            ...tileset,
+            image: tileset.image ? Tilemap.#resolvePath(base, tileset.image) : tileset.image,
+            tiles: (tileset.tiles || []).map(tile => tile.image ? { ...tile, image: Tilemap.#resolvePath(base, tile.image) } : tile)
+        };
+    }
+
+    static #resolvePath(base, path) {
+        // Absolute paths and URLs are kept, relative paths start in the folder of the base file
+        if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(path)) return path;
+        const parts = base.split('/').slice(0, -1);
+        for (const part of path.split('/')) {
+            if (part === '..' && parts.length > 0 && parts[parts.length - 1] !== '..') parts.pop();
+            else if (part !== '.') parts.push(part);
+        }
+        return parts.join('/');
+    }
+
+    static #fetchText(path) {
+        return fetch(path).then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to load ${path}: ${response.status} ${response.statusText}`);
+            }
+            return response.text();
+        });
+    }
+
+    static #loadImages(paths) {
+        const unique = [...new Set(paths)];
+        return Promise.all(unique.map(path => new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = path;
+        }))).then(images => Object.fromEntries(unique.map((path, index) => [path, images[index]])));
+    }
+
+    /**
+     * Returns the width of a tile.
+     * @returns {number} The width, in pixels.
+     */
+    get tileWidth() {
+        return this.#tileWidth;
+    }
+
+    /**
+     * Returns the height of a tile.
+     * @returns {number} The height, in pixels.
+     */
+    get tileHeight() {
+        return this.#tileHeight;
+    }
+
+    /**
+     * Returns the orientation of the map.
+     * @returns {string} The orientation, e.g. 'orthogonal' or 'isometric'.
+     */
+    get orientation() {
+        return this.#orientation;
+    }
+
+    /**
+     * Returns the number of columns of the widest layer.
+     * @returns {number} The width of the map, in tiles.
+     */
+    get columns() {
+        return Math.max(0, ...this.#layers.map(layer => layer.columns));
+    }
+
+    /**
+     * Returns the number of rows of the tallest layer.
+     * @returns {number} The height of the map, in tiles.
+     */
+    get rows() {
+        return Math.max(0, ...this.#layers.map(layer => layer.rows));
+    }
+
+    /**
+     * Returns the tile layers.
+     * @returns {Array<TileLayer>} A copy of the list, from back to front.
+     */
+    get layers() {
+        return [...this.#layers];
+    }
+
+    /**
+     * Returns the object layers.
+     * @returns {Array<{name: string, visible: boolean, objects: Array<Object>, properties: Object}>} A copy of the list.
+     */
+    get objectLayers() {
+        return [...this.#objectLayers];
+    }
+
+    /**
+     * Returns the tileset or the images of all tile values.
+     * @returns {Tileset|Array<Image|HTMLCanvasElement>} The tileset or the images, shared by the tile layers.
+     */
+    get images() {
+        return this.#images;
+    }
+
+    /**
+     * Returns the tilesets of the map, with their tile metadata.
+     * @returns {Array<{firstTile: number, tileset: Tileset}>} A copy of the list, with the tile value of the first tile of every tileset.
+     */
+    get tilesets() {
+        return [...this.#tilesets];
+    }
+
+    /**
+     * Returns the custom properties of the map.
+     * @returns {Object} The properties.
+     */
+    get properties() {
+        return this.#properties;
+    }
+
+    /**
+     * Returns the animated tiles.
+     * @returns {Map<number, Array<{tile: number, duration: number}>>} The frames by tile value, durations are in milliseconds.
+     */
+    get tileAnimations() {
+        return this.#tileAnimations;
+    }
+
+    /**
+     * Returns the tile in the editor that is the top left tile of the map. Only infinite Tiled maps start at another tile than (0, 0).
+     * @returns {Vector} A copy of the column (x) and row (y).
+     */
+    get origin() {
+        return this.#origin.copy();
+    }
+}
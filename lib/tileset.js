@@ -0,0 +1,317 @@
+/**
+ * A sprite sheet that is sliced into tiles of the same size, with an optional margin around and spacing between the tiles.
+ * Tiles are numbered from left to right and top to bottom, starting at 0, and are drawn by their source rectangle.
+ * Every tile can carry metadata, e.g. { solid: true, slope: 0.5, blocksLight: true }, and can be animated: the cameras draw
+ * the current frame of an animated tile from the game time, so every instance of the tile animates without changing the map.
+ * The sheet is also a sprite atlas: tiles and rectangles of any size can be named and looked up as AnimationFrames.
+ */
+class Tileset {
+    #image;
+    #tileWidth;
+    #tileHeight;
+    #margin;
+    #spacing;
+    #columns;
+    #tileCount;
+    #tileData = new Map();
+    #tileAnimations = new Map();
+    #frames = new Map();
+
+    /**
+     * Creates a new Tileset.
+     * @param {Image|HTMLCanvasElement} image - The sprite sheet.
+     * @param {number} tileWidth - The width of a tile, in pixels.
+     * @param {number} tileHeight - The height of a tile, in pixels.
+     * @param {number} [margin=0] - The space around the tiles on the sheet, in pixels.
+     * @param {number} [spacing=0] - The space between the tiles on the sheet, in pixels.
+     * @param {number|null} [tileCount=null] - The number of tiles, null for every tile that fits on the sheet.
+     */
+    constructor(image, tileWidth, tileHeight, margin = 0, spacing = 0, tileCount = null) {
+        if (!CameraBackend.isImage(image)) {
+            throw new Error('Invalid image: Expected an Image or canvas object.');
+        }
+        if (typeof tileWidth !== 'number' || tileWidth <= 0 || typeof tileHeight !== 'number' || tileHeight <= 0) {
+            throw new Error('Invalid tile size: Expected positive numbers for tileWidth and tileHeight.');
+        }
+        if (typeof margin !== 'number' || margin < 0 || typeof spacing !== 'number' || spacing < 0) {
+            throw new Error('Invalid arguments: margin and spacing should be numbers bigger or equal than 0.');
+        }
+        this.#image = image;
+        this.#tileWidth = tileWidth;
+        this.#tileHeight = tileHeight;
+        this.#margin = margin;
+        this.#spacing = spacing;
+        this.#columns = Math.max(1, Math.floor((image.width - margin * 2 + spacing) / (tileWidth + spacing)));
+        const rows = Math.max(1, Math.floor((image.height - margin * 2 + spacing) / (tileHeight + spacing)));
+        if (tileCount !== null && (!Number.isInteger(tileCount) || tileCount <= 0)) {
+            throw new Error('Invalid tileCount: Expected a positive integer or null.');
+        }
+        this.#tileCount = tileCount ?? this.#columns * rows;
+    }
+
+    /**
+     * Returns the source rectangle of a tile on the sheet.
+     * @param {number} tile - The tile index.
+     * @returns {{x: number, y: number, width: number, height: number}|null} The rectangle, or null if the tileset has no such tile.
+     */
+    getTileRect(tile) {
+        if (!this.hasTile(tile)) return null;
+        return {
+            x: this.#margin + (tile % this.#columns) * (this.#tileWidth + this.#spacing),
+            y: this.#margin + Math.floor(tile / this.#columns) * (this.#tileHeight + this.#spacing),
+            width: this.#tileWidth,
+            height: this.#tileHeight
+        };
+    }
+
+    /**
+     * Returns whether the tileset has a tile.
+     * @param {number} tile - The tile index.
+     * @returns {boolean} True if the tile is on the sheet. Empty tiles, e.g. -1, are not.
+     */
+    hasTile(tile) {
+        return Number.isInteger(tile) && tile >= 0 && tile < this.#tileCount;
+    }
+
+    /**
+     * Draws a tile with a 2D context.
+     * @param {CanvasRenderingContext2D} ctx - The context to draw with, e.g. Camera.ctx.
+     * @param {number} tile - The tile index. Tiles that are not on the sheet are skipped.
+     * @param {number} x - The x position of the top left corner.
+     * @param {number} y - The y position of the top left corner.
+     * @param {number} [width=this.tileWidth] - The drawn width.
+     * @param {number} [height=this.tileHeight] - The drawn height.
+     * @returns {boolean} True if the tile was drawn.
+     */
+    drawTile(ctx, tile, x, y, width = this.#tileWidth, height = this.#tileHeight) {
+        const rect = this.getTileRect(tile);
+        if (!rect) return false;
+        ctx.drawImage(this.#image, rect.x, rect.y, rect.width, rect.height, x, y, width, height);
+        return true;
+    }
+
+    /**
+     * Adds metadata to a tile. The keys are merged with the metadata the tile already has.
+     * @param {number} tile - The tile index.
+     * @param {Object} data - The metadata, e.g. { solid: true } or { slope: 0.5 }.
+     */
+    setTileData(tile, data) {
+        if (!this.hasTile(tile)) {
+            throw new Error(`Invalid tile: Expected an integer between 0 and ${this.#tileCount - 1}.`);
+        }
+        if (typeof data !== 'object' || data === null) {
+            throw new Error('Invalid data: Expected an object.');
+        }
+        this.#tileData.set(tile, { ...this.#tileData.get(tile), ...data });
+    }
+
+    /**
+     * Returns the metadata of a tile.
+     * @param {number} tile - The tile index.
+     * @returns {Object|null} The metadata, or null if the tile has none.
+     */
+    getTileData(tile) {
+        return this.#tileData.get(tile) || null;
+    }
+
+    /**
+     * Animates a tile. Every tile with this value shows the frames in a loop.
+     * @param {number} tile - The tile index that is used in maps.
+     * @param {Array<{tile: number, duration: number}>} frames - The tile index and the duration in milliseconds of every frame.
+     */
+    setTileAnimation(tile, frames) {
+        if (!this.hasTile(tile)) {
+            throw new Error(`Invalid tile: Expected an integer between 0 and ${this.#tileCount - 1}.`);
+        }
+        if (!Array.isArray(frames) || frames.length === 0) {
+            throw new Error('Invalid frames: Expected a non-empty array.');
+        }
+        if (!frames.every(frame => this.hasTile(frame.tile) && typeof frame.duration === 'number' && frame.duration > 0)) {
+            throw new Error('Invalid frames: Every frame needs a tile of the tileset and a positive duration.');
+        }
+        const copy = frames.map(frame => ({ tile: frame.tile, duration: frame.duration }));
+        this.#tileAnimations.set(tile, { frames: copy, totalDuration: copy.reduce((sum, frame) => sum + frame.duration, 0) });
+    }
+
+    /**
+     * Stops animating a tile.
+     * @param {number} tile - The tile index.
+     */
+    removeTileAnimation(tile) {
+        this.#tileAnimations.delete(tile);
+    }
+
+    /**
+     * Returns the animation of a tile.
+     * @param {number} tile - The tile index.
+     * @returns {Array<{tile: number, duration: number}>|null} A copy of the frames, or null if the tile is not animated.
+     */
+    getTileAnimation(tile) {
+        const animation = this.#tileAnimations.get(tile);
+        return animation ? animation.frames.map(frame => ({ ...frame })) : null;
+    }
+
+    /**
+     * Returns the tile to draw for a tile value at a time. Tiles that are not animated are returned unchanged.
+     * All animations start at time 0, so every instance of a tile shows the same frame.
+     * @param {number} tile - The tile index that is used in the map.
+     * @param {number} [time=GameClock.default.time * 1000] - The game time, in milliseconds.
+     * @returns {number} The tile index of the current frame.
+     */
+    getAnimatedTile(tile, time = GameClock.default.time * 1000) {
+        const animation = this.#tileAnimations.get(tile);
+        if (!animation) return tile;
+        let remaining = ((time % animation.totalDuration) + animation.totalDuration) % animation.totalDuration;
+        for (const frame of animation.frames) {
+            if (remaining < frame.duration) return frame.tile;
+            remaining -= frame.duration;
+        }
+        return animation.frames[animation.frames.length - 1].tile;
+    }
+
+    /**
+     * Names a rectangle of the sheet, for getFrame().
+     * @param {string} name - The name of the frame.
+     * @param {number} x - The x position of the top left corner on the sheet.
+     * @param {number} y - The y position of the top left corner on the sheet.
+     * @param {number} width - The width of the frame.
+     * @param {number} height - The height of the frame.
+     */
+    addFrame(name, x, y, width, height) {
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Invalid name: Expected a non-empty string.');
+        }
+        // AnimationFrame validates the rectangle
+        this.#frames.set(name, new AnimationFrame(this.#image, x, y, width, height));
+    }
+
+    /**
+     * Names a tile, for getFrame().
+     * @param {string} name - The name of the frame.
+     * @param {number} tile - The tile index.
+     */
+    nameTile(name, tile) {
+        const rect = this.getTileRect(tile);
+        if (!rect) {
+            throw new Error(`Invalid tile: Expected an integer between 0 and ${this.#tileCount - 1}.`);
+        }
+        this.addFrame(name, rect.x, rect.y, rect.width, rect.height);
+    }
+
+    /**
+     * Names the frames of a sprite atlas descriptor in the JSON hash or JSON array format of TexturePacker,
+     * e.g. { frames: { "walk_0": { frame: { x: 0, y: 0, w: 16, h: 16 } } } }. Rotated frames are not supported.
+     * @param {Object|string} data - The descriptor as parsed JSON or JSON text.
+     */
+    addFrames(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (typeof data !== 'object' || data === null || typeof data.frames !== 'object' || data.frames === null) {
+            throw new Error('Invalid data: Expected an atlas descriptor with frames.');
+        }
+        const entries = Array.isArray(data.frames) ? data.frames.map(entry => [entry.filename, entry]) : Object.entries(data.frames);
+        for (const [name, entry] of entries) {
+            const frame = entry.frame || entry;
+            this.addFrame(name, frame.x, frame.y, frame.w ?? frame.width, frame.h ?? frame.height);
+        }
+    }
+
+    /**
+     * Returns a named frame or a tile as an AnimationFrame, e.g. for Camera.drawAnimationFrame().
+     * @param {string|number} name - The name of the frame, or a tile index.
+     * @returns {AnimationFrame} The frame.
+     */
+    getFrame(name) {
+        if (typeof name === 'number') {
+            const rect = this.getTileRect(name);
+            if (!rect) {
+                throw new Error(`Invalid tile: Expected an integer between 0 and ${this.#tileCount - 1}.`);
+            }
+            return new AnimationFrame(this.#image, rect.x, rect.y, rect.width, rect.height);
+        }
+        if (!this.#frames.has(name)) {
+            throw new Error(`getFrame: No frame named "${name}".`);
+        }
+        return this.#frames.get(name);
+    }
+
+    /**
+     * Returns all frames whose names start with a prefix, sorted by name with numbers in natural order ("walk_2" before "walk_10").
+     * @param {string} prefix - The start of the names, e.g. "walk_".
+     * @returns {Array<AnimationFrame>} The frames.
+     */
+    getFrames(prefix) {
+        if (typeof prefix !== 'string') {
+            throw new Error('Invalid prefix: Expected a string.');
+        }
+        return [...this.#frames.keys()]
+            .filter(name => name.startsWith(prefix))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(name => this.#frames.get(name));
+    }
+
+    /**
+     * Returns the sprite sheet.
+     * @returns {Image|HTMLCanvasElement} The image.
+     */
+    get image() {
+        return this.#image;
+    }
+
+    /**
+     * Returns the width of a tile.
+     * @returns {number} The width, in pixels.
+     */
+    get tileWidth() {
+        return this.#tileWidth;
+    }
+
+    /**
+     * Returns the height of a tile.
+     * @returns {number} The height, in pixels.
+     */
+    get tileHeight() {
+        return this.#tileHeight;
+    }
+
+    /**
+     * Returns the space around the tiles on the sheet.
+     * @returns {number} The margin, in pixels.
+     */
+    get margin() {
+        return this.#margin;
+    }
+
+    /**
+     * Returns the space between the tiles on the sheet.
+     * @returns {number} The spacing, in pixels.
+     */
+    get spacing() {
+        return this.#spacing;
+    }
+
+    /**
+     * Returns the number of tiles in a row of the sheet.
+     * @returns {number} The number of columns.
+     */
+    get columns() {
+        return this.#columns;
+    }
+
+    /**
+     * Returns the number of tiles.
+     * @returns {number} The number of tiles.
+     */
+    get tileCount() {
+        return this.#tileCount;
+    }
+
+    /**
+     * Returns the names of the frames.
+     * @returns {Array<string>} The names.
+     */
+    get frameNames() {
+        return [...this.#frames.keys()];
+    }
+}
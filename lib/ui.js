@@ -0,0 +1,690 @@
+/**
+ * The look of a UI: font, colors and optional nine-slice sprites for panels and buttons.
+ * Widgets without a sprite are drawn as flat rectangles in the theme colors.
+ */
+class UITheme {
+    #font;
+    #panel;
+    #button;
+    #buttonFocused;
+    #buttonPressed;
+    #textColor;
+    #panelColor;
+    #buttonColor;
+    #focusColor;
+    #accentColor;
+    #padding;
+
+    /**
+     * Creates a new UITheme.
+     * @param {Object} [theme={}] - The theme.
+     * @param {BitmapFont|null} [theme.font=null] - The font of all widgets, or null for the default font.
+     * @param {NineSlice|null} [theme.panel=null] - The sprite of panels, lists and text boxes.
+     * @param {NineSlice|null} [theme.button=null] - The sprite of buttons.
+     * @param {NineSlice|null} [theme.buttonFocused=null] - The sprite of the focused button, falls back to the button sprite.
+     * @param {NineSlice|null} [theme.buttonPressed=null] - The sprite of a pressed button, falls back to the focused sprite.
+     * @param {Color} [theme.textColor=new Color(255, 255, 255, 255)] - The color of texts.
+     * @param {Color} [theme.panelColor=new Color(24, 20, 37, 230)] - The flat color of panels, lists and text boxes.
+     * @param {Color} [theme.buttonColor=new Color(58, 68, 102, 255)] - The flat color of buttons.
+     * @param {Color} [theme.focusColor=new Color(254, 231, 97, 255)] - The frame of the focused widget.
+     * @param {Color} [theme.accentColor=new Color(44, 232, 245, 255)] - Slider knobs, check marks, selected list rows and the text cursor.
+     * @param {number} [theme.padding=3] - The space between the border and the content of a widget, in pixels.
+     */
+    constructor({
+        font = null, panel = null, button = null, buttonFocused = null, buttonPressed = null,
+        textColor = new Color(255, 255, 255, 255), panelColor = new Color(24, 20, 37, 230), buttonColor = new Color(58, 68, 102, 255),
+        focusColor = new Color(254, 231, 97, 255), accentColor = new Color(44, 232, 245, 255), padding = 3
+    } = {}) {
+        if (font !== null && !(font instanceof BitmapFont)) {
+            throw new Error('Invalid font: Expected a BitmapFont object or null.');
+        }
+        if (![panel, button, buttonFocused, buttonPressed].every(sprite => sprite === null || sprite instanceof NineSlice)) {
+            throw new Error('Invalid sprites: Expected NineSlice objects or null for panel, button, buttonFocused and buttonPressed.');
+        }
+        if (![textColor, panelColor, buttonColor, focusColor, accentColor].every(color => color instanceof Color)) {
+            throw new Error('Invalid colors: Expected Color objects.');
+        }
+        if (!Number.isInteger(padding) || padding < 0) {
+            throw new Error('Invalid padding: Expected an integer bigger or equal than 0.');
+        }
+        this.#font = font;
+        this.#panel = panel;
+        this.#button = button;
+        this.#buttonFocused = buttonFocused;
+        this.#buttonPressed = buttonPressed;
+        this.#textColor = textColor;
+        this.#panelColor = panelColor;
+        this.#buttonColor = buttonColor;
+        this.#focusColor = focusColor;
+        this.#accentColor = accentColor;
+        this.#padding = padding;
+    }
+
+    /**
+     * Returns the font of all widgets.
+     * @returns {BitmapFont} The font.
+     */
+    get font() {
+        return this.#font || BitmapFont.getDefault();
+    }
+
+    /**
+     * Returns the sprite of panels, lists and text boxes.
+     * @returns {NineSlice|null} The sprite, or null for flat rectangles.
+     */
+    get panel() {
+        return this.#panel;
+    }
+
+    /**
+     * Returns the sprite of buttons.
+     * @returns {NineSlice|null} The sprite, or null for flat rectangles.
+     */
+    get button() {
+        return this.#button;
+    }
+
+    /**
+     * Returns the sprite of the focused button.
+     * @returns {NineSlice|null} The sprite, or null.
+     */
+    get buttonFocused() {
+        return this.#buttonFocused || this.#button;
+    }
+
+    /**
+     * Returns the sprite of a pressed button.
+     * @returns {NineSlice|null} The sprite, or null.
+     */
+    get buttonPressed() {
+        return this.#buttonPressed || this.buttonFocused;
+    }
+
+    /**
+     * Returns the color of texts.
+     * @returns {Color} The color.
+     */
+    get textColor() {
+        return this.#textColor;
+    }
+
+    /**
+     * Returns the flat color of panels, lists and text boxes.
+     * @returns {Color} The color.
+     */
+    get panelColor() {
+        return this.#panelColor;
+    }
+
+    /**
+     * Returns the flat color of buttons.
+     * @returns {Color} The color.
+     */
+    get buttonColor() {
+        return this.#buttonColor;
+    }
+
+    /**
+     * Returns the color of the frame around the focused widget.
+     * @returns {Color} The color.
+     */
+    get focusColor() {
+        return this.#focusColor;
+    }
+
+    /**
+     * Returns the color of slider knobs, check marks, selected list rows and the text cursor.
+     * @returns {Color} The color.
+     */
+    get accentColor() {
+        return this.#accentColor;
+    }
+
+    /**
+     * Returns the space between the border and the content of a widget.
+     * @returns {number} The padding, in pixels.
+     */
+    get padding() {
+        return this.#padding;
+    }
+}
+
+/**
+ * An immediate-mode UI for Camera.ui(): call begin(), then the widget methods every frame, then end().
+ * Widgets return their new value, so there is no widget state to keep in sync with the game.
+ * The mouse, the arrow keys with Enter/Space and the D-pad or left stick with A all work; Escape and B are back.
+ * Positions are the top left corners of the widgets, in game pixels. The Input maps the mouse to game pixels
+ * through the camera of its canvas (see Input.attachCamera()).
+ */
+class UI {
+    #camera;
+    #input;
+    #theme;
+    #controls = { up: false, down: false, left: false, right: false, confirm: false, back: false };
+    #pressed = { up: false, down: false, left: false, right: false, confirm: false, back: false };
+    #mouse = new Vector(0, 0);
+    #mouseDown = false;
+    #mousePressed = false;
+    #mouseReleased = false;
+    #mouseClaimed = false;
+    #wheelDelta = 0;
+    #typedText = '';
+    #navigation = 0;
+    #focusOrder = [];
+    #focusId = null;
+    #activeId = null;
+    #scrollOffsets = new Map();
+    #textBoxIds = new Set();
+    #inFrame = false;
+
+    /**
+     * Creates a new UI.
+     * @param {Camera} camera - The camera to draw with.
+     * @param {Input} input - The input to read the mouse, keyboard and gamepads from.
+     * @param {UITheme} [theme=new UITheme()] - The look of the widgets.
+     */
+    constructor(camera, input, theme = new UITheme()) {
+        if (!(camera instanceof Camera)) {
+            throw new Error('Invalid camera: Expected a Camera object.');
+        }
+        if (!(input instanceof Input)) {
+            throw new Error('Invalid input: Expected an Input object.');
+        }
+        this.#camera = camera;
+        this.#input = input;
+        // The input records the typed text and the wheel distance for begin()
+        input.addConsumer(this);
+        this.theme = theme;
+    }
+
+    /**
+     * Starts a frame of the UI: reads the input and detects which buttons were pressed since the last frame.
+     */
+    begin() {
+        if (this.#inFrame) {
+            throw new Error('begin: end() was not called after the last begin().');
+        }
+        this.#inFrame = true;
+
+        // Space types into text boxes, so only Enter confirms there
+        const controls = this.#input.getMenuControls(!this.#isTextBoxFocused());
+        for (const name in controls) {
+            this.#pressed[name] = controls[name] && !this.#controls[name];
+        }
+        this.#controls = controls;
+
+        const mouseDown = this.#input.getMouseButton(MouseButtons.LEFT);
+        this.#mousePressed = mouseDown && !this.#mouseDown;
+        this.#mouseReleased = !mouseDown && this.#mouseDown;
+        this.#mouseDown = mouseDown;
+        this.#mouse = this.#input.getMousePosition();
+        this.#mouseClaimed = false;
+        this.#wheelDelta = this.#input.consumeWheelDelta();
+        this.#typedText = this.#input.consumeTypedText();
+
+        this.#navigation = (this.#pressed.down ? 1 : 0) - (this.#pressed.up ? 1 : 0);
+        this.#focusOrder = [];
+    }
+
+    /**
+     * Ends a frame of the UI: moves the focus with the up and down controls.
+     */
+    end() {
+        if (!this.#inFrame) {
+            throw new Error('end: begin() was not called.');
+        }
+        this.#inFrame = false;
+
+        // Widgets that were not drawn this frame cannot keep the focus
+        if (!this.#focusOrder.includes(this.#focusId)) {
+            this.#focusId = null;
+        }
+        const count = this.#focusOrder.length;
+        if (this.#navigation !== 0 && count > 0) {
+            const index = this.#focusOrder.indexOf(this.#focusId);
+            if (index === -1) {
+                this.#focusId = this.#navigation > 0 ? this.#focusOrder[0] : this.#focusOrder[count - 1];
+            } else {
+                this.#focusId = this.#focusOrder[(index + this.#navigation + count) % count];
+            }
+        }
+        // Clicking next to the widgets removes the focus, e.g. to leave a text box
+        if (this.#mousePressed && !this.#mouseClaimed) {
+            this.#focusId = null;
+        }
+        if (!this.#mouseDown) {
+            this.#activeId = null;
+        }
+    }
+
+    /**
+     * Releases the input: it stops recording the typed text and the wheel distance for this UI.
+     * Call it when the UI is not used anymore.
+     */
+    dispose() {
+        this.#input.removeConsumer(this);
+    }
+
+    /**
+     * Moves the focus to a widget, e.g. to the first button when a menu opens.
+     * @param {string|null} id - The id of the widget, or null to remove the focus.
+     */
+    focus(id) {
+        if (id !== null && typeof id !== 'string') {
+            throw new Error('Invalid id: Expected a string or null.');
+        }
+        this.#focusId = id;
+    }
+
+    /**
+     * Returns whether a widget has the focus.
+     * @param {string} id - The id of the widget.
+     * @returns {boolean} True if the widget has the focus.
+     */
+    isFocused(id) {
+        return this.#focusId === id;
+    }
+
+    /**
+     * Draws a panel, the background of a window or a menu.
+     * @param {Vector} position - The top left corner.
+     * @param {number} width - The width.
+     * @param {number} height - The height.
+     */
+    panel(position, width, height) {
+        this.#checkFrame();
+        this.#checkRect(position, width, height);
+        this.#drawFrame(this.#theme.panel, this.#theme.panelColor, position, width, height);
+    }
+
+    /**
+     * Draws a text.
+     * @param {string} text - The text, can contain new lines and color codes like "{#ff0000}red{/}".
+     * @param {Vector} position - The top left corner.
+     * @param {Color|null} [color=null] - The color of the text, or null for the text color of the theme.
+     * @param {string} [align='left'] - The alignment of the lines: 'left', 'center' or 'right'.
+     * @param {number} [maxWidth=0] - The width lines are wrapped at, 0 disables wrapping.
+     */
+    label(text, position, color = null, align = 'left', maxWidth = 0) {
+        this.#checkFrame();
+        if (color !== null && !(color instanceof Color)) {
+            throw new Error('Invalid color: Expected a Color object or null.');
+        }
+        this.#camera.drawBitmapText(text, position, this.#theme.font, color || this.#theme.textColor, 1, align, maxWidth);
+    }
+
+    /**
+     * Draws a button.
+     * @param {string} text - The text of the button.
+     * @param {Vector} position - The top left corner.
+     * @param {number} width - The width.
+     * @param {number} height - The height.
+     * @param {string} [id=text] - The id of the button, has to be unique among the widgets of the frame.
+     * @returns {boolean} True in the frame the button was clicked or confirmed.
+     */
+    button(text, position, width, height, id = text) {
+        this.#checkFrame();
+        this.#checkRect(position, width, height);
+        this.#checkId(id);
+        this.#focusOrder.push(id);
+
+        const hovered = this.#handleMouse(id, position, width, height);
+        const clicked = this.#mouseReleased && hovered && this.#activeId === id;
+        const confirmed = this.#focusId === id && this.#pressed.confirm;
+        const pressed = this.#activeId === id && hovered;
+        const focused = this.#focusId === id;
+
+        const sprite = pressed ? this.#theme.buttonPressed : focused ? this.#theme.buttonFocused : this.#theme.button;
+        this.#drawFrame(sprite, this.#theme.buttonColor, position, width, height);
+        if (focused) {
+            this.#drawOutline(position, width, height, this.#theme.focusColor);
+        }
+        const font = this.#theme.font;
+        const offset = pressed ? 1 : 0;
+        const textY = Math.round(position.y + (height - font.lineHeight) / 2) + offset;
+        this.#camera.drawBitmapText(text, new Vector(position.x + offset, textY), font, this.#theme.textColor, 1, 'center', width);
+        return clicked || confirmed;
+    }
+
+    /**
+     * Draws a vertical menu of buttons, navigated with up and down.
+     * @param {string} id - The id of the menu. The buttons get the ids "id:0", "id:1" and so on.
+     * @param {Array<string>} items - The texts of the buttons.
+     * @param {Vector} position - The top left corner of the first button.
+     * @param {number} width - The width of the buttons.
+     * @param {number} [itemHeight=0] - The height of a button, 0 fits the font and the padding.
+     * @param {number} [spacing=2] - The space between the buttons.
+     * @returns {number} The index of the item that was chosen this frame, or -1.
+     */
+    menu(id, items, position, width, itemHeight = 0, spacing = 2) {
+        this.#checkFrame();
+        this.#checkId(id);
+        if (!Array.isArray(items) || !items.every(item => typeof item === 'string')) {
+            throw new Error('Invalid items: Expected an array of strings.');
+        }
+        if (typeof itemHeight !== 'number' || itemHeight < 0 || typeof spacing !== 'number') {
+            throw new Error('Invalid itemHeight or spacing: Expected numbers.');
+        }
+        const height = itemHeight > 0 ? itemHeight : this.#theme.font.lineHeight + this.#theme.padding * 2;
+        let chosen = -1;
+        items.forEach((item, index) => {
+            const itemPosition = new Vector(position.x, position.y + index * (height + spacing));
+            if (this.button(item, itemPosition, width, height, `${id}:${index}`)) {
+                chosen = index;
+            }
+        });
+        return chosen;
+    }
+
+    /**
+     * Draws a checkbox with a text next to it.
+     * @param {string} text - The text.
+     * @param {boolean} checked - The current value.
+     * @param {Vector} position - The top left corner.
+     * @param {string} [id=text] - The id of the checkbox, has to be unique among the widgets of the frame.
+     * @returns {boolean} The new value.
+     */
+    checkbox(text, checked, position, id = text) {
+        this.#checkFrame();
+        this.#checkId(id);
+        if (typeof checked !== 'boolean') {
+            throw new Error('Invalid checked value: Expected a boolean.');
+        }
+        this.#focusOrder.push(id);
+
+        const font = this.#theme.font;
+        const size = font.lineHeight + 2;
+        const width = size + this.#theme.padding + font.measureText(text).width;
+        const hovered = this.#handleMouse(id, position, width, size);
+        if ((this.#mouseReleased && hovered && this.#activeId === id) || (this.#focusId === id && this.#pressed.confirm)) {
+            checked = !checked;
+        }
+
+        this.#drawFrame(this.#theme.panel, this.#theme.panelColor, position, size, size);
+        if (checked) {
+            this.#fillRect(new Vector(position.x + 2, position.y + 2), size - 4, size - 4, this.#theme.accentColor);
+        }
+        if (this.#focusId === id) {
+            this.#drawOutline(position, size, size, this.#theme.focusColor);
+        }
+        this.#camera.drawBitmapText(text, new Vector(position.x + size + this.#theme.padding, position.y + 1), font, this.#theme.textColor);
+        return checked;
+    }
+
+    /**
+     * Draws a horizontal slider, changed by dragging or with left and right.
+     * @param {string} id - The id of the slider, has to be unique among the widgets of the frame.
+     * @param {number} value - The current value.
+     * @param {number} min - The smallest value.
+     * @param {number} max - The biggest value.
+     * @param {Vector} position - The top left corner.
+     * @param {number} width - The width.
+     * @param {number} height - The height.
+     * @param {number} [step=(max - min) / 10] - The change of left and right, and the value dragging snaps to. 0 disables snapping.
+     * @returns {number} The new value.
+     */
+    slider(id, value, min, max, position, width, height, step = (max - min) / 10) {
+        this.#checkFrame();
+        this.#checkId(id);
+        this.#checkRect(position, width, height);
+        if (typeof value !== 'number' || typeof min !== 'number' || typeof max !== 'number' || min >= max) {
+            throw new Error('Invalid range: Expected numbers for value, min and max, with min smaller than max.');
+        }
+        if (typeof step !== 'number' || step < 0) {
+            throw new Error('Invalid step: Expected a number bigger or equal than 0.');
+        }
+        this.#focusOrder.push(id);
+
+        const knobWidth = Math.max(3, Math.round(height / 2));
+        this.#handleMouse(id, position, width, height);
+        if (this.#activeId === id && this.#mouseDown) {
+            const t = GameMath.clamp((this.#mouse.x - position.x - knobWidth / 2) / (width - knobWidth), 0, 1);
+            value = min + t * (max - min);
+            if (step > 0) {
+                value = min + Math.round((value - min) / step) * step;
+            }
+        }
+        if (this.#focusId === id) {
+            const direction = (this.#pressed.right ? 1 : 0) - (this.#pressed.left ? 1 : 0);
+            value += direction * (step > 0 ? step : (max - min) / 10);
+        }
+        value = GameMath.clamp(value, min, max);
+
+        const trackHeight = Math.max(1, Math.round(height / 4));
+        this.#fillRect(new Vector(position.x, Math.round(position.y + (height - trackHeight) / 2)), width, trackHeight, this.#theme.panelColor);
+        const knobX = Math.round(position.x + (value - min) / (max - min) * (width - knobWidth));
+        this.#fillRect(new Vector(knobX, position.y), knobWidth, height, this.#theme.accentColor);
+        if (this.#focusId === id) {
+            this.#drawOutline(position, width, height, this.#theme.focusColor);
+        }
+        return value;
+    }
+
+    /**
+     * Draws a one line text box. It takes the typed text while it has the focus.
+     * @param {string} id - The id of the text box, has to be unique among the widgets of the frame.
+     * @param {string} text - The current text.
+     * @param {Vector} position - The top left corner.
+     * @param {number} width - The width.
+     * @param {number} [maxLength=32] - The maximum number of characters.
+     * @returns {string} The new text.
+     */
+    textBox(id, text, position, width, maxLength = 32) {
+        this.#checkFrame();
+        this.#checkId(id);
+        if (typeof text !== 'string') {
+            throw new Error('Invalid text: Expected a string.');
+        }
+        if (!Number.isInteger(maxLength) || maxLength < 1) {
+            throw new Error('Invalid maxLength: Expected a positive integer.');
+        }
+        this.#focusOrder.push(id);
+        this.#textBoxIds.add(id);
+
+        const font = this.#theme.font;
+        const padding = this.#theme.padding;
+        const height = font.lineHeight + padding * 2;
+        this.#handleMouse(id, position, width, height);
+        const focused = this.#focusId === id;
+        if (focused) {
+            for (const character of this.#typedText) {
+                if (character === '\b') {
+                    text = text.slice(0, -1);
+                } else if (text.length < maxLength) {
+                    text += character;
+                }
+            }
+        }
+
+        this.#drawFrame(this.#theme.panel, this.#theme.panelColor, position, width, height);
+        // Long texts show their end, where the cursor is
+        const innerWidth = width - padding * 2;
+        let visible = text;
+        while (visible.length > 0 && font.measureText(visible).width > innerWidth - 2) {
+            visible = visible.slice(1);
+        }
+        const textPosition = new Vector(position.x + padding, position.y + padding);
+        this.#camera.drawBitmapText(visible, textPosition, font, this.#theme.textColor);
+        if (focused) {
+            this.#drawOutline(position, width, height, this.#theme.focusColor);
+            if (this.#camera.clock.unscaledTime % 1 < 0.5) {
+                const cursorX = textPosition.x + font.measureText(visible).width + 1;
+                this.#fillRect(new Vector(cursorX, textPosition.y), 1, font.lineHeight, this.#theme.accentColor);
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Draws a scrolling list. While it has the focus, up and down change the selection
+     * and move the focus on at the first and the last item. The mouse wheel scrolls it.
+     * @param {string} id - The id of the list, has to be unique among the widgets of the frame.
+     * @param {Array<string>} items - The texts of the rows.
+     * @param {number} selectedIndex - The index of the selected row, or -1.
+     * @param {Vector} position - The top left corner.
+     * @param {number} width - The width.
+     * @param {number} rows - The number of visible rows.
+     * @returns {number} The new index of the selected row.
+     */
+    list(id, items, selectedIndex, position, width, rows) {
+        this.#checkFrame();
+        this.#checkId(id);
+        if (!Array.isArray(items) || !items.every(item => typeof item === 'string')) {
+            throw new Error('Invalid items: Expected an array of strings.');
+        }
+        if (!Number.isInteger(selectedIndex) || selectedIndex < -1 || selectedIndex >= items.length) {
+            throw new Error('Invalid selectedIndex: Expected -1 or the index of an item.');
+        }
+        if (!Number.isInteger(rows) || rows < 1) {
+            throw new Error('Invalid rows: Expected a positive integer.');
+        }
+        this.#focusOrder.push(id);
+
+        const font = this.#theme.font;
+        const padding = this.#theme.padding;
+        const rowHeight = font.lineHeight + 2;
+        const height = rows * rowHeight + padding * 2;
+        const maxOffset = Math.max(0, items.length - rows);
+        let offset = Math.min(this.#scrollOffsets.get(id) || 0, maxOffset);
+
+        const hovered = this.#handleMouse(id, position, width, height);
+        if (hovered && this.#wheelDelta !== 0) {
+            offset = GameMath.clamp(offset + Math.sign(this.#wheelDelta), 0, maxOffset);
+            this.#wheelDelta = 0;
+        }
+        if (hovered && this.#mousePressed) {
+            const row = Math.floor((this.#mouse.y - position.y - padding) / rowHeight);
+            if (row >= 0 && row < rows && offset + row < items.length) {
+                selectedIndex = offset + row;
+            }
+        }
+        if (this.#focusId === id && this.#navigation !== 0 && items.length > 0) {
+            const next = selectedIndex + this.#navigation;
+            if (selectedIndex === -1 || (next >= 0 && next < items.length)) {
+                selectedIndex = selectedIndex === -1 ? 0 : next;
+                // The list used the navigation, the focus stays
+                this.#navigation = 0;
+                offset = GameMath.clamp(offset, selectedIndex - rows + 1, selectedIndex);
+            }
+        }
+        this.#scrollOffsets.set(id, offset);
+
+        this.#drawFrame(this.#theme.panel, this.#theme.panelColor, position, width, height);
+        const scrollbarWidth = maxOffset > 0 ? 2 : 0;
+        for (let row = 0; row < rows && offset + row < items.length; row++) {
+            const index = offset + row;
+            const rowPosition = new Vector(position.x + padding, position.y + padding + row * rowHeight);
+            const rowWidth = width - padding * 2 - scrollbarWidth;
+            let textColor = this.#theme.textColor;
+            if (index === selectedIndex) {
+                this.#fillRect(rowPosition, rowWidth, rowHeight, this.#theme.accentColor);
+                textColor = this.#theme.panelColor;
+            }
+            this.#camera.drawBitmapText(items[index], new Vector(rowPosition.x + 1, rowPosition.y + 1), font, new Color(textColor.r, textColor.g, textColor.b, 255));
+        }
+        if (maxOffset > 0) {
+            const trackHeight = height - padding * 2;
+            const thumbHeight = Math.max(2, Math.round(trackHeight * rows / items.length));
+            const thumbY = Math.round(position.y + padding + (trackHeight - thumbHeight) * offset / maxOffset);
+            this.#fillRect(new Vector(position.x + width - padding - scrollbarWidth, thumbY), scrollbarWidth, thumbHeight, this.#theme.textColor);
+        }
+        if (this.#focusId === id) {
+            this.#drawOutline(position, width, height, this.#theme.focusColor);
+        }
+        return selectedIndex;
+    }
+
+    #isTextBoxFocused() {
+        return this.#focusId !== null && this.#textBoxIds.has(this.#focusId);
+    }
+
+    #handleMouse(id, position, width, height) {
+        const hovered = this.#mouse.x >= position.x && this.#mouse.x < position.x + width &&
+                        this.#mouse.y >= position.y && this.#mouse.y < position.y + height;
+        if (hovered && this.#mousePressed) {
+            this.#activeId = id;
+            this.#focusId = id;
+            this.#mouseClaimed = true;
+        }
+        return hovered;
+    }
+
+    #drawFrame(sprite, color, position, width, height) {
+        if (sprite) {
+            sprite.draw(this.#camera, position, width, height);
+        } else {
+            this.#fillRect(position, width, height, color);
+        }
+    }
+
+    #fillRect(position, width, height, color) {
+        this.#camera.drawRect(new Vector(position.x + width / 2, position.y + height / 2), width, height, color);
+    }
+
+    #drawOutline(position, width, height, color) {
+        // Four one pixel rectangles stay crisp, a stroked rectangle would straddle the pixel grid
+        this.#fillRect(position, width, 1, color);
+        this.#fillRect(new Vector(position.x, position.y + height - 1), width, 1, color);
+        this.#fillRect(new Vector(position.x, position.y + 1), 1, height - 2, color);
+        this.#fillRect(new Vector(position.x + width - 1, position.y + 1), 1, height - 2, color);
+    }
+
+    #checkFrame() {
+        if (!this.#inFrame) {
+            throw new Error('Invalid call: Widgets have to be drawn between begin() and end().');
+        }
+    }
+
+    #checkRect(position, width, height) {
+        if (!(position instanceof Vector)) {
+            throw new Error('Invalid position: Expected a Vector object.');
+        }
+        if (typeof width !== 'number' || width <= 0 || typeof height !== 'number' || height <= 0) {
+            throw new Error('Invalid size: Expected positive numbers for width and height.');
+        }
+    }
+
+    #checkId(id) {
+        if (typeof id !== 'string' || id === '') {
+            throw new Error('Invalid id: Expected a non-empty string.');
+        }
+        if (this.#focusOrder.includes(id)) {
+            throw new Error(`Invalid id: "${id}" is used by another widget in this frame.`);
+        }
+    }
+
+    /**
+     * Returns whether the back control (Escape or B) was pressed this frame, e.g. to close a menu.
+     * @returns {boolean} True if back was pressed.
+     */
+    get backPressed() {
+        return this.#pressed.back;
+    }
+
+    /**
+     * Returns the id of the widget with the focus.
+     * @returns {string|null} The id, or null.
+     */
+    get focusedId() {
+        return this.#focusId;
+    }
+
+    /**
+     * Returns the theme.
+     * @returns {UITheme} The theme.
+     */
+    get theme() {
+        return this.#theme;
+    }
+
+    /**
+     * Sets the theme.
+     * @param {UITheme} theme - The theme.
+     */
+    set theme(theme) {
+        if (!(theme instanceof UITheme)) {
+            throw new Error('Invalid theme: Expected a UITheme object.');
+        }
+        this.#theme = theme;
+    }
+}
@@ -0,0 +1,399 @@
+/**
+ * Represents a 2D view into the game world: position, zoom and rotation,
+ * with smoothed target following, world bounds and trauma-based camera shake.
+ */
+class View {
+    #width;
+    #height;
+    #position;
+    #zoom = 1;
+    #rotation = 0;
+    #pixelSnap = true;
+    // Following
+    #target = null;
+    #followSmoothing = 5;
+    #deadZoneWidth = 0;
+    #deadZoneHeight = 0;
+    #bounds = null;
+    // Shake
+    #trauma = 0;
+    #traumaDecay = 1;
+    #maxShakeOffset = 8;
+    #maxShakeAngle = 3;
+    #shakeFrequency = 25;
+    #shakeTime = 0;
+    #shakeOffset = new Vector(0, 0);
+    #shakeAngle = 0;
+    #noise;
+
+    /**
+     * Creates a new View.
+     * @param {number} width - The width of the area the view is rendered to, in game pixels.
+     * @param {number} height - The height of the area the view is rendered to, in game pixels.
+     * @param {Vector} [position=new Vector(width / 2, height / 2)] - The world position at the center of the view.
+     */
+    constructor(width, height, position = new Vector(width / 2, height / 2)) {
+        if (typeof width !== 'number' || width <= 0) {
+            throw new Error('Invalid width: Expected a positive number.');
+        }
+        if (typeof height !== 'number' || height <= 0) {
+            throw new Error('Invalid height: Expected a positive number.');
+        }
+        if (!(position instanceof Vector)) {
+            throw new Error('Invalid position: Expected a Vector object.');
+        }
+        this.#width = width;
+        this.#height = height;
+        this.#position = position.copy();
+        this.#noise = new PerlinNoise(~~(Math.random() * 10000));
+    }
+
+    /**
+     * Updates the following and the shake of the view. Called by the Camera every frame.
+     * @param {number} deltaTime - The time elapsed since the last frame, in seconds.
+     */
+    update(deltaTime) {
+        if (typeof deltaTime !== 'number') {
+            throw new Error('Invalid deltaTime: Expected a number.');
+        }
+        if (this.#target) {
+            this.#updateFollow(deltaTime);
+        }
+        if (this.#bounds) {
+            this.#clampToBounds();
+        }
+        this.#updateShake(deltaTime);
+    }
+
+    #updateFollow(deltaTime) {
+        const halfDeadZoneWidth = this.#deadZoneWidth / 2;
+        const halfDeadZoneHeight = this.#deadZoneHeight / 2;
+        let desiredX = this.#position.x;
+        let desiredY = this.#position.y;
+
+        // Only move when the target leaves the dead zone
+        if (this.#target.x > this.#position.x + halfDeadZoneWidth) desiredX = this.#target.x - halfDeadZoneWidth;
+        if (this.#target.x < this.#position.x - halfDeadZoneWidth) desiredX = this.#target.x + halfDeadZoneWidth;
+        if (this.#target.y > this.#position.y + halfDeadZoneHeight) desiredY = this.#target.y - halfDeadZoneHeight;
+        if (this.#target.y < this.#position.y - halfDeadZoneHeight) desiredY = this.#target.y + halfDeadZoneHeight;
+
+        // Frame-rate independent smoothing
+        const t = this.#followSmoothing <= 0 ? 1 : 1 - Math.exp(-this.#followSmoothing * deltaTime);
+        this.#position.x = GameMath.lerp(this.#position.x, desiredX, t);
+        this.#position.y = GameMath.lerp(this.#position.y, desiredY, t);
+    }
+
+    #clampToBounds() {
+        const halfWidth = this.#width / (2 * this.#zoom);
+        const halfHeight = this.#height / (2 * this.#zoom);
+        const bounds = this.#bounds;
+
+        if (bounds.width <= halfWidth * 2) {
+            this.#position.x = bounds.x + bounds.width / 2;
+        } else {
+            this.#position.x = GameMath.clamp(this.#position.x, bounds.x + halfWidth, bounds.x + bounds.width - halfWidth);
+        }
+        if (bounds.height <= halfHeight * 2) {
+            this.#position.y = bounds.y + bounds.height / 2;
+        } else {
+            this.#position.y = GameMath.clamp(this.#position.y, bounds.y + halfHeight, bounds.y + bounds.height - halfHeight);
+        }
+    }
+
+    #updateShake(deltaTime) {
+        this.#trauma = Math.max(0, this.#trauma - this.#traumaDecay * deltaTime);
+        if (this.#trauma === 0) {
+            this.#shakeOffset.set(0, 0);
+            this.#shakeAngle = 0;
+            return;
+        }
+
+        // Squaring the trauma makes small hits subtle and big hits violent
+        const shake = this.#trauma * this.#trauma;
+        this.#shakeTime += deltaTime * this.#shakeFrequency;
+        const t = this.#shakeTime;
+        this.#shakeOffset.set(
+            this.#maxShakeOffset * shake * this.#noise.getValue(t, 0.5) * 2,
+            this.#maxShakeOffset * shake * this.#noise.getValue(t, 10.5) * 2
+        );
+        this.#shakeAngle = this.#maxShakeAngle * shake * this.#noise.getValue(t, 20.5) * 2;
+    }
+
+    /**
+     * Changes the size of the area the view is rendered to. The world position at the center stays the same.
+     * @param {number} width - The new width, in game pixels.
+     * @param {number} height - The new height, in game pixels.
+     */
+    resize(width, height) {
+        if (typeof width !== 'number' || width <= 0) {
+            throw new Error('Invalid width: Expected a positive number.');
+        }
+        if (typeof height !== 'number' || height <= 0) {
+            throw new Error('Invalid height: Expected a positive number.');
+        }
+        this.#width = width;
+        this.#height = height;
+        if (this.#bounds) {
+            this.#clampToBounds();
+        }
+    }
+
+    /**
+     * Returns the transform of the view as [a, b, c, d, e, f], in the format of CanvasRenderingContext2D.setTransform().
+     * @param {number} [offsetX=0] - The x position of the area the view is rendered to.
+     * @param {number} [offsetY=0] - The y position of the area the view is rendered to.
+     * @returns {Array<number>} The transform.
+     */
+    getTransform(offsetX = 0, offsetY = 0) {
+        const angle = -GameMath.degreesToRadians(this.#rotation + this.#shakeAngle);
+        const cos = Math.cos(angle) * this.#zoom;
+        const sin = Math.sin(angle) * this.#zoom;
+        const x = this.#position.x + this.#shakeOffset.x;
+        const y = this.#position.y + this.#shakeOffset.y;
+
+        let e = offsetX + this.#width / 2 - (cos * x - sin * y);
+        let f = offsetY + this.#height / 2 - (sin * x + cos * y);
+        if (this.#pixelSnap) {
+            e = Math.round(e);
+            f = Math.round(f);
+        }
+        return [cos, sin, -sin, cos, e, f];
+    }
+
+    /**
+     * Sets the transform of a canvas context to this view.
+     * @param {CanvasRenderingContext2D} ctx - The context.
+     * @param {number} [offsetX=0] - The x position of the area the view is rendered to.
+     * @param {number} [offsetY=0] - The y position of the area the view is rendered to.
+     */
+    apply(ctx, offsetX = 0, offsetY = 0) {
+        const [a, b, c, d, e, f] = this.getTransform(offsetX, offsetY);
+        ctx.setTransform(a, b, c, d, e, f);
+    }
+
+    /**
+     * Converts a world position to a screen position.
+     * @param {Vector} worldPos - The position in the world.
+     * @returns {Vector} The position on the screen, in game pixels.
+     */
+    worldToScreen(worldPos) {
+        if (!(worldPos instanceof Vector)) {
+            throw new Error('Invalid worldPos: Expected a Vector object.');
+        }
+        const [a, b, c, d, e, f] = this.getTransform();
+        return new Vector(a * worldPos.x + c * worldPos.y + e, b * worldPos.x + d * worldPos.y + f);
+    }
+
+    /**
+     * Converts a screen position to a world position.
+     * @param {Vector} screenPos - The position on the screen, in game pixels.
+     * @returns {Vector} The position in the world.
+     */
+    screenToWorld(screenPos) {
+        if (!(screenPos instanceof Vector)) {
+            throw new Error('Invalid screenPos: Expected a Vector object.');
+        }
+        const [a, b, c, d, e, f] = this.getTransform();
+        const determinant = a * d - b * c;
+        const x = screenPos.x - e;
+        const y = screenPos.y - f;
+        return new Vector((d * x - c * y) / determinant, (a * y - b * x) / determinant);
+    }
+
+    /**
+     * Returns the axis-aligned rectangle of the world that is visible in the view.
+     * @returns {{x: number, y: number, width: number, height: number}} The visible rectangle, in world units.
+     */
+    getVisibleBounds() {
+        const corners = [
+            this.screenToWorld(new Vector(0, 0)),
+            this.screenToWorld(new Vector(this.#width, 0)),
+            this.screenToWorld(new Vector(0, this.#height)),
+            this.screenToWorld(new Vector(this.#width, this.#height))
+        ];
+        const minX = Math.min(...corners.map(corner => corner.x));
+        const minY = Math.min(...corners.map(corner => corner.y));
+        const maxX = Math.max(...corners.map(corner => corner.x));
+        const maxY = Math.max(...corners.map(corner => corner.y));
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Makes the view follow a target.
+     * @param {Vector} target - The position to follow. The vector is tracked, so moving it moves the view.
+     * @param {number} [smoothing=5] - How fast the view catches up. 0 snaps to the target.
+     * @param {number} [deadZoneWidth=0] - The width of the area around the center where the target can move without moving the view.
+     * @param {number} [deadZoneHeight=0] - The height of the dead zone.
+     */
+    follow(target, smoothing = 5, deadZoneWidth = 0, deadZoneHeight = 0) {
+        if (!(target instanceof Vector)) {
+            throw new Error('Invalid target: Expected a Vector object.');
+        }
+        if (typeof smoothing !== 'number' || smoothing < 0) {
+            throw new Error('Invalid smoothing: Expected a number bigger or equal than 0.');
+        }
+        if (typeof deadZoneWidth !== 'number' || deadZoneWidth < 0 || typeof deadZoneHeight !== 'number' || deadZoneHeight < 0) {
+            throw new Error('Invalid dead zone: Expected numbers bigger or equal than 0.');
+        }
+        this.#target = target;
+        this.#followSmoothing = smoothing;
+        this.#deadZoneWidth = deadZoneWidth;
+        this.#deadZoneHeight = deadZoneHeight;
+    }
+
+    /**
+     * Stops following the target.
+     */
+    stopFollowing() {
+        this.#target = null;
+    }
+
+    /**
+     * Limits the view to a rectangle of the world.
+     * @param {number} x - The x position of the world rectangle.
+     * @param {number} y - The y position of the world rectangle.
+     * @param {number} width - The width of the world rectangle.
+     * @param {number} height - The height of the world rectangle.
+     */
+    setBounds(x, y, width, height) {
+        if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+            throw new Error('Invalid bounds: Expected numbers with a positive width and height.');
+        }
+        this.#bounds = { x, y, width, height };
+    }
+
+    /**
+     * Removes the world bounds.
+     */
+    clearBounds() {
+        this.#bounds = null;
+    }
+
+    /**
+     * Adds trauma to the view, which makes it shake. The trauma decays over time.
+     * @param {number} amount - The amount of trauma to add (0-1).
+     */
+    addTrauma(amount) {
+        if (typeof amount !== 'number') {
+            throw new Error('Invalid amount: Expected a number.');
+        }
+        this.#trauma = GameMath.clamp(this.#trauma + amount, 0, 1);
+    }
+
+    /**
+     * Configures the camera shake.
+     * @param {number} [maxOffset=8] - The maximum offset at full trauma, in world units.
+     * @param {number} [maxAngle=3] - The maximum rotation at full trauma, in degrees.
+     * @param {number} [frequency=25] - How fast the view shakes.
+     * @param {number} [decay=1] - How much trauma is removed per second.
+     */
+    setShake(maxOffset = 8, maxAngle = 3, frequency = 25, decay = 1) {
+        if (![maxOffset, maxAngle, frequency, decay].every(value => typeof value === 'number' && value >= 0)) {
+            throw new Error('Invalid shake settings: Expected numbers bigger or equal than 0.');
+        }
+        this.#maxShakeOffset = maxOffset;
+        this.#maxShakeAngle = maxAngle;
+        this.#shakeFrequency = frequency;
+        this.#traumaDecay = decay;
+    }
+
+    /**
+     * Returns the world position at the center of the view.
+     * @returns {Vector} The position.
+     */
+    get position() {
+        return this.#position.copy();
+    }
+
+    /**
+     * Sets the world position at the center of the view.
+     * @param {Vector} position - The position.
+     */
+    set position(position) {
+        if (!(position instanceof Vector)) {
+            throw new Error('Invalid position: Expected a Vector object.');
+        }
+        this.#position = position.copy();
+    }
+
+    /**
+     * Returns the zoom of the view.
+     * @returns {number} The zoom.
+     */
+    get zoom() {
+        return this.#zoom;
+    }
+
+    /**
+     * Sets the zoom of the view. Values greater than 1 zoom in.
+     * @param {number} zoom - The zoom.
+     */
+    set zoom(zoom) {
+        if (typeof zoom !== 'number' || zoom <= 0) {
+            throw new Error('Invalid zoom: Expected a positive number.');
+        }
+        this.#zoom = zoom;
+    }
+
+    /**
+     * Returns the rotation of the view.
+     * @returns {number} The rotation, in degrees.
+     */
+    get rotation() {
+        return this.#rotation;
+    }
+
+    /**
+     * Sets the rotation of the view.
+     * @param {number} rotation - The rotation, in degrees.
+     */
+    set rotation(rotation) {
+        if (typeof rotation !== 'number') {
+            throw new Error('Invalid rotation: Expected a number.');
+        }
+        this.#rotation = rotation;
+    }
+
+    /**
+     * Returns whether the view offset is rounded to whole pixels.
+     * @returns {boolean} True if the offset is rounded.
+     */
+    get pixelSnap() {
+        return this.#pixelSnap;
+    }
+
+    /**
+     * Sets whether the view offset is rounded to whole pixels, which avoids shimmering pixel art.
+     * @param {boolean} pixelSnap - True to round the offset.
+     */
+    set pixelSnap(pixelSnap) {
+        if (typeof pixelSnap !== 'boolean') {
+            throw new Error('Invalid pixelSnap: Expected a boolean.');
+        }
+        this.#pixelSnap = pixelSnap;
+    }
+
+    /**
+     * Returns the current trauma.
+     * @returns {number} The trauma (0-1).
+     */
+    get trauma() {
+        return this.#trauma;
+    }
+
+    /**
+     * Returns the width of the area the view is rendered to.
+     * @returns {number} The width, in game pixels.
+     */
+    get width() {
+        return this.#width;
+    }
+
+    /**
+     * Returns the height of the area the view is rendered to.
+     * @returns {number} The height, in game pixels.
+     */
+    get height() {
+        return this.#height;
+    }
+}
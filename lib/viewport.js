@@ -0,0 +1,162 @@
+/**
+ * A rectangle of the screen that shows the world through its own View, for split-screen games.
+ * Viewports are added to a Camera with Camera.addViewport(). Every frame the Camera calls
+ * Camera.renderScene() once per viewport, clipped to the rectangle and with the view applied.
+ */
+class Viewport {
+    #x;
+    #y;
+    #width;
+    #height;
+    #view;
+    #name;
+
+    /**
+     * Creates a new Viewport.
+     * @param {number} x - The x position of the rectangle on the screen, in game pixels.
+     * @param {number} y - The y position of the rectangle on the screen, in game pixels.
+     * @param {number} width - The width of the rectangle, in game pixels.
+     * @param {number} height - The height of the rectangle, in game pixels.
+     * @param {string} [name="Viewport"] - The name of the viewport, to tell the viewports apart in Camera.renderScene().
+     * @param {View} [view=new View(width, height)] - The view of the viewport.
+     */
+    constructor(x, y, width, height, name = "Viewport", view = new View(width, height)) {
+        if (typeof name !== 'string') {
+            throw new Error('Invalid name: Expected a string.');
+        }
+        if (!(view instanceof View)) {
+            throw new Error('Invalid view: Expected a View object.');
+        }
+        this.#view = view;
+        this.#name = name;
+        this.setRect(x, y, width, height);
+    }
+
+    /**
+     * Creates the usual split-screen layout for one to four players:
+     * side by side for two, one on top and two below for three, and a 2x2 grid for four.
+     * @param {number} count - The number of viewports (1-4).
+     * @param {number} width - The width of the screen, in game pixels.
+     * @param {number} height - The height of the screen, in game pixels.
+     * @returns {Array<Viewport>} The viewports, named "Player 1" to "Player n".
+     */
+    static split(count, width, height) {
+        if (!Number.isInteger(count) || count < 1 || count > 4) {
+            throw new Error('Invalid count: Expected an integer between 1 and 4.');
+        }
+        const halfWidth = Math.floor(width / 2);
+        const halfHeight = Math.floor(height / 2);
+        const layouts = {
+            1: [[0, 0, width, height]],
+            2: [[0, 0, halfWidth, height], [halfWidth, 0, width - halfWidth, height]],
+            3: [[0, 0, width, halfHeight], [0, halfHeight, halfWidth, height - halfHeight], [halfWidth, halfHeight, width - halfWidth, height - halfHeight]],
+            4: [[0, 0, halfWidth, halfHeight], [halfWidth, 0, width - halfWidth, halfHeight],
+                [0, halfHeight, halfWidth, height - halfHeight], [halfWidth, halfHeight, width - halfWidth, height - halfHeight]]
+        };
+        return layouts[count].map(([x, y, w, h], index) => new Viewport(x, y, w, h, `Player ${index + 1}`));
+    }
+
+    /**
+     * Moves and resizes the rectangle of the viewport. The view is resized with it.
+     * @param {number} x - The x position of the rectangle on the screen, in game pixels.
+     * @param {number} y - The y position of the rectangle on the screen, in game pixels.
+     * @param {number} width - The width of the rectangle, in game pixels.
+     * @param {number} height - The height of the rectangle, in game pixels.
+     */
+    setRect(x, y, width, height) {
+        if (typeof x !== 'number' || typeof y !== 'number') {
+            throw new Error('Invalid position: Expected numbers for x and y.');
+        }
+        if (typeof width !== 'number' || width <= 0 || typeof height !== 'number' || height <= 0) {
+            throw new Error('Invalid size: Expected positive numbers for width and height.');
+        }
+        this.#x = x;
+        this.#y = y;
+        this.#width = width;
+        this.#height = height;
+        this.#view.resize(width, height);
+    }
+
+    /**
+     * Checks if a screen position is inside the viewport.
+     * @param {Vector} screenPos - The position on the screen, in game pixels.
+     * @returns {boolean} True if the position is inside the rectangle.
+     */
+    contains(screenPos) {
+        if (!(screenPos instanceof Vector)) {
+            throw new Error('Invalid screenPos: Expected a Vector object.');
+        }
+        return screenPos.x >= this.#x && screenPos.x < this.#x + this.#width &&
+               screenPos.y >= this.#y && screenPos.y < this.#y + this.#height;
+    }
+
+    /**
+     * Converts a world position to a screen position.
+     * @param {Vector} worldPos - The position in the world.
+     * @returns {Vector} The position on the screen, in game pixels.
+     */
+    worldToScreen(worldPos) {
+        const local = this.#view.worldToScreen(worldPos);
+        return new Vector(local.x + this.#x, local.y + this.#y);
+    }
+
+    /**
+     * Converts a screen position to a world position.
+     * @param {Vector} screenPos - The position on the screen, in game pixels.
+     * @returns {Vector} The position in the world.
+     */
+    screenToWorld(screenPos) {
+        if (!(screenPos instanceof Vector)) {
+            throw new Error('Invalid screenPos: Expected a Vector object.');
+        }
+        return this.#view.screenToWorld(new Vector(screenPos.x - this.#x, screenPos.y - this.#y));
+    }
+
+    /**
+     * Returns the x position of the rectangle.
+     * @returns {number} The x position, in game pixels.
+     */
+    get x() {
+        return this.#x;
+    }
+
+    /**
+     * Returns the y position of the rectangle.
+     * @returns {number} The y position, in game pixels.
+     */
+    get y() {
+        return this.#y;
+    }
+
+    /**
+     * Returns the width of the rectangle.
+     * @returns {number} The width, in game pixels.
+     */
+    get width() {
+        return this.#width;
+    }
+
+    /**
+     * Returns the height of the rectangle.
+     * @returns {number} The height, in game pixels.
+     */
+    get height() {
+        return this.#height;
+    }
+
+    /**
+     * Returns the view of the viewport.
+     * @returns {View} The view.
+     */
+    get view() {
+        return this.#view;
+    }
+
+    /**
+     * Returns the name of the viewport.
+     * @returns {string} The name.
+     */
+    get name() {
+        return this.#name;
+    }
+}